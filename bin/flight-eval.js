@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/**
+ * Flight Search Agent Evaluation CLI
+ *
+ * Usage: flight-eval <run|report|compare|dataset> [options]
+ * Run `flight-eval --help` for details.
+ */
+
+import 'dotenv/config';
+import { main } from '../lib/cli.js';
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`\n❌ Fatal: ${error.message}`);
+  process.exit(1);
+});
@@ -1,49 +1,402 @@
 /**
- * Aircraft family matching utilities for evaluation
- */
-
-// Aircraft family definitions based on ICAO codes and full names
-const AIRCRAFT_FAMILIES = {
-  'Boeing 737': ['Boeing 737NG', 'Boeing 737MAX', 'Boeing 717'],
-  'Boeing 777': ['Boeing 777', 'Boeing 777-200', 'Boeing 777-300ER'],
-  'Boeing 787': ['Boeing 787', 'Boeing 787-8', 'Boeing 787-9', 'Boeing 787-10'],
-  'Boeing 747': ['Boeing 747', 'Boeing 747-400', 'Boeing 747-8'],
-  'Boeing 757': ['Boeing 757', 'Boeing 757-200', 'Boeing 757-300'],
-  'Boeing 767': ['Boeing 767', 'Boeing 767-300', 'Boeing 767-400'],
-  'Airbus A320': ['Airbus A319', 'Airbus A320', 'Airbus A321'],
-  'Airbus A330': ['Airbus A330', 'Airbus A330-200', 'Airbus A330-300', 'Airbus A330-900'],
-  'Airbus A350': ['Airbus A350', 'Airbus A350-900', 'Airbus A350-1000'],
-  'Airbus A380': ['Airbus A380', 'Airbus A380-800'],
-  'Embraer E170': ['Embraer E170', 'Embraer E175'],
-  'Embraer E190': ['Embraer E190', 'Embraer E195'],
-  'Embraer E175-E2': ['Embraer E175-E2', 'Embraer E170-E2'],
-  'Embraer E190-E2': ['Embraer E190-E2', 'Embraer E195-E2'],
-  'Bombardier CRJ': ['Bombardier CRJ', 'Bombardier CRJ-200', 'Bombardier CRJ-700', 'Bombardier CRJ-900'],
-  'ATR 42/72': ['ATR 42/72', 'ATR 42', 'ATR 72'],
-  'DHC Dash 8': ['DHC Dash 8', 'DHC Dash 8-400']
+ * Aircraft type registry and family matching utilities for evaluation
+ *
+ * AIRCRAFT_TYPES is the single source of aircraft data: ground truth names,
+ * prompt mapping tables and the structured output enum are all derived from it.
+ * This module has no Node.js imports so the browser evaluators can load it too.
+ */
+
+// Body classes, largest first
+const BODY_CLASSES = ['wide', 'narrow', 'regional', 'light'];
+
+// Name the models use when an aircraft isn't in the registry
+const OTHER_AIRCRAFT = 'Other';
+
+// How closely two aircraft match, most specific first:
+// - variant       Same variant (737-800 vs 737-800)
+// - subfamily     Same canonical name (737-800 vs 737-900, both "Boeing 737NG")
+// - family        Same family (737NG vs 737MAX)
+// - manufacturer  Same manufacturer and body class (737 vs 757)
+// - body          Same body class only (737 vs A320)
+const AIRCRAFT_MATCH_LEVELS = ['variant', 'subfamily', 'family', 'manufacturer', 'body', 'none'];
+
+// Levels that count as the same family
+const FAMILY_LEVELS = ['variant', 'subfamily', 'family'];
+
+// Default score per match level
+const DEFAULT_LEVEL_GRADES = {
+  variant: 1.0,
+  subfamily: 1.0,
+  family: 0.8,
+  manufacturer: 0.3,
+  body: 0.1,
+  none: 0.0
 };
 
 /**
- * Check if two aircraft types belong to the same family
- * @param {string} aircraft1 - First aircraft name
- * @param {string} aircraft2 - Second aircraft name
- * @returns {boolean} True if same family
+ * One entry per ICAO type designator:
+ * - icao          ICAO designator (the dataset's aircraft_icao)
+ * - iata          IATA equipment codes
+ * - manufacturer  Current type certificate holder
+ * - family        Aircraft family (e.g. all 737 generations)
+ * - name          Canonical model name - ground truth, prompt tables and the output enum
+ * - variant       Specific variant
+ * - body          Body class (see BODY_CLASSES)
  */
-function isSameFamily(aircraft1, aircraft2) {
-  if (!aircraft1 || !aircraft2) return false;
+const AIRCRAFT_TYPES = [
+  // Airbus
+  { icao: 'BCS1', iata: ['221'], manufacturer: 'Airbus', family: 'Airbus A220', name: 'Airbus A220', variant: 'Airbus A220-100', body: 'narrow' },
+  { icao: 'BCS3', iata: ['223'], manufacturer: 'Airbus', family: 'Airbus A220', name: 'Airbus A220', variant: 'Airbus A220-300', body: 'narrow' },
+  { icao: 'A319', iata: ['319'], manufacturer: 'Airbus', family: 'Airbus A320', name: 'Airbus A319', variant: 'Airbus A319ceo', body: 'narrow' },
+  { icao: 'A19N', iata: ['31N'], manufacturer: 'Airbus', family: 'Airbus A320', name: 'Airbus A319', variant: 'Airbus A319neo', body: 'narrow' },
+  { icao: 'A320', iata: ['320', '32A'], manufacturer: 'Airbus', family: 'Airbus A320', name: 'Airbus A320', variant: 'Airbus A320ceo', body: 'narrow' },
+  { icao: 'A20N', iata: ['32N'], manufacturer: 'Airbus', family: 'Airbus A320', name: 'Airbus A320', variant: 'Airbus A320neo', body: 'narrow' },
+  { icao: 'A321', iata: ['321', '32B'], manufacturer: 'Airbus', family: 'Airbus A320', name: 'Airbus A321', variant: 'Airbus A321ceo', body: 'narrow' },
+  { icao: 'A21N', iata: ['32Q'], manufacturer: 'Airbus', family: 'Airbus A320', name: 'Airbus A321', variant: 'Airbus A321neo', body: 'narrow' },
+  { icao: 'A332', iata: ['332'], manufacturer: 'Airbus', family: 'Airbus A330', name: 'Airbus A330', variant: 'Airbus A330-200', body: 'wide' },
+  { icao: 'A333', iata: ['333'], manufacturer: 'Airbus', family: 'Airbus A330', name: 'Airbus A330', variant: 'Airbus A330-300', body: 'wide' },
+  { icao: 'A338', iata: ['338'], manufacturer: 'Airbus', family: 'Airbus A330', name: 'Airbus A330', variant: 'Airbus A330-800', body: 'wide' },
+  { icao: 'A339', iata: ['339'], manufacturer: 'Airbus', family: 'Airbus A330', name: 'Airbus A330', variant: 'Airbus A330-900', body: 'wide' },
+  { icao: 'A359', iata: ['359'], manufacturer: 'Airbus', family: 'Airbus A350', name: 'Airbus A350', variant: 'Airbus A350-900', body: 'wide' },
+  { icao: 'A35K', iata: ['351'], manufacturer: 'Airbus', family: 'Airbus A350', name: 'Airbus A350', variant: 'Airbus A350-1000', body: 'wide' },
+  { icao: 'A388', iata: ['388'], manufacturer: 'Airbus', family: 'Airbus A380', name: 'Airbus A380', variant: 'Airbus A380-800', body: 'wide' },
+  // ATR
+  { icao: 'AT43', iata: ['AT4'], manufacturer: 'ATR', family: 'ATR 42/72', name: 'ATR 42/72', variant: 'ATR 42-300', body: 'regional' },
+  { icao: 'AT45', iata: ['AT5'], manufacturer: 'ATR', family: 'ATR 42/72', name: 'ATR 42/72', variant: 'ATR 42-500', body: 'regional' },
+  { icao: 'AT72', iata: ['AT7'], manufacturer: 'ATR', family: 'ATR 42/72', name: 'ATR 42/72', variant: 'ATR 72-200', body: 'regional' },
+  { icao: 'AT75', iata: [], manufacturer: 'ATR', family: 'ATR 42/72', name: 'ATR 42/72', variant: 'ATR 72-500', body: 'regional' },
+  { icao: 'AT76', iata: [], manufacturer: 'ATR', family: 'ATR 42/72', name: 'ATR 42/72', variant: 'ATR 72-600', body: 'regional' },
+  // Boeing
+  { icao: 'B712', iata: ['717'], manufacturer: 'Boeing', family: 'Boeing 717', name: 'Boeing 717', variant: 'Boeing 717-200', body: 'narrow' },
+  { icao: 'B736', iata: ['736'], manufacturer: 'Boeing', family: 'Boeing 737', name: 'Boeing 737NG', variant: 'Boeing 737-600', body: 'narrow' },
+  { icao: 'B737', iata: ['73G', '73W'], manufacturer: 'Boeing', family: 'Boeing 737', name: 'Boeing 737NG', variant: 'Boeing 737-700', body: 'narrow' },
+  { icao: 'B738', iata: ['738', '73H'], manufacturer: 'Boeing', family: 'Boeing 737', name: 'Boeing 737NG', variant: 'Boeing 737-800', body: 'narrow' },
+  { icao: 'B739', iata: ['739', '73J'], manufacturer: 'Boeing', family: 'Boeing 737', name: 'Boeing 737NG', variant: 'Boeing 737-900', body: 'narrow' },
+  { icao: 'B37M', iata: ['7M7'], manufacturer: 'Boeing', family: 'Boeing 737', name: 'Boeing 737MAX', variant: 'Boeing 737 MAX 7', body: 'narrow' },
+  { icao: 'B38M', iata: ['7M8'], manufacturer: 'Boeing', family: 'Boeing 737', name: 'Boeing 737MAX', variant: 'Boeing 737 MAX 8', body: 'narrow' },
+  { icao: 'B39M', iata: ['7M9'], manufacturer: 'Boeing', family: 'Boeing 737', name: 'Boeing 737MAX', variant: 'Boeing 737 MAX 9', body: 'narrow' },
+  { icao: 'B3XM', iata: ['7MJ'], manufacturer: 'Boeing', family: 'Boeing 737', name: 'Boeing 737MAX', variant: 'Boeing 737 MAX 10', body: 'narrow' },
+  { icao: 'B744', iata: ['744'], manufacturer: 'Boeing', family: 'Boeing 747', name: 'Boeing 747', variant: 'Boeing 747-400', body: 'wide' },
+  { icao: 'B748', iata: ['74H'], manufacturer: 'Boeing', family: 'Boeing 747', name: 'Boeing 747', variant: 'Boeing 747-8', body: 'wide' },
+  { icao: 'B752', iata: ['752', '75W'], manufacturer: 'Boeing', family: 'Boeing 757', name: 'Boeing 757', variant: 'Boeing 757-200', body: 'narrow' },
+  { icao: 'B753', iata: ['753'], manufacturer: 'Boeing', family: 'Boeing 757', name: 'Boeing 757', variant: 'Boeing 757-300', body: 'narrow' },
+  { icao: 'B762', iata: ['762'], manufacturer: 'Boeing', family: 'Boeing 767', name: 'Boeing 767', variant: 'Boeing 767-200', body: 'wide' },
+  { icao: 'B763', iata: ['763', '76W'], manufacturer: 'Boeing', family: 'Boeing 767', name: 'Boeing 767', variant: 'Boeing 767-300', body: 'wide' },
+  { icao: 'B764', iata: ['764'], manufacturer: 'Boeing', family: 'Boeing 767', name: 'Boeing 767', variant: 'Boeing 767-400', body: 'wide' },
+  { icao: 'B772', iata: ['772'], manufacturer: 'Boeing', family: 'Boeing 777', name: 'Boeing 777', variant: 'Boeing 777-200', body: 'wide' },
+  { icao: 'B77L', iata: ['77L'], manufacturer: 'Boeing', family: 'Boeing 777', name: 'Boeing 777', variant: 'Boeing 777-200LR', body: 'wide' },
+  { icao: 'B773', iata: ['773'], manufacturer: 'Boeing', family: 'Boeing 777', name: 'Boeing 777', variant: 'Boeing 777-300', body: 'wide' },
+  { icao: 'B77W', iata: ['77W'], manufacturer: 'Boeing', family: 'Boeing 777', name: 'Boeing 777', variant: 'Boeing 777-300ER', body: 'wide' },
+  { icao: 'B788', iata: ['788'], manufacturer: 'Boeing', family: 'Boeing 787', name: 'Boeing 787', variant: 'Boeing 787-8', body: 'wide' },
+  { icao: 'B789', iata: ['789'], manufacturer: 'Boeing', family: 'Boeing 787', name: 'Boeing 787', variant: 'Boeing 787-9', body: 'wide' },
+  { icao: 'B78X', iata: ['781'], manufacturer: 'Boeing', family: 'Boeing 787', name: 'Boeing 787', variant: 'Boeing 787-10', body: 'wide' },
+  // Bombardier / De Havilland Canada
+  { icao: 'CRJ2', iata: ['CR2'], manufacturer: 'Bombardier', family: 'Bombardier CRJ', name: 'Bombardier CRJ', variant: 'Bombardier CRJ-200', body: 'regional' },
+  { icao: 'CRJ7', iata: ['CR7'], manufacturer: 'Bombardier', family: 'Bombardier CRJ', name: 'Bombardier CRJ', variant: 'Bombardier CRJ-700', body: 'regional' },
+  { icao: 'CRJ9', iata: ['CR9'], manufacturer: 'Bombardier', family: 'Bombardier CRJ', name: 'Bombardier CRJ', variant: 'Bombardier CRJ-900', body: 'regional' },
+  { icao: 'CRJX', iata: ['CRK'], manufacturer: 'Bombardier', family: 'Bombardier CRJ', name: 'Bombardier CRJ', variant: 'Bombardier CRJ-1000', body: 'regional' },
+  { icao: 'DH8A', iata: ['DH1'], manufacturer: 'De Havilland Canada', family: 'DHC Dash 8', name: 'DHC Dash 8', variant: 'DHC Dash 8-100', body: 'regional' },
+  { icao: 'DH8C', iata: ['DH3'], manufacturer: 'De Havilland Canada', family: 'DHC Dash 8', name: 'DHC Dash 8', variant: 'DHC Dash 8-300', body: 'regional' },
+  { icao: 'DH8D', iata: ['DH4'], manufacturer: 'De Havilland Canada', family: 'DHC Dash 8', name: 'DHC Dash 8', variant: 'DHC Dash 8-400', body: 'regional' },
+  // Embraer
+  { icao: 'E135', iata: ['ER3'], manufacturer: 'Embraer', family: 'Embraer ERJ', name: 'Embraer ERJ 135', variant: 'Embraer ERJ 135', body: 'regional' },
+  { icao: 'E145', iata: ['ER4'], manufacturer: 'Embraer', family: 'Embraer ERJ', name: 'Embraer ERJ 145', variant: 'Embraer ERJ 145', body: 'regional' },
+  { icao: 'E170', iata: ['E70'], manufacturer: 'Embraer', family: 'Embraer E-Jet', name: 'Embraer E170', variant: 'Embraer E170', body: 'regional' },
+  { icao: 'E75L', iata: ['E75'], manufacturer: 'Embraer', family: 'Embraer E-Jet', name: 'Embraer E175', variant: 'Embraer E175', body: 'regional' },
+  { icao: 'E75S', iata: [], manufacturer: 'Embraer', family: 'Embraer E-Jet', name: 'Embraer E175', variant: 'Embraer E175 (short wing)', body: 'regional' },
+  { icao: 'E190', iata: ['E90'], manufacturer: 'Embraer', family: 'Embraer E-Jet', name: 'Embraer E190', variant: 'Embraer E190', body: 'regional' },
+  { icao: 'E195', iata: ['E95'], manufacturer: 'Embraer', family: 'Embraer E-Jet', name: 'Embraer E195', variant: 'Embraer E195', body: 'regional' },
+  { icao: 'E275', iata: [], manufacturer: 'Embraer', family: 'Embraer E-Jet E2', name: 'Embraer E175-E2', variant: 'Embraer E175-E2', body: 'regional' },
+  { icao: 'E290', iata: ['290'], manufacturer: 'Embraer', family: 'Embraer E-Jet E2', name: 'Embraer E190-E2', variant: 'Embraer E190-E2', body: 'regional' },
+  { icao: 'E295', iata: ['295'], manufacturer: 'Embraer', family: 'Embraer E-Jet E2', name: 'Embraer E195-E2', variant: 'Embraer E195-E2', body: 'regional' },
+  // Others
+  { icao: 'AJ27', iata: [], manufacturer: 'Comac', family: 'Comac C909', name: 'Comac C909', variant: 'Comac C909', body: 'regional' },
+  { icao: 'C919', iata: ['919'], manufacturer: 'Comac', family: 'Comac C919', name: 'Comac C919', variant: 'Comac C919', body: 'narrow' },
+  { icao: 'SU95', iata: ['SU9'], manufacturer: 'Sukhoi', family: 'Superjet 100', name: 'Superjet 100', variant: 'Superjet 100-95', body: 'regional' },
+  { icao: 'T204', iata: ['T20'], manufacturer: 'Tupolev', family: 'Tu-204/214', name: 'Tu-204/214', variant: 'Tu-204', body: 'narrow' },
+  { icao: 'T214', iata: [], manufacturer: 'Tupolev', family: 'Tu-204/214', name: 'Tu-204/214', variant: 'Tu-214', body: 'narrow' },
+  { icao: 'C402', iata: [], manufacturer: 'Cessna', family: 'Cessna 402', name: 'Cessna 402', variant: 'Cessna 402', body: 'light' },
+  { icao: 'IL96', iata: ['IL9'], manufacturer: 'Ilyushin', family: 'Il-96', name: 'Il-96', variant: 'Il-96-300', body: 'wide' }
+];
+
+// Codes that stand for a canonical name rather than one variant (kept from the original mapping tables)
+const AIRCRAFT_ALIASES = {
+  B73J: 'Boeing 737NG'
+};
 
-  // Exact match
-  if (aircraft1 === aircraft2) return true;
+// Canonical names in registry order, then the catch-all (the structured output enum)
+const AIRCRAFT_NAMES = [...new Set(AIRCRAFT_TYPES.map(t => t.name)), OTHER_AIRCRAFT];
 
-  // Check if both belong to the same family
-  for (const [family, members] of Object.entries(AIRCRAFT_FAMILIES)) {
-    const has1 = members.includes(aircraft1);
-    const has2 = members.includes(aircraft2);
+// ICAO code or alias → canonical name
+const AIRCRAFT_MAPPING = {
+  ...Object.fromEntries(AIRCRAFT_TYPES.map(t => [t.icao, t.name])),
+  ...AIRCRAFT_ALIASES
+};
 
-    if (has1 && has2) return true;
+// Family → canonical names and variants in it
+const AIRCRAFT_FAMILIES = {};
+for (const type of AIRCRAFT_TYPES) {
+  const members = AIRCRAFT_FAMILIES[type.family] ||= [];
+  for (const name of [type.name, type.variant]) {
+    if (!members.includes(name)) members.push(name);
   }
+}
 
-  return false;
+// Upper-cased ICAO/IATA code, canonical name or variant → registry entries
+const TYPE_INDEX = new Map();
+for (const type of AIRCRAFT_TYPES) {
+  for (const key of [type.icao, ...type.iata, type.name, type.variant]) {
+    const k = key.toUpperCase();
+    if (!TYPE_INDEX.has(k)) TYPE_INDEX.set(k, []);
+    if (!TYPE_INDEX.get(k).includes(type)) TYPE_INDEX.get(k).push(type);
+  }
+}
+// An alias resolves like its canonical name, to every variant of it
+for (const [alias, name] of Object.entries(AIRCRAFT_ALIASES)) {
+  TYPE_INDEX.set(alias, TYPE_INDEX.get(name.toUpperCase()));
+}
+
+/**
+ * Find the registry entries for a code or name (exact, case-insensitive)
+ * @param {string} value - ICAO/IATA code, canonical name or variant
+ * @returns {Array} Matching entries (a canonical name matches every variant of it)
+ */
+function findAircraftTypes(value) {
+  if (!value || typeof value !== 'string') return [];
+  return TYPE_INDEX.get(value.trim().toUpperCase()) || [];
+}
+
+// Confidence per normalization method, most certain first
+const NORMALIZATION_CONFIDENCE = {
+  exact: 1.0,     // Registry code, name or variant, ignoring case
+  compact: 0.95,  // Same without manufacturer, spaces and punctuation ("B737-800", "A320 NEO")
+  alias: 0.9,     // Common shorthand ("Embraer 175", "737-8 MAX", "Q400")
+  series: 0.8,    // Only a family or series ("Boeing 737", "ATR 72")
+  partial: 0.7,   // Registry name followed by other text ("787-9 with new cabin")
+  fuzzy: 0.6      // A typo ("A32O", "Boieng 787-9"); 0.1 less for a second typo in a long type
+};
+
+// Manufacturer names and words that carry no type information, dropped before matching
+const MANUFACTURER_WORDS = ['BOEING', 'AIRBUS', 'EMBRAER', 'BOMBARDIER', 'DE HAVILLAND CANADA', 'DE HAVILLAND',
+  'DHC', 'COMAC', 'SUKHOI', 'TUPOLEV', 'ILYUSHIN', 'CESSNA'];
+const FILLER_WORDS = ['DREAMLINER', 'JUMBO', 'JET', 'AIRCRAFT', 'AIRLINER', 'SERIES', 'FAMILY', 'TYPE'];
+const DROPPED_WORDS = new RegExp(`(?<![A-Z])(${[...MANUFACTURER_WORDS, ...FILLER_WORDS].join('|')})(?![A-Z])`, 'g');
+
+/**
+ * Reduce an aircraft name to its type-bearing characters
+ * @param {string} text - Code or name
+ * @returns {string} e.g. "Boeing 737-800 (winglets)" → "737800"
+ */
+function compactAircraftKey(text) {
+  return String(text)
+    .toUpperCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/NEXT[\s-]*GEN(ERATION)?/g, 'NG')
+    .replace(DROPPED_WORDS, ' ')
+    .replace(/(?<![A-Z])B[\s-]?(?=7\d7)/g, '')  // "B737-800" → "737-800"
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Shorthand keys for a registry entry
+ * @param {Object} type - Registry entry
+ * @returns {Array<string>} Compact keys
+ */
+function aliasKeys(type) {
+  const name = compactAircraftKey(type.name);
+  const variant = compactAircraftKey(type.variant);
+  const keys = [];
+  let m;
+  // Boeing 737 MAX 8 → 737-8, 737-8 MAX
+  if ((m = variant.match(/^(\d{3})MAX(\d+)$/))) keys.push(`${m[1]}${m[2]}`, `${m[1]}${m[2]}MAX`);
+  // Airbus A320ceo → A320-200
+  if ((m = variant.match(/^(A3\d\d)CEO$/))) keys.push(`${m[1]}100`, `${m[1]}200`);
+  // Airbus A320neo → A320N; A330-800/900 → A330neo
+  if ((m = variant.match(/^(A3\d\d)NEO$/))) keys.push(`${m[1]}N`);
+  if (/^A330[89]00$/.test(variant)) keys.push('A330NEO');
+  // Embraer E175 → 175, ERJ 175, EMB 175
+  if ((m = name.match(/^(?:E|ERJ)(\d{3}(?:E2)?)$/))) keys.push(m[1], `E${m[1]}`, `ERJ${m[1]}`, `EMB${m[1]}`);
+  // DHC Dash 8-400 → Q400, Dash 8 Q400, DHC-8-400
+  if ((m = variant.match(/^DASH8(\d00)$/))) keys.push(`Q${m[1]}`, `DASH8Q${m[1]}`, `8${m[1]}`);
+  // Sukhoi Superjet 100 → SSJ100
+  if (name === 'SUPERJET100') keys.push('SSJ100', 'SSJ');
+  return keys;
+}
+
+// Compact key → registry entries and how the key was derived. A key belongs to the
+// first tier that produces it, so a canonical name is never shadowed by a series alias
+const COMPACT_INDEX = new Map();
+const COMPACT_TIERS = [
+  ['compact', type => [type.icao, ...type.iata, ...[type.name, type.variant].map(compactAircraftKey)]],
+  ['alias', aliasKeys],
+  // Family and series without the variant suffix ("ATR 72-600" → "ATR 72")
+  ['series', type => [type.family, type.variant.replace(/[- ]\d+[A-Z]*$/i, '')].map(compactAircraftKey)]
+];
+for (const [method, keysOf] of COMPACT_TIERS) {
+  const tier = new Map();
+  for (const type of AIRCRAFT_TYPES) {
+    for (const key of keysOf(type)) {
+      if (!key || (COMPACT_INDEX.has(key) && !tier.has(key))) continue;
+      if (!tier.has(key)) tier.set(key, { method, types: [] });
+      if (!tier.get(key).types.includes(type)) tier.get(key).types.push(type);
+    }
+  }
+  for (const [key, entry] of tier) COMPACT_INDEX.set(key, entry);
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Fix misspelled manufacturer names ("Boieng", "Airbuss")
+ * @param {string} text - Upper-cased text
+ * @returns {Object} { text, edits }
+ */
+function fixManufacturerTypos(text) {
+  let edits = 0;
+  const fixed = text.replace(/[A-Z]{5,}/g, word => {
+    for (const name of MANUFACTURER_WORDS) {
+      const distance = editDistance(word, name);
+      if (distance > 0 && distance <= 2) {
+        edits += distance;
+        return name;
+      }
+    }
+    return word;
+  });
+  return { text: fixed, edits };
+}
+
+/**
+ * Most specific registry name that covers every matched entry
+ * @param {Array} types - Registry entries
+ * @returns {string|null} Variant, canonical name or family; null if they span families
+ */
+function describeTypes(types) {
+  if (types.length === 1) return types[0].variant;
+  for (const key of ['name', 'family']) {
+    if (types.every(t => t[key] === types[0][key])) return types[0][key];
+  }
+  return null;
+}
+
+/**
+ * Parse a free-text aircraft name into registry entries
+ *
+ * Accepts ICAO and IATA designators, canonical names, variants and marketing names
+ * ("B737-800", "Boeing 737-8 MAX", "A320neo", "73H", "Embraer 175"), tolerating
+ * one typo in the type and two in the manufacturer.
+ * @param {string} raw - Aircraft as written by the model
+ * @returns {Object} { raw, normalized, confidence, method, types } - normalized is the most
+ *   specific registry name for the matched entries (null if unresolved, with confidence 0)
+ */
+function normalizeAircraft(raw) {
+  const resolved = (types, method, penalty = 0) => {
+    const normalized = describeTypes(types);
+    if (!normalized) return unresolved;
+    return { raw, normalized, confidence: +(NORMALIZATION_CONFIDENCE[method] - penalty).toFixed(2), method, types };
+  };
+  const unresolved = { raw, normalized: null, confidence: 0, method: null, types: [] };
+  if (!raw || typeof raw !== 'string' || raw.trim() === OTHER_AIRCRAFT) return unresolved;
+
+  // Registry strings keep their spelling; codes resolve to the entries they stand for
+  const exact = findAircraftTypes(raw);
+  if (exact.length > 0) {
+    const upper = raw.trim().toUpperCase();
+    const spelled = [exact[0].name, exact[0].variant].find(name => name.toUpperCase() === upper);
+    return spelled
+      ? { raw, normalized: spelled, confidence: NORMALIZATION_CONFIDENCE.exact, method: 'exact', types: exact }
+      : resolved(exact, 'exact');
+  }
+
+  const { text, edits: typos } = fixManufacturerTypos(raw.toUpperCase());
+  const key = compactAircraftKey(text);
+  if (!key) return unresolved;
+  // A misspelled manufacturer makes any match a fuzzy one
+  const method = (m) => (typos ? 'fuzzy' : m);
+
+  const entry = COMPACT_INDEX.get(key);
+  if (entry) return resolved(entry.types, method(entry.method));
+
+  // Longest registry key followed by other text, not splitting a number ("737-800 winglets", not "737-8" in "737-80")
+  let prefix = null;
+  for (const [candidate, e] of COMPACT_INDEX) {
+    if (candidate.length < 3 || !key.startsWith(candidate) || candidate.length <= (prefix?.key.length ?? 0)) continue;
+    if (/\d$/.test(candidate) && /^\d/.test(key.slice(candidate.length))) continue;
+    prefix = { key: candidate, types: e.types };
+  }
+  if (prefix) return resolved(prefix.types, method('partial'));
+
+  // One typo in the type (two for long keys); ties between different aircraft resolve to what they share
+  if (key.length >= 4) {
+    const maxDistance = key.length >= 8 ? 2 : 1;
+    let best = { distance: Infinity, types: [] };
+    for (const [candidate, e] of COMPACT_INDEX) {
+      if (candidate.length < 4 || Math.abs(candidate.length - key.length) > maxDistance) continue;
+      const distance = editDistance(key, candidate);
+      if (distance > maxDistance || distance > best.distance) continue;
+      if (distance < best.distance) best = { distance, types: [] };
+      for (const type of e.types) if (!best.types.includes(type)) best.types.push(type);
+    }
+    if (best.types.length > 0) return resolved(best.types, 'fuzzy', 0.1 * (best.distance - 1));
+  }
+
+  return unresolved;
+}
+
+/**
+ * Resolve a code, name or free-text aircraft to registry entries
+ * @param {string} value - Aircraft
+ * @returns {Array} Registry entries (empty if unresolved)
+ */
+function resolveAircraftTypes(value) {
+  const exact = findAircraftTypes(value);
+  return exact.length > 0 ? exact : normalizeAircraft(value).types;
+}
+
+/**
+ * Body class of an aircraft
+ * @param {string} value - Code, name or free-text aircraft
+ * @returns {string|null} One of BODY_CLASSES, or null if unresolved or ambiguous
+ */
+function getAircraftBody(value) {
+  const bodies = new Set(resolveAircraftTypes(value).map(t => t.body));
+  return bodies.size === 1 ? [...bodies][0] : null;
+}
+
+/**
+ * Map an ICAO (or IATA) aircraft code to its canonical name
+ * @param {string} code - Aircraft type code
+ * @returns {string} Canonical name, or the code itself if it isn't in the registry
+ */
+function mapAircraftCode(code) {
+  return findAircraftTypes(code)[0]?.name || code;
+}
+
+/**
+ * Map an ICAO (or IATA) aircraft code to its variant name
+ * @param {string} code - Aircraft type code
+ * @returns {string} Variant (e.g. "Boeing 737-800"), the canonical name for an alias ("B73J"),
+ *   or the code itself if it isn't in the registry
+ */
+function getAircraftVariant(code) {
+  const types = findAircraftTypes(code);
+  return (types.length > 0 && describeTypes(types)) || code;
 }
 
 /**
@@ -54,38 +407,100 @@ function isSameFamily(aircraft1, aircraft2) {
 function getAircraftFamily(aircraft) {
   if (!aircraft) return null;
 
-  for (const [family, members] of Object.entries(AIRCRAFT_FAMILIES)) {
-    if (members.includes(aircraft)) return family;
+  const [type] = findAircraftTypes(aircraft);
+  return type ? type.family : aircraft; // No family found, return original
+}
+
+/**
+ * Find the most specific registry level two aircraft share
+ *
+ * A canonical name stands for all of its variants, so "Boeing 787" vs "Boeing 787-9"
+ * matches at the subfamily level, not the variant level. "Other" is the right answer
+ * for an aircraft outside the registry (variant level) and wrong for any other (none).
+ * @param {string} aircraft1 - Code, canonical name or variant
+ * @param {string} aircraft2 - Code, canonical name or variant
+ * @returns {string} One of AIRCRAFT_MATCH_LEVELS
+ */
+function getAircraftMatchLevel(aircraft1, aircraft2) {
+  if (!aircraft1 || !aircraft2) return 'none';
+
+  // Identical strings match even when they aren't in the registry
+  if (aircraft1 === aircraft2) return 'variant';
+
+  if (aircraft1 === OTHER_AIRCRAFT || aircraft2 === OTHER_AIRCRAFT) {
+    const other = aircraft1 === OTHER_AIRCRAFT ? aircraft2 : aircraft1;
+    return resolveAircraftTypes(other).length === 0 ? 'variant' : 'none';
   }
 
-  return aircraft; // No family found, return original
+  const types1 = resolveAircraftTypes(aircraft1);
+  const types2 = resolveAircraftTypes(aircraft2);
+  if (types1.length === 0 || types2.length === 0) return 'none';
+
+  const types = [...types1, ...types2];
+  const shared = (...keys) => types.every(t => keys.every(k => t[k] === types[0][k]));
+
+  if (types1.length === 1 && types2.length === 1 && types1[0] === types2[0]) return 'variant';
+  if (shared('name')) return 'subfamily';
+  if (shared('family')) return 'family';
+  if (shared('manufacturer', 'body')) return 'manufacturer';
+  if (shared('body')) return 'body';
+  return 'none';
+}
+
+/**
+ * Check if two aircraft types belong to the same family
+ * @param {string} aircraft1 - First aircraft name
+ * @param {string} aircraft2 - Second aircraft name
+ * @returns {boolean} True if same family
+ */
+function isSameFamily(aircraft1, aircraft2) {
+  return FAMILY_LEVELS.includes(getAircraftMatchLevel(aircraft1, aircraft2));
 }
 
 /**
  * Get similarity score between two aircraft types
  * @param {string} aircraft1 - First aircraft name
  * @param {string} aircraft2 - Second aircraft name
+ * @param {Object} [grades] - Score per match level (see DEFAULT_LEVEL_GRADES)
  * @returns {number} Similarity score (0.0 to 1.0)
  */
-function getAircraftSimilarity(aircraft1, aircraft2) {
-  if (!aircraft1 || !aircraft2) return 0.0;
-
-  // Exact match
-  if (aircraft1 === aircraft2) return 1.0;
-
-  // Same family
-  if (isSameFamily(aircraft1, aircraft2)) return 0.8;
-
-  // Same manufacturer (Boeing vs Boeing, Airbus vs Airbus)
-  const getManufacturer = (ac) => ac.split(' ')[0];
-  if (getManufacturer(aircraft1) === getManufacturer(aircraft2)) return 0.3;
+function getAircraftSimilarity(aircraft1, aircraft2, grades = DEFAULT_LEVEL_GRADES) {
+  return grades[getAircraftMatchLevel(aircraft1, aircraft2)] ?? 0.0;
+}
 
-  return 0.0;
+/**
+ * Code → name table for prompts, one line per canonical name
+ * @returns {string} e.g. "- Boeing 737NG: B736, B737, B738, B739, B73J (IATA 736, 73G, 73W, 738, 73H, 739, 73J)"
+ */
+function formatAircraftTable() {
+  return AIRCRAFT_NAMES.filter(name => name !== OTHER_AIRCRAFT).map(name => {
+    const types = AIRCRAFT_TYPES.filter(t => t.name === name);
+    const codes = [...types.map(t => t.icao), ...Object.keys(AIRCRAFT_ALIASES).filter(a => AIRCRAFT_ALIASES[a] === name)];
+    const iata = types.flatMap(t => t.iata);
+    return `- ${name}: ${codes.join(', ')}${iata.length ? ` (IATA ${iata.join(', ')})` : ''}`;
+  }).join('\n');
 }
 
 export {
+  BODY_CLASSES,
+  OTHER_AIRCRAFT,
+  AIRCRAFT_MATCH_LEVELS,
+  FAMILY_LEVELS,
+  DEFAULT_LEVEL_GRADES,
+  AIRCRAFT_TYPES,
+  AIRCRAFT_ALIASES,
+  AIRCRAFT_NAMES,
+  AIRCRAFT_MAPPING,
   AIRCRAFT_FAMILIES,
+  NORMALIZATION_CONFIDENCE,
+  findAircraftTypes,
+  normalizeAircraft,
+  mapAircraftCode,
+  getAircraftVariant,
+  getAircraftBody,
+  getAircraftMatchLevel,
   isSameFamily,
   getAircraftFamily,
-  getAircraftSimilarity
+  getAircraftSimilarity,
+  formatAircraftTable
 };
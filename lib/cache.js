@@ -0,0 +1,282 @@
+/**
+ * Record/replay cache for model requests and MCP tool calls
+ *
+ * Entries are content-addressed: the key is a SHA-256 of the canonical request
+ * (URL + JSON body for model calls, server + tool + args for MCP calls), stored as
+ * <dir>/<key[0..2]>/<key>.json with the request next to the response for inspection.
+ *
+ * Modes (config.cache.mode):
+ * - off            Always call live
+ * - record         Always call live and (over)write the cache
+ * - replay         Serve hits from the cache; misses call live and are recorded
+ * - replay-strict  Serve hits from the cache; misses throw CacheMissError (fully offline)
+ *
+ * Only successful (2xx) model responses are recorded. API keys are never part of a key
+ * or an entry.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import { limitedFetch } from './rate-limit.js';
+import { isRecording, recordModelCall } from './timeline.js';
+
+const CACHE_MODES = ['off', 'record', 'replay', 'replay-strict'];
+
+let settings = { mode: 'off', dir: './cache' };
+let stats = { hits: 0, misses: 0, recorded: 0 };
+
+/**
+ * Error thrown on a cache miss in replay-strict mode
+ */
+class CacheMissError extends Error {
+  constructor(kind, description) {
+    super(`No cached ${kind} response for ${description} (replay-strict)`);
+    this.name = 'CacheMissError';
+  }
+}
+
+/**
+ * Set the cache mode and directory (call once per run)
+ * @param {Object} [options] - config.cache ({ mode, dir })
+ */
+function configureCache(options = {}) {
+  settings = { mode: options.mode || 'off', dir: options.dir || './cache' };
+  stats = { hits: 0, misses: 0, recorded: 0 };
+}
+
+/**
+ * Cache counters for the current run
+ * @returns {Object} { mode, hits, misses, recorded }
+ */
+function getCacheStats() {
+  return { mode: settings.mode, ...stats };
+}
+
+/**
+ * Whether the run is a fully offline replay (no live calls possible)
+ * @returns {boolean} True in replay-strict mode
+ */
+function isOfflineReplay() {
+  return settings.mode === 'replay-strict';
+}
+
+/**
+ * JSON.stringify with sorted object keys, so equal requests hash equally
+ * @param {any} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content address of a request
+ * @param {Object} request - Canonical request
+ * @returns {string} Hex SHA-256
+ */
+function getCacheKey(request) {
+  return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+}
+
+/**
+ * Entry file path for a key
+ * @param {string} key - Cache key
+ * @returns {string} Path
+ */
+function getEntryPath(key) {
+  return path.join(settings.dir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Read a cache entry
+ * @param {string} key - Cache key
+ * @returns {Object|null} Entry or null on a miss
+ */
+function readEntry(key) {
+  const file = getEntryPath(key);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Write a cache entry
+ * @param {string} key - Cache key
+ * @param {Object} entry - { kind, request, response }
+ */
+function writeEntry(key, entry) {
+  const file = getEntryPath(key);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+  stats.recorded++;
+}
+
+/**
+ * Look up or produce a cached value according to the cache mode
+ * @param {string} kind - Entry kind ('llm', 'mcp', 'mcp-tools')
+ * @param {Object} request - Canonical request (hashed for the key)
+ * @param {string} description - Human-readable request (for miss errors)
+ * @param {Function} produce - async () → { response, cacheable } (not called in replay-strict)
+ * @returns {Promise<any>} Response
+ */
+async function withCache(kind, request, description, produce) {
+  if (settings.mode === 'off') {
+    return (await produce()).response;
+  }
+
+  const key = getCacheKey({ kind, ...request });
+  if (settings.mode !== 'record') {
+    const entry = readEntry(key);
+    if (entry) {
+      stats.hits++;
+      return entry.response;
+    }
+    stats.misses++;
+    if (settings.mode === 'replay-strict') {
+      throw new CacheMissError(kind, description);
+    }
+  }
+
+  const { response, cacheable } = await produce();
+  if (cacheable) {
+    writeEntry(key, { kind, request, response });
+  }
+  return response;
+}
+
+/**
+ * Build the canonical request for a model call
+ * @param {string} url - Request URL
+ * @param {Object} [init] - fetch options
+ * @returns {Object|null} { method, url, body } or null when the body can't be keyed
+ */
+function toModelRequest(url, init = {}) {
+  if (init.body !== undefined && typeof init.body !== 'string') return null;
+  let body = init.body ?? null;
+  try {
+    body = body ? JSON.parse(body) : null;
+  } catch {
+    // Non-JSON bodies are keyed as text
+  }
+  return { method: init.method || 'GET', url, body };
+}
+
+/**
+ * fetch() for model endpoints: cache according to the mode, otherwise limitedFetch()
+ * (each request is recorded in the case timeline, see lib/timeline.js)
+ * @param {string|URL|Request} input - Request URL
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<Response>} Live or replayed response
+ */
+async function cachedFetch(input, init) {
+  const url = typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+  const request = toModelRequest(url, init);
+  const startedAt = Date.now();
+  if (settings.mode === 'off' || !request) {
+    const live = await limitedFetch(input, init);
+    if (isRecording()) {
+      recordModelCall({ request, startedAt, status: live.status, body: await live.clone().text(), cached: false });
+    }
+    return live;
+  }
+
+  let cached = true;
+  const response = await withCache('llm', request, `${request.method} ${url}`, async () => {
+    cached = false;
+    const live = await limitedFetch(input, init);
+    const response = {
+      status: live.status,
+      contentType: live.headers.get('content-type'),
+      body: await live.text()
+    };
+    return { response, cacheable: live.ok };
+  });
+  recordModelCall({ request, startedAt, status: response.status, body: response.body, cached });
+
+  return new Response(response.body, {
+    status: response.status,
+    headers: response.contentType ? { 'content-type': response.contentType } : {}
+  });
+}
+
+/**
+ * Wrap MCP tools so each call goes through the cache
+ * @param {string} server - Server identity (e.g. its URL)
+ * @param {Array} tools - LangChain tools from MultiServerMCPClient
+ * @returns {Array} The same tools, with cached func
+ */
+function cacheMcpTools(server, tools) {
+  for (const tool of tools) {
+    const call = tool.func;
+    tool.func = (args, runManager, config) => withCache(
+      'mcp',
+      { server, tool: tool.name, args },
+      `${tool.name}(${JSON.stringify(args)})`,
+      async () => ({ response: await call(args, runManager, config), cacheable: true })
+    );
+  }
+  return tools;
+}
+
+/**
+ * Describe tools for the cache (enough to rebuild them offline)
+ * @param {Array} tools - LangChain tools
+ * @returns {Array} [{ name, description, schema, responseFormat }]
+ */
+function describeTools(tools) {
+  return tools.map(t => ({
+    name: t.name,
+    description: t.description,
+    schema: t.schema,
+    responseFormat: t.responseFormat
+  }));
+}
+
+/**
+ * Load MCP tools through the cache. In replay-strict mode the recorded tool list is
+ * used without connecting to the server, so replays run fully offline.
+ * @param {string} server - Server identity (e.g. its URL)
+ * @param {Function} loadTools - async () → LangChain tools (connects to the server)
+ * @returns {Promise<Array>} Tools whose calls are cached
+ */
+async function loadCachedMcpTools(server, loadTools) {
+  if (settings.mode === 'off') {
+    return loadTools();
+  }
+
+  if (settings.mode === 'replay-strict') {
+    const definitions = await withCache('mcp-tools', { server }, `tool list of ${server}`, null);
+    return cacheMcpTools(server, definitions.map(d => new DynamicStructuredTool({
+      ...d,
+      func: async () => {
+        throw new CacheMissError('mcp', `${d.name} (server not connected)`);
+      }
+    })));
+  }
+
+  const tools = await loadTools();
+  writeEntry(getCacheKey({ kind: 'mcp-tools', server }), {
+    kind: 'mcp-tools',
+    request: { server },
+    response: describeTools(tools)
+  });
+  return cacheMcpTools(server, tools);
+}
+
+export {
+  CACHE_MODES,
+  CacheMissError,
+  configureCache,
+  getCacheStats,
+  isOfflineReplay,
+  getCacheKey,
+  cachedFetch,
+  loadCachedMcpTools
+};
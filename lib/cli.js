@@ -0,0 +1,153 @@
+/**
+ * flight-eval command line interface
+ *
+ * Usage:
+ *   flight-eval run [--config file] [--pipeline name] [--dataset path] [--count N] [--sample first|random] [--seed N] [--prompt variant]
+ *                  [--judge rules|llm|both] [--concurrency N] [--max-in-flight N] [--rpm N] [--retries N] [--errors exclude|count]
+ *                  [--record|--replay|--replay-strict] [--cache-dir dir] [--budget usd] [--output dir]
+ *   flight-eval run --resume <run-id|run-dir> [--budget usd] [--output dir]
+ *   flight-eval report <run-dir|results.json|run-<id>.jsonl> [--out dir]
+ *   flight-eval compare <runA> <runB> [--max-drop pp] [--max-regressions N] [--json] [--out dir]
+ *   flight-eval trace view <run-dir> <case> [--json]
+ *   flight-eval history [--output dir] [--pipeline name] [--count N] [--flight key] [--rebuild] [--json]
+ *   flight-eval judge-eval <run> [--labels export.json|csv] [--judge llm|rules] [--json]
+ *   flight-eval pipelines [--pipeline-config file]
+ *   flight-eval dataset [--config file] [--pipeline name] [--dataset path] [--count N] [--sample first|random] [--seed N] [--json]
+ *
+ * Run options default to the --config file, then the pipeline's defaults (see lib/config.js).
+ */
+
+import { parseArgs } from 'util';
+import { listPipelines } from './pipelines.js';
+import { runCommand } from './commands/run.js';
+import { reportCommand } from './commands/report.js';
+import { compareCommand } from './commands/compare.js';
+import { datasetCommand } from './commands/dataset.js';
+import { judgeEvalCommand } from './commands/judge-eval.js';
+import { traceCommand } from './commands/trace.js';
+import { historyCommand } from './commands/history.js';
+
+// No defaults for run options here - unset flags must not override the --config file
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  pipeline: { type: 'string', short: 'p' },
+  'pipeline-config': { type: 'string' },
+  dataset: { type: 'string', short: 'd' },
+  count: { type: 'string', short: 'n' },
+  sample: { type: 'string' },
+  seed: { type: 'string' },
+  prompt: { type: 'string' },
+  judge: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  concurrency: { type: 'string', short: 'j' },
+  'max-in-flight': { type: 'string' },
+  rpm: { type: 'string' },
+  retries: { type: 'string' },
+  errors: { type: 'string' },
+  resume: { type: 'string' },
+  record: { type: 'boolean' },
+  replay: { type: 'boolean' },
+  'replay-strict': { type: 'boolean' },
+  'cache-dir': { type: 'string' },
+  budget: { type: 'string' },
+  out: { type: 'string' },
+  labels: { type: 'string' },
+  'max-drop': { type: 'string' },
+  'max-regressions': { type: 'string' },
+  flight: { type: 'string' },
+  rebuild: { type: 'boolean' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+function usage() {
+  return `Usage: flight-eval <command> [options]
+
+Commands:
+  run                     Evaluate a pipeline and save results + reports
+  report <run>            Regenerate reports from a saved run (or its journal)
+  compare <runA> <runB>   Compare two saved runs flight by flight (regressions, fixes, significance)
+  trace view <run> <case> Full trace of one case (messages, tool calls, timings, tokens)
+  history                 Weighted F1 and per-field F1 across the runs in the results store
+  judge-eval <run>        Judge precision, recall and kappa vs ground truth and human labels
+  dataset                 List the test cases a run would use
+  pipelines               List available pipelines
+
+Options:
+  -c, --config <file>     YAML/JSON experiment config (flags below override it)
+  -p, --pipeline <name>   Pipeline to run (default: chain; see \`pipelines\`)
+      --pipeline-config <file>  JSON file registering extra pipelines
+  -d, --dataset <path>    Dataset JSON (default: pipeline's dataset or $DATASET_PATH)
+  -n, --count <N>         Number of flights (default: all)
+      --sample <mode>     first | random (default: first)
+      --seed <N>          Seed for random sampling (default: generated and saved)
+      --prompt <variant>  Prompt variant (default: default)
+      --judge <mode>      rules | llm | both - rule-based judge, the pipeline's LLM judge, or both
+                          with their agreement rate (default: llm for judge pipelines);
+                          for \`judge-eval\`, llm | rules picks one judge of a \`both\` run
+  -j, --concurrency <N>   Test cases run in parallel (default: 1)
+      --max-in-flight <N> Max concurrent model requests (default: unlimited)
+      --rpm <N>           Requests per minute per endpoint (default: unlimited)
+      --retries <N>       Retries for 429/5xx/timeout errors per step (default: 2)
+      --errors <policy>   exclude | count errored cases in metrics (default: exclude)
+      --record            Call models/MCP live and record responses to the cache
+      --replay            Serve cached responses, calling live (and recording) on a miss
+      --replay-strict     Serve cached responses only - fail on a miss (offline)
+      --cache-dir <dir>   Record/replay cache directory (default: ./cache)
+      --budget <usd>      Stop starting new cases once the run has cost this much (prices: cost.prices)
+      --resume <run-id>   Continue an interrupted run from its journal (run id under --output, or run dir)
+  -o, --output <dir>      Parent directory for run folders and the results store (default: ./results)
+      --out <dir>         Output directory for \`report\` (default: the run folder) and \`compare\`
+                          (writes comparison.md and comparison.json)
+      --labels <file>     Label Studio export with human annotations (\`judge-eval\`)
+      --max-drop <pp>     \`compare\` exits 1 when the weighted F1 or a field's F1 drops more points
+      --max-regressions <N>  \`compare\` exits 1 when more flights have a field gone correct → wrong
+      --flight <key>      \`history\` of one flight, e.g. "WN548 LAS-ABQ 11-01-2026"
+      --rebuild           \`history\` re-indexes every run folder under --output first
+      --json              Print JSON (\`dataset\`, \`judge-eval\`, \`trace view\`, \`compare\`, \`history\`)
+  -h, --help              Show this help
+`;
+}
+
+/**
+ * Parse arguments and dispatch to a command
+ * @param {Array<string>} argv - Arguments after the executable
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true
+  });
+  const [command, ...targets] = positionals;
+
+  if (options.help || !command) {
+    console.log(usage());
+    return;
+  }
+
+  switch (command) {
+    case 'run':
+      return runCommand(options);
+    case 'report':
+      return reportCommand(targets, options);
+    case 'compare':
+      return compareCommand(targets, options);
+    case 'trace':
+      return traceCommand(targets, options);
+    case 'history':
+      return historyCommand(targets, options);
+    case 'judge-eval':
+      return judgeEvalCommand(targets, options);
+    case 'dataset':
+      return datasetCommand(options);
+    case 'pipelines':
+      console.log(listPipelines({ configFile: options['pipeline-config'] }).join('\n'));
+      return;
+    default:
+      throw new Error(`Unknown command "${command}"\n\n${usage()}`);
+  }
+}
+
+export { main };
@@ -0,0 +1,65 @@
+/**
+ * `flight-eval compare` - compare two saved runs flight by flight
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadRun } from '../results.js';
+import { checkRegressions, compareRuns, generateComparisonReport } from '../comparison.js';
+
+/**
+ * Parse a non-negative threshold flag
+ * @param {string} [value] - Flag value
+ * @param {string} flag - Flag name, for the error
+ * @returns {number|undefined} Threshold (undefined when not given)
+ */
+function parseThreshold(value, flag) {
+  if (value === undefined) return undefined;
+  const threshold = parseFloat(value);
+  if (!(threshold >= 0)) {
+    throw new Error(`--${flag} must be a non-negative number, got "${value}"`);
+  }
+  return threshold;
+}
+
+/**
+ * @param {Array<string>} targets - Exactly two run directories or results.json paths (baseline first)
+ * @param {Object} options - Parsed CLI options
+ * @param {string} [options.max-drop] - Fail when the weighted F1 or a field's F1 drops by more
+ *   percentage points
+ * @param {string} [options.max-regressions] - Fail when more flights have a field that went from
+ *   correct to wrong
+ * @param {string} [options.out] - Directory to write comparison.md and comparison.json into
+ * @param {boolean} [options.json] - Print JSON instead of markdown
+ */
+async function compareCommand(targets, options = {}) {
+  if (targets.length !== 2) {
+    throw new Error('Usage: flight-eval compare <runA> <runB> [--max-drop pp] [--max-regressions N] [--json] [--out dir]');
+  }
+  const thresholds = {
+    maxDrop: parseThreshold(options['max-drop'], 'max-drop'),
+    maxRegressions: parseThreshold(options['max-regressions'], 'max-regressions')
+  };
+  const gated = thresholds.maxDrop !== undefined || thresholds.maxRegressions !== undefined;
+
+  const [runA, runB] = targets.map(loadRun);
+  const comparison = compareRuns(runA, runB);
+  const failures = gated ? checkRegressions(comparison, thresholds) : undefined;
+  const json = JSON.stringify(gated ? { ...comparison, gate: { ...thresholds, failures } } : comparison, null, 2);
+  const markdown = generateComparisonReport(comparison, failures);
+
+  if (options.out) {
+    fs.mkdirSync(options.out, { recursive: true });
+    fs.writeFileSync(path.join(options.out, 'comparison.md'), markdown);
+    fs.writeFileSync(path.join(options.out, 'comparison.json'), json);
+  }
+  console.log(options.json ? json : markdown);
+
+  if (failures?.length > 0) {
+    console.error(`❌ Regression over the threshold: ${failures.join('; ')}`);
+    // Non-zero exit so the comparison can gate prompt changes in CI
+    process.exitCode = 1;
+  }
+}
+
+export { compareCommand };
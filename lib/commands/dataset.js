@@ -0,0 +1,37 @@
+/**
+ * `flight-eval dataset` - inspect the test cases a run would use
+ */
+
+import { mapAircraftCode } from '../aircraft-utils.js';
+import { formatDurationToTime, loadConfiguredTestCases, generateQuery, warnDurationMismatches } from '../dataset.js';
+import { loadExperiment } from '../config.js';
+
+/**
+ * @param {Object} options - Parsed CLI options (flags override the --config file)
+ * @param {string} [options.config] - YAML/JSON experiment config
+ * @param {string} [options.pipeline] - Pipeline name (selects its default dataset)
+ * @param {string} [options.dataset] - Dataset path
+ * @param {string} [options.count] - Number of flights (default: all)
+ * @param {string} [options.sample] - 'first' or 'random'
+ * @param {string} [options.seed] - Random sampling seed
+ * @param {boolean} [options.json] - Print JSON instead of a table
+ */
+async function datasetCommand(options) {
+  const { config } = await loadExperiment(options);
+  const testCases = loadConfiguredTestCases(config.dataset);
+
+  if (options.json) {
+    console.log(JSON.stringify(testCases, null, 2));
+    return;
+  }
+
+  console.log(`📊 ${config.dataset.path}: ${testCases.length} test cases${config.dataset.seed !== null ? ` (seed ${config.dataset.seed})` : ''}\n`);
+  warnDurationMismatches(testCases);
+  testCases.forEach((testCase, idx) => {
+    const mismatch = testCase.blockTime?.mismatch ? ` ⚠️ stored ${formatDurationToTime(testCase.blockTime.stored)}` : '';
+    console.log(`[${idx + 1}] ${generateQuery(testCase)}`);
+    console.log(`    Expected: ${testCase.airlineCode}${testCase.flightNumber}, ${mapAircraftCode(testCase.aircraft)}, ${testCase.duration}${mismatch}`);
+  });
+}
+
+export { datasetCommand };
@@ -0,0 +1,49 @@
+/**
+ * `flight-eval history` - metric trends across the runs in the results store
+ */
+
+import path from 'path';
+import { DEFAULT_CONFIG } from '../config.js';
+import {
+  STORE_FILES, generateFlightHistory, generateHistoryReport, loadCaseHistory, loadRunHistory, rebuildStore
+} from '../store.js';
+
+/**
+ * @param {Array<string>} targets - Unused
+ * @param {Object} options - Parsed CLI options
+ * @param {string} [options.output] - Output directory holding the runs and the store (default: ./results)
+ * @param {string} [options.pipeline] - Only runs of this pipeline
+ * @param {string} [options.count] - Only the latest N runs
+ * @param {string} [options.flight] - History of one flight (e.g. "WN548 LAS-ABQ 11-01-2026") instead
+ * @param {boolean} [options.rebuild] - Re-index every run folder first
+ * @param {boolean} [options.json] - Print the store records as JSON
+ */
+async function historyCommand(targets, options) {
+  const storeDir = options.output || DEFAULT_CONFIG.output.dir;
+  if (options.rebuild) {
+    const indexed = rebuildStore(storeDir);
+    // Kept off stdout when it carries JSON
+    (options.json ? console.error : console.log)(`🗂️  Indexed ${indexed} runs in ${path.join(storeDir, STORE_FILES.runs)}\n`);
+  }
+
+  const count = options.count !== undefined ? parseInt(options.count) : undefined;
+  if (count !== undefined && !(count > 0)) {
+    throw new Error(`--count must be a positive number, got "${options.count}"`);
+  }
+  const runs = loadRunHistory(storeDir, { pipeline: options.pipeline, count });
+  if (runs.length === 0) {
+    throw new Error(`No runs in the store at ${storeDir}${options.pipeline ? ` for pipeline "${options.pipeline}"` : ''} - run \`flight-eval history --rebuild\` to index saved runs`);
+  }
+
+  if (options.flight) {
+    const cases = loadCaseHistory(storeDir, { flight: options.flight });
+    if (cases.length === 0) {
+      throw new Error(`No case of flight "${options.flight}" in the store at ${storeDir}`);
+    }
+    console.log(options.json ? JSON.stringify(cases, null, 2) : generateFlightHistory(options.flight, cases, runs));
+    return;
+  }
+  console.log(options.json ? JSON.stringify(runs, null, 2) : generateHistoryReport(runs));
+}
+
+export { historyCommand };
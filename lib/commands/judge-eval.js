@@ -0,0 +1,42 @@
+/**
+ * `flight-eval judge-eval` - measure a judge against the ground truth and human labels
+ */
+
+import { loadRun } from '../results.js';
+import { evaluateJudge, generateJudgeEvalReport, loadLabelStudioAnnotations } from '../judge-eval.js';
+
+const JUDGES = ['llm', 'rules'];
+
+/**
+ * @param {Array<string>} targets - One run directory or results.json path
+ * @param {Object} options - Parsed CLI options
+ * @param {string} [options.labels] - Label Studio export (.json or .csv) with human annotations
+ * @param {string} [options.judge] - 'llm' or 'rules' to pick one judge of a `--judge both` run
+ * @param {boolean} [options.json] - Print JSON instead of markdown
+ */
+async function judgeEvalCommand(targets, options) {
+  if (targets.length !== 1) {
+    throw new Error('Usage: flight-eval judge-eval <run> [--labels export.json|csv] [--judge llm|rules]');
+  }
+  if (options.judge !== undefined && !JUDGES.includes(options.judge)) {
+    throw new Error(`Unknown judge "${options.judge}". Available: ${JUDGES.join(', ')}`);
+  }
+
+  const run = loadRun(targets[0]);
+  const labels = options.labels ? loadLabelStudioAnnotations(options.labels) : new Map();
+  const evaluation = evaluateJudge(run.results, { labels, judge: options.judge });
+  if (evaluation.judged === 0) {
+    throw new Error(`${run.runId} has no ${options.judge ? `"${options.judge}" ` : ''}judge verdicts to evaluate`);
+  }
+  if (options.labels && evaluation.labeled === 0) {
+    console.warn(`⚠️  No annotation in ${options.labels} matches a case of ${run.runId} - human metrics skipped\n`);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(evaluation, null, 2));
+    return;
+  }
+  console.log(generateJudgeEvalReport(evaluation, run, options.judge));
+}
+
+export { judgeEvalCommand };
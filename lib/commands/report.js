@@ -0,0 +1,30 @@
+/**
+ * `flight-eval report` - regenerate reports from a saved run
+ */
+
+import path from 'path';
+import { loadRun, writeReports } from '../results.js';
+
+/**
+ * @param {Array<string>} targets - Run directories or results.json paths
+ * @param {Object} options - Parsed CLI options
+ * @param {string} [options.out] - Directory to write into (default: next to the results)
+ */
+async function reportCommand(targets, options) {
+  if (targets.length === 0) {
+    throw new Error('Usage: flight-eval report <run-dir|results.json>');
+  }
+
+  for (const target of targets) {
+    const run = loadRun(target);
+    const runDir = options.out || (target.endsWith('.json') ? path.dirname(target) : target);
+    const files = writeReports(run, runDir);
+
+    console.log(`📄 ${run.runId} (${run.results.length} flights)`);
+    for (const file of Object.values(files)) {
+      console.log(`   ${file}`);
+    }
+  }
+}
+
+export { reportCommand };
@@ -0,0 +1,234 @@
+/**
+ * `flight-eval run` - evaluate a pipeline over a dataset
+ */
+
+import path from 'path';
+import { DEFAULT_CONFIG, loadExperiment } from '../config.js';
+import { loadConfiguredTestCases, generateQuery, warnDurationMismatches } from '../dataset.js';
+import { describeModels } from '../models.js';
+import { loadPipeline } from '../pipelines.js';
+import { runEvaluation } from '../runner.js';
+import { createRunId, saveRun } from '../results.js';
+import { getJournalPath, findJournal, openJournal, readJournal } from '../journal.js';
+import { TRACES_DIR, writeCaseTrace } from '../traces.js';
+import { getCacheStats } from '../cache.js';
+import { SCORED_FIELDS } from '../scoring.js';
+import { calculateAllMetrics, getSummaryStats, selectScoredResults } from '../metrics.js';
+import { calculateJudgeAgreement } from '../judge.js';
+import { calculateSourceAccuracy } from '../sources.js';
+import { calculateRunUsage, formatCost } from '../cost.js';
+import { calculateLatency, formatSeconds } from '../latency.js';
+import { bootstrapMetrics, formatInterval } from '../statistics.js';
+import { STORE_FILES, getGitRevision, indexRun } from '../store.js';
+
+/**
+ * Set up a new run
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} { pipeline, config, header, testCases, completed }
+ */
+async function startRun(options) {
+  const { pipeline, config } = await loadExperiment(options);
+  const testCases = loadConfiguredTestCases(config.dataset);
+  warnDurationMismatches(testCases);
+  const timestamp = Date.now();
+
+  const header = {
+    runId: createRunId(pipeline.name, timestamp),
+    pipeline: pipeline.name,
+    model: Object.keys(config.steps).length > 0 ? describeModels(config.steps) : pipeline.model,
+    architecture: pipeline.architecture,
+    dataset: config.dataset.path,
+    timestamp,
+    git: getGitRevision(),
+    config,
+    total: testCases.length
+  };
+  return { pipeline, config, header, testCases, completed: new Map() };
+}
+
+/**
+ * Reopen an interrupted run from its journal (its saved config is reused as-is)
+ * @param {Object} options - Parsed CLI options
+ * @param {string} options.resume - Run id (under --output) or run directory
+ * @param {string} [options.budget] - New cost budget (USD) replacing the saved one
+ * @returns {Promise<Object>} { pipeline, config, header, testCases, completed }
+ */
+async function resumeRun(options) {
+  const runDir = findJournal(options.resume)
+    ? options.resume
+    : path.join(options.output || DEFAULT_CONFIG.output.dir, options.resume);
+  const journalFile = findJournal(runDir);
+  if (!journalFile) {
+    throw new Error(`No run journal found for "${options.resume}" (looked in ${runDir})`);
+  }
+
+  const { header, cases } = readJournal(journalFile);
+  const { type, ...runHeader } = header;
+  const config = { ...header.config, output: { ...header.config.output, dir: path.dirname(path.resolve(runDir)) } };
+  // A run stopped by its budget can be resumed with a higher one
+  if (options.budget !== undefined) {
+    const budget = parseFloat(options.budget);
+    if (!(budget > 0)) {
+      throw new Error(`--budget must be a positive number of USD, got "${options.budget}"`);
+    }
+    config.cost = { ...config.cost, budget };
+  }
+  const pipeline = await loadPipeline(config.pipeline, { configFile: options['pipeline-config'] });
+  const testCases = loadConfiguredTestCases(config.dataset);
+
+  // Errored cases are re-run; finished ones must still match the dataset
+  const completed = new Map();
+  for (const [index, result] of cases) {
+    if (result.error) continue;
+    if (!testCases[index] || generateQuery(testCases[index]) !== result.query) {
+      throw new Error(`Journal case ${index + 1} ("${result.query}") no longer matches the dataset - cannot resume`);
+    }
+    // Journals written before results carried their case number
+    completed.set(index, { case: index + 1, ...result });
+  }
+
+  console.log(`⏯️  Resuming ${header.runId}: ${completed.size}/${testCases.length} cases already done`);
+  return { pipeline, config, header: { ...runHeader, config }, testCases, completed };
+}
+
+/**
+ * @param {Object} options - Parsed CLI options (flags override the --config file)
+ * @param {string} [options.config] - YAML/JSON experiment config
+ * @param {string} [options.pipeline] - Pipeline name
+ * @param {string} [options.pipeline-config] - JSON file registering extra pipelines
+ * @param {string} [options.dataset] - Dataset path (default: pipeline's default)
+ * @param {string} [options.count] - Number of flights (default: all)
+ * @param {string} [options.sample] - 'first' or 'random'
+ * @param {string} [options.seed] - Random sampling seed
+ * @param {string} [options.prompt] - Prompt variant
+ * @param {string} [options.output] - Parent directory for run folders
+ * @param {string} [options.resume] - Run id or directory of an interrupted run to continue
+ * @param {string} [options.budget] - Stop starting new cases once the run has cost this much (USD)
+ */
+async function runCommand(options) {
+  const { pipeline, config, header, testCases, completed } = options.resume
+    ? await resumeRun(options)
+    : await startRun(options);
+
+  console.log(`🚀 Flight Search Agent Evaluation - ${pipeline.name}`);
+  console.log(`🔧 ${pipeline.architecture}`);
+  console.log(`🤖 ${header.model}`);
+  console.log(`📊 Testing ${testCases.length} flights from ${config.dataset.path}${config.dataset.seed !== null ? ` (seed ${config.dataset.seed})` : ''}\n`);
+
+  // Every finished case is journaled immediately so a crash can be resumed,
+  // and its full trace saved next to the journal
+  const runDir = path.join(config.output.dir, header.runId);
+  const journal = openJournal(getJournalPath(runDir, header.runId), header);
+  console.log(`📝 Journal: ${journal.file}\n`);
+
+  const results = await runEvaluation(pipeline, testCases, config, {
+    completed,
+    onResult: (index, result) => {
+      journal.append(index, result);
+      writeCaseTrace(runDir, header.runId, index, result);
+    }
+  });
+
+  const { total, ...runMeta } = header;
+  const run = { ...runMeta, results };
+  // Only the budget leaves cases unrun
+  if (results.length < testCases.length) {
+    run.stopped = { reason: 'budget', budget: config.cost.budget, completed: results.length, total: testCases.length };
+  }
+  const { files } = saveRun(run, config.output.dir);
+  files.journal = journal.file;
+  files.traces = path.join(runDir, TRACES_DIR);
+  indexRun(run, config.output.dir);
+  files.store = path.join(config.output.dir, STORE_FILES.runs);
+
+  // Calculate and display summary metrics
+  const scored = selectScoredResults(results, config.scoring.errors);
+  const metrics = calculateAllMetrics(scored, SCORED_FIELDS, config.scoring.weights);
+  const intervals = bootstrapMetrics(scored, SCORED_FIELDS, config.scoring.weights);
+  // " [low–high]" after a point estimate
+  const ci = interval => intervals ? ` [${formatInterval(interval(intervals))}]` : '';
+  const summary = getSummaryStats(results, config.scoring.errors);
+  const totalDuration = results.reduce((s, r) => s + parseFloat(r.duration || 0), 0);
+
+  console.log(`\n✅ Completed ${results.length} tests in ${totalDuration.toFixed(1)}s (avg ${(results.length > 0 ? totalDuration / results.length : 0).toFixed(1)}s/test)`);
+  if (run.stopped) {
+    console.log(`💸 Stopped by the ${formatCost(run.stopped.budget)} budget: ${run.stopped.completed}/${run.stopped.total} cases run (--resume ${header.runId} --budget <usd> to continue)`);
+  }
+  console.log(`\n📊 Summary Metrics:`);
+  console.log(`   Overall Weighted F1: ${metrics.overall.weightedF1}${ci(i => i.weightedF1)}`);
+  console.log(`   Perfect Matches: ${summary.perfectMatches}/${summary.totalFlights}`);
+  console.log(`   Flagged for Review: ${summary.flaggedCount}/${summary.totalFlights}`);
+  if (summary.erroredCount > 0) {
+    const byType = Object.entries(summary.errorsByType).map(([type, n]) => `${type}: ${n}`).join(', ');
+    console.log(`   Errored: ${summary.erroredCount}/${summary.totalFlights} (${byType})${config.scoring.errors === 'exclude' ? ' - excluded from metrics' : ''}`);
+  }
+  console.log(`   Average Grade: ${summary.avgGrade}`);
+
+  const judged = scored.filter(r => r.validation);
+  if (judged.length > 0) {
+    const passed = judged.filter(r => r.validation.validationStatus === 'PASS').length;
+    console.log(`   Validation Pass Rate: ${passed}/${judged.length} (${(passed / judged.length * 100).toFixed(1)}%)`);
+  }
+  const grounded = scored.filter(r => r.grounding);
+  if (grounded.length > 0) {
+    const ungrounded = grounded.filter(r => r.grounding.unsupported.length > 0).length;
+    console.log(`   Grounded in Tool Results: ${grounded.length - ungrounded}/${grounded.length} cases`);
+  }
+  const agreement = calculateJudgeAgreement(scored);
+  if (agreement.total > 0) {
+    console.log(`   Judge Agreement (LLM vs rules): ${agreement.agreed}/${agreement.total} (${(agreement.rate * 100).toFixed(1)}%)`);
+  }
+
+  const fieldF1 = field => `${metrics[field].f1}${ci(i => i.fields[field].f1)}`;
+  console.log(`\n📈 Per-Field F1 Scores${intervals ? ` (${Math.round(intervals.confidence * 100)}% bootstrap CI)` : ''}:`);
+  console.log(`   Airline: ${fieldF1('airlineCode')}`);
+  console.log(`   Departure: ${fieldF1('departureAirportCode')}`);
+  console.log(`   Arrival: ${fieldF1('arrivalAirportCode')}`);
+  console.log(`   Date: ${fieldF1('flightDate')}`);
+  console.log(`   Aircraft: ${fieldF1('aircraftName')} (${metrics.aircraftName.correct}/${metrics.aircraftName.total} correct)`);
+  console.log(`   Duration: ${fieldF1('flightTime')} (${metrics.flightTime.correct}/${metrics.flightTime.total} correct)`);
+
+  const sources = calculateSourceAccuracy(scored);
+  if (sources.length > 0) {
+    console.log(`\n🔗 Accuracy by Source:`);
+    for (const { source, cited, correct, accuracy } of sources) {
+      console.log(`   ${source}: ${(accuracy * 100).toFixed(1)}% (${correct}/${cited} fields)`);
+    }
+  }
+
+  const usage = calculateRunUsage(results);
+  if (usage) {
+    console.log(`\n💰 Token Usage: ${usage.totalTokens} tokens (${usage.inputTokens} in / ${usage.outputTokens} out, ${usage.requests} requests)`);
+    const unpriced = usage.unpriced.length > 0 ? ` - no price for ${usage.unpriced.join(', ')}` : '';
+    console.log(`   Cost: ${formatCost(usage.cost)} (${formatCost(usage.costPerCase)}/case)${unpriced}`);
+    for (const [step, stepUsage] of Object.entries(usage.steps)) {
+      console.log(`   ${step}: ${stepUsage.totalTokens} tokens, ${formatCost(stepUsage.cost)}`);
+    }
+  }
+
+  const latency = calculateLatency(results);
+  if (latency) {
+    const times = t => `p50 ${formatSeconds(t.p50)}, p90 ${formatSeconds(t.p90)}, p99 ${formatSeconds(t.p99)}, max ${formatSeconds(t.max)}`;
+    console.log(`\n⏱️  Latency:`);
+    for (const [step, t] of Object.entries(latency.steps)) {
+      console.log(`   ${step}: ${times(t)}`);
+    }
+    for (const [tool, t] of Object.entries(latency.tools)) {
+      console.log(`   tool ${tool} (${t.count} calls): ${times(t)}`);
+    }
+    console.log(`   whole flight: ${times(latency.cases)}`);
+  }
+
+  const cache = getCacheStats();
+  if (cache.mode !== 'off') {
+    console.log(`\n💾 Cache (${cache.mode}): ${cache.hits} hits, ${cache.misses} misses, ${cache.recorded} recorded in ${config.cache.dir}`);
+  }
+
+  console.log(`\n📄 Reports generated:`);
+  for (const file of Object.values(files)) {
+    console.log(`   ${file}`);
+  }
+  console.log();
+}
+
+export { runCommand };
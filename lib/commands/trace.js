@@ -0,0 +1,27 @@
+/**
+ * `flight-eval trace view` - render the full trace of one case of a saved run
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { formatCaseTrace, loadCaseTrace } from '../traces.js';
+
+const USAGE = 'Usage: flight-eval trace view <run-dir> <case>';
+
+/**
+ * @param {Array<string>} targets - ['view', run directory (or a file in it), 1-based case number]
+ * @param {Object} options - Parsed CLI options
+ * @param {boolean} [options.json] - Print the saved JSON instead of markdown
+ */
+async function traceCommand(targets, options) {
+  const [action, target, caseNumber] = targets;
+  if (action !== 'view' || !target || caseNumber === undefined || targets.length > 3) {
+    throw new Error(USAGE);
+  }
+
+  const runDir = fs.existsSync(target) && fs.statSync(target).isFile() ? path.dirname(target) : target;
+  const saved = loadCaseTrace(runDir, caseNumber);
+  console.log(options.json ? JSON.stringify(saved, null, 2) : formatCaseTrace(saved));
+}
+
+export { traceCommand };
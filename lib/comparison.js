@@ -0,0 +1,265 @@
+/**
+ * Run-to-run comparison - metric deltas and per-flight regressions between two runs
+ *
+ * Cases are lined up by flight (see getFlightKey in lib/dataset.js), so runs over
+ * differently ordered or sampled datasets compare the flights they share. For each
+ * shared flight the comparison lists the scored fields that went from correct to wrong
+ * (regressed) or from wrong to correct (fixed), and changes of validation status, flags
+ * and pipeline errors. Fields are only diffed for flights without errors in both runs;
+ * flights that errored in either run are counted on their own, so a transient error is
+ * neither a regression nor a fix. Metrics and their significance come from each run's scored results
+ * (see lib/statistics.js).
+ *
+ * checkRegressions() turns a comparison into gate failures, so `compare` can fail a
+ * prompt change that costs more than a set number of points or flights.
+ */
+
+import { SCORED_FIELDS } from './scoring.js';
+import { getFlightKey } from './dataset.js';
+import { calculateAllMetrics, selectScoredResults } from './metrics.js';
+import { comparePaired, formatPValue, isCorrect, pairResults } from './statistics.js';
+import { fieldLabel } from './reports.js';
+
+const METRICS = ['precision', 'recall', 'f1'];
+
+/**
+ * Format a raw 0-1 difference in percentage points
+ * @param {number} delta - Difference
+ * @returns {string} e.g. "+12.5pp"
+ */
+function formatPoints(delta) {
+  const points = delta * 100;
+  return `${points >= 0 ? '+' : ''}${points.toFixed(1)}pp`;
+}
+
+/**
+ * Format a p-value, starred when significant
+ * @param {number} pValue - p-value
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @returns {string} e.g. "0.031 *"
+ */
+function formatSignificance(pValue, confidence) {
+  return `${formatPValue(pValue)}${pValue < 1 - confidence ? ' *' : ''}`;
+}
+
+/**
+ * Describe what changed for one flight between two runs
+ * @param {Object} pair - { key, a, b } (see pairResults in lib/statistics.js)
+ * @param {Map} indexA - Result → 1-based case number in run A
+ * @param {Map} indexB - Result → 1-based case number in run B
+ * @param {Set} scored - Results without errors (fields are only diffed when both are in it)
+ * @returns {Object} { key, query, caseA, caseB, regressed, fixed, validation, flags, error, changed }
+ */
+function diffCase({ key, a, b }, indexA, indexB, scored) {
+  const both = scored.has(a) && scored.has(b);
+  const statusA = a.validation?.validationStatus ?? null;
+  const statusB = b.validation?.validationStatus ?? null;
+  const flagsA = a.flags || [];
+  const flagsB = b.flags || [];
+  const errorA = a.error?.type ?? null;
+  const errorB = b.error?.type ?? null;
+
+  const diff = {
+    key,
+    query: b.query,
+    caseA: indexA.get(a),
+    caseB: indexB.get(b),
+    regressed: both ? SCORED_FIELDS.filter(field => isCorrect(a, field) && !isCorrect(b, field)) : [],
+    fixed: both ? SCORED_FIELDS.filter(field => !isCorrect(a, field) && isCorrect(b, field)) : [],
+    validation: statusA !== statusB ? { a: statusA, b: statusB } : null,
+    flags: {
+      added: flagsB.filter(flag => !flagsA.includes(flag)),
+      removed: flagsA.filter(flag => !flagsB.includes(flag))
+    },
+    error: errorA !== errorB ? { a: errorA, b: errorB } : null
+  };
+  diff.changed = diff.regressed.length > 0 || diff.fixed.length > 0 || diff.validation !== null
+    || diff.flags.added.length > 0 || diff.flags.removed.length > 0 || diff.error !== null;
+  return diff;
+}
+
+/**
+ * Metrics of both runs and their differences
+ * @param {Object} metricsA - calculateAllMetrics() of run A
+ * @param {Object} metricsB - calculateAllMetrics() of run B
+ * @returns {Object} { fields: { field: { a, b, delta } }, weightedF1: { a, b, delta } } with
+ *   a/b/delta as { precision, recall, f1 } (raw 0-1) for fields
+ */
+function diffMetrics(metricsA, metricsB) {
+  const fields = {};
+  for (const field of SCORED_FIELDS) {
+    const pick = metrics => Object.fromEntries(METRICS.map(metric => [metric, metrics[field][`${metric}Raw`]]));
+    const a = pick(metricsA);
+    const b = pick(metricsB);
+    fields[field] = { a, b, delta: Object.fromEntries(METRICS.map(metric => [metric, b[metric] - a[metric]])) };
+  }
+  const a = metricsA.overall.weightedF1Raw;
+  const b = metricsB.overall.weightedF1Raw;
+  return { fields, weightedF1: { a, b, delta: b - a } };
+}
+
+/**
+ * Compare two runs
+ * @param {Object} runA - Saved run (baseline)
+ * @param {Object} runB - Saved run (candidate)
+ * @returns {Object} { a, b, metrics, significance, flights, summary, cases } - cases lists the
+ *   flights that changed, most regressed fields first
+ */
+function compareRuns(runA, runB) {
+  const [scoredA, scoredB] = [runA, runB].map(run => selectScoredResults(run.results, run.config?.scoring?.errors));
+  const [weightsA, weightsB] = [runA, runB].map(run => run.config?.scoring?.weights);
+  const metrics = diffMetrics(
+    calculateAllMetrics(scoredA, SCORED_FIELDS, weightsA),
+    calculateAllMetrics(scoredB, SCORED_FIELDS, weightsB)
+  );
+
+  const pairs = pairResults(runA.results, runB.results);
+  const [indexA, indexB] = [runA, runB].map(run => new Map(run.results.map((result, i) => [result, result.case ?? i + 1])));
+  const scored = new Set([...selectScoredResults(runA.results), ...selectScoredResults(runB.results)]);
+  const diffs = pairs.map(pair => diffCase(pair, indexA, indexB, scored));
+  const paired = new Set(pairs.map(p => p.key));
+  const unpaired = run => run.results.map(r => getFlightKey(r.groundTruth)).filter(key => !paired.has(key));
+
+  const count = (list, key) => list.reduce((sum, d) => sum + d[key].length, 0);
+  const regressed = diffs.filter(d => d.regressed.length > 0);
+  const fixed = diffs.filter(d => d.fixed.length > 0);
+  const transitions = (from, to) => diffs.filter(d => d.validation?.a === from && d.validation?.b === to).length;
+
+  return {
+    a: { runId: runA.runId, pipeline: runA.pipeline, model: runA.model, flights: runA.results.length },
+    b: { runId: runB.runId, pipeline: runB.pipeline, model: runB.model, flights: runB.results.length },
+    metrics,
+    significance: comparePaired(pairResults(scoredA, scoredB), SCORED_FIELDS, weightsA, weightsB),
+    flights: { paired: pairs.length, onlyA: unpaired(runA), onlyB: unpaired(runB) },
+    summary: {
+      regressed: { flights: regressed.length, fields: count(regressed, 'regressed') },
+      fixed: { flights: fixed.length, fields: count(fixed, 'fixed') },
+      validation: { passToFail: transitions('PASS', 'FAIL'), failToPass: transitions('FAIL', 'PASS') },
+      errors: {
+        flights: pairs.filter(({ a, b }) => !scored.has(a) || !scored.has(b)).length,
+        added: diffs.filter(d => d.error?.a === null).length,
+        resolved: diffs.filter(d => d.error?.b === null).length
+      }
+    },
+    cases: diffs
+      .filter(d => d.changed)
+      .sort((x, y) => y.regressed.length - x.regressed.length || y.fixed.length - x.fixed.length)
+      .map(({ changed, ...d }) => d)
+  };
+}
+
+/**
+ * Check a comparison against regression thresholds
+ * @param {Object} comparison - compareRuns() output
+ * @param {Object} thresholds
+ * @param {number} [thresholds.maxDrop] - Largest allowed drop of the weighted F1 or any field's F1,
+ *   in percentage points
+ * @param {number} [thresholds.maxRegressions] - Largest allowed number of flights with a
+ *   field that went from correct to wrong
+ * @returns {Array<string>} Failures (empty when within the thresholds)
+ */
+function checkRegressions(comparison, { maxDrop, maxRegressions } = {}) {
+  const failures = [];
+  if (maxDrop !== undefined) {
+    const drops = [
+      ['Weighted F1', comparison.metrics.weightedF1.delta],
+      ...SCORED_FIELDS.map(field => [`${fieldLabel(field)} F1`, comparison.metrics.fields[field].delta.f1])
+    ];
+    for (const [name, delta] of drops) {
+      // Rounded like the report, so a shown "-2.0pp" passes --max-drop 2
+      if (-Math.round(delta * 1000) / 10 > maxDrop) {
+        failures.push(`${name} ${formatPoints(delta)} (max drop ${maxDrop}pp)`);
+      }
+    }
+  }
+  if (maxRegressions !== undefined && comparison.summary.regressed.flights > maxRegressions) {
+    failures.push(`Regressed flights: ${comparison.summary.regressed.flights} (max ${maxRegressions})`);
+  }
+  return failures;
+}
+
+/**
+ * Format the flag changes of a flight
+ * @param {Object} flags - { added, removed }
+ * @returns {string} e.g. "+ungrounded, -aircraft_mismatch"
+ */
+function formatFlagChanges({ added, removed }) {
+  return [...added.map(flag => `+${flag}`), ...removed.map(flag => `-${flag}`)].join(', ') || '-';
+}
+
+/**
+ * Generate the comparison report
+ * @param {Object} comparison - compareRuns() output
+ * @param {Array<string>} [failures] - checkRegressions() output, when thresholds were set
+ * @returns {string} Markdown
+ */
+function generateComparisonReport(comparison, failures) {
+  const { metrics, significance, flights, summary } = comparison;
+  const fieldTest = field => {
+    if (!significance) return '';
+    const test = significance.fields[field];
+    return ` ${test.onlyB} | ${test.onlyA} | ${formatSignificance(test.pValue, significance.confidence)} |`;
+  };
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+
+  let markdown = `# Run Comparison\n\n`;
+  for (const side of ['a', 'b']) {
+    const run = comparison[side];
+    markdown += `- **${side.toUpperCase()}:** ${run.runId} (${run.pipeline}${run.model ? `, ${run.model}` : ''}, ${run.flights} flights)\n`;
+  }
+  markdown += `\n## Metrics\n\n`;
+  markdown += `| Field | F1 (A) | F1 (B) | Delta | Precision Delta | Recall Delta |${significance ? ' Fixed | Regressed | p-value |' : ''}\n`;
+  markdown += `|-------|--------|--------|-------|-----------------|--------------|${significance ? '-------|-----------|---------|' : ''}\n`;
+  for (const field of SCORED_FIELDS) {
+    const { a, b, delta } = metrics.fields[field];
+    markdown += `| ${fieldLabel(field)} | ${percent(a.f1)} | ${percent(b.f1)} | ${formatPoints(delta.f1)} | ${formatPoints(delta.precision)} | ${formatPoints(delta.recall)} |${fieldTest(field)}\n`;
+  }
+  const { weightedF1 } = metrics;
+  const weightedTest = significance ? ` | | ${formatSignificance(significance.weightedF1.pValue, significance.confidence)} |` : '';
+  markdown += `| **Weighted F1** | ${percent(weightedF1.a)} | ${percent(weightedF1.b)} | ${formatPoints(weightedF1.delta)} | | |${weightedTest}\n\n`;
+
+  if (significance) {
+    const paired = significance.weightedF1;
+    markdown += `**Paired Weighted F1 Delta:** ${formatPoints(paired.delta)} (${Math.round(significance.confidence * 100)}% CI ${formatPoints(paired.low)} to ${formatPoints(paired.high)})\n\n`;
+    markdown += `**Significance:** over the ${significance.pairs} flights scored in both runs - exact McNemar test per field, paired bootstrap for the weighted F1; * marks p < ${+(1 - significance.confidence).toFixed(3)}.\n\n`;
+  } else {
+    markdown += `**Note:** No flight is scored in both runs - no significance test.\n\n`;
+  }
+
+  markdown += `## Flights\n\n`;
+  markdown += `- **Compared:** ${flights.paired} flights in both runs`;
+  markdown += flights.onlyA.length + flights.onlyB.length > 0 ? ` (only in A: ${flights.onlyA.length}, only in B: ${flights.onlyB.length})\n` : `\n`;
+  markdown += `- **Regressed:** ${summary.regressed.flights} flights (${summary.regressed.fields} fields correct → wrong)\n`;
+  markdown += `- **Fixed:** ${summary.fixed.flights} flights (${summary.fixed.fields} fields wrong → correct)\n`;
+  markdown += `- **Validation:** PASS → FAIL ${summary.validation.passToFail}, FAIL → PASS ${summary.validation.failToPass}\n`;
+  markdown += `- **Errors:** ${summary.errors.flights} flights errored in a run, not diffed field by field (${summary.errors.added} new, ${summary.errors.resolved} resolved)\n\n`;
+
+  if (comparison.cases.length > 0) {
+    markdown += `### Changed Flights\n\n`;
+    markdown += `| # (A/B) | Flight | Correct → Wrong | Wrong → Correct | Validation | Flags | Error |\n`;
+    markdown += `|---------|--------|-----------------|-----------------|------------|-------|-------|\n`;
+    for (const c of comparison.cases) {
+      const fields = list => list.map(fieldLabel).join(', ') || '-';
+      const validation = c.validation ? `${c.validation.a ?? '-'} → ${c.validation.b ?? '-'}` : '-';
+      const error = c.error ? `${c.error.a ?? 'none'} → ${c.error.b ?? 'none'}` : '-';
+      markdown += `| ${c.caseA}/${c.caseB} | ${c.key} | ${fields(c.regressed)} | ${fields(c.fixed)} | ${validation} | ${formatFlagChanges(c.flags)} | ${error} |\n`;
+    }
+    markdown += `\n`;
+  }
+
+  if (failures) {
+    markdown += `## Regression Gate\n\n`;
+    markdown += failures.length > 0
+      ? failures.map(failure => `- ❌ ${failure}\n`).join('')
+      : `- ✅ Within the thresholds\n`;
+    markdown += `\n`;
+  }
+  return markdown;
+}
+
+export {
+  formatPoints,
+  compareRuns,
+  checkRegressions,
+  generateComparisonReport
+};
@@ -0,0 +1,372 @@
+/**
+ * Experiment configuration
+ *
+ * One config fully describes a run. Values resolve in this order (later wins):
+ *   DEFAULT_CONFIG → pipeline.defaults → --config file (YAML or JSON) → CLI flags
+ *
+ * The resolved config is saved as config.json next to the results and can be
+ * passed back with --config to reproduce the run.
+ *
+ * Example (experiments/judge-small.yaml):
+ *   pipeline: chain-judge
+ *   dataset: { path: ./flight-dataset-landed-simple.json, count: 20, sample: random, seed: 42 }
+ *   steps:
+ *     validate: { model: mistral-small, baseURL: http://localhost:4000/v1, apiKeyEnv: LITELLM_API_KEY }
+ *   prompts: { variant: default }
+ *   judge: { mode: both }
+ *   # or a panel of LLM judges voting on each case:
+ *   # judge: { panel: [{ model: mistral-small }, { model: openai, name: gpt }], ensemble: majority }
+ *   scoring: { durationTolerance: 10, aircraftGrades: { family: 0.5 }, weights: { aircraftName: 2 } }
+ *   retry: { maxRetries: 3, baseDelay: 2000 }
+ *   concurrency: { workers: 4, maxInFlight: 6, rpm: { gen.pollinations.ai: 30, '*': 120 } }
+ *   cache: { mode: replay, dir: ./cache }
+ *   cost: { prices: { mistral-large: { input: 2, output: 6 } }, budget: 0.5 }
+ *   output: { dir: ./results }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { DEFAULT_SCORING } from './scoring.js';
+import { DEFAULT_WEIGHTS } from './metrics.js';
+import { loadPipeline } from './pipelines.js';
+import { DEFAULT_RETRY } from './retry.js';
+import { CACHE_MODES } from './cache.js';
+import { AIRCRAFT_MATCH_LEVELS } from './aircraft-utils.js';
+import { ENSEMBLE_METHODS, JUDGE_MODES } from './judge.js';
+import { DEFAULT_PRICES } from './cost.js';
+
+const SAMPLE_MODES = ['first', 'random'];
+const ERROR_POLICIES = ['exclude', 'count'];
+
+const DEFAULT_CONFIG = {
+  pipeline: 'chain',
+  dataset: {
+    path: null,          // null → $DATASET_PATH or the pipeline's defaultDataset
+    airportsPath: './data/airports.json',
+    airlinesPath: './data/airlines.json',
+    count: null,         // null → all flights
+    sample: 'first',
+    seed: null           // null → generated for random sampling and recorded
+  },
+  steps: {},
+  prompts: {
+    variant: 'default',
+    now: null            // "Current date" given to prompts; null → run start (ISO), recorded for replays
+  },
+  judge: {
+    mode: null,          // rules | llm | both (see lib/judge.js); null → 'llm' for judge pipelines, no judge otherwise
+    panel: [],           // LLM judges voting on each case: step configs over steps.validate, plus an optional name
+    ensemble: 'majority', // majority | mean - how panel verdicts combine (see combineVerdicts)
+    minAgreement: 0.75,  // Flag cases where fewer judges agree with the verdict...
+    maxSpread: 0.5       // ...or their quality scores are this far apart
+  },
+  scoring: {
+    ...DEFAULT_SCORING,
+    aircraftGrades: { ...DEFAULT_SCORING.aircraftGrades },
+    weights: { ...DEFAULT_WEIGHTS },
+    errors: 'exclude'    // Errored cases: 'exclude' from metrics or 'count' as misses
+  },
+  retry: { ...DEFAULT_RETRY },
+  concurrency: {
+    workers: 1,          // Test cases evaluated in parallel
+    maxInFlight: null,   // Max concurrent model requests (null = unlimited)
+    rpm: {}              // Requests per minute by endpoint host, "*" = any other host
+  },
+  cache: {
+    mode: 'off',         // off | record | replay | replay-strict (see lib/cache.js)
+    dir: './cache'
+  },
+  cost: {
+    prices: { ...DEFAULT_PRICES }, // USD per million tokens by model: { input, output } (see lib/cost.js)
+    budget: null         // Stop starting new cases once the run has cost this much (USD); null = no limit
+  },
+  output: {
+    dir: './results'
+  }
+};
+
+/**
+ * Check for a plain object (not array/null)
+ * @param {any} value - Value to test
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Recursively merge config layers (arrays and scalars replace, objects merge)
+ * @param {Object} base - Lower-priority layer
+ * @param {Object} override - Higher-priority layer
+ * @returns {Object} New merged object
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === undefined) continue;
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Read a YAML or JSON config file
+ * @param {string} filePath - Path ending in .yaml, .yml or .json
+ * @returns {Object} Parsed config
+ */
+function loadConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const config = ext === '.json' ? JSON.parse(text) : YAML.parse(text);
+  if (!isPlainObject(config)) {
+    throw new Error(`Config ${filePath} must contain an object`);
+  }
+  return config;
+}
+
+/**
+ * Read the cache mode from --record / --replay / --replay-strict
+ * @param {Object} options - Parsed CLI options
+ * @returns {string|undefined} Cache mode, or undefined if no flag was given
+ */
+function getCacheMode(options) {
+  const modes = ['record', 'replay', 'replay-strict'].filter(mode => options[mode]);
+  if (modes.length > 1) {
+    throw new Error(`Use only one of ${modes.map(m => `--${m}`).join(', ')}`);
+  }
+  return modes[0];
+}
+
+/**
+ * Convert CLI flags to a config layer
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Config layer (only flags that were given)
+ */
+function configFromOptions(options) {
+  return {
+    pipeline: options.pipeline,
+    dataset: {
+      path: options.dataset,
+      count: options.count !== undefined ? parseInt(options.count) : undefined,
+      sample: options.sample,
+      seed: options.seed !== undefined ? parseInt(options.seed) : undefined
+    },
+    prompts: {
+      variant: options.prompt
+    },
+    judge: {
+      mode: options.judge
+    },
+    retry: {
+      maxRetries: options.retries !== undefined ? parseInt(options.retries) : undefined
+    },
+    scoring: {
+      errors: options.errors
+    },
+    concurrency: {
+      workers: options.concurrency !== undefined ? parseInt(options.concurrency) : undefined,
+      maxInFlight: options['max-in-flight'] !== undefined ? parseInt(options['max-in-flight']) : undefined,
+      rpm: options.rpm !== undefined ? { '*': parseInt(options.rpm) } : undefined
+    },
+    cache: {
+      mode: getCacheMode(options),
+      dir: options['cache-dir']
+    },
+    cost: {
+      budget: options.budget !== undefined ? parseFloat(options.budget) : undefined
+    },
+    output: {
+      dir: options.output
+    }
+  };
+}
+
+/**
+ * Validate the price table and budget (a budget needs a price for every model the run uses)
+ * @param {Object} config - Resolved config
+ */
+function validateCost(config) {
+  const { prices, budget } = config.cost;
+  for (const [model, price] of Object.entries(prices)) {
+    if (!isPlainObject(price) || !(price.input >= 0) || !(price.output >= 0)) {
+      throw new Error(`cost.prices["${model}"] must be { input, output } in USD per million tokens, got ${JSON.stringify(price)}`);
+    }
+  }
+  if (budget === null) return;
+  if (!(budget > 0)) {
+    throw new Error(`cost.budget must be a positive number of USD, got "${budget}"`);
+  }
+
+  const models = [
+    ...Object.values(config.steps).map(step => step.model),
+    ...config.judge.panel.map(judge => judge.model ?? config.steps.validate?.model)
+  ];
+  const unpriced = [...new Set(models.filter(model => model && !prices[model]))];
+  if (unpriced.length > 0) {
+    throw new Error(`cost.budget needs a price for ${unpriced.map(m => `"${m}"`).join(', ')} - add it to cost.prices`);
+  }
+}
+
+/**
+ * Validate a resolved config against the chosen pipeline
+ * @param {Object} config - Resolved config
+ * @param {Object} pipeline - Pipeline definition
+ */
+function validateConfig(config, pipeline) {
+  if (!SAMPLE_MODES.includes(config.dataset.sample)) {
+    throw new Error(`Unknown sample mode "${config.dataset.sample}". Available: ${SAMPLE_MODES.join(', ')}`);
+  }
+  if (config.dataset.count !== null && !(config.dataset.count > 0)) {
+    throw new Error(`dataset.count must be a positive number, got "${config.dataset.count}"`);
+  }
+
+  if (config.dataset.seed !== null && !Number.isInteger(config.dataset.seed)) {
+    throw new Error(`dataset.seed must be an integer, got "${config.dataset.seed}"`);
+  }
+
+  if (!ERROR_POLICIES.includes(config.scoring.errors)) {
+    throw new Error(`Unknown error policy "${config.scoring.errors}". Available: ${ERROR_POLICIES.join(', ')}`);
+  }
+  for (const [level, grade] of Object.entries(config.scoring.aircraftGrades)) {
+    if (!AIRCRAFT_MATCH_LEVELS.includes(level)) {
+      throw new Error(`Unknown aircraft match level "${level}" in scoring.aircraftGrades. Available: ${AIRCRAFT_MATCH_LEVELS.join(', ')}`);
+    }
+    if (!(grade >= 0 && grade <= 1)) {
+      throw new Error(`scoring.aircraftGrades.${level} must be between 0 and 1, got "${grade}"`);
+    }
+  }
+  if (!(Number.isInteger(config.retry.maxRetries) && config.retry.maxRetries >= 0)) {
+    throw new Error(`retry.maxRetries must be a non-negative integer, got "${config.retry.maxRetries}"`);
+  }
+
+  if (!CACHE_MODES.includes(config.cache.mode)) {
+    throw new Error(`Unknown cache mode "${config.cache.mode}". Available: ${CACHE_MODES.join(', ')}`);
+  }
+
+  const { workers, maxInFlight, rpm } = config.concurrency;
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new Error(`concurrency.workers must be a positive integer, got "${workers}"`);
+  }
+  if (maxInFlight !== null && !(Number.isInteger(maxInFlight) && maxInFlight > 0)) {
+    throw new Error(`concurrency.maxInFlight must be a positive integer, got "${maxInFlight}"`);
+  }
+  for (const [host, limit] of Object.entries(rpm)) {
+    if (!(limit > 0)) {
+      throw new Error(`concurrency.rpm["${host}"] must be a positive number, got "${limit}"`);
+    }
+  }
+
+  const { mode } = config.judge;
+  if (mode !== null && !JUDGE_MODES.includes(mode)) {
+    throw new Error(`Unknown judge mode "${mode}". Available: ${JUDGE_MODES.join(', ')}`);
+  }
+  if ((mode === 'llm' || mode === 'both') && !pipeline.judge) {
+    throw new Error(`Pipeline "${pipeline.name}" has no LLM judge - use --judge rules or a judge pipeline (e.g. chain-judge)`);
+  }
+  const { panel, ensemble, minAgreement, maxSpread } = config.judge;
+  if (!ENSEMBLE_METHODS.includes(ensemble)) {
+    throw new Error(`Unknown judge ensemble "${ensemble}". Available: ${ENSEMBLE_METHODS.join(', ')}`);
+  }
+  if (!Array.isArray(panel)) {
+    throw new Error('judge.panel must be a list of judge model configs');
+  }
+  if (panel.length > 0 && !pipeline.judge) {
+    throw new Error(`Pipeline "${pipeline.name}" has no LLM judge - judge.panel needs a judge pipeline (e.g. chain-judge)`);
+  }
+  const judgeNames = panel.map((judge, i) => {
+    if (!isPlainObject(judge) || !(judge.name || judge.model)) {
+      throw new Error(`judge.panel[${i}] must be an object with a model (and optionally a name)`);
+    }
+    return judge.name || judge.model;
+  });
+  const duplicate = judgeNames.find((name, i) => judgeNames.indexOf(name) !== i);
+  if (duplicate) {
+    throw new Error(`judge.panel has two judges named "${duplicate}" - give them distinct names`);
+  }
+  if (!(minAgreement >= 0 && minAgreement <= 1)) {
+    throw new Error(`judge.minAgreement must be between 0 and 1, got "${minAgreement}"`);
+  }
+  if (!(maxSpread > 0 && maxSpread <= 1)) {
+    throw new Error(`judge.maxSpread must be between 0 (exclusive) and 1, got "${maxSpread}"`);
+  }
+
+  validateCost(config);
+
+  const variants = pipeline.promptVariants || ['default'];
+  if (!variants.includes(config.prompts.variant)) {
+    throw new Error(`Pipeline "${pipeline.name}" has no prompt variant "${config.prompts.variant}". Available: ${variants.join(', ')}`);
+  }
+
+  const knownSteps = Object.keys(pipeline.defaults?.steps || {});
+  for (const step of Object.keys(config.steps)) {
+    if (!knownSteps.includes(step)) {
+      throw new Error(`Pipeline "${pipeline.name}" has no step "${step}". Available: ${knownSteps.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Read the pipeline name a run will use before the pipeline is loaded
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} { file, pipeline } - Parsed config file (or {}) and pipeline name
+ */
+function readPipelineName(options) {
+  const file = options.config ? loadConfigFile(options.config) : {};
+  return { file, pipeline: options.pipeline || file.pipeline || DEFAULT_CONFIG.pipeline };
+}
+
+/**
+ * Resolve the full experiment config for a pipeline
+ * @param {Object} pipeline - Pipeline definition
+ * @param {Object} file - Parsed config file (or {})
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Resolved config
+ */
+function resolveConfig(pipeline, file, options) {
+  let config = mergeConfig(DEFAULT_CONFIG, pipeline.defaults || {});
+  config = mergeConfig(config, file);
+  config = mergeConfig(config, configFromOptions(options));
+  config.pipeline = pipeline.name;
+
+  if (!config.dataset.path) {
+    config.dataset.path = process.env.DATASET_PATH || pipeline.defaultDataset;
+  }
+  if (process.env.AIRPORTS_PATH && !file.dataset?.airportsPath) {
+    config.dataset.airportsPath = process.env.AIRPORTS_PATH;
+  }
+  if (config.judge.mode === null && pipeline.judge) {
+    config.judge.mode = 'llm';
+  }
+  if (!config.prompts.now) {
+    config.prompts.now = new Date().toISOString();
+  }
+  if (config.dataset.sample === 'random' && config.dataset.seed === null) {
+    config.dataset.seed = Math.floor(Math.random() * 2 ** 31);
+  }
+
+  validateConfig(config, pipeline);
+  return config;
+}
+
+/**
+ * Load the pipeline and resolved config for the given CLI options
+ * @param {Object} options - Parsed CLI options (--config, --pipeline, --pipeline-config, ...)
+ * @returns {Promise<Object>} { pipeline, config }
+ */
+async function loadExperiment(options) {
+  const { file, pipeline: name } = readPipelineName(options);
+  const pipeline = await loadPipeline(name, { configFile: options['pipeline-config'] });
+  return { pipeline, config: resolveConfig(pipeline, file, options) };
+}
+
+export {
+  DEFAULT_CONFIG,
+  mergeConfig,
+  loadConfigFile,
+  readPipelineName,
+  resolveConfig,
+  loadExperiment
+};
@@ -0,0 +1,113 @@
+/**
+ * Token usage and cost accounting
+ *
+ * Every model request of a case is in its timeline with the token usage the endpoint
+ * reported (see lib/timeline.js). summarizeUsage() prices them against the run's price
+ * table (config `cost.prices`, USD per million tokens) into result.usage:
+ *
+ *   { requests, inputTokens, outputTokens, totalTokens, cost, unpriced,
+ *     steps: { <step>: { requests, inputTokens, outputTokens, totalTokens, cost } } }
+ *
+ * cost only covers priced models; unpriced lists the models whose tokens went uncosted.
+ */
+
+// USD per million tokens (list prices; override or extend with config `cost.prices`)
+const DEFAULT_PRICES = {
+  'mistral-large': { input: 2.0, output: 6.0 },
+  'mistral-small': { input: 0.1, output: 0.3 },
+  'gemini-fast': { input: 0.1, output: 0.4 },
+  'openai': { input: 0.15, output: 0.6 },
+  'mistral': { input: 0.1, output: 0.3 }
+};
+
+// Step name for requests made outside any pipeline step
+const NO_STEP = '(no step)';
+
+/**
+ * Empty usage counters
+ * @returns {Object} { requests, inputTokens, outputTokens, totalTokens, cost }
+ */
+function emptyUsage() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+/**
+ * Add usage counters into a total
+ * @param {Object} total - Counters to add into
+ * @param {Object} usage - Counters to add
+ */
+function addUsage(total, usage) {
+  total.requests += usage.requests;
+  total.inputTokens += usage.inputTokens;
+  total.outputTokens += usage.outputTokens;
+  total.totalTokens += usage.totalTokens;
+  total.cost += usage.cost;
+}
+
+/**
+ * Price of a token count
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @param {Object} price - { input, output } in USD per million tokens
+ * @returns {number} USD
+ */
+function priceTokens(usage, price) {
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Token usage and cost of a case, in total and per step
+ * @param {Array} modelCalls - Timeline model requests ({ step, model, usage })
+ * @param {Object} [prices] - Model → { input, output } in USD per million tokens
+ * @returns {Object} Usage (see the module header)
+ */
+function summarizeUsage(modelCalls, prices = DEFAULT_PRICES) {
+  const summary = { ...emptyUsage(), unpriced: [], steps: {} };
+  for (const call of modelCalls) {
+    const tokens = call.usage ?? { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+    const price = prices[call.model];
+    if (!price && !summary.unpriced.includes(call.model)) {
+      summary.unpriced.push(call.model);
+    }
+    const usage = { requests: 1, ...tokens, cost: price ? priceTokens(tokens, price) : 0 };
+    addUsage(summary, usage);
+    addUsage(summary.steps[call.step ?? NO_STEP] ??= emptyUsage(), usage);
+  }
+  return summary;
+}
+
+/**
+ * Token usage and cost of a run
+ * @param {Array} results - Evaluation results (with `usage`)
+ * @returns {Object|null} Usage totals and per-step totals like summarizeUsage(), plus
+ *   cases (results with usage) and costPerCase; null when no result carries usage
+ */
+function calculateRunUsage(results) {
+  const withUsage = results.filter(r => r.usage);
+  if (withUsage.length === 0) return null;
+
+  const total = { ...emptyUsage(), unpriced: [], steps: {} };
+  for (const { usage } of withUsage) {
+    addUsage(total, usage);
+    for (const [step, stepUsage] of Object.entries(usage.steps)) {
+      addUsage(total.steps[step] ??= emptyUsage(), stepUsage);
+    }
+    total.unpriced.push(...usage.unpriced.filter(model => !total.unpriced.includes(model)));
+  }
+  return { ...total, cases: withUsage.length, costPerCase: total.cost / withUsage.length };
+}
+
+/**
+ * Format a USD amount (more decimals for the small per-case amounts)
+ * @param {number} cost - USD
+ * @returns {string} e.g. "$0.0123"
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(cost >= 1 ? 2 : 4)}`;
+}
+
+export {
+  DEFAULT_PRICES,
+  summarizeUsage,
+  calculateRunUsage,
+  formatCost
+};
@@ -0,0 +1,331 @@
+/**
+ * Dataset loading and test case construction
+ *
+ * Supports both dataset formats in the repo:
+ * - Enriched live-flight records (data/sample-flights.json)
+ * - Simple landed-flight records (flight-dataset-landed-simple.json)
+ */
+
+import fs from 'fs';
+import { greatCircleDistance } from './route.js';
+
+const DEFAULT_AIRPORTS_PATH = './data/airports.json';
+const DEFAULT_AIRLINES_PATH = './data/airlines.json';
+
+// Stored durations further than this from the scheduled block time are reported
+const DURATION_MISMATCH_TOLERANCE = 5;  // minutes
+
+// Zone names in airports.json that aren't IANA identifiers
+const ZONE_ALIASES = {
+  'Greenwich Mean Time': 'Europe/London',
+  'Western European Time': 'Europe/Lisbon',
+  'Central European Summer Time': 'Europe/Oslo',
+  'West Africa Time': 'Africa/Lagos',
+  'East Africa Time': 'Africa/Nairobi',
+  'Vladivostok Time': 'Asia/Vladivostok',
+  'Taiwan time': 'Asia/Taipei',
+  'Philippine Standard Time': 'Asia/Manila',
+  'Newfoundland Time Zone': 'America/St_Johns',
+  'Atlantic Time Zone': 'America/Halifax',
+  'Eastern Time Zone': 'America/New_York',
+  'Central Time Zone': 'America/Chicago',
+  'Mountain Time Zone': 'America/Denver',
+  'Pacific Time Zone': 'America/Los_Angeles'
+};
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Path to JSON file
+ * @returns {any} Parsed JSON
+ */
+function readJSON(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Convert enriched timestamp to DD-MM-YYYY
+ * @param {string} timestamp - "2025-12-16 10:00"
+ * @returns {string} "16-12-2025"
+ */
+function formatDateFromEnriched(timestamp) {
+  const [date] = timestamp.split(' ');
+  const [year, month, day] = date.split('-');
+  return `${day}-${month}-${year}`;
+}
+
+/**
+ * Convert minutes to HH:MM
+ * @param {number} minutes - Duration in minutes (e.g., 90)
+ * @returns {string} "01:30"
+ */
+function formatDurationToTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+/**
+ * UTC offset of a time zone at an instant
+ * @param {number} epochMs - Instant
+ * @param {string} timeZone - IANA zone (e.g. "America/Denver"), an alias from ZONE_ALIASES or a fixed "UTC+04:00"
+ * @returns {number|null} Offset in minutes (e.g. -420), null for an unknown zone
+ */
+function zoneOffsetMinutes(epochMs, timeZone) {
+  const fixed = /^UTC\s*([+\-−±])\s*(\d{1,2}):(\d{2})$/.exec(timeZone);
+  if (fixed) {
+    const sign = fixed[1] === '+' ? 1 : fixed[1] === '±' ? 0 : -1;
+    return sign * (Number(fixed[2]) * 60 + Number(fixed[3]));
+  }
+
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone: ZONE_ALIASES[timeZone] || timeZone.replace(/ /g, '_'),
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    });
+  } catch {
+    return null;  // RangeError: not a time zone
+  }
+  const v = Object.fromEntries(format.formatToParts(new Date(epochMs)).map(p => [p.type, Number(p.value)]));
+  return (Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute) - Math.floor(epochMs / 60000) * 60000) / 60000;
+}
+
+/**
+ * Convert an airport-local wall-clock time to an instant
+ * @param {string} localTime - "2025-12-16 10:00"
+ * @param {string} timeZone - Zone of the airport (see zoneOffsetMinutes)
+ * @returns {number|null} Epoch milliseconds, or null for an unparseable time or unknown zone
+ */
+function localTimeToEpoch(localTime, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/.exec(String(localTime ?? '').trim());
+  if (!match || !timeZone) return null;
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset at the wall-clock reading can be an hour off near a DST switch, so check it again at the result
+  const offset = zoneOffsetMinutes(wallClock, timeZone);
+  if (offset === null) return null;
+  return wallClock - zoneOffsetMinutes(wallClock - offset * 60000, timeZone) * 60000;
+}
+
+/**
+ * Work out scheduled and actual block time of an enriched record
+ *
+ * Scheduled times are airport-local, so each side is converted with its airport's
+ * IANA zone; overnight flights and DST switches fall out of the conversion.
+ * Actual times are already Unix timestamps.
+ * @param {Object} flight - Raw dataset record
+ * @param {Object} [originAirport] - airports.json record of the departure airport
+ * @param {Object} [destAirport] - airports.json record of the arrival airport
+ * @returns {Object} { scheduled, actual } in minutes, null when not computable
+ */
+function computeBlockTime(flight, originAirport, destAirport) {
+  const enriched = flight.enriched || {};
+  const minutesBetween = (from, to) => {
+    if (from === null || to === null || !(to > from)) return null;
+    return Math.round((to - from) / 60000);
+  };
+
+  return {
+    scheduled: minutesBetween(
+      localTimeToEpoch(enriched.dep_time_scheduled, originAirport?.timezone),
+      localTimeToEpoch(enriched.arr_time_scheduled, destAirport?.timezone)
+    ),
+    actual: Number.isFinite(enriched.dep_time_actual) && Number.isFinite(enriched.arr_time_actual)
+      ? minutesBetween(enriched.dep_time_actual * 1000, enriched.arr_time_actual * 1000)
+      : null
+  };
+}
+
+/**
+ * Build a test case from a raw dataset record (either format)
+ * @param {Object} flight - Raw dataset record
+ * @param {Map} airportMap - IATA code → airport record
+ * @param {Map} airlineMap - IATA code → airline name
+ * @returns {Object} Test case
+ */
+function toTestCase(flight, airportMap, airlineMap) {
+  const originAirport = airportMap.get(flight.dep_iata);
+  const destAirport = airportMap.get(flight.arr_iata);
+
+  let date;
+  let duration;
+  let blockTime;
+  if (flight.enriched) {
+    date = formatDateFromEnriched(flight.enriched.dep_time_scheduled);
+    duration = formatDurationToTime(flight.enriched.duration);
+
+    // The block time computed from the schedule is the ground truth; the stored duration is only checked against it
+    const { scheduled, actual } = computeBlockTime(flight, originAirport, destAirport);
+    blockTime = { scheduled, actual, stored: flight.enriched.duration, mismatch: null };
+    if (scheduled !== null) {
+      duration = formatDurationToTime(scheduled);
+      if (Math.abs(flight.enriched.duration - scheduled) > DURATION_MISMATCH_TOLERANCE) {
+        blockTime.mismatch = flight.enriched.duration - scheduled;
+      }
+    }
+  } else {
+    // Convert date from DD.MM.YYYY to DD-MM-YYYY
+    date = flight.scheduled_flight_date.replace(/\./g, '-');
+    duration = flight.duration;
+  }
+
+  const testCase = {
+    airlineCode: flight.airline_iata,
+    airlineName: airlineMap.get(flight.airline_iata) || flight.airline_iata,
+    flightNumber: flight.flight_number,
+    originCode: flight.dep_iata,
+    origin: originAirport?.city || originAirport?.name || flight.dep_iata,
+    destinationCode: flight.arr_iata,
+    destination: destAirport?.city || destAirport?.name || flight.arr_iata,
+    date,
+    duration,
+    aircraft: flight.aircraft_icao
+  };
+  if (blockTime) testCase.blockTime = blockTime;
+  const distanceKm = greatCircleDistance(originAirport, destAirport);
+  if (distanceKm !== null) testCase.distanceKm = distanceKm;
+  return testCase;
+}
+
+/**
+ * Load airports.json keyed by IATA code
+ * @param {string} [airportsPath] - Path to airports.json (default: ./data/airports.json)
+ * @returns {Map} IATA code → airport record ({ code, name, city, latitude, longitude, timezone })
+ */
+function loadAirportMap(airportsPath) {
+  return new Map(readJSON(airportsPath || DEFAULT_AIRPORTS_PATH).map(a => [a.code, a]));
+}
+
+/**
+ * Load airlines.json keyed by IATA code
+ * @param {string} [airlinesPath] - Path to airlines.json (default: ./data/airlines.json)
+ * @returns {Map} IATA code → airline name
+ */
+function loadAirlineMap(airlinesPath) {
+  return new Map(readJSON(airlinesPath || DEFAULT_AIRLINES_PATH).map(a => [a.code, a.name]));
+}
+
+/**
+ * Load a dataset file and convert every record to a test case
+ * @param {string} datasetPath - Path to dataset JSON
+ * @param {Object} [options]
+ * @param {string} [options.airportsPath] - Path to airports.json
+ * @param {string} [options.airlinesPath] - Path to airlines.json
+ * @returns {Array} Test cases
+ */
+function loadTestCases(datasetPath, options = {}) {
+  const flights = readJSON(datasetPath);
+  const airportMap = loadAirportMap(options.airportsPath);
+  const airlineMap = loadAirlineMap(options.airlinesPath);
+
+  return flights.map(flight => toTestCase(flight, airportMap, airlineMap));
+}
+
+/**
+ * Print a warning for test cases whose stored duration disagrees with their scheduled times
+ * @param {Array} testCases - Test cases
+ * @returns {number} Number of mismatches
+ */
+function warnDurationMismatches(testCases) {
+  const mismatched = testCases.filter(t => t.blockTime?.mismatch);
+  if (mismatched.length === 0) return 0;
+
+  console.warn(`⚠️  ${mismatched.length} test case(s): stored duration disagrees with the scheduled times (ground truth uses the scheduled times)`);
+  for (const t of mismatched) {
+    const { stored, scheduled, mismatch } = t.blockTime;
+    console.warn(`   ${t.airlineCode}${t.flightNumber} ${t.originCode}-${t.destinationCode} ${t.date}: `
+      + `stored ${formatDurationToTime(stored)}, scheduled ${formatDurationToTime(scheduled)} (${mismatch > 0 ? '+' : ''}${mismatch}min)`);
+  }
+  console.warn('');
+  return mismatched.length;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so random samples are reproducible
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} () → number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick the test cases to run
+ * @param {Array} testCases - All test cases
+ * @param {number} [count] - How many to keep (default: all)
+ * @param {string} [sample='first'] - 'first' keeps dataset order, 'random' shuffles
+ * @param {number} [seed] - Seed for 'random' (default: unseeded)
+ * @returns {Array} Selected test cases
+ */
+function selectTestCases(testCases, count, sample = 'first', seed = null) {
+  const size = Math.min(count || testCases.length, testCases.length);
+  if (sample === 'random') {
+    // Fisher-Yates shuffle
+    const random = seed === null ? Math.random : createRandom(seed);
+    const shuffled = [...testCases];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled.slice(0, size);
+  }
+  return testCases.slice(0, size);
+}
+
+/**
+ * Load and select the test cases described by a resolved config
+ * @param {Object} datasetConfig - config.dataset
+ * @returns {Array} Selected test cases
+ */
+function loadConfiguredTestCases(datasetConfig) {
+  const testCases = loadTestCases(datasetConfig.path, {
+    airportsPath: datasetConfig.airportsPath,
+    airlinesPath: datasetConfig.airlinesPath
+  });
+  return selectTestCases(testCases, datasetConfig.count, datasetConfig.sample, datasetConfig.seed);
+}
+
+/**
+ * Build the natural-language query sent to the pipeline
+ * @param {Object} testCase - Test case
+ * @returns {string} "[origin] to [destination] on [date] with [airline]"
+ */
+function generateQuery(testCase) {
+  return `${testCase.origin} to ${testCase.destination} on ${testCase.date} with ${testCase.airlineName}`;
+}
+
+/**
+ * Identify the flight of a test case, to line up the cases of runs over the same flights
+ * @param {Object} testCase - Test case
+ * @returns {string} e.g. "WN1234 LAS-ABQ 11-01-2026"
+ */
+function getFlightKey(testCase) {
+  return `${testCase.airlineCode}${testCase.flightNumber} ${testCase.originCode}-${testCase.destinationCode} ${testCase.date}`;
+}
+
+export {
+  DURATION_MISMATCH_TOLERANCE,
+  formatDateFromEnriched,
+  formatDurationToTime,
+  localTimeToEpoch,
+  computeBlockTime,
+  toTestCase,
+  loadAirportMap,
+  loadAirlineMap,
+  loadTestCases,
+  warnDurationMismatches,
+  createRandom,
+  selectTestCases,
+  loadConfiguredTestCases,
+  generateQuery,
+  getFlightKey
+};
@@ -0,0 +1,284 @@
+/**
+ * Groundedness - are the extracted values in the raw tool results?
+ *
+ * The judges check hallucinations against the agent's own report, which can repeat
+ * what the agent made up. This check goes back to the MCP tool results the research
+ * agent actually received (pipelines return them as `toolResults`) and marks each
+ * extracted field:
+ * - grounded      The value appears in the retrieved snippets
+ * - ungrounded    Nothing in the snippets supports or contradicts it
+ * - contradicted  The snippets give other values (another flight number, duration or
+ *                 aircraft) but not the extracted one
+ */
+
+import { AIRCRAFT_MAPPING, getAircraftMatchLevel, normalizeAircraft, OTHER_AIRCRAFT } from './aircraft-utils.js';
+import { loadAirlineMap, loadAirportMap } from './dataset.js';
+import { EXTRACTED_FIELDS, timeToMinutes } from './scoring.js';
+
+const GROUNDING_STATUSES = ['grounded', 'ungrounded', 'contradicted'];
+
+// Fields the agent has to find; the others come with the query
+const SEARCHED_FIELDS = ['flightNumber', 'flightTime', 'aircraftName'];
+
+// Characters of context kept around a match
+const SNIPPET_RADIUS = 60;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+// Durations as search results write them: "1h 30m", "1 hr 30 min", "Duration: 01:30", "90 minutes"
+const DURATION_PATTERNS = [
+  { pattern: /\b(\d{1,2})\s*h(?:ours?|rs?)?\.?,?\s*(?:and\s*)?(\d{1,2})\s*m(?:in(?:ute)?s?)?\b/gi, minutes: m => +m[1] * 60 + +m[2] },
+  { pattern: /\b(?:duration|flight time|block time|travel time|flying time)\b\W{0,3}(?:is|of)?\s*(\d{1,2}):(\d{2})\b/gi, minutes: m => +m[1] * 60 + +m[2] },
+  { pattern: /\b(\d{2,3})\s*min(?:ute)?s?\b/gi, minutes: m => +m[1] }
+];
+
+// Aircraft as search results write them: "Boeing 737-800", "A320neo", "737 MAX 8", ICAO designators
+const AIRCRAFT_PATTERNS = [
+  /\b(?:Boeing|Airbus|Embraer|Bombardier|ATR|Cessna|De Havilland(?: Canada)?|DHC|Mitsubishi|COMAC)[\s-]+[A-Z]{0,3}-?\d[\w-]*(?:\s?(?:MAX|neo|ceo|ER|LR|XLR)\b)?(?:\s?\d{1,2}\b)?/gi,
+  /\b(?:7[0-8]7(?:-\d{1,3})?(?:\s?MAX\s?\d{0,2})?|A3[1-8]\d(?:neo|ceo|-\d{3})?)\b/gi,
+  new RegExp(`\\b(?:${Object.keys(AIRCRAFT_MAPPING).join('|')})\\b`, 'g')
+];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Text of the tool results in a LangChain message list
+ * @param {Array} messages - Agent messages (LangChain messages or { role, content })
+ * @returns {Array<string>} Content of every tool message, in order
+ */
+function collectToolResults(messages = []) {
+  return messages
+    .filter(m => m.role === 'tool' || m.type === 'tool' || m._getType?.() === 'tool')
+    .map(m => typeof m.content === 'string'
+      ? m.content
+      : (Array.isArray(m.content) ? m.content.map(part => part.text ?? '').join('\n') : JSON.stringify(m.content)));
+}
+
+/**
+ * Context around a match
+ * @param {string} text - Searched text
+ * @param {number} index - Match position
+ * @param {number} length - Match length
+ * @returns {string} Snippet with the match, on one line
+ */
+function getSnippet(text, index, length) {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Find the first match of any pattern
+ * @param {string} text - Searched text
+ * @param {Array<RegExp>} patterns - Patterns
+ * @returns {Object} { status: 'grounded', evidence } or { status: 'ungrounded' }
+ */
+function findAny(text, patterns) {
+  for (const pattern of patterns) {
+    const match = pattern.exec(text);
+    if (match) return { status: 'grounded', evidence: getSnippet(text, match.index, match[0].length) };
+  }
+  return { status: 'ungrounded' };
+}
+
+/**
+ * Decide between grounded and contradicted from the values the text mentions
+ * @param {string} text - Searched text
+ * @param {Array<Object>} mentions - { value, index, length, matches } per mention
+ * @returns {Object} { status, evidence?, found? }
+ */
+function judgeMentions(text, mentions) {
+  const match = mentions.find(m => m.matches);
+  if (match) return { status: 'grounded', evidence: getSnippet(text, match.index, match.length) };
+  if (mentions.length === 0) return { status: 'ungrounded' };
+  return { status: 'contradicted', found: [...new Set(mentions.map(m => m.value))] };
+}
+
+/**
+ * Check a flight number: grounded with the airline code or a "flight" label in front of it,
+ * contradicted by other flight numbers of the same airline
+ * @param {string} value - Extracted flight number
+ * @param {string} text - Tool results
+ * @param {Object} context - { extracted, airports, airlines }
+ * @returns {Object} { status, evidence?, found? }
+ */
+function checkFlightNumber(value, text, { extracted }) {
+  const digits = String(value).replace(/\D/g, '').replace(/^0+/, '');
+  if (!digits) return { status: 'ungrounded' };
+  const code = extracted.airlineCode ? escapeRegExp(extracted.airlineCode) : null;
+  const prefix = code ? `\\b${code}\\s?|` : '';
+  const labeled = new RegExp(`(?:${prefix}\\bflight\\s*(?:number|no\\.?|#)?\\s*:?\\s*)0*${digits}(?!\\d)`, 'i');
+  const found = labeled.exec(text);
+  if (found) return { status: 'grounded', evidence: getSnippet(text, found.index, found[0].length) };
+  if (!code) return { status: 'ungrounded' };
+
+  const others = [...text.matchAll(new RegExp(`\\b${code}\\s?(\\d{1,4})\\b`, 'g'))];
+  return judgeMentions(text, others.map(m => ({
+    value: `${extracted.airlineCode}${m[1]}`, index: m.index, length: m[0].length, matches: false
+  })));
+}
+
+/**
+ * Check an airline code by its code or name
+ * @param {string} value - Extracted airline code
+ * @param {string} text - Tool results
+ * @param {Object} context - { airlines } (code → name)
+ * @returns {Object} { status, evidence? }
+ */
+function checkAirline(value, text, { airlines }) {
+  const name = airlines.get(value.toUpperCase());
+  // The code alone or in front of a flight number ("WN", "WN548")
+  const patterns = [new RegExp(`\\b${escapeRegExp(value)}(?![A-Za-z])`)];
+  if (name) patterns.push(new RegExp(escapeRegExp(name), 'i'));
+  return findAny(text, patterns);
+}
+
+/**
+ * Check an airport code by its code or city
+ * @param {string} value - Extracted IATA code
+ * @param {string} text - Tool results
+ * @param {Object} context - { airports } (code → airport record)
+ * @returns {Object} { status, evidence? }
+ */
+function checkAirport(value, text, { airports }) {
+  const city = airports.get(value.toUpperCase())?.city;
+  const patterns = [new RegExp(`\\b${escapeRegExp(value)}\\b`)];
+  if (city) patterns.push(new RegExp(`\\b${escapeRegExp(city)}\\b`, 'i'));
+  return findAny(text, patterns);
+}
+
+/**
+ * Check a DD-MM-YYYY date in the usual numeric and written formats
+ * @param {string} value - Extracted date
+ * @param {string} text - Tool results
+ * @returns {Object} { status, evidence? }
+ */
+function checkDate(value, text) {
+  const match = String(value).match(/^(\d{2})-(0[1-9]|1[0-2])-(\d{4})$/);
+  if (!match) return findAny(text, [new RegExp(escapeRegExp(value))]);
+  const [, dd, mm, yyyy] = match;
+  const day = String(+dd);
+  const month = MONTHS[+mm - 1];
+  const monthName = `(?:${month}|${month.slice(0, 3)}\\.?)`;
+  return findAny(text, [
+    new RegExp(`\\b${dd}[-/.]${mm}[-/.]${yyyy}\\b`),
+    new RegExp(`\\b${yyyy}-${mm}-${dd}\\b`),
+    new RegExp(`\\b0?${day}(?:st|nd|rd|th)?\\s+${monthName},?\\s+${yyyy}\\b`, 'i'),
+    new RegExp(`\\b${monthName}\\s+0?${day}(?:st|nd|rd|th)?,?\\s+${yyyy}\\b`, 'i')
+  ]);
+}
+
+/**
+ * Check an HH:MM duration against the durations the text states
+ * @param {string} value - Extracted duration
+ * @param {string} text - Tool results
+ * @returns {Object} { status, evidence?, found? }
+ */
+function checkDuration(value, text) {
+  const minutes = timeToMinutes(value);
+  if (minutes === null || Number.isNaN(minutes)) return { status: 'ungrounded' };
+  // "1h 30 min" is one duration, not also "30 min"
+  const matches = longestMatches(DURATION_PATTERNS.flatMap(({ pattern, minutes: toMinutes }) =>
+    [...text.matchAll(pattern)].map(m => Object.assign(m, { minutes: toMinutes(m) }))));
+  const mentions = matches.map(m => ({
+    value: m[0].trim(), index: m.index, length: m[0].length, matches: m.minutes === minutes
+  }));
+  return judgeMentions(text, mentions);
+}
+
+/**
+ * Drop regex matches that fall inside an earlier or longer match
+ * @param {Array} matches - Matches of several patterns (from String.matchAll)
+ * @returns {Array} Non-overlapping matches in text order, longest first at each position
+ */
+function longestMatches(matches) {
+  return matches
+    .sort((a, b) => a.index - b.index || b[0].length - a[0].length)
+    .filter((m, i, all) => !all.slice(0, i).some(o => m.index < o.index + o[0].length));
+}
+
+/**
+ * Check an aircraft against the aircraft the text mentions (same registry name = grounded)
+ * @param {string} value - Extracted aircraft
+ * @param {string} text - Tool results
+ * @returns {Object} { status, evidence?, found? }
+ */
+function checkAircraft(value, text) {
+  // "Airbus A320" is not counted again as "A320"
+  const matches = longestMatches(AIRCRAFT_PATTERNS.flatMap(pattern => [...text.matchAll(pattern)]));
+  const mentions = matches
+    .map(m => ({ match: m, normalized: normalizeAircraft(m[0]).normalized }))
+    .filter(({ normalized }) => normalized && normalized !== OTHER_AIRCRAFT)
+    .map(({ match, normalized }) => ({
+      value: normalized,
+      index: match.index,
+      length: match[0].length,
+      matches: ['variant', 'subfamily'].includes(getAircraftMatchLevel(value, normalized))
+    }));
+  return judgeMentions(text, mentions);
+}
+
+const FIELD_CHECKS = {
+  flightNumber: checkFlightNumber,
+  airlineCode: checkAirline,
+  departureAirportCode: checkAirport,
+  arrivalAirportCode: checkAirport,
+  flightDate: checkDate,
+  flightTime: checkDuration,
+  aircraftName: checkAircraft
+};
+
+/**
+ * Check every extracted value against the raw tool results
+ * @param {Object} extracted - Extracted data
+ * @param {Array<string>} toolResults - Tool result texts (see collectToolResults)
+ * @param {Object} context - { airports, airlines } maps (see lib/dataset.js)
+ * @returns {Object} { toolResults, fields, counts, unsupported } - fields: field → { status, evidence? | found? }
+ *   for each extracted (non-null) field; counts: status → number of fields; unsupported: contradicted
+ *   fields and searched fields that are not in the tool results
+ */
+function checkGrounding(extracted, toolResults, context) {
+  const text = toolResults.join('\n\n');
+  const fields = {};
+  for (const field of EXTRACTED_FIELDS) {
+    const value = extracted[field];
+    if (value === null || value === undefined || value === 'null' || value === '') continue;
+    fields[field] = FIELD_CHECKS[field](String(value), text, { ...context, extracted });
+  }
+
+  const counts = Object.fromEntries(GROUNDING_STATUSES.map(status =>
+    [status, Object.values(fields).filter(f => f.status === status).length]));
+  const unsupported = Object.keys(fields).filter(field => fields[field].status === 'contradicted' ||
+    (fields[field].status === 'ungrounded' && SEARCHED_FIELDS.includes(field)));
+  return { toolResults: toolResults.length, fields, counts, unsupported };
+}
+
+/**
+ * Create the grounding check with the dataset's airport and airline tables
+ * @param {Object} datasetConfig - config.dataset ({ airportsPath, airlinesPath })
+ * @returns {Function} (extracted, toolResults) → checkGrounding() output
+ */
+function createGroundingChecker(datasetConfig = {}) {
+  const context = {
+    airports: loadAirportMap(datasetConfig.airportsPath),
+    airlines: loadAirlineMap(datasetConfig.airlinesPath)
+  };
+  return (extracted, toolResults) => checkGrounding(extracted, toolResults, context);
+}
+
+export {
+  GROUNDING_STATUSES,
+  SEARCHED_FIELDS,
+  collectToolResults,
+  checkGrounding,
+  createGroundingChecker
+};
@@ -0,0 +1,114 @@
+/**
+ * Run journal - append-only JSONL checkpoint of a run
+ *
+ * <outputDir>/<runId>/run-<runId>.jsonl
+ *   {"type":"run", runId, pipeline, model, architecture, dataset, timestamp, config, total}
+ *   {"type":"case", index, result}     one line per finished case, in completion order
+ *
+ * Cases are appended as soon as they finish, so a crashed run loses at most the
+ * cases in flight. A later line for the same index replaces an earlier one (errored
+ * cases are re-run on --resume). Results are stored without their trace and timeline
+ * (see lib/traces.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Journal file path for a run
+ * @param {string} runDir - Run directory
+ * @param {string} runId - Run identifier
+ * @returns {string} Path to run-<runId>.jsonl
+ */
+function getJournalPath(runDir, runId) {
+  return path.join(runDir, `run-${runId}.jsonl`);
+}
+
+/**
+ * Find the journal in a run directory
+ * @param {string} runDir - Run directory
+ * @returns {string|null} Journal path or null
+ */
+function findJournal(runDir) {
+  if (!fs.existsSync(runDir) || !fs.statSync(runDir).isDirectory()) return null;
+  const file = fs.readdirSync(runDir).find(f => f.startsWith('run-') && f.endsWith('.jsonl'));
+  return file ? path.join(runDir, file) : null;
+}
+
+/**
+ * Open a journal for appending, writing the run header if the file is new
+ * @param {string} file - Journal path
+ * @param {Object} header - Run metadata ({ runId, pipeline, model, architecture, dataset, timestamp, config, total })
+ * @returns {Object} { file, append(index, result) }
+ */
+function openJournal(file, header) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, JSON.stringify({ type: 'run', ...header }) + '\n');
+  } else if (!fs.readFileSync(file, 'utf8').endsWith('\n')) {
+    // Terminate a partial line left by a crash so new entries start on their own line
+    fs.appendFileSync(file, '\n');
+  }
+
+  return {
+    file,
+    append(index, result) {
+      const { trace, timeline, ...rest } = result;
+      fs.appendFileSync(file, JSON.stringify({ type: 'case', index, result: rest }) + '\n');
+    }
+  };
+}
+
+/**
+ * Read a journal
+ * @param {string} file - Journal path
+ * @returns {Object} { header, cases } - cases maps test case index → result
+ */
+function readJournal(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  let header = null;
+  const cases = new Map();
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // A crash can leave a partial last line - anything earlier is corruption
+      if (i >= lines.length - 2) return;
+      throw new Error(`${file}:${i + 1}: invalid journal line (${error.message})`);
+    }
+    if (entry.type === 'run') header = entry;
+    if (entry.type === 'case') cases.set(entry.index, entry.result);
+  });
+
+  if (!header) {
+    throw new Error(`${file} has no run header`);
+  }
+  return { header, cases };
+}
+
+/**
+ * Rebuild a run (as saved in results.json) from its journal alone
+ * @param {string} file - Journal path
+ * @returns {Object} Run with results in test case order
+ */
+function loadRunFromJournal(file) {
+  const { header, cases } = readJournal(file);
+  const { type, total, ...run } = header;
+  const results = [...cases.keys()].sort((a, b) => a - b).map(index => cases.get(index));
+
+  if (total !== undefined && results.length < total) {
+    console.warn(`⚠️  ${path.basename(file)}: ${results.length}/${total} cases completed`);
+  }
+  return { ...run, results };
+}
+
+export {
+  getJournalPath,
+  findJournal,
+  openJournal,
+  readJournal,
+  loadRunFromJournal
+};
@@ -0,0 +1,366 @@
+/**
+ * Judge calibration - how well a judge's verdicts match the ground truth and human labels
+ *
+ * Each judge check is treated as a binary classifier whose positive class is
+ * "problem found" (FAIL, consistency issue, sensibility issue, hallucination).
+ * Two references say whether there really was a problem:
+ * - Ground truth: the result's field `comparison` (see lib/scoring.js)
+ * - Human labels: Label Studio annotations of the run's label-studio.json, using the
+ *   choices of label-studio-config.xml ("Direction correct", "Airline correct", ...)
+ */
+
+import fs from 'fs';
+import { JUDGE_CHECKS, isPresent } from './judge.js';
+import { generateLabelStudioJSON } from './reports.js';
+
+// Label Studio choice → extracted fields it confirms
+const LABEL_CHOICES = {
+  'Direction correct': ['departureAirportCode', 'arrivalAirportCode'],
+  'Airline correct': ['airlineCode'],
+  'Flight number correct': ['flightNumber'],
+  'Date correct': ['flightDate'],
+  'Time correct': ['flightTime'],
+  'ACFT correct': ['aircraftName']
+};
+
+// Fields behind each check: query fields must match; searched fields are only judged when extracted
+const QUERY_FIELDS = ['airlineCode', 'departureAirportCode', 'arrivalAirportCode', 'flightDate'];
+const SEARCHED_FIELDS = ['flightNumber', 'flightTime', 'aircraftName'];
+
+// Checks evaluated, in report order (JUDGE_CHECKS in lib/judge.js reads the judge's side)
+const CALIBRATED_CHECKS = ['status', 'consistency', 'sensibility', 'hallucination'];
+
+/**
+ * Whether the judge found a problem for each check
+ * @param {Object} validation - Judge output (ValidationSchema)
+ * @returns {Object} check → boolean
+ */
+function getJudgeProblems(validation) {
+  return {
+    status: !JUDGE_CHECKS.status(validation),
+    consistency: !JUDGE_CHECKS.consistency(validation),
+    sensibility: !JUDGE_CHECKS.sensibility(validation),
+    hallucination: JUDGE_CHECKS.hallucination(validation)
+  };
+}
+
+/**
+ * Whether there really was a problem for each check, from a per-field verdict
+ * @param {Object} extracted - Extracted data
+ * @param {Function} isWrong - (field) → true (wrong), false (right) or null (unknown)
+ * @param {Function} isFabricated - (field) → true if an extracted value is completely wrong
+ * @returns {Object} check → boolean
+ */
+function getReferenceProblems(extracted, isWrong, isFabricated) {
+  const searched = SEARCHED_FIELDS.filter(field => isPresent(extracted[field]));
+  const consistency = QUERY_FIELDS.some(field => !isPresent(extracted[field]) || isWrong(field) === true);
+  const hallucination = searched.some(field => isFabricated(field) === true);
+  return {
+    status: consistency || hallucination,
+    consistency,
+    sensibility: searched.some(field => isWrong(field) === true),
+    hallucination
+  };
+}
+
+/**
+ * Problems according to the ground-truth comparison of a result
+ * @param {Object} result - Evaluation result
+ * @returns {Object} check → boolean
+ */
+function getGroundTruthProblems(result) {
+  const comparison = result.comparison || {};
+  const verdict = field => (comparison[field]?.match === true || comparison[field]?.match === false)
+    ? !comparison[field].match
+    : null;
+  return getReferenceProblems(result.extracted, verdict, field =>
+    verdict(field) === null ? null : comparison[field].grade === 0);
+}
+
+/**
+ * Problems according to a human annotation of a result
+ * @param {Object} result - Evaluation result
+ * @param {Set<string>} choices - Label Studio choices ticked by the annotator
+ * @returns {Object} check → boolean
+ */
+function getHumanProblems(result, choices) {
+  const confirmed = new Set(Object.entries(LABEL_CHOICES)
+    .filter(([choice]) => choices.has(choice))
+    .flatMap(([, fields]) => fields));
+  // Annotators only tick what is right, so every unticked extracted value is wrong
+  const verdict = field => !confirmed.has(field);
+  return getReferenceProblems(result.extracted, verdict, verdict);
+}
+
+/**
+ * Key that identifies a flight in a Label Studio task
+ * @param {Object} item - Label Studio task data item
+ * @returns {string} "LAS-ABQ WN548 11-01-2026"
+ */
+function getLabelKey(item) {
+  return `${item['1-GT-Route']} ${item['5-GT-FlightNumber']} ${item['7-GT-Date']}`;
+}
+
+/**
+ * Parse CSV text (quoted fields may contain commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows keyed by header
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  const [headers, ...records] = rows;
+  return records.map(values => Object.fromEntries(headers.map((header, i) => [header, values[i] ?? ''])));
+}
+
+/**
+ * Read the choices of an annotation in any Label Studio export shape
+ * @param {any} value - { choices: [...] }, a JSON string of it, a plain choice string, or an annotation result list
+ * @returns {Array<string>} Ticked choices
+ */
+function readChoices(value) {
+  if (Array.isArray(value)) {
+    return value.filter(r => r.type === 'choices').flatMap(r => r.value?.choices || []);
+  }
+  if (typeof value === 'string') {
+    if (!value.trim()) return [];
+    try {
+      return readChoices(JSON.parse(value));
+    } catch {
+      return [value.trim()];
+    }
+  }
+  return value?.choices || [];
+}
+
+/**
+ * Load human annotations from a Label Studio export
+ *
+ * Supports the JSON export (tasks with `annotations`), JSON-MIN (`item` + `choice`)
+ * and CSV (`item` as JSON + `choice`). For tasks annotated more than once, the last
+ * annotation that wasn't cancelled wins.
+ * @param {string} file - Export path (.json or .csv)
+ * @returns {Map} Flight key (see getLabelKey) → Set of ticked choices
+ */
+function loadLabelStudioAnnotations(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const tasks = file.toLowerCase().endsWith('.csv') ? parseCSV(text) : JSON.parse(text);
+
+  const labels = new Map();
+  for (const task of tasks) {
+    let item = task.data?.item ?? task.item;
+    if (typeof item === 'string') item = JSON.parse(item);
+    if (!item) continue;
+
+    let choices;
+    if (task.annotations) {
+      const annotation = task.annotations.filter(a => !a.was_cancelled).at(-1);
+      if (!annotation) continue;
+      choices = readChoices(annotation.result);
+    } else {
+      choices = readChoices(task.choice);
+    }
+    labels.set(getLabelKey(item), new Set(choices));
+  }
+  return labels;
+}
+
+/**
+ * Cohen's kappa of a 2x2 confusion matrix
+ * @param {Object} matrix - { tp, fp, fn, tn }
+ * @returns {number|null} Kappa, null without cases
+ */
+function cohensKappa({ tp, fp, fn, tn }) {
+  const n = tp + fp + fn + tn;
+  if (n === 0) return null;
+  const observed = (tp + tn) / n;
+  const expected = ((tp + fp) * (tp + fn) + (fn + tn) * (fp + tn)) / (n * n);
+  if (expected === 1) return observed === 1 ? 1 : 0;
+  return (observed - expected) / (1 - expected);
+}
+
+/**
+ * Precision, recall, accuracy and kappa of judge verdicts against a reference
+ * @param {Array<Object>} pairs - { judge, reference } booleans (true = problem)
+ * @returns {Object} { total, matrix: { tp, fp, fn, tn }, precision, recall, accuracy, kappa } - null when undefined
+ */
+function calculateAgreementMetrics(pairs) {
+  const matrix = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  for (const { judge, reference } of pairs) {
+    if (judge && reference) matrix.tp++;
+    else if (judge) matrix.fp++;
+    else if (reference) matrix.fn++;
+    else matrix.tn++;
+  }
+  const { tp, fp, fn, tn } = matrix;
+  const total = pairs.length;
+  return {
+    total,
+    matrix,
+    precision: tp + fp > 0 ? tp / (tp + fp) : null,
+    recall: tp + fn > 0 ? tp / (tp + fn) : null,
+    accuracy: total > 0 ? (tp + tn) / total : null,
+    kappa: cohensKappa(matrix)
+  };
+}
+
+/**
+ * Evaluate a judge against the ground truth and (if given) human labels
+ * @param {Array} results - Evaluation results (errored and unjudged cases are skipped)
+ * @param {Object} [options]
+ * @param {Map} [options.labels] - Human annotations (see loadLabelStudioAnnotations)
+ * @param {string} [options.judge] - 'llm' or 'rules' to pick one judge of a `--judge both` run
+ *   (default: each result's validation)
+ * @param {number} [options.top=10] - Disagreements to list
+ * @returns {Object} { judged, labeled, groundTruth, human, disagreements } - groundTruth/human: check → metrics
+ */
+function evaluateJudge(results, { labels = new Map(), judge, top = 10 } = {}) {
+  const cases = results
+    .filter(r => !r.error)
+    .map(result => {
+      const validation = judge ? result.judges?.[judge] : result.validation;
+      if (!validation) return null;
+      const choices = labels.get(getLabelKey(generateLabelStudioJSON([result])[0].data.item));
+      return {
+        result,
+        validation,
+        judge: getJudgeProblems(validation),
+        groundTruth: getGroundTruthProblems(result),
+        human: choices ? getHumanProblems(result, choices) : null
+      };
+    })
+    .filter(Boolean);
+  const labeled = cases.filter(c => c.human);
+
+  const byCheck = (list, reference) => Object.fromEntries(CALIBRATED_CHECKS.map(check =>
+    [check, calculateAgreementMetrics(list.map(c => ({ judge: c.judge[check], reference: c[reference][check] })))]));
+
+  // Most disagreements with the humans first (with the ground truth for unlabeled runs)
+  const reference = labeled.length > 0 ? 'human' : 'groundTruth';
+  const disagreements = (reference === 'human' ? labeled : cases)
+    .map(c => ({ ...c, checks: CALIBRATED_CHECKS.filter(check => c.judge[check] !== c[reference][check]) }))
+    .filter(c => c.checks.length > 0)
+    .sort((a, b) => b.checks.length - a.checks.length)
+    .slice(0, top)
+    .map(c => ({
+      query: c.result.query,
+      reference,
+      checks: c.checks,
+      judgeStatus: c.validation.validationStatus,
+      referenceStatus: c[reference].status ? 'FAIL' : 'PASS',
+      reasoning: c.validation.reasoning
+    }));
+
+  return {
+    judged: cases.length,
+    labeled: labeled.length,
+    groundTruth: byCheck(cases, 'groundTruth'),
+    human: labeled.length > 0 ? byCheck(labeled, 'human') : null,
+    disagreements
+  };
+}
+
+/**
+ * Format a rate for the report
+ * @param {number|null} value - Rate in [0, 1]
+ * @returns {string} e.g. "87.5%", or "n/a"
+ */
+function formatRate(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Markdown table of per-check metrics against one reference
+ * @param {Object} metrics - check → calculateAgreementMetrics() output
+ * @returns {string} Markdown
+ */
+function formatCheckTable(metrics) {
+  let markdown = `| Check | Cases | TP | FP | FN | TN | Precision | Recall | Accuracy | Kappa |\n`;
+  markdown += `|-------|-------|----|----|----|----|-----------|--------|----------|-------|\n`;
+  for (const [check, m] of Object.entries(metrics)) {
+    const { tp, fp, fn, tn } = m.matrix;
+    const kappa = m.kappa === null ? 'n/a' : m.kappa.toFixed(2);
+    markdown += `| ${check} | ${m.total} | ${tp} | ${fp} | ${fn} | ${tn} | ${formatRate(m.precision)} | ${formatRate(m.recall)} | ${formatRate(m.accuracy)} | ${kappa} |\n`;
+  }
+  return markdown;
+}
+
+/**
+ * Generate the judge calibration report
+ * @param {Object} evaluation - evaluateJudge() output
+ * @param {Object} run - Run metadata ({ runId, pipeline })
+ * @param {string} [judge] - Judge evaluated ('llm' or 'rules'), if picked
+ * @returns {string} Markdown
+ */
+function generateJudgeEvalReport(evaluation, run, judge) {
+  let markdown = `# Judge Calibration Report\n\n`;
+  markdown += `- **Run:** ${run.runId} (${run.pipeline})\n`;
+  markdown += `- **Judge:** ${judge || run.config?.judge?.mode || 'llm'}\n`;
+  markdown += `- **Judged Cases:** ${evaluation.judged}\n`;
+  markdown += `- **Human-Labeled Cases:** ${evaluation.labeled}\n\n`;
+  markdown += `Positive class: the judge reports a problem (FAIL, consistency or sensibility issue, hallucination).\n\n`;
+
+  markdown += `## Against Ground Truth\n\n`;
+  markdown += formatCheckTable(evaluation.groundTruth);
+  markdown += `\n`;
+  if (evaluation.human) {
+    markdown += `## Against Human Labels\n\n`;
+    markdown += formatCheckTable(evaluation.human);
+    markdown += `\n`;
+  }
+
+  if (evaluation.disagreements.length > 0) {
+    const against = evaluation.human ? 'Humans' : 'Ground Truth';
+    markdown += `## Top Disagreements (Judge vs ${against})\n\n`;
+    markdown += `| Query | Checks | Judge | ${against} | Judge Reasoning |\n`;
+    markdown += `|-------|--------|-------|${'-'.repeat(against.length + 2)}|-----------------|\n`;
+    for (const d of evaluation.disagreements) {
+      markdown += `| ${d.query} | ${d.checks.join(', ')} | ${d.judgeStatus} | ${d.referenceStatus} | ${d.reasoning.replace(/\|/g, '\\|')} |\n`;
+    }
+    markdown += `\n`;
+  }
+  return markdown;
+}
+
+export {
+  LABEL_CHOICES,
+  CALIBRATED_CHECKS,
+  getGroundTruthProblems,
+  getHumanProblems,
+  loadLabelStudioAnnotations,
+  cohensKappa,
+  calculateAgreementMetrics,
+  evaluateJudge,
+  generateJudgeEvalReport
+};
@@ -0,0 +1,382 @@
+/**
+ * Rule-based judge - the chain-judge validation checks as deterministic code
+ *
+ * Produces the same ValidationSchema output as the LLM judge in
+ * pipelines/chain-judge.js, from the query, the search report and the extracted JSON:
+ * - Consistency: route, airline and date must match the query
+ * - Sensibility: duration against the great-circle distance model (lib/route.js)
+ * - Confidence: (non-null fields / 7) * 0.6 + source quality * 0.4
+ * - Hallucination: fields extracted although the report says "NOT FOUND"
+ *
+ * Runs choose their judge with `--judge rules|llm|both` (config `judge.mode`). The LLM
+ * judge can be a panel of models (config `judge.panel`) whose verdicts are combined
+ * by combineVerdicts().
+ */
+
+import { getAircraftBody } from './aircraft-utils.js';
+import { loadAirlineMap, loadAirportMap } from './dataset.js';
+import { HAUL_CLASSES, describeRoute } from './route.js';
+import { EXTRACTED_FIELDS, timeToMinutes } from './scoring.js';
+
+const JUDGE_MODES = ['rules', 'llm', 'both'];
+const ENSEMBLE_METHODS = ['majority', 'mean'];
+
+// `mean` ensembles pass at this mean overall quality
+const MEAN_PASS_THRESHOLD = 0.5;
+
+// Search report labels (see the search prompts) → extracted fields
+const REPORT_LABELS = {
+  'FLIGHT NUMBER': 'flightNumber',
+  'AIRLINE CODE': 'airlineCode',
+  'DEPARTURE AIRPORT': 'departureAirportCode',
+  'ARRIVAL AIRPORT': 'arrivalAirportCode',
+  'FLIGHT DATE': 'flightDate',
+  'FLIGHT TIME': 'flightTime',
+  'AIRCRAFT TYPE': 'aircraftName'
+};
+
+// Source quality by site, best first; any other attributed source is a generic search result
+const SOURCE_QUALITY = [
+  { pattern: /flightaware|official|airline website/i, quality: 1.0 },
+  { pattern: /flightradar24|aviability/i, quality: 0.9 }
+];
+const GENERIC_SOURCE_QUALITY = 0.7;
+const NO_SOURCE_QUALITY = 0.5;
+
+// Longest haul class an aircraft of each body class can fly (others fly any route)
+const MAX_HAUL = { light: 'medium', regional: 'long' };
+
+// Binary outcome of each judge check, compared between judges
+const JUDGE_CHECKS = {
+  status: v => v.validationStatus === 'PASS',
+  consistency: v => v.consistencyIssues.length === 0,
+  sensibility: v => v.sensibilityIssues.length === 0,
+  hallucination: v => v.hallucinationDetected
+};
+
+/**
+ * Check for an extracted value
+ * @param {any} value - Extracted field value
+ * @returns {boolean} True unless null, undefined, "null" or empty
+ */
+function isPresent(value) {
+  return value !== null && value !== undefined && value !== 'null' && value !== '';
+}
+
+/**
+ * Round a score to 2 decimal places
+ * @param {number} value - Score
+ * @returns {number} Rounded score
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse a query built by generateQuery() in lib/dataset.js
+ * @param {string} query - "[origin] to [destination] on [date] with [airline]"
+ * @returns {Object|null} { origin, destination, date, airline }, null if the query has another shape
+ */
+function parseQuery(query) {
+  const match = query.match(/^(.+?) to (.+) on (.+?) with (.+)$/);
+  if (!match) return null;
+  const [, origin, destination, date, airline] = match.map(part => part.trim());
+  return { origin, destination, date, airline };
+}
+
+/**
+ * Read the labeled lines of a search report ("FLIGHT TIME: 01:30", "**Source:** FlightAware")
+ * @param {string} report - Search report text
+ * @returns {Object} { fields, sources } - Extracted field → reported value, and every source line
+ */
+function parseSearchReport(report) {
+  const fields = {};
+  const sources = [];
+  for (const line of (report || '').split('\n')) {
+    const match = line.replace(/\*\*/g, '').match(/^[\s#>•-]*([A-Za-z][A-Za-z ]*?)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const [, label, value] = match;
+    const field = REPORT_LABELS[label.toUpperCase()];
+    if (field && !(field in fields)) {
+      fields[field] = value.trim();
+    } else if (/(^| )source$/i.test(label) && value.trim()) {
+      sources.push(value.trim());
+    }
+  }
+  return { fields, sources };
+}
+
+/**
+ * Rate the best source the report attributes its data to
+ * @param {Array<string>} sources - Source lines of the report
+ * @returns {number} 1.0 (FlightAware/official), 0.9 (FlightRadar24/Aviability), 0.7 (other) or 0.5 (none)
+ */
+function assessSourceQuality(sources) {
+  const attributed = sources.filter(s => !/NOT FOUND|provided in query|^n\/?a$|^\[/i.test(s));
+  if (attributed.length === 0) return NO_SOURCE_QUALITY;
+  return Math.max(...attributed.map(source =>
+    SOURCE_QUALITY.find(s => s.pattern.test(source))?.quality ?? GENERIC_SOURCE_QUALITY));
+}
+
+/**
+ * Check whether an extracted airport code is the place named in the query
+ * @param {string} code - Extracted IATA code
+ * @param {string} place - City, airport name or code from the query
+ * @param {Map} airports - IATA code → airport record
+ * @returns {boolean} True if the code, its city or its name is the place
+ */
+function matchesPlace(code, place, airports) {
+  if (!isPresent(code)) return false;
+  const airport = airports.get(code.toUpperCase());
+  return [code, airport?.city, airport?.name].some(v => v && v.toLowerCase() === place.toLowerCase());
+}
+
+/**
+ * Check an extraction against the route, airline and date of the query
+ * @param {Object} extracted - Extracted data
+ * @param {Object|null} request - Parsed query (see parseQuery)
+ * @param {Object} context - { airports, airlines }
+ * @returns {Array<string>} Mismatches (empty when consistent)
+ */
+function checkConsistency(extracted, request, { airports, airlines }) {
+  if (!request) return ['Query not understood: expected "[origin] to [destination] on [date] with [airline]"'];
+
+  const issues = [];
+  const { departureAirportCode, arrivalAirportCode, airlineCode, flightDate } = extracted;
+  if (!matchesPlace(departureAirportCode, request.origin, airports)) {
+    issues.push(`Route mismatch: query departs from ${request.origin} but extracted ${departureAirportCode ?? 'null'}`);
+  }
+  if (!matchesPlace(arrivalAirportCode, request.destination, airports)) {
+    issues.push(`Route mismatch: query arrives at ${request.destination} but extracted ${arrivalAirportCode ?? 'null'}`);
+  }
+  const airlineName = isPresent(airlineCode) ? airlines.get(airlineCode.toUpperCase()) : null;
+  if (![airlineCode, airlineName].some(v => isPresent(v) && v.toLowerCase() === request.airline.toLowerCase())) {
+    const extractedAirline = airlineName ? `${airlineName} (${airlineCode})` : (airlineCode ?? 'null');
+    issues.push(`Airline mismatch: query requests ${request.airline} but extracted ${extractedAirline}`);
+  }
+  if (flightDate !== request.date) {
+    issues.push(`Date mismatch: query requests ${request.date} but extracted ${flightDate ?? 'null'}`);
+  }
+  return issues;
+}
+
+/**
+ * Check the extracted route and duration against the great-circle distance model
+ * @param {Object} extracted - Extracted data
+ * @param {Map} airports - IATA code → airport record
+ * @returns {Object} { text, check } (see describeRoute in lib/route.js)
+ */
+function checkRoute(extracted, airports) {
+  const from = airports.get(extracted.departureAirportCode) || { code: extracted.departureAirportCode };
+  const to = airports.get(extracted.arrivalAirportCode) || { code: extracted.arrivalAirportCode };
+  return describeRoute(from, to, {
+    minutes: timeToMinutes(extracted.flightTime),
+    body: getAircraftBody(extracted.aircraftName)
+  });
+}
+
+/**
+ * Rate how plausible the searched duration and aircraft are for the route
+ * @param {Object} extracted - Extracted data
+ * @param {Map} airports - IATA code → airport record
+ * @returns {Object} { score, issues } - 1.0 plausible, 0.7 questionable, 0.0 impossible
+ */
+function checkSensibility(extracted, airports) {
+  const { check } = checkRoute(extracted, airports);
+  if (!check) return { score: 1.0, issues: [] };
+
+  const issues = [];
+  let score = 1.0;
+  if (check.plausible === false) {
+    issues.push(check.issue);
+    score = check.minutes > 2 * check.band.max ? 0.0 : 0.7;
+  }
+
+  const body = getAircraftBody(extracted.aircraftName);
+  const haulIndex = HAUL_CLASSES.findIndex(c => c.name === check.haul);
+  if (MAX_HAUL[body] && haulIndex > HAUL_CLASSES.findIndex(c => c.name === MAX_HAUL[body])) {
+    issues.push(`Aircraft ${extracted.aircraftName} (${body}) cannot fly a ${check.haul}-haul route (${check.distanceKm} km)`);
+    score = 0.0;
+  }
+  return { score, issues };
+}
+
+/**
+ * List fields that were extracted although the search report says "NOT FOUND"
+ * @param {Object} extracted - Extracted data
+ * @param {Object} reported - Field → value reported in the search report
+ * @returns {Array<string>} "field: search said NOT FOUND but extracted as value"
+ */
+function findHallucinations(extracted, reported) {
+  return EXTRACTED_FIELDS
+    .filter(field => isPresent(extracted[field]) && /\bNOT FOUND\b/i.test(reported[field] || ''))
+    .map(field => `${field}: search said NOT FOUND but extracted as ${extracted[field]}`);
+}
+
+/**
+ * Validate an extraction with the rule-based judge
+ * @param {Object} params
+ * @param {string} params.query - Query sent to the pipeline
+ * @param {string} params.searchResults - Search report the extraction was based on
+ * @param {Object} params.extracted - Extracted data (as returned by the pipeline)
+ * @param {Object} context
+ * @param {Map} context.airports - IATA code → airport record
+ * @param {Map} context.airlines - IATA code → airline name
+ * @returns {Object} Validation (ValidationSchema in pipelines/chain-judge.js)
+ */
+function validateWithRules({ query, searchResults, extracted }, context) {
+  const report = parseSearchReport(searchResults);
+
+  const consistencyIssues = checkConsistency(extracted, parseQuery(query), context);
+  const consistencyScore = consistencyIssues.length === 0 ? 1.0 : 0.0;
+  const sensibility = checkSensibility(extracted, context.airports);
+  const found = EXTRACTED_FIELDS.filter(field => isPresent(extracted[field])).length;
+  const sourceQuality = assessSourceQuality(report.sources);
+  const confidenceScore = round2((found / EXTRACTED_FIELDS.length) * 0.6 + sourceQuality * 0.4);
+  const hallucinationDetails = findHallucinations(extracted, report.fields);
+
+  let validationStatus = 'FAIL';
+  let reasoning;
+  if (consistencyScore < 1.0) {
+    reasoning = `Query fields mismatch: ${consistencyIssues.join('; ')}.`;
+  } else if (hallucinationDetails.length > 0) {
+    reasoning = `Hallucination: ${hallucinationDetails.join('; ')}.`;
+  } else if (sensibility.score === 0.0) {
+    reasoning = `Impossible data: ${sensibility.issues.join('; ')}.`;
+  } else {
+    validationStatus = 'PASS';
+    reasoning = `Query fields match, no hallucination, data ${sensibility.score === 1.0 ? 'plausible' : 'questionable but possible'}. `
+      + `${found}/${EXTRACTED_FIELDS.length} fields found, source quality ${sourceQuality.toFixed(1)}.`;
+  }
+
+  return {
+    validationStatus,
+    consistencyScore,
+    consistencyIssues,
+    sensibilityScore: sensibility.score,
+    sensibilityIssues: sensibility.issues,
+    confidenceScore,
+    hallucinationDetected: hallucinationDetails.length > 0,
+    hallucinationDetails,
+    overallQualityScore: validationStatus === 'PASS'
+      ? round2((consistencyScore + sensibility.score + confidenceScore) / 3)
+      : 0.0,
+    reasoning
+  };
+}
+
+/**
+ * Create the rule-based judge for a run
+ * @param {Object} [datasetConfig] - config.dataset ({ airportsPath, airlinesPath })
+ * @returns {Function} ({ query, searchResults, extracted }) → validation
+ */
+function createRuleJudge(datasetConfig = {}) {
+  const context = {
+    airports: loadAirportMap(datasetConfig.airportsPath),
+    airlines: loadAirlineMap(datasetConfig.airlinesPath)
+  };
+  return input => validateWithRules(input, context);
+}
+
+/**
+ * Mean of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Mean (0 for an empty list)
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Combine the verdicts of a judge panel into one validation
+ *
+ * `majority` passes when more than half of the judges pass (a tie fails); `mean`
+ * passes when the mean overall quality reaches MEAN_PASS_THRESHOLD. Scores are
+ * averaged and issues merged. A case is flagged as high-disagreement when fewer than
+ * `minAgreement` of the judges share the final verdict, or when their quality scores
+ * are `maxSpread` or more apart.
+ * @param {Array<Object>} votes - { judge, validation } per judge ({ judge, error } if it failed)
+ * @param {Object} options - config.judge ({ ensemble, minAgreement, maxSpread })
+ * @returns {Object} { validation, ensemble: { method, votes, passVotes, agreement, spread, highDisagreement } }
+ */
+function combineVerdicts(votes, { ensemble: method = 'majority', minAgreement, maxSpread }) {
+  const verdicts = votes.filter(v => v.validation).map(v => v.validation);
+  if (verdicts.length === 0) {
+    throw new Error('No judge of the panel returned a verdict');
+  }
+  const average = key => round2(mean(verdicts.map(v => v[key])));
+  const merge = key => [...new Set(verdicts.flatMap(v => v[key]))];
+
+  const passVotes = verdicts.filter(v => v.validationStatus === 'PASS').length;
+  const validationStatus = method === 'mean'
+    ? (average('overallQualityScore') >= MEAN_PASS_THRESHOLD ? 'PASS' : 'FAIL')
+    : (passVotes > verdicts.length / 2 ? 'PASS' : 'FAIL');
+  const agreeing = votes.filter(v => v.validation?.validationStatus === validationStatus);
+  const agreement = round2(agreeing.length / verdicts.length);
+  const scores = verdicts.map(v => v.overallQualityScore);
+  const spread = round2(Math.max(...scores) - Math.min(...scores));
+
+  const tally = votes.map(v => `${v.judge}: ${v.validation ? v.validation.validationStatus : 'error'}`).join(', ');
+  const summary = method === 'mean'
+    ? `Mean quality ${average('overallQualityScore').toFixed(2)} → ${validationStatus}`
+    : `Majority ${agreeing.length}/${verdicts.length} ${validationStatus}`;
+
+  return {
+    validation: {
+      validationStatus,
+      consistencyScore: average('consistencyScore'),
+      consistencyIssues: merge('consistencyIssues'),
+      sensibilityScore: average('sensibilityScore'),
+      sensibilityIssues: merge('sensibilityIssues'),
+      confidenceScore: average('confidenceScore'),
+      hallucinationDetected: verdicts.filter(v => v.hallucinationDetected).length > verdicts.length / 2,
+      hallucinationDetails: merge('hallucinationDetails'),
+      overallQualityScore: validationStatus === 'PASS' ? average('overallQualityScore') : 0.0,
+      reasoning: `${summary} (${tally}). ${agreeing[0]?.validation.reasoning ?? ''}`.trim()
+    },
+    ensemble: {
+      method,
+      votes,
+      passVotes,
+      agreement,
+      spread,
+      highDisagreement: agreement < minAgreement || spread >= maxSpread
+    }
+  };
+}
+
+/**
+ * Agreement between the LLM and rule-based judges of a `--judge both` run
+ * @param {Array} results - Evaluation results (those without result.judges are skipped)
+ * @returns {Object} { total, agreed, rate, checks: { check: { agreed, rate } }, disagreements } - disagreements on status
+ */
+function calculateJudgeAgreement(results) {
+  const compared = results.filter(r => r.judges?.llm && r.judges?.rules);
+  const checks = {};
+  for (const [check, outcome] of Object.entries(JUDGE_CHECKS)) {
+    const agreed = compared.filter(r => outcome(r.judges.llm) === outcome(r.judges.rules)).length;
+    checks[check] = { agreed, rate: compared.length > 0 ? agreed / compared.length : 0 };
+  }
+  return {
+    total: compared.length,
+    agreed: checks.status.agreed,
+    rate: checks.status.rate,
+    checks,
+    disagreements: compared.filter(r => r.judges.llm.validationStatus !== r.judges.rules.validationStatus)
+  };
+}
+
+export {
+  JUDGE_MODES,
+  ENSEMBLE_METHODS,
+  JUDGE_CHECKS,
+  isPresent,
+  parseQuery,
+  parseSearchReport,
+  assessSourceQuality,
+  checkRoute,
+  validateWithRules,
+  createRuleJudge,
+  combineVerdicts,
+  calculateJudgeAgreement
+};
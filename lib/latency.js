@@ -0,0 +1,120 @@
+/**
+ * Latency breakdown - time per pipeline step and per tool call, with percentiles
+ *
+ * summarizeTimings() condenses a case timeline (see lib/timeline.js) into result.timings:
+ *
+ *   { steps: { <step>: ms }, tools: { <tool>: [ms, ...] } }
+ *
+ * A step's time covers all its attempts (retries and backoff are part of the latency);
+ * tool calls keep one entry per call. calculateLatency() turns the results of a run into
+ * p50/p90/p99/max per step, per tool and for whole cases.
+ */
+
+const PERCENTILES = [50, 90, 99];
+
+/**
+ * Step and tool call times of a case
+ * @param {Object} timeline - Case timeline ({ steps, toolCalls })
+ * @returns {Object} { steps: { step: ms }, tools: { tool: [ms] } }
+ */
+function summarizeTimings(timeline) {
+  const steps = {};
+  for (const { step, startedAt, duration } of timeline.steps) {
+    // From the first attempt's start to the last attempt's end
+    const entry = steps[step] ??= { start: startedAt, end: startedAt + duration };
+    entry.start = Math.min(entry.start, startedAt);
+    entry.end = Math.max(entry.end, startedAt + duration);
+  }
+
+  const tools = {};
+  for (const { tool, duration } of timeline.toolCalls || []) {
+    (tools[tool] ??= []).push(duration);
+  }
+  return {
+    steps: Object.fromEntries(Object.entries(steps).map(([step, { start, end }]) => [step, end - start])),
+    tools
+  };
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value
+ */
+function percentile(sorted, p) {
+  const rank = Math.max(1, Math.ceil(p / 100 * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * Distribution of a set of times
+ * @param {Array<number>} values - Times in ms
+ * @returns {Object} { count, mean, p50, p90, p99, max }
+ */
+function describeTimes(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const stats = { count: sorted.length, mean: sorted.reduce((s, v) => s + v, 0) / sorted.length };
+  for (const p of PERCENTILES) {
+    stats[`p${p}`] = percentile(sorted, p);
+  }
+  stats.max = sorted[sorted.length - 1];
+  return stats;
+}
+
+/**
+ * Latency distribution of a run
+ * @param {Array} results - Evaluation results (with `timings`; `duration` for whole cases)
+ * @returns {Object|null} { cases, steps: { step: stats }, tools: { tool: stats } } with stats from
+ *   describeTimes(); null when no result carries timings
+ */
+function calculateLatency(results) {
+  const timed = results.filter(r => r.timings);
+  if (timed.length === 0) return null;
+
+  const steps = {};
+  const tools = {};
+  for (const { timings } of timed) {
+    for (const [step, ms] of Object.entries(timings.steps)) (steps[step] ??= []).push(ms);
+    for (const [tool, calls] of Object.entries(timings.tools)) (tools[tool] ??= []).push(...calls);
+  }
+  const describeAll = groups => Object.fromEntries(Object.entries(groups).map(([name, values]) => [name, describeTimes(values)]));
+
+  return {
+    cases: describeTimes(timed.map(r => parseFloat(r.duration) * 1000)),
+    steps: describeAll(steps),
+    tools: describeAll(tools)
+  };
+}
+
+/**
+ * Slowest cases of a run
+ * @param {Array} results - Evaluation results
+ * @param {number} [limit] - Number of cases
+ * @returns {Array<Object>} { index, result } - slowest first (index is 0-based in results)
+ */
+function findSlowestCases(results, limit = 5) {
+  return results
+    .map((result, index) => ({ index, result }))
+    .sort((a, b) => parseFloat(b.result.duration) - parseFloat(a.result.duration))
+    .slice(0, limit);
+}
+
+/**
+ * Format a time in ms as seconds
+ * @param {number} ms - Time
+ * @returns {string} e.g. "1.25s"
+ */
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(2)}s`;
+}
+
+export {
+  PERCENTILES,
+  summarizeTimings,
+  percentile,
+  describeTimes,
+  calculateLatency,
+  findSlowestCases,
+  formatSeconds
+};
@@ -2,6 +2,26 @@
  * Evaluation metrics calculations (Precision, Recall, F1)
  */
 
+// Weight fields by importance (query-provided fields have lower weight)
+const DEFAULT_WEIGHTS = {
+  airlineCode: 0.5,           // Provided in query
+  departureAirportCode: 0.5,  // Provided in query
+  arrivalAirportCode: 0.5,    // Provided in query
+  flightDate: 0.5,            // Provided in query
+  aircraftName: 1.5,          // Searched by agent
+  flightTime: 1.5             // Searched by agent
+};
+
+/**
+ * Select the results that count towards metrics
+ * @param {Array} results - Array of evaluation results
+ * @param {string} [errorPolicy] - 'exclude' errored cases or 'count' them as misses
+ * @returns {Array} Results to score
+ */
+function selectScoredResults(results, errorPolicy = 'exclude') {
+  return errorPolicy === 'count' ? results : results.filter(r => !r.error);
+}
+
 /**
  * Calculate precision, recall, and F1 score for a single field
  * @param {Array} results - Array of evaluation results
@@ -48,9 +68,10 @@ function calculateFieldMetrics(results, field) {
  * Calculate metrics for all fields
  * @param {Array} results - Array of evaluation results
  * @param {Array} fields - List of field names to evaluate
+ * @param {Object} [weights] - Per-field weights for the overall F1 (missing fields weigh 1.0)
  * @returns {Object} Metrics for each field
  */
-function calculateAllMetrics(results, fields) {
+function calculateAllMetrics(results, fields, weights = DEFAULT_WEIGHTS) {
   const metrics = {};
 
   for (const field of fields) {
@@ -58,21 +79,11 @@ function calculateAllMetrics(results, fields) {
   }
 
   // Calculate overall weighted F1 score
-  // Weight fields by importance (query-provided fields have lower weight)
-  const weights = {
-    airlineCode: 0.5,           // Provided in query
-    departureAirportCode: 0.5,  // Provided in query
-    arrivalAirportCode: 0.5,    // Provided in query
-    flightDate: 0.5,            // Provided in query
-    aircraftName: 1.5,          // Searched by agent
-    flightTime: 1.5             // Searched by agent
-  };
-
   let weightedF1Sum = 0;
   let totalWeight = 0;
 
   for (const field of fields) {
-    const weight = weights[field] || 1.0;
+    const weight = weights[field] ?? 1.0;
     const f1 = metrics[field].f1Raw;
     weightedF1Sum += f1 * weight;
     totalWeight += weight;
@@ -91,19 +102,30 @@ function calculateAllMetrics(results, fields) {
 /**
  * Get summary statistics from results
  * @param {Array} results - Array of evaluation results
+ * @param {string} [errorPolicy] - 'exclude' errored cases from grade stats or 'count' them
  * @returns {Object} Summary statistics
  */
-function getSummaryStats(results) {
+function getSummaryStats(results, errorPolicy = 'exclude') {
   const totalFlights = results.length;
 
-  // Count perfect matches (all fields correct)
+  // Errored cases (pipeline failures, not wrong answers), by error type
+  const errored = results.filter(r => r.error);
+  const errorsByType = {};
+  errored.forEach(r => {
+    const type = r.error.type || 'pipeline';
+    errorsByType[type] = (errorsByType[type] || 0) + 1;
+  });
+  const scored = selectScoredResults(results, errorPolicy);
+
+  // Count perfect matches (all scored fields correct; match === null means excluded from scoring)
   const perfectMatches = results.filter(r => {
     if (!r.comparison) return false;
-    return Object.values(r.comparison).every(c => c && c.match === true);
+    const scored = Object.values(r.comparison).filter(c => c && c.match !== null);
+    return scored.length > 0 && scored.every(c => c.match === true);
   }).length;
 
   // Count flights with at least one field extracted
-  const withData = results.filter(r => {
+  const withData = scored.filter(r => {
     if (!r.extracted) return false;
     return Object.values(r.extracted).some(v => v !== null && v !== undefined && v !== 'null');
   }).length;
@@ -115,7 +137,7 @@ function getSummaryStats(results) {
   let totalGrade = 0;
   let gradeCount = 0;
 
-  results.forEach(r => {
+  scored.forEach(r => {
     if (r.comparison) {
       Object.values(r.comparison).forEach(c => {
         if (c && typeof c.grade === 'number') {
@@ -133,12 +155,16 @@ function getSummaryStats(results) {
     perfectMatches,
     withData,
     flaggedCount,
+    erroredCount: errored.length,
+    errorsByType,
     avgGrade: (avgGrade * 100).toFixed(1) + '%',
     avgGradeRaw: avgGrade
   };
 }
 
 export {
+  DEFAULT_WEIGHTS,
+  selectScoredResults,
   calculateFieldMetrics,
   calculateAllMetrics,
   getSummaryStats
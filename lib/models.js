@@ -0,0 +1,64 @@
+/**
+ * Chat model construction from experiment step config
+ *
+ * A step config looks like:
+ *   { model, baseURL, apiKeyEnv, temperature, timeout }
+ * API keys are never stored in configs - only the name of the env var holding them.
+ */
+
+import { ChatOpenAI } from '@langchain/openai';
+import { cachedFetch, isOfflineReplay } from './cache.js';
+
+/**
+ * Read a step's API key from the environment
+ * @param {Object} step - Step config
+ * @returns {string} API key
+ */
+function requireApiKey(step) {
+  const apiKey = process.env[step.apiKeyEnv];
+  if (!apiKey && isOfflineReplay()) {
+    return 'offline-replay';  // Never sent anywhere
+  }
+  if (!apiKey) {
+    throw new Error(`${step.apiKeyEnv} is not set (see .env.example)`);
+  }
+  return apiKey;
+}
+
+/**
+ * Create a ChatOpenAI client for an OpenAI-compatible endpoint
+ * (requests go through the record/replay cache and the run's rate limits, see
+ * lib/cache.js and lib/rate-limit.js; retries are
+ * left to runStep() in lib/retry.js so they follow the experiment's retry policy)
+ * @param {Object} step - Step config
+ * @param {string} [apiKey] - API key (default: read from step.apiKeyEnv)
+ * @returns {ChatOpenAI} Chat model
+ */
+function createChatModel(step, apiKey = requireApiKey(step)) {
+  return new ChatOpenAI({
+    model: step.model,
+    configuration: {
+      baseURL: step.baseURL,
+      apiKey,
+      fetch: cachedFetch
+    },
+    temperature: step.temperature,
+    timeout: step.timeout ?? undefined,
+    maxRetries: 0
+  });
+}
+
+/**
+ * Describe the models used by each step, for reports
+ * @param {Object} steps - config.steps
+ * @returns {string} e.g. "search: gemini-fast, extract: gemini-fast"
+ */
+function describeModels(steps) {
+  return Object.entries(steps).map(([step, c]) => `${step}: ${c.model}`).join(', ');
+}
+
+export {
+  requireApiKey,
+  createChatModel,
+  describeModels
+};
@@ -0,0 +1,169 @@
+/**
+ * Pipeline discovery and contract
+ *
+ * Pipelines are discovered from:
+ * 1. The built-in pipelines/ directory of this repo
+ * 2. A pipelines/ directory in the working directory (if different)
+ * 3. An optional JSON config file: { "pipelines": { "<name>": "./path/to/module.js" } }
+ *    (paths relative to the config file; entries override discovered files)
+ *
+ * Files starting with "_" are ignored. The registry name is the file name
+ * (or config key) and must match the module's `name`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const BUILTIN_DIR = fileURLToPath(new URL('../pipelines/', import.meta.url));
+
+/**
+ * @typedef {Object} PipelineInput
+ * @property {Object} testCase - Test case from lib/dataset.js
+ * @property {string} query - Natural-language query built from the test case
+ */
+
+/**
+ * @typedef {Object} PipelineOutput
+ * @property {Object} extracted - Extracted flight fields (flightNumber, airlineCode,
+ *   departureAirportCode, arrivalAirportCode, flightDate, flightTime, aircraftName)
+ * @property {string} searchResults - Raw research text the extraction was based on
+ * @property {Object} [validation] - Judge output (ValidationSchema), for judge pipelines
+ *   (left out when the run uses the rule-based judge, config `judge.mode: rules`)
+ * @property {Array<string>} [toolResults] - Raw tool results the research saw (MCP search snippets);
+ *   extracted values are checked against them (see lib/grounding.js)
+ * @property {Object} [ensemble] - Votes of a judge panel (config `judge.panel`, see combineVerdicts
+ *   in lib/judge.js); validation is then their combined verdict
+ * @property {Object} trace - Pipeline-specific record of the run (prompts, messages, step outputs);
+ *   saved in full per case, with LangChain messages as plain JSON (see lib/traces.js)
+ */
+
+/**
+ * @typedef {Object} PipelineDefinition
+ * @property {string} name - Registry name
+ * @property {string} model - Model description for reports
+ * @property {string} architecture - Architecture description for reports
+ * @property {string} defaultDataset - Dataset used when none is given
+ * @property {boolean} [judge] - Whether the pipeline has an LLM judge step (outputs carry a validation
+ *   object unless the run uses `judge.mode: rules`)
+ * @property {Object} [defaults] - Config defaults merged under the experiment config;
+ *   `defaults.steps.<step>` = { model, baseURL, apiKeyEnv, temperature, timeout }
+ * @property {Array<string>} [promptVariants] - Selectable prompt variants (default: ['default'])
+ * @property {Function} create - async (config) → { run(PipelineInput): Promise<PipelineOutput>, close?() },
+ *   where config is the resolved experiment config (see lib/config.js)
+ */
+
+/**
+ * Collect pipeline modules from a directory
+ * @param {string} dir - Directory to scan
+ * @param {Map} registry - name → absolute module path (mutated)
+ */
+function scanDirectory(dir, registry) {
+  if (!fs.existsSync(dir)) return;
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith('.js') || file.startsWith('_')) continue;
+    registry.set(path.basename(file, '.js'), path.join(dir, file));
+  }
+}
+
+/**
+ * Discover every available pipeline
+ * @param {Object} [options]
+ * @param {string} [options.configFile] - JSON file mapping pipeline names to module paths
+ * @returns {Map} name → absolute module path
+ */
+function discoverPipelines(options = {}) {
+  const registry = new Map();
+
+  scanDirectory(BUILTIN_DIR, registry);
+  const localDir = path.resolve('pipelines');
+  if (localDir !== path.resolve(BUILTIN_DIR)) {
+    scanDirectory(localDir, registry);
+  }
+
+  if (options.configFile) {
+    const config = JSON.parse(fs.readFileSync(options.configFile, 'utf8'));
+    const baseDir = path.dirname(path.resolve(options.configFile));
+    for (const [name, modulePath] of Object.entries(config.pipelines || {})) {
+      registry.set(name, path.resolve(baseDir, modulePath));
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * List available pipeline names
+ * @param {Object} [options] - See discoverPipelines()
+ * @returns {Array<string>} Pipeline names
+ */
+function listPipelines(options = {}) {
+  return [...discoverPipelines(options).keys()];
+}
+
+/**
+ * Check that a module implements the pipeline definition contract
+ * @param {Object} definition - Module default export
+ * @param {string} name - Registry name
+ * @param {string} modulePath - Module path (for error messages)
+ */
+function validatePipelineDefinition(definition, name, modulePath) {
+  if (!definition || typeof definition.create !== 'function') {
+    throw new Error(`Pipeline "${name}" (${modulePath}) must default-export an object with create()`);
+  }
+  if (definition.name !== name) {
+    throw new Error(`Pipeline "${name}" (${modulePath}) declares name "${definition.name}"`);
+  }
+  for (const key of ['model', 'architecture', 'defaultDataset']) {
+    if (typeof definition[key] !== 'string') {
+      throw new Error(`Pipeline "${name}" (${modulePath}) is missing "${key}"`);
+    }
+  }
+}
+
+/**
+ * Check that a pipeline run returned { extracted, searchResults, validation?, trace }
+ * @param {Object} output - Value returned by run()
+ * @param {Object} pipeline - Pipeline definition
+ * @param {string|null} [judgeMode] - config.judge.mode ('llm' and 'both' need the pipeline's validation)
+ */
+function validatePipelineOutput(output, pipeline, judgeMode = pipeline.judge ? 'llm' : null) {
+  if (!output || typeof output.extracted !== 'object' || output.extracted === null) {
+    throw new Error(`Pipeline "${pipeline.name}" returned no extracted object`);
+  }
+  if (typeof output.searchResults !== 'string') {
+    throw new Error(`Pipeline "${pipeline.name}" returned no searchResults text`);
+  }
+  if (pipeline.judge && judgeMode !== 'rules' && !output.validation) {
+    throw new Error(`Pipeline "${pipeline.name}" is a judge pipeline but returned no validation`);
+  }
+  if (!output.trace) {
+    throw new Error(`Pipeline "${pipeline.name}" returned no trace`);
+  }
+}
+
+/**
+ * Load a pipeline definition by name
+ * @param {string} name - Pipeline name (e.g., "chain-judge")
+ * @param {Object} [options] - See discoverPipelines()
+ * @returns {Promise<PipelineDefinition>} Pipeline definition
+ */
+async function loadPipeline(name, options = {}) {
+  const registry = discoverPipelines(options);
+  const modulePath = registry.get(name);
+  if (!modulePath) {
+    throw new Error(`Unknown pipeline "${name}". Available: ${[...registry.keys()].join(', ')}`);
+  }
+
+  const module = await import(pathToFileURL(modulePath).href);
+  validatePipelineDefinition(module.default, name, modulePath);
+  return module.default;
+}
+
+export {
+  discoverPipelines,
+  listPipelines,
+  loadPipeline,
+  validatePipelineOutput
+};
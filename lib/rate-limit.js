@@ -0,0 +1,138 @@
+/**
+ * Request limiting for model endpoints
+ *
+ * Every model request (ChatOpenAI clients from lib/models.js and raw fetch calls
+ * in pipelines) goes through limitedFetch(), which enforces:
+ * - a global cap on requests in flight
+ * - a requests-per-minute limit per endpoint host (e.g. "gen.pollinations.ai",
+ *   "localhost:4000"); the "*" key applies to hosts without their own entry
+ */
+
+const WINDOW_MS = 60000;
+
+let limits = { maxInFlight: null, rpm: {} };
+let inFlight = 0;
+const waiting = [];
+const windows = new Map();  // host → { starts: [timestamps], queue: Promise }
+
+/**
+ * Set the limits used by limitedFetch() (call once per run)
+ * @param {Object} [options] - config.concurrency
+ * @param {number|null} [options.maxInFlight] - Max concurrent requests (null = unlimited)
+ * @param {Object} [options.rpm] - host → requests per minute ("*" = default)
+ */
+function configureRequestLimits(options = {}) {
+  limits = { maxInFlight: options.maxInFlight ?? null, rpm: options.rpm || {} };
+  windows.clear();
+}
+
+/**
+ * Requests-per-minute limit for a host
+ * @param {string} host - URL host
+ * @returns {number|null} Limit or null if unlimited
+ */
+function getRpmLimit(host) {
+  return limits.rpm[host] ?? limits.rpm['*'] ?? null;
+}
+
+/**
+ * Wait until the host's sliding one-minute window has room, then record the request
+ * @param {string} host - URL host
+ * @returns {Promise<void>}
+ */
+function acquireRateSlot(host) {
+  const rpm = getRpmLimit(host);
+  if (!rpm) return Promise.resolve();
+
+  if (!windows.has(host)) {
+    windows.set(host, { starts: [], queue: Promise.resolve() });
+  }
+  const window = windows.get(host);
+
+  // Serialize per host so concurrent callers don't race for the same slot
+  window.queue = window.queue.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      while (window.starts.length > 0 && now - window.starts[0] >= WINDOW_MS) {
+        window.starts.shift();
+      }
+      if (window.starts.length < rpm) {
+        window.starts.push(now);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, WINDOW_MS - (now - window.starts[0])));
+    }
+  });
+  return window.queue;
+}
+
+/**
+ * Wait for a free in-flight slot
+ * @returns {Promise<void>}
+ */
+function acquireInFlightSlot() {
+  if (!limits.maxInFlight || inFlight < limits.maxInFlight) {
+    inFlight++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+/**
+ * Release an in-flight slot (handing it straight to the next waiter)
+ */
+function releaseInFlightSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    inFlight--;
+  }
+}
+
+/**
+ * fetch() with the configured in-flight cap and per-host rate limits
+ * @param {string|URL|Request} input - Request URL
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<Response>} Response
+ */
+async function limitedFetch(input, init) {
+  const url = new URL(typeof input === 'string' || input instanceof URL ? input : input.url);
+
+  await acquireInFlightSlot();
+  try {
+    await acquireRateSlot(url.host);
+    return await fetch(input, init);
+  } finally {
+    releaseInFlightSlot();
+  }
+}
+
+/**
+ * Map over items with at most `limit` concurrent workers, keeping input order in the output
+ * @param {Array} items - Items to process
+ * @param {number} limit - Number of workers
+ * @param {Function} fn - async (item, index) → result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+export {
+  configureRequestLimits,
+  limitedFetch,
+  mapWithConcurrency
+};
@@ -0,0 +1,691 @@
+/**
+ * Report generators shared by every pipeline (Markdown, Label Studio JSON, CSV)
+ */
+
+import { AIRCRAFT_MATCH_LEVELS, getAircraftBody, getAircraftVariant } from './aircraft-utils.js';
+import { SCORED_FIELDS, DEFAULT_SCORING, timeToMinutes } from './scoring.js';
+import { checkFlightTime, formatMinutes } from './route.js';
+import { formatDurationToTime } from './dataset.js';
+import { DEFAULT_WEIGHTS, calculateAllMetrics, getSummaryStats, selectScoredResults } from './metrics.js';
+import { calculateJudgeAgreement } from './judge.js';
+import { calculateSourceAccuracy } from './sources.js';
+import { GROUNDING_STATUSES } from './grounding.js';
+import { calculateRunUsage, formatCost } from './cost.js';
+import { PERCENTILES, calculateLatency, findSlowestCases, formatSeconds } from './latency.js';
+import { bootstrapMetrics, formatInterval } from './statistics.js';
+
+const FIELD_LABELS = {
+  airlineCode: 'Airline Code',
+  departureAirportCode: 'Departure Airport',
+  arrivalAirportCode: 'Arrival Airport',
+  flightDate: 'Flight Date',
+  aircraftName: 'Aircraft Name',
+  flightTime: 'Flight Duration'
+};
+
+/**
+ * Label of any extracted field (flight numbers are not scored, so not in FIELD_LABELS)
+ * @param {string} field - Field name
+ * @returns {string} Label
+ */
+function fieldLabel(field) {
+  return FIELD_LABELS[field] ?? 'Flight Number';
+}
+
+const FLAG_TITLES = {
+  'aircraft_missing': 'Aircraft Missing (but duration found)',
+  'aircraft_mismatch': 'Aircraft Mismatch',
+  'duration_error': 'Duration Error (>30min off)',
+  'duration_implausible': 'Implausible Duration (outside expected block time for the route distance)',
+  'low_quality': 'Low Quality (3+ null fields)',
+  'ground_truth_mismatch': 'Ground Truth Disputed (stored duration ≠ scheduled times)',
+  'judge_disagreement': 'Judge Disagreement (panel split on the verdict or quality)',
+  'ungrounded': 'Ungrounded Values (searched fields not in, or contradicted by, the tool results)',
+  'pipeline_error': 'Pipeline Error'
+};
+
+/**
+ * Format a result's error record
+ * @param {Object|string} error - result.error ({ type, step, message, attempts })
+ * @returns {string} e.g. "[transport] search: HTTP 503 (3 attempts)"
+ */
+function formatError(error) {
+  if (typeof error === 'string') return error;
+  const step = error.step ? `${error.step}: ` : '';
+  const attempts = error.attempts > 1 ? ` (${error.attempts} attempts)` : '';
+  return `[${error.type}] ${step}${error.message}${attempts}`;
+}
+
+/**
+ * Get match emoji for a field comparison
+ * @param {Object} comp - { match, grade }
+ * @returns {string} Emoji
+ */
+function getMatchEmoji(comp) {
+  if (!comp) return '⬜';
+  if (comp.match === null) return '➖'; // Excluded from scoring
+  if (comp.match === true) {
+    if (comp.grade === 1.0) return '✅';
+    if (comp.grade >= 0.7) return '⚠️'; // Partial match
+    return '✅';
+  }
+  return '❌';
+}
+
+/**
+ * Format a field grade for the report tables
+ * @param {Object} comp - { match, grade, level? }
+ * @returns {string} Grade with one decimal, plus the aircraft match level (e.g. "0.8 (family)")
+ */
+function formatGrade(comp) {
+  const grade = comp?.grade?.toFixed(1) || '0.0';
+  return comp?.level ? `${grade} (${comp.level})` : grade;
+}
+
+/**
+ * Format the extracted aircraft, with the model's wording when it was normalized
+ * @param {Object} extracted - Extracted data
+ * @returns {string} e.g. 'Boeing 737 MAX 8 (from "737-8 MAX", 90%)'
+ */
+function formatExtractedAircraft(extracted) {
+  if (!extracted.aircraftName) return 'null';
+  if (!extracted.aircraftNameRaw) return extracted.aircraftName;
+  const confidence = (extracted.aircraftNameNormalization.confidence * 100).toFixed(0);
+  return `${extracted.aircraftName} (from "${extracted.aircraftNameRaw}", ${confidence}%)`;
+}
+
+/**
+ * Count aircraft comparisons per match level
+ * @param {Array} results - Evaluation results
+ * @returns {string} e.g. "variant: 3, family: 1, none: 1" (levels without cases omitted)
+ */
+function formatAircraftLevels(results) {
+  const counts = {};
+  for (const r of results) {
+    const level = r.comparison?.aircraftName?.level;
+    if (level) counts[level] = (counts[level] || 0) + 1;
+  }
+  return AIRCRAFT_MATCH_LEVELS.filter(level => counts[level]).map(level => `${level}: ${counts[level]}`).join(', ');
+}
+
+/**
+ * Generate the per-source accuracy table (empty when the pipeline recorded no sources)
+ * @param {Array<Object>} sources - calculateSourceAccuracy() output
+ * @returns {string} Markdown
+ */
+function generateSourceAccuracy(sources) {
+  if (sources.length === 0) return '';
+
+  let markdown = `### Accuracy by Source\n\n`;
+  markdown += `| Source | Fields Cited | Correct | Accuracy | By Field |\n`;
+  markdown += `|--------|--------------|---------|----------|----------|\n`;
+  for (const { source, cited, correct, accuracy, fields } of sources) {
+    const byField = Object.entries(fields)
+      .map(([field, f]) => `${FIELD_LABELS[field]} ${f.correct}/${f.cited}`)
+      .join(', ');
+    markdown += `| ${source} | ${cited} | ${correct} | ${(accuracy * 100).toFixed(1)}% | ${byField} |\n`;
+  }
+  markdown += `\n`;
+  return markdown;
+}
+
+/**
+ * Generate the groundedness table: per field, how many extracted values the raw tool results
+ * support, leave open or contradict (empty when no result was checked)
+ * @param {Array} results - Results with a grounding check
+ * @returns {string} Markdown
+ */
+function generateGroundingSummary(results) {
+  if (results.length === 0) return '';
+
+  let markdown = `### Groundedness (Tool Results)\n\n`;
+  markdown += `| Field | Grounded | Ungrounded | Contradicted |\n`;
+  markdown += `|-------|----------|------------|--------------|\n`;
+  for (const field of ['flightNumber', ...SCORED_FIELDS]) {
+    const statuses = results.map(r => r.grounding.fields[field]?.status).filter(Boolean);
+    if (statuses.length === 0) continue;
+    const counts = GROUNDING_STATUSES.map(status => statuses.filter(s => s === status).length);
+    markdown += `| ${fieldLabel(field)} | ${counts.join(' | ')} |\n`;
+  }
+  const withoutTools = results.filter(r => r.grounding.toolResults === 0).length;
+  markdown += `\n`;
+  if (withoutTools > 0) {
+    markdown += `**No Tool Results:** ${withoutTools}/${results.length} cases (every value ungrounded)\n\n`;
+  }
+  return markdown;
+}
+
+/**
+ * Describe the grounding of a case's fields
+ * @param {Object} grounding - result.grounding (see lib/grounding.js)
+ * @returns {string} e.g. "Flight Number ✅, Flight Duration ❌ contradicted (2h 05m)"
+ */
+function formatGrounding(grounding) {
+  const icons = { grounded: '✅', ungrounded: '❔', contradicted: '❌' };
+  const fields = Object.entries(grounding.fields).map(([field, { status, found }]) => {
+    const label = fieldLabel(field);
+    return status === 'grounded' ? `${label} ${icons[status]}` : `${label} ${icons[status]} ${status}${found ? ` (${found.join(', ')})` : ''}`;
+  });
+  return `${fields.join(', ')} - ${grounding.toolResults} tool results`;
+}
+
+/**
+ * Render the source attribution of a case as a collapsible list
+ * @param {Object} sources - result.sources (field → { site, evidence })
+ * @returns {string} Markdown
+ */
+function formatSources(sources) {
+  let markdown = `<details>\n<summary>View Sources</summary>\n\n`;
+  for (const [field, { site, evidence }] of Object.entries(sources)) {
+    if (!site && !evidence) continue;
+    markdown += `- ${fieldLabel(field)}: ${site || 'unattributed'}${evidence ? ` - ${evidence}` : ''}\n`;
+  }
+  markdown += `</details>\n\n`;
+  return markdown;
+}
+
+/**
+ * Describe each judge's vote of a panel and their spread
+ * @param {Object} ensemble - result.ensemble (see combineVerdicts in lib/judge.js)
+ * @returns {string} e.g. "gpt PASS (0.85), mistral FAIL (0.00) - agreement 50%, spread 0.85"
+ */
+function formatVotes(ensemble) {
+  const votes = ensemble.votes.map(({ judge, validation, error }) => validation
+    ? `${judge} ${validation.validationStatus} (${validation.overallQualityScore.toFixed(2)})`
+    : `${judge} error (${error.message})`);
+  return `${votes.join(', ')} - agreement ${(ensemble.agreement * 100).toFixed(0)}%, spread ${ensemble.spread.toFixed(2)}`;
+}
+
+/**
+ * Describe the field weights of the weighted F1
+ * @param {Object} weights - Per-field weights (missing fields weigh 1.0, as in calculateAllMetrics)
+ * @returns {string} e.g. "Weighted F1 field weights: Airline Code, Flight Date 0.5x; Aircraft Name 1.5x."
+ */
+function describeWeights(weights) {
+  const groups = new Map();
+  for (const field of SCORED_FIELDS) {
+    const weight = weights[field] ?? 1.0;
+    groups.set(weight, [...(groups.get(weight) || []), FIELD_LABELS[field]]);
+  }
+  const parts = [...groups].sort(([a], [b]) => a - b).map(([weight, labels]) => `${labels.join(', ')} ${weight}x`);
+  return `Weighted F1 field weights: ${parts.join('; ')}.`;
+}
+
+/**
+ * Generate the confidence interval section
+ * @param {Object} intervals - Bootstrap intervals from bootstrapMetrics()
+ * @returns {string} Markdown
+ */
+function generateConfidenceIntervals(intervals) {
+  let markdown = `### Confidence Intervals\n\n`;
+  markdown += `${Math.round(intervals.confidence * 100)}% bootstrap intervals (${intervals.samples} resamples of the ${intervals.cases} scored flights).\n\n`;
+  markdown += `| Field | Precision | Recall | F1 Score |\n`;
+  markdown += `|-------|-----------|--------|----------|\n`;
+  for (const field of SCORED_FIELDS) {
+    const ci = intervals.fields[field];
+    markdown += `| ${FIELD_LABELS[field]} | ${formatInterval(ci.precision)} | ${formatInterval(ci.recall)} | ${formatInterval(ci.f1)} |\n`;
+  }
+  markdown += `| **Weighted F1** | | | ${formatInterval(intervals.weightedF1)} |\n\n`;
+  return markdown;
+}
+
+/**
+ * Generate the token usage and cost section
+ * @param {Object} usage - Run usage from calculateRunUsage()
+ * @returns {string} Markdown
+ */
+function generateUsageSummary(usage) {
+  let markdown = `### Token Usage and Cost\n\n`;
+  markdown += `| Step | Requests | Input Tokens | Output Tokens | Total Tokens | Cost |\n`;
+  markdown += `|------|----------|--------------|---------------|--------------|------|\n`;
+  for (const [step, s] of Object.entries(usage.steps)) {
+    markdown += `| ${step} | ${s.requests} | ${s.inputTokens} | ${s.outputTokens} | ${s.totalTokens} | ${formatCost(s.cost)} |\n`;
+  }
+  markdown += `| **Total** | ${usage.requests} | ${usage.inputTokens} | ${usage.outputTokens} | ${usage.totalTokens} | ${formatCost(usage.cost)} |\n\n`;
+  markdown += `**Cost per Flight:** ${formatCost(usage.costPerCase)} (${usage.cases} flights)\n\n`;
+  if (usage.unpriced.length > 0) {
+    markdown += `**Note:** No price for ${usage.unpriced.join(', ')} (config \`cost.prices\`) - their tokens are not in the cost.\n\n`;
+  }
+  return markdown;
+}
+
+/**
+ * Format a step time breakdown
+ * @param {Object} timings - result.timings
+ * @returns {string} e.g. "search 12.30s, extract 2.10s"
+ */
+function formatStepTimes(timings) {
+  return Object.entries(timings.steps).map(([step, ms]) => `${step} ${formatSeconds(ms)}`).join(', ');
+}
+
+/**
+ * Generate the latency section (percentiles per step and tool, slowest flights)
+ * @param {Object} latency - Run latency from calculateLatency()
+ * @param {Array} results - Evaluation results
+ * @returns {string} Markdown
+ */
+function generateLatencySummary(latency, results) {
+  const row = (name, t) => `| ${name} | ${t.count} | ${PERCENTILES.map(p => formatSeconds(t[`p${p}`])).join(' | ')} | ${formatSeconds(t.max)} |\n`;
+
+  let markdown = `### Latency\n\n`;
+  markdown += `| Stage | Count | ${PERCENTILES.map(p => `p${p}`).join(' | ')} | Max |\n`;
+  markdown += `|-------|-------|${PERCENTILES.map(() => '-----|').join('')}-----|\n`;
+  for (const [step, t] of Object.entries(latency.steps)) markdown += row(step, t);
+  for (const [tool, t] of Object.entries(latency.tools)) markdown += row(`tool: ${tool}`, t);
+  markdown += row('**Whole flight**', latency.cases);
+  markdown += `\n`;
+
+  markdown += `### Slowest Flights\n\n`;
+  markdown += `| # | Flight | Duration | Steps |\n`;
+  markdown += `|---|--------|----------|-------|\n`;
+  for (const { index, result } of findSlowestCases(results)) {
+    markdown += `| ${index + 1} | ${result.query} | ${result.duration}s | ${result.timings ? formatStepTimes(result.timings) : '-'} |\n`;
+  }
+  markdown += `\n`;
+  return markdown;
+}
+
+/**
+ * Generate the validation (LLM judge) summary section
+ * @param {Array} results - Results that carry a validation object
+ * @returns {string} Markdown
+ */
+function generateValidationSummary(results) {
+  if (results.length === 0) return '';
+  const passedValidation = results.filter(r => r.validation.validationStatus === 'PASS').length;
+  const consistencyFailures = results.filter(r => r.validation.consistencyIssues.length > 0).length;
+  const sensibilityFailures = results.filter(r => r.validation.sensibilityIssues.length > 0).length;
+  const hallucinations = results.filter(r => r.validation.hallucinationDetected).length;
+
+  const average = (key) => results.reduce((sum, r) => sum + r.validation[key], 0) / results.length;
+
+  let markdown = `## Validation Summary\n\n`;
+  markdown += `**Judge Validation Pass Rate:** ${passedValidation}/${results.length} (${(passedValidation / results.length * 100).toFixed(1)}%)\n\n`;
+  markdown += `### Validation Failures\n`;
+  markdown += `- Consistency Failures: ${consistencyFailures}\n`;
+  markdown += `- Sensibility Failures: ${sensibilityFailures}\n`;
+  markdown += `- Hallucinations Detected: ${hallucinations}\n\n`;
+  const panels = results.filter(r => r.ensemble);
+  if (panels.length > 0) {
+    const split = panels.filter(r => r.ensemble.highDisagreement).length;
+    markdown += `**Judge Panel:** ${panels[0].ensemble.votes.length} judges, ${panels[0].ensemble.method} vote - `;
+    markdown += `${split}/${panels.length} cases with high disagreement\n\n`;
+  }
+  markdown += `### Average Scores\n`;
+  markdown += `- Consistency: ${average('consistencyScore').toFixed(2)}\n`;
+  markdown += `- Sensibility: ${average('sensibilityScore').toFixed(2)}\n`;
+  markdown += `- Confidence: ${average('confidenceScore').toFixed(2)}\n`;
+  markdown += `- Overall Quality: ${average('overallQualityScore').toFixed(2)}\n\n`;
+  markdown += `---\n\n`;
+
+  return markdown;
+}
+
+/**
+ * Generate the agreement section of a run judged by both the LLM and the rules
+ * @param {Object} agreement - calculateJudgeAgreement() output
+ * @returns {string} Markdown
+ */
+function generateJudgeAgreement(agreement) {
+  const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+  let markdown = `## Judge Agreement (LLM vs Rules)\n\n`;
+  markdown += `**Validation Status Agreement:** ${agreement.agreed}/${agreement.total} (${percent(agreement.rate)})\n\n`;
+  markdown += `| Check | Agreed | Rate |\n`;
+  markdown += `|-------|--------|------|\n`;
+  for (const [check, { agreed, rate }] of Object.entries(agreement.checks)) {
+    markdown += `| ${check} | ${agreed}/${agreement.total} | ${percent(rate)} |\n`;
+  }
+  markdown += `\n`;
+
+  if (agreement.disagreements.length > 0) {
+    markdown += `### Status Disagreements\n\n`;
+    for (const r of agreement.disagreements) {
+      markdown += `- ${r.query}: LLM ${r.judges.llm.validationStatus}, rules ${r.judges.rules.validationStatus} - ${r.judges.rules.reasoning}\n`;
+    }
+    markdown += `\n`;
+  }
+  markdown += `---\n\n`;
+
+  return markdown;
+}
+
+/**
+ * Generate the judge block for a single result
+ * @param {Object} validation - Validation output
+ * @returns {string} Markdown
+ */
+function generateValidationDetails(validation) {
+  let markdown = `**Judge Validation:**\n`;
+  markdown += `- Consistency: ${(validation.consistencyScore * 100).toFixed(0)}%`;
+  if (validation.consistencyIssues.length > 0) {
+    markdown += ` ⚠️ ${validation.consistencyIssues.join(', ')}`;
+  }
+  markdown += `\n`;
+  markdown += `- Sensibility: ${(validation.sensibilityScore * 100).toFixed(0)}%`;
+  if (validation.sensibilityIssues.length > 0) {
+    markdown += ` ⚠️ ${validation.sensibilityIssues.join(', ')}`;
+  }
+  markdown += `\n`;
+  markdown += `- Confidence: ${(validation.confidenceScore * 100).toFixed(0)}%\n`;
+  if (validation.hallucinationDetected) {
+    markdown += `- 🚨 Hallucination: ${validation.hallucinationDetails.join(', ')}\n`;
+  }
+  markdown += `\n**Reasoning:** ${validation.reasoning}\n\n`;
+
+  return markdown;
+}
+
+/**
+ * Generate markdown report with automated metrics
+ * @param {Array} results - Evaluation results
+ * @param {Object} run - Run metadata ({ timestamp, model, architecture, config? })
+ * @returns {string} Markdown
+ */
+function generateMarkdownReport(results, run) {
+  const scoring = { ...DEFAULT_SCORING, ...run.config?.scoring };
+  scoring.aircraftGrades = { ...DEFAULT_SCORING.aircraftGrades, ...run.config?.scoring?.aircraftGrades };
+  const scored = selectScoredResults(results, scoring.errors);
+  const metrics = calculateAllMetrics(scored, SCORED_FIELDS, scoring.weights);
+  const intervals = bootstrapMetrics(scored, SCORED_FIELDS, scoring.weights);
+  const summary = getSummaryStats(results, scoring.errors);
+  const judged = scored.filter(r => r.validation);
+  const usage = calculateRunUsage(results);
+
+  // Count flagged cases
+  const flaggedCases = results.filter(r => r.flags && r.flags.length > 0);
+
+  let markdown = `# Flight Search Evaluation Report\n\n`;
+  markdown += `**Generated:** ${new Date(run.timestamp).toISOString()}\n`;
+  markdown += `**Pipeline:** ${run.pipeline}\n`;
+  markdown += `**Model:** ${run.model}\n`;
+  markdown += `**Architecture:** ${run.architecture}\n`;
+  if (run.config?.judge?.mode) {
+    markdown += `**Judge:** ${run.config.judge.mode}\n`;
+  }
+  markdown += `**Total Flights:** ${results.length}\n`;
+  const totalDuration = results.reduce((s, r) => s + parseFloat(r.duration || 0), 0);
+  markdown += `**Avg Duration:** ${(results.length > 0 ? totalDuration / results.length : 0).toFixed(2)}s\n`;
+  if (usage) {
+    markdown += `**Total Cost:** ${formatCost(usage.cost)} (${usage.totalTokens} tokens)\n`;
+  }
+  if (run.stopped) {
+    markdown += `**Stopped:** ${formatCost(run.stopped.budget)} budget reached after ${run.stopped.completed}/${run.stopped.total} flights\n`;
+  }
+  markdown += `\n`;
+  markdown += `---\n\n`;
+
+  // Summary Metrics Section
+  markdown += `## Summary Metrics\n\n`;
+  markdown += `### Overall Accuracy\n\n`;
+  markdown += `| Field | Extracted | Correct | Precision | Recall | F1 Score |\n`;
+  markdown += `|-------|-----------|---------|-----------|--------|----------|\n`;
+  for (const field of SCORED_FIELDS) {
+    const m = metrics[field];
+    markdown += `| ${FIELD_LABELS[field]} | ${m.extracted}/${m.total} | ${m.correct} | ${m.precision} | ${m.recall} | ${m.f1} |\n`;
+  }
+  const weightedInterval = intervals ? ` (${Math.round(intervals.confidence * 100)}% CI ${formatInterval(intervals.weightedF1)})` : '';
+  markdown += `\n**Overall Weighted F1 Score:** ${metrics.overall.weightedF1}${weightedInterval}\n\n`;
+  markdown += `**Note:** Flight numbers excluded from scoring (too ambiguous with multiple flights per route).\n`;
+  markdown += `${describeWeights(scoring.weights ?? DEFAULT_WEIGHTS)}\n\n`;
+  if (intervals) {
+    markdown += generateConfidenceIntervals(intervals);
+  }
+
+  markdown += `### Summary Statistics\n\n`;
+  markdown += `- **Perfect Matches:** ${summary.perfectMatches}/${summary.totalFlights} (all fields correct)\n`;
+  markdown += `- **With Data:** ${summary.withData}/${summary.totalFlights} (at least one field extracted)\n`;
+  markdown += `- **Flagged for Review:** ${summary.flaggedCount}/${summary.totalFlights}\n`;
+  const aircraftLevels = formatAircraftLevels(scored);
+  if (aircraftLevels) {
+    markdown += `- **Aircraft Match Levels:** ${aircraftLevels}\n`;
+  }
+  if (summary.erroredCount > 0) {
+    const byType = Object.entries(summary.errorsByType).map(([type, n]) => `${type}: ${n}`).join(', ');
+    const policy = scoring.errors === 'count' ? 'counted as misses' : 'excluded from metrics';
+    markdown += `- **Errored:** ${summary.erroredCount}/${summary.totalFlights} (${byType}) - ${policy}\n`;
+  }
+  markdown += `- **Average Grade:** ${summary.avgGrade}\n\n`;
+  markdown += generateSourceAccuracy(calculateSourceAccuracy(scored));
+  markdown += generateGroundingSummary(scored.filter(r => r.grounding));
+  if (usage) {
+    markdown += generateUsageSummary(usage);
+  }
+  const latency = calculateLatency(results);
+  if (latency) {
+    markdown += generateLatencySummary(latency, results);
+  }
+  markdown += `---\n\n`;
+
+  if (judged.length > 0) {
+    markdown += generateValidationSummary(judged);
+  }
+  const agreement = calculateJudgeAgreement(scored);
+  if (agreement.total > 0) {
+    markdown += generateJudgeAgreement(agreement);
+  }
+
+  // Individual Flight Results
+  markdown += `## Detailed Results\n\n`;
+
+  results.forEach((result, idx) => {
+    const { query, groundTruth, extracted, validation, comparison, flags, duration } = result;
+
+    // Add flag and validation indicators in title
+    const flagIndicator = flags && flags.length > 0 ? ' 🔍' : '';
+    const validationIndicator = validation ? (validation.validationStatus === 'PASS' ? ' ✅' : ' ❌') : '';
+    markdown += `### ${idx + 1}. ${query}${validationIndicator}${flagIndicator}\n\n`;
+    markdown += `**Duration:** ${duration}s`;
+    if (result.usage) {
+      markdown += ` | **Tokens:** ${result.usage.totalTokens} | **Cost:** ${formatCost(result.usage.cost)}`;
+    }
+    if (validation) {
+      markdown += ` | **Validation:** ${validation.validationStatus} | **Quality:** ${(validation.overallQualityScore * 100).toFixed(0)}%`;
+    }
+    if (flags && flags.length > 0) {
+      markdown += ` | **Flags:** ${flags.join(', ')}`;
+    }
+    markdown += `\n\n`;
+
+    markdown += `| Field | Ground Truth | Extracted | Match | Grade |\n`;
+    markdown += `|-------|--------------|-----------|-------|-------|\n`;
+    markdown += `| Flight Number | ${groundTruth.airlineCode}${groundTruth.flightNumber} | ${extracted.airlineCode || '?'}${extracted.flightNumber || '?'} | ${getMatchEmoji(comparison.flightNumber)} | N/A |\n`;
+    markdown += `| Airline | ${groundTruth.airlineCode} | ${extracted.airlineCode || 'null'} | ${getMatchEmoji(comparison.airlineCode)} | ${formatGrade(comparison.airlineCode)} |\n`;
+    markdown += `| Departure | ${groundTruth.originCode} | ${extracted.departureAirportCode || 'null'} | ${getMatchEmoji(comparison.departureAirportCode)} | ${formatGrade(comparison.departureAirportCode)} |\n`;
+    markdown += `| Arrival | ${groundTruth.destinationCode} | ${extracted.arrivalAirportCode || 'null'} | ${getMatchEmoji(comparison.arrivalAirportCode)} | ${formatGrade(comparison.arrivalAirportCode)} |\n`;
+    markdown += `| Date | ${groundTruth.date} | ${extracted.flightDate || 'null'} | ${getMatchEmoji(comparison.flightDate)} | ${formatGrade(comparison.flightDate)} |\n`;
+    markdown += `| Aircraft | ${getAircraftVariant(groundTruth.aircraft)} | ${formatExtractedAircraft(extracted)} | ${getMatchEmoji(comparison.aircraftName)} | ${formatGrade(comparison.aircraftName)} |\n`;
+    markdown += `| Duration | ${groundTruth.duration} | ${extracted.flightTime || 'null'} | ${getMatchEmoji(comparison.flightTime)} | ${formatGrade(comparison.flightTime)} |\n\n`;
+
+    if (result.grounding) {
+      markdown += `**Grounding:** ${formatGrounding(result.grounding)}\n\n`;
+    }
+    if (result.sources) {
+      markdown += formatSources(result.sources);
+    }
+
+    if (result.error) {
+      markdown += `**Error:** ${formatError(result.error)}\n\n`;
+    }
+
+    const assessment = extracted.overallAssessment || extracted.validationNotes;
+    if (assessment) {
+      markdown += `**Assessment:** ${assessment}\n\n`;
+    }
+
+    if (validation) {
+      markdown += generateValidationDetails(validation);
+    }
+    if (result.ensemble) {
+      markdown += `**Judge Votes:** ${formatVotes(result.ensemble)}\n\n`;
+    }
+    if (result.judges) {
+      const agrees = result.judges.rules.validationStatus === validation.validationStatus;
+      markdown += `**Rules Judge:** ${result.judges.rules.validationStatus} (${agrees ? 'agrees' : 'disagrees'}) - ${result.judges.rules.reasoning}\n\n`;
+    }
+
+    markdown += `<details>\n<summary>View Extracted JSON</summary>\n\n\`\`\`json\n${JSON.stringify(extracted, null, 2)}\n\`\`\`\n</details>\n\n`;
+    markdown += `---\n\n`;
+  });
+
+  // Flagged Cases Section
+  if (flaggedCases.length > 0) {
+    markdown += `## Cases Flagged for Manual Review\n\n`;
+    markdown += `**Total Flagged:** ${flaggedCases.length}/${results.length}\n\n`;
+
+    for (const [flagType, title] of Object.entries(FLAG_TITLES)) {
+      const cases = flaggedCases.filter(r => r.flags.includes(flagType));
+      if (cases.length === 0) continue;
+
+      markdown += `### ${title}\n\n`;
+      markdown += `**Count:** ${cases.length}\n\n`;
+
+      cases.forEach(result => {
+        const resultIdx = results.indexOf(result) + 1;
+        markdown += `- **Flight ${resultIdx}:** ${result.query}\n`;
+        if (flagType === 'pipeline_error') {
+          markdown += `  - ${formatError(result.error)}\n`;
+          return;
+        }
+        if (flagType === 'ungrounded') {
+          const { fields, toolResults } = result.grounding;
+          for (const field of result.grounding.unsupported) {
+            const found = fields[field].found ? ` (tool results: ${fields[field].found.join(', ')})` : '';
+            markdown += `  - ${fieldLabel(field)}: ${result.extracted[field]} ${fields[field].status}${found}\n`;
+          }
+          if (toolResults === 0) markdown += `  - No tool results\n`;
+          return;
+        }
+        if (flagType === 'judge_disagreement') {
+          markdown += `  - Verdict: ${result.validation.validationStatus}, Votes: ${formatVotes(result.ensemble)}\n`;
+          return;
+        }
+        if (flagType === 'ground_truth_mismatch') {
+          const { stored, scheduled } = result.groundTruth.blockTime;
+          markdown += `  - Stored Duration: ${formatDurationToTime(stored)}, Scheduled Block Time: ${formatDurationToTime(scheduled)}, Extracted: ${result.extracted.flightTime || 'null'}\n`;
+          return;
+        }
+        markdown += `  - Ground Truth Aircraft: ${getAircraftVariant(result.groundTruth.aircraft)}, Extracted: ${formatExtractedAircraft(result.extracted)}\n`;
+        markdown += `  - Ground Truth Duration: ${result.groundTruth.duration}, Extracted: ${result.extracted.flightTime || 'null'}\n`;
+        if (flagType === 'duration_implausible') {
+          const { band, distanceKm, haul } = checkFlightTime(timeToMinutes(result.extracted.flightTime), result.groundTruth.distanceKm, {
+            body: getAircraftBody(result.extracted.aircraftName)
+          });
+          markdown += `  - Expected Block Time: ${formatMinutes(band.min)}-${formatMinutes(band.max)} (${distanceKm} km, ${haul}-haul)\n`;
+        }
+      });
+
+      markdown += `\n`;
+    }
+  }
+
+  markdown += `## Scoring Legend\n\n`;
+  markdown += `- ✅ = Correct match (grade 1.0 or aircraft family match ${scoring.aircraftGrades.family})\n`;
+  markdown += `- ⚠️ = Partial match (e.g., duration within ±${scoring.durationPartialTolerance}min = ${scoring.durationPartialGrade})\n`;
+  markdown += `- ❌ = Wrong or NOT FOUND (grade 0.0)\n`;
+  markdown += `- ➖ = Excluded from scoring (flight numbers)\n`;
+  markdown += `- 🔍 = Flagged for manual review\n\n`;
+  markdown += `**Grading System:**\n`;
+  const grade = (level) => scoring.aircraftGrades[level].toFixed(1);
+  markdown += `- Aircraft: ${grade('variant')} = same variant, ${grade('subfamily')} = same model (e.g., Boeing 737-800 ≈ Boeing 737NG), `
+    + `${grade('family')} = same family (e.g., Boeing 737NG ≈ Boeing 737MAX), ${grade('manufacturer')} = same manufacturer and body class, `
+    + `${grade('body')} = same body class only, ${grade('none')} = unrelated\n`;
+  markdown += `- Duration: 1.0 = within ±${scoring.durationTolerance}min, ${scoring.durationPartialGrade} = within ±${scoring.durationPartialTolerance}min, 0.0 = >${scoring.durationPartialTolerance}min off\n`;
+  markdown += `- Other fields: 1.0 = exact match, 0.0 = wrong\n`;
+
+  return markdown;
+}
+
+/**
+ * Generate Label Studio JSON format for manual annotation
+ * Format: https://labelstud.io/templates/tabular_data
+ * @param {Array} results - Evaluation results
+ * @returns {Array} Label Studio tasks
+ */
+function generateLabelStudioJSON(results) {
+  return results.map(result => {
+    const { groundTruth, extracted, validation } = result;
+
+    const item = {
+      "1-GT-Route": `${groundTruth.originCode}-${groundTruth.destinationCode}`,
+      "2-ACT-Route": `${extracted.departureAirportCode || '?'}-${extracted.arrivalAirportCode || '?'}`,
+      "3-GT-Airline": groundTruth.airlineCode,
+      "4-ACT-Airline": extracted.airlineCode || 'null',
+      "5-GT-FlightNumber": `${groundTruth.airlineCode}${groundTruth.flightNumber}`,
+      "6-ACT-FlightNumber": `${extracted.airlineCode || '?'}${extracted.flightNumber || '?'}`,
+      "7-GT-Date": groundTruth.date,
+      "8-ACT-Date": extracted.flightDate || 'null',
+      "9-GT-Time": groundTruth.duration,
+      "10-ACT-Time": extracted.flightTime || 'null',
+      "11-GT-ACFT": getAircraftVariant(groundTruth.aircraft),
+      "12-ACT-ACFT": formatExtractedAircraft(extracted)
+    };
+
+    if (validation) {
+      item["13-ValidationStatus"] = validation.validationStatus;
+      item["14-QualityScore"] = validation.overallQualityScore.toFixed(2);
+      item["15-ValidationReasoning"] = validation.reasoning;
+    }
+    if (result.usage) {
+      item["16-Tokens"] = result.usage.totalTokens;
+      item["17-Cost"] = formatCost(result.usage.cost);
+    }
+
+    return { data: { item } };
+  });
+}
+
+/**
+ * Quote a value for CSV output
+ * @param {any} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generate CSV for spreadsheet review
+ * @param {Array} results - Evaluation results
+ * @returns {string} CSV text
+ */
+function generateCSV(results) {
+  const lines = [];
+  lines.push([
+    'Query',
+    'GT_FlightNum', 'GT_Airline', 'GT_Departure', 'GT_Arrival', 'GT_Date', 'GT_Aircraft', 'GT_Duration',
+    'EXT_FlightNum', 'EXT_Airline', 'EXT_Departure', 'EXT_Arrival', 'EXT_Date', 'EXT_Aircraft', 'EXT_Duration',
+    'GRADE_Airline', 'GRADE_Departure', 'GRADE_Arrival', 'GRADE_Date', 'GRADE_Aircraft', 'GRADE_Duration',
+    'Aircraft_Level', 'EXT_Aircraft_Raw', 'Aircraft_Confidence', 'Duration_Sec', 'Step_Times', 'Input_Tokens', 'Output_Tokens', 'Cost_USD', 'Validation_Status', 'Flags', 'Error_Type', 'Notes'
+  ].join(','));
+
+  results.forEach(r => {
+    const gt = r.groundTruth;
+    const ext = r.extracted;
+    const grade = (field) => r.comparison?.[field]?.grade ?? '';
+    const notes = r.error ? `ERROR: ${formatError(r.error)}` : (ext.overallAssessment || ext.validationNotes || r.validation?.reasoning);
+
+    lines.push([
+      r.query,
+      gt.flightNumber, gt.airlineCode, gt.originCode, gt.destinationCode, gt.date, getAircraftVariant(gt.aircraft), gt.duration,
+      ext.flightNumber, ext.airlineCode, ext.departureAirportCode, ext.arrivalAirportCode, ext.flightDate, ext.aircraftName, ext.flightTime,
+      ...SCORED_FIELDS.map(grade),
+      r.comparison?.aircraftName?.level, ext.aircraftNameRaw, ext.aircraftNameNormalization?.confidence, r.duration, r.timings && formatStepTimes(r.timings),
+      r.usage?.inputTokens, r.usage?.outputTokens, r.usage?.cost.toFixed(6), r.validation?.validationStatus, (r.flags || []).join(' '), r.error?.type, notes
+    ].map(csvCell).join(','));
+  });
+
+  return lines.join('\n');
+}
+
+export {
+  fieldLabel,
+  formatError,
+  formatGrade,
+  getMatchEmoji,
+  generateMarkdownReport,
+  generateLabelStudioJSON,
+  generateCSV
+};
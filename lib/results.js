@@ -0,0 +1,116 @@
+/**
+ * Run persistence - saves a run's results and regenerates its reports
+ *
+ * Layout: <outputDir>/<runId>/
+ *   run-<runId>.jsonl  Journal: run header + one line per finished case (see lib/journal.js)
+ *   results.json       Raw results + run metadata (input for `report` and `compare`)
+ *   config.json        Resolved experiment config (reusable with --config)
+ *   report.md          Human-readable report
+ *   label-studio.json  Label Studio import
+ *   results.csv        Spreadsheet export
+ *   traces/            Full trace of every case, written as it finishes (see lib/traces.js)
+ *
+ * <outputDir>/runs.jsonl and cases.jsonl index every saved run (see lib/store.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { generateMarkdownReport, generateLabelStudioJSON, generateCSV } from './reports.js';
+import { findJournal, loadRunFromJournal } from './journal.js';
+
+const RESULTS_FILE = 'results.json';
+
+/**
+ * Build a run identifier
+ * @param {string} pipelineName - Pipeline name
+ * @param {number} timestamp - Run start time (ms)
+ * @returns {string} e.g. "chain-judge-1768150000000"
+ */
+function createRunId(pipelineName, timestamp) {
+  return `${pipelineName}-${timestamp}`;
+}
+
+/**
+ * Resolve a run directory to its results file, falling back to the journal
+ * of an unfinished run
+ * @param {string} target - Run directory, results.json or run-<id>.jsonl path
+ * @returns {string} Path to results.json or the journal
+ */
+function resolveResultsFile(target) {
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    const resultsFile = path.join(target, RESULTS_FILE);
+    return fs.existsSync(resultsFile) ? resultsFile : (findJournal(target) || resultsFile);
+  }
+  return target;
+}
+
+/**
+ * Load a saved run
+ * @param {string} target - Run directory, results.json or run-<id>.jsonl path
+ * @returns {Object} Run ({ runId, pipeline, model, architecture, dataset, timestamp, config, results })
+ */
+function loadRun(target) {
+  const file = resolveResultsFile(target);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No results found at ${file}`);
+  }
+  if (file.endsWith('.jsonl')) {
+    return loadRunFromJournal(file);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write markdown, Label Studio and CSV reports for a run
+ * @param {Object} run - Run
+ * @param {string} runDir - Directory to write into
+ * @returns {Object} Paths of the generated files
+ */
+function writeReports(run, runDir) {
+  const files = {
+    markdown: path.join(runDir, 'report.md'),
+    labelStudio: path.join(runDir, 'label-studio.json'),
+    csv: path.join(runDir, 'results.csv')
+  };
+
+  fs.mkdirSync(runDir, { recursive: true });
+  fs.writeFileSync(files.markdown, generateMarkdownReport(run.results, run));
+  fs.writeFileSync(files.labelStudio, JSON.stringify(generateLabelStudioJSON(run.results), null, 2));
+  fs.writeFileSync(files.csv, generateCSV(run.results));
+
+  return files;
+}
+
+/**
+ * Save a finished run and its reports
+ * @param {Object} run - Run
+ * @param {string} outputDir - Parent directory for run folders
+ * @returns {Object} { runDir, files }
+ */
+function saveRun(run, outputDir) {
+  const runDir = path.join(outputDir, run.runId);
+  fs.mkdirSync(runDir, { recursive: true });
+
+  // Traces are large - they are saved per case under traces/, not in results.json
+  const results = run.results.map(({ trace, timeline, ...rest }) => rest);
+  const saved = { ...run, results };
+
+  const files = { results: path.join(runDir, RESULTS_FILE) };
+  fs.writeFileSync(files.results, JSON.stringify(saved, null, 2));
+
+  if (run.config) {
+    files.config = path.join(runDir, 'config.json');
+    fs.writeFileSync(files.config, JSON.stringify(run.config, null, 2));
+  }
+
+  Object.assign(files, writeReports(saved, runDir));
+  return { runDir, files };
+}
+
+export {
+  RESULTS_FILE,
+  createRunId,
+  loadRun,
+  writeReports,
+  saveRun
+};
@@ -0,0 +1,247 @@
+/**
+ * Pipeline step execution - retries with exponential backoff, per-step timeouts
+ * and error classification
+ *
+ * Error types recorded on results (result.error.type):
+ * - transport      Network failures, timeouts and HTTP errors (429/5xx are retried)
+ * - schema-parse   Model output that doesn't parse or fails the output schema
+ * - model-refusal  The model declined to answer (refusal / content filter)
+ * - pipeline       Anything else (bugs, contract violations)
+ */
+
+import { inStep, recordStep } from './timeline.js';
+
+const ERROR_TYPES = ['transport', 'schema-parse', 'model-refusal', 'pipeline'];
+
+const DEFAULT_RETRY = {
+  maxRetries: 2,        // Retries after the first attempt
+  baseDelay: 1000,      // ms, doubled per retry
+  maxDelay: 30000       // ms
+};
+
+const REFUSAL_PATTERN = /\b(refus(e|ed|al)|content[ _-]?filter|I (can(no|')t|am unable to) (help|assist|comply))/i;
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+/**
+ * Error thrown when a model refuses to produce an answer
+ */
+class ModelRefusalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModelRefusalError';
+  }
+}
+
+/**
+ * Error thrown for a non-2xx HTTP response from a raw fetch call
+ */
+class HttpStatusError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} body - Response body (truncated in the message)
+   */
+  constructor(status, body) {
+    super(`HTTP ${status}: ${String(body).slice(0, 200)}`);
+    this.name = 'HttpStatusError';
+    this.status = status;
+  }
+}
+
+/**
+ * Error thrown when a step exceeds its timeout
+ */
+class StepTimeoutError extends Error {
+  constructor(step, timeout) {
+    super(`Step "${step}" timed out after ${timeout}ms`);
+    this.name = 'StepTimeoutError';
+  }
+}
+
+/**
+ * Error thrown by runStep() once a step has failed for good
+ */
+class StepError extends Error {
+  /**
+   * @param {string} step - Step name
+   * @param {Error} cause - Last underlying error
+   * @param {number} attempts - Attempts made
+   */
+  constructor(step, cause, attempts) {
+    super(`${step}: ${cause.message}`, { cause });
+    this.name = 'StepError';
+    this.step = step;
+    this.attempts = attempts;
+    Object.assign(this, classifyError(cause));
+  }
+}
+
+/**
+ * Get the HTTP status of an error, if any
+ * @param {Error} error - Error
+ * @returns {number|null} Status
+ */
+function getStatus(error) {
+  const status = error?.status ?? error?.response?.status ?? error?.cause?.status;
+  return typeof status === 'number' ? status : null;
+}
+
+/**
+ * Classify an error
+ * @param {Error} error - Error thrown by a step
+ * @returns {Object} { type, retryable, status }
+ */
+function classifyError(error) {
+  if (error instanceof StepError) {
+    return { type: error.type, retryable: error.retryable, status: error.status };
+  }
+
+  const status = getStatus(error);
+  const name = error?.name || '';
+  const code = error?.code || error?.cause?.code;
+
+  // The OpenAI client wraps errors thrown by its fetch (see lib/cache.js) as connection errors
+  if (name === 'CacheMissError' || error?.cause?.name === 'CacheMissError') {
+    return { type: 'pipeline', retryable: false, status };
+  }
+  if (error instanceof ModelRefusalError) {
+    return { type: 'model-refusal', retryable: false, status };
+  }
+  if (status !== null) {
+    return { type: 'transport', retryable: status === 429 || status >= 500, status };
+  }
+  if (error instanceof StepTimeoutError || ['TimeoutError', 'AbortError', 'APIConnectionTimeoutError'].includes(name)) {
+    return { type: 'transport', retryable: true, status };
+  }
+  if (name === 'APIConnectionError' || NETWORK_CODES.includes(code) || (name === 'TypeError' && /fetch failed/i.test(error.message))) {
+    return { type: 'transport', retryable: true, status };
+  }
+  if (name === 'OutputParserException' || name === 'ZodError' || Array.isArray(error?.issues) || error instanceof SyntaxError) {
+    const type = REFUSAL_PATTERN.test(error.llmOutput || error.message) ? 'model-refusal' : 'schema-parse';
+    return { type, retryable: false, status };
+  }
+  if (REFUSAL_PATTERN.test(error?.message || '')) {
+    return { type: 'model-refusal', retryable: false, status };
+  }
+  return { type: 'pipeline', retryable: false, status };
+}
+
+/**
+ * Backoff before retry n (1-based): baseDelay * 2^(n-1), capped, with ±50% jitter
+ * @param {number} retry - Retry number
+ * @param {Object} options - Retry config
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(retry, options) {
+  const delay = Math.min(options.maxDelay, options.baseDelay * 2 ** (retry - 1));
+  return Math.round(delay * (0.5 + Math.random()));
+}
+
+/**
+ * Run fn with an optional timeout (the signal is aborted when it fires)
+ * @param {string} step - Step name
+ * @param {number|null} timeout - Timeout in ms
+ * @param {Function} fn - async (signal) → value
+ * @returns {Promise<any>} fn's result
+ */
+async function runWithTimeout(step, timeout, fn) {
+  if (!timeout) return fn(undefined);
+
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new StepTimeoutError(step, timeout);
+      controller.abort(error);
+      reject(error);
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run a pipeline step with its timeout, retrying transient failures
+ * (every attempt is recorded in the case timeline, see lib/timeline.js)
+ * @param {string} step - Step name (for logs and error records)
+ * @param {Function} fn - async (signal) → value; pass signal on to model/tool calls
+ * @param {Object} [options]
+ * @param {number|null} [options.timeout] - Per-attempt timeout in ms
+ * @param {Object} [options.retry] - { maxRetries, baseDelay, maxDelay } (see DEFAULT_RETRY)
+ * @returns {Promise<any>} fn's result
+ * @throws {StepError} When the step fails and can't (or can no longer) be retried
+ */
+async function runStep(step, fn, options = {}) {
+  const retry = { ...DEFAULT_RETRY, ...options.retry };
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const value = await inStep(step, () => runWithTimeout(step, options.timeout, fn));
+      recordStep({ step, attempt, startedAt, duration: Date.now() - startedAt });
+      return value;
+    } catch (error) {
+      recordStep({ step, attempt, startedAt, duration: Date.now() - startedAt, error: error.message });
+      const { retryable } = classifyError(error);
+      if (!retryable || attempt > retry.maxRetries) {
+        throw error instanceof StepError ? error : new StepError(step, error, attempt);
+      }
+
+      const delay = getBackoffDelay(attempt, retry);
+      console.log(`  ↻ ${step}: ${error.message} - retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${retry.maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Bind runStep() to a resolved experiment config (step timeouts + retry policy)
+ * @param {Object} config - Resolved experiment config
+ * @returns {Function} (step, fn, [stepConfig]) → Promise - stepConfig defaults to config.steps[step]
+ */
+function createStepRunner(config) {
+  return (step, fn, stepConfig = config.steps[step]) => runStep(step, fn, {
+    timeout: stepConfig?.timeout ?? null,
+    retry: config.retry
+  });
+}
+
+/**
+ * Message of an error, looking through client wrappers around a cache miss
+ * @param {Error} error - Error
+ * @returns {string} Message
+ */
+function getRootMessage(error) {
+  return error?.cause?.name === 'CacheMissError' ? error.cause.message : error.message;
+}
+
+/**
+ * Build the error record stored on a result
+ * @param {Error} error - Error thrown by the pipeline
+ * @returns {Object} { type, step, message, attempts, status }
+ */
+function describeError(error) {
+  const { type, status } = classifyError(error);
+  return {
+    type,
+    step: error.step || null,
+    message: getRootMessage(error instanceof StepError ? error.cause : error),
+    attempts: error.attempts || 1,
+    status
+  };
+}
+
+export {
+  ERROR_TYPES,
+  DEFAULT_RETRY,
+  ModelRefusalError,
+  HttpStatusError,
+  StepError,
+  classifyError,
+  runStep,
+  createStepRunner,
+  describeError
+};
@@ -0,0 +1,143 @@
+/**
+ * Route distance and expected block time from airport coordinates
+ *
+ * A deterministic plausibility model for flight durations, so reviews and
+ * judges don't have to estimate route lengths by eye.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_MILE = 1.609344;
+
+// Haul classes by great-circle distance (upper bound in km, exclusive)
+const HAUL_CLASSES = [
+  { name: 'short', maxKm: 800 },       // < 500 mi
+  { name: 'medium', maxKm: 2400 },     // < 1500 mi
+  { name: 'long', maxKm: 6400 },       // < 4000 mi
+  { name: 'ultra-long', maxKm: Infinity }
+];
+
+// Block time ≈ taxi, climb and descent overhead + distance at average block speed
+const BLOCK_TIME_MODEL = {
+  overheadMinutes: 30,
+  speedKmh: { wide: 850, narrow: 790, regional: 620, light: 320 },
+  defaultSpeedKmh: 790,
+  // Band around the estimate for winds, routing and schedule padding
+  minFactor: 0.75,
+  maxFactor: 1.35,
+  marginMinutes: 20
+};
+
+/**
+ * Great-circle (haversine) distance between two airports
+ * @param {Object} from - Airport with latitude/longitude in degrees
+ * @param {Object} to - Airport with latitude/longitude in degrees
+ * @returns {number|null} Distance in km (rounded), null without coordinates
+ */
+function greatCircleDistance(from, to) {
+  const coordinates = [from?.latitude, from?.longitude, to?.latitude, to?.longitude];
+  if (!coordinates.every(Number.isFinite)) return null;
+
+  const [lat1, lon1, lat2, lon2] = coordinates.map(deg => deg * Math.PI / 180);
+  const h = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lon2 - lon1) / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h))));
+}
+
+/**
+ * Haul class of a route
+ * @param {number} distanceKm - Great-circle distance
+ * @returns {string} 'short', 'medium', 'long' or 'ultra-long'
+ */
+function getHaulClass(distanceKm) {
+  return HAUL_CLASSES.find(c => distanceKm < c.maxKm).name;
+}
+
+/**
+ * Expected block-time band for a route
+ * @param {number} distanceKm - Great-circle distance
+ * @param {string} [body] - Body class of the aircraft ('wide', 'narrow', 'regional', 'light')
+ * @returns {Object} { expected, min, max } in minutes
+ */
+function expectedBlockTime(distanceKm, body) {
+  const model = BLOCK_TIME_MODEL;
+  const speed = model.speedKmh[body] || model.defaultSpeedKmh;
+  const expected = model.overheadMinutes + distanceKm / speed * 60;
+  return {
+    expected: Math.round(expected),
+    min: Math.max(15, Math.round(expected * model.minFactor - model.marginMinutes)),
+    max: Math.round(expected * model.maxFactor + model.marginMinutes)
+  };
+}
+
+/**
+ * Format minutes as H:MM
+ * @param {number} minutes - Duration
+ * @returns {string} e.g. "1:05"
+ */
+function formatMinutes(minutes) {
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Check a flight duration against the expected band of a route
+ * @param {number|null} minutes - Duration in minutes (null to only describe the route)
+ * @param {number} distanceKm - Great-circle distance
+ * @param {Object} [options]
+ * @param {string} [options.body] - Body class of the aircraft
+ * @param {string} [options.route] - Route label for the issue text (e.g. "LAS-ABQ")
+ * @returns {Object} { distanceKm, distanceMiles, haul, band, minutes, plausible, issue } - plausible is null without a duration
+ */
+function checkFlightTime(minutes, distanceKm, { body, route } = {}) {
+  const band = expectedBlockTime(distanceKm, body);
+  const check = {
+    distanceKm,
+    distanceMiles: Math.round(distanceKm / KM_PER_MILE),
+    haul: getHaulClass(distanceKm),
+    band,
+    minutes,
+    plausible: Number.isFinite(minutes) ? minutes >= band.min && minutes <= band.max : null,
+    issue: null
+  };
+  if (check.plausible === false) {
+    check.issue = `Duration ${formatMinutes(minutes)} outside expected ${formatMinutes(band.min)}-${formatMinutes(band.max)} `
+      + `for ${route ? `${route} ` : ''}(${distanceKm} km, ${check.haul}-haul${body ? `, ${body}-body` : ''})`;
+  }
+  return check;
+}
+
+/**
+ * Describe a route and, if given, how a duration fits it (for judge prompts)
+ * @param {Object} from - Departure airport (code, latitude, longitude)
+ * @param {Object} to - Arrival airport (code, latitude, longitude)
+ * @param {Object} [options]
+ * @param {number|null} [options.minutes] - Extracted duration in minutes
+ * @param {string} [options.body] - Body class of the extracted aircraft
+ * @returns {Object} { text, check } - check is null when the distance is unknown
+ */
+function describeRoute(from, to, { minutes = null, body } = {}) {
+  const route = `${from?.code || '?'}-${to?.code || '?'}`;
+  const distanceKm = greatCircleDistance(from, to);
+  if (distanceKm === null) {
+    return { text: `${route}: airports unknown, no distance available`, check: null };
+  }
+
+  const check = checkFlightTime(minutes, distanceKm, { body, route });
+  let text = `${route}: ${check.distanceKm} km (${check.distanceMiles} mi), ${check.haul}-haul, `
+    + `expected block time ${formatMinutes(check.band.min)}-${formatMinutes(check.band.max)}${body ? ` for a ${body}-body aircraft` : ''}`;
+  if (check.plausible !== null) {
+    text += check.plausible
+      ? `. Extracted duration ${formatMinutes(minutes)} is within the expected range.`
+      : `. Extracted duration ${formatMinutes(minutes)} is OUTSIDE the expected range.`;
+  }
+  return { text, check };
+}
+
+export {
+  HAUL_CLASSES,
+  BLOCK_TIME_MODEL,
+  greatCircleDistance,
+  getHaulClass,
+  expectedBlockTime,
+  formatMinutes,
+  checkFlightTime,
+  describeRoute
+};
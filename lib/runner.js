@@ -0,0 +1,245 @@
+/**
+ * Evaluation runner - executes a pipeline over test cases and scores each result
+ */
+
+import { generateQuery } from './dataset.js';
+import { toGroundTruthData, normalizeExtraction, compareAllFields, flagForReview } from './scoring.js';
+import { validatePipelineOutput } from './pipelines.js';
+import { configureRequestLimits, mapWithConcurrency } from './rate-limit.js';
+import { describeError } from './retry.js';
+import { configureCache } from './cache.js';
+import { createRuleJudge } from './judge.js';
+import { splitSources } from './sources.js';
+import { createGroundingChecker } from './grounding.js';
+import { createTimeline, recordCase } from './timeline.js';
+import { DEFAULT_PRICES, formatCost, summarizeUsage } from './cost.js';
+import { summarizeTimings } from './latency.js';
+
+/**
+ * Build the all-null extraction recorded when a pipeline throws
+ * @param {Error} error - Pipeline error
+ * @returns {Object} Extracted data
+ */
+function emptyExtraction(error) {
+  return {
+    flightNumber: null,
+    airlineCode: null,
+    departureAirportCode: null,
+    arrivalAirportCode: null,
+    flightDate: null,
+    flightTime: null,
+    aircraftName: null,
+    overallAssessment: `Error: ${error.message}`
+  };
+}
+
+/**
+ * Build the failed validation recorded when a judged case throws
+ * @param {Error} error - Pipeline error
+ * @returns {Object} Validation data
+ */
+function failedValidation(error) {
+  return {
+    validationStatus: 'FAIL',
+    consistencyScore: 0,
+    consistencyIssues: ['Error during processing'],
+    sensibilityScore: 0,
+    sensibilityIssues: [],
+    confidenceScore: 0,
+    hallucinationDetected: false,
+    hallucinationDetails: [],
+    overallQualityScore: 0,
+    reasoning: `Error: ${error.message}`
+  };
+}
+
+/**
+ * Score a pipeline output against the test case ground truth
+ * @param {Object} params
+ * @param {string} params.query - Query sent to the pipeline
+ * @param {Object} params.testCase - Test case
+ * @param {Object} params.output - Pipeline output ({ extracted, searchResults?, validation?, ensemble?, judges?, grounding?, trace? })
+ * @param {string} params.duration - Wall time in seconds
+ * @param {Object} [params.scoring] - Grading thresholds (see DEFAULT_SCORING in lib/scoring.js)
+ * @returns {Object} Evaluation result
+ */
+function scoreResult({ query, testCase, output, duration, scoring }) {
+  const { searchResults, validation, ensemble, judges, grounding, trace } = output;
+  const { extracted: fields, sources } = splitSources(output.extracted);
+  const extracted = normalizeExtraction(fields);
+  const comparison = compareAllFields(extracted, toGroundTruthData(testCase), scoring);
+
+  const result = {
+    query,
+    groundTruth: testCase,
+    extracted,
+    comparison,
+    duration
+  };
+  if (sources) result.sources = sources;
+  if (validation) result.validation = validation;
+  if (ensemble) result.ensemble = ensemble;
+  if (judges) result.judges = judges;
+  if (grounding) result.grounding = grounding;
+  if (searchResults) result.searchResults = searchResults;
+  if (trace) result.trace = trace;
+
+  result.flags = flagForReview(result, scoring);
+  return result;
+}
+
+/**
+ * Judge a pipeline output with the rule-based judge when the run asks for it
+ * @param {Object} output - Pipeline output
+ * @param {string} query - Query sent to the pipeline
+ * @param {Object} judge - { mode, rules } - config.judge.mode and the rule-based judge (null unless needed)
+ * @returns {Object} Output whose validation comes from the rules ('rules'),
+ *   or with both validations under judges.llm / judges.rules ('both')
+ */
+function applyJudge(output, query, { mode, rules }) {
+  if (mode !== 'rules' && mode !== 'both') return output;
+  const validation = rules({ query, searchResults: output.searchResults, extracted: output.extracted });
+  if (mode === 'rules') return { ...output, validation };
+  return { ...output, judges: { llm: output.validation, rules: validation } };
+}
+
+/**
+ * Check the extracted values against the raw tool results, for pipelines that return them
+ * @param {Object} output - Pipeline output
+ * @param {Function} grounding - (extracted, toolResults) → grounding (see lib/grounding.js)
+ * @returns {Object} Output with `grounding` (unchanged without toolResults)
+ */
+function applyGrounding(output, grounding) {
+  if (!Array.isArray(output.toolResults)) return output;
+  return { ...output, grounding: grounding(output.extracted, output.toolResults) };
+}
+
+/**
+ * Run one test case and score it (pipeline errors become an errored result);
+ * the result carries the case's timeline (see lib/timeline.js)
+ * @param {Object} instance - Created pipeline instance
+ * @param {Object} pipeline - Pipeline definition
+ * @param {Object} testCase - Test case
+ * @param {Object} scoring - Grading thresholds
+ * @param {Object} judge - { mode, rules } (see applyJudge)
+ * @param {Function} grounding - Groundedness check (see applyGrounding)
+ * @param {Function} log - (message) → void, prefixes the case position when running concurrently
+ * @returns {Promise<Object>} Evaluation result
+ */
+async function evaluateCase(instance, pipeline, testCase, scoring, judge, grounding, log) {
+  const query = generateQuery(testCase);
+  const startTime = Date.now();
+  const timeline = createTimeline();
+
+  try {
+    const output = await recordCase(timeline, () => instance.run({ testCase, query }));
+    validatePipelineOutput(output, pipeline, judge.mode);
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    const checked = applyGrounding(applyJudge(output, query, judge), grounding);
+    const result = scoreResult({ query, testCase, output: checked, duration, scoring });
+    result.timeline = timeline;
+
+    if (result.validation) {
+      const statusEmoji = result.validation.validationStatus === 'PASS' ? '✅' : '❌';
+      const votes = result.ensemble ? ` | Votes: ${result.ensemble.passVotes}/${result.ensemble.votes.length} PASS` : '';
+      const rules = result.judges ? ` | Rules: ${result.judges.rules.validationStatus}` : '';
+      log(`${statusEmoji} ${result.validation.validationStatus} | Quality: ${(result.validation.overallQualityScore * 100).toFixed(0)}%${votes}${rules} | ${duration}s`);
+    } else {
+      log(`✓ Completed in ${duration}s`);
+    }
+    return result;
+  } catch (error) {
+    const record = describeError(error);
+    log(`✗ Error (${record.type}): ${record.step ? `${record.step}: ` : ''}${record.message}`, true);
+
+    const output = { extracted: emptyExtraction(error) };
+    if (judge.mode) output.validation = failedValidation(error);
+
+    const result = scoreResult({ query, testCase, output, duration: ((Date.now() - startTime) / 1000).toFixed(2), scoring });
+    result.error = record;
+    result.timeline = timeline;
+    // Errors are reviewed as errors, not as low-quality extractions
+    result.flags = ['pipeline_error'];
+    return result;
+  }
+}
+
+/**
+ * Run a pipeline over every test case
+ *
+ * Cases run on `config.concurrency.workers` workers; model requests are limited by
+ * `config.concurrency.maxInFlight` and `config.concurrency.rpm` (see lib/rate-limit.js).
+ * Results are returned in test case order regardless of completion order.
+ * With a `config.cost.budget`, no new case starts once the finished cases have cost
+ * that much; cases already running still finish.
+ *
+ * @param {Object} pipeline - Pipeline definition (see PipelineDefinition in lib/pipelines.js)
+ * @param {Array} testCases - Test cases to evaluate
+ * @param {Object} config - Resolved experiment config (see lib/config.js)
+ * @param {Object} [options]
+ * @param {Map} [options.completed] - Test case index → result already finished (skipped)
+ * @param {Function} [options.onResult] - (index, result) → void, called as each case finishes
+ * @returns {Promise<Array>} Evaluation results in test case order (cases skipped over budget left out),
+ *   each with `case`, its 1-based test case number
+ */
+async function runEvaluation(pipeline, testCases, config, options = {}) {
+  const { scoring, concurrency } = config;
+  const completed = options.completed || new Map();
+  const pending = testCases.map((_, i) => i).filter(i => !completed.has(i));
+  if (pending.length === 0) {
+    return testCases.map((_, i) => completed.get(i));
+  }
+
+  // Runs saved before cost accounting existed have no config.cost
+  const prices = config.cost?.prices ?? DEFAULT_PRICES;
+  const budget = config.cost?.budget ?? null;
+  let spent = [...completed.values()].reduce((sum, r) => sum + (r.usage?.cost ?? 0), 0);
+
+  configureRequestLimits(concurrency);
+  configureCache(config.cache);
+  // Runs saved before judge modes existed have no config.judge
+  const mode = config.judge?.mode ?? (pipeline.judge ? 'llm' : null);
+  const judge = { mode, rules: mode === 'rules' || mode === 'both' ? createRuleJudge(config.dataset) : null };
+  const grounding = createGroundingChecker(config.dataset);
+  const instance = await pipeline.create(config);
+  const concurrent = concurrency.workers > 1;
+
+  try {
+    let skipped = 0;
+    const results = await mapWithConcurrency(pending, concurrency.workers, async i => {
+      if (budget !== null && spent >= budget) {
+        if (skipped++ === 0) {
+          console.log(`💸 Budget of ${formatCost(budget)} reached (${formatCost(spent)} spent) - not starting the remaining cases`);
+        }
+        return undefined;
+      }
+      const testCase = testCases[i];
+      const position = `[${i + 1}/${testCases.length}]`;
+      console.log(`${position} ${generateQuery(testCase)}`);
+
+      const log = (message, isError = false) => {
+        const line = concurrent ? `  ${position} ${message}` : `  ${message}`;
+        (isError ? console.error : console.log)(line);
+      };
+      const result = await evaluateCase(instance, pipeline, testCase, scoring, judge, grounding, log);
+      result.case = i + 1;
+      result.usage = summarizeUsage(result.timeline.modelCalls, prices);
+      result.timings = summarizeTimings(result.timeline);
+      spent += result.usage.cost;
+      if (options.onResult) options.onResult(i, result);
+      return result;
+    });
+
+    const byIndex = new Map(pending.map((index, n) => [index, results[n]]));
+    return testCases.map((_, i) => byIndex.get(i) ?? completed.get(i)).filter(Boolean);
+  } finally {
+    if (instance.close) {
+      await instance.close();
+    }
+  }
+}
+
+export {
+  scoreResult,
+  runEvaluation
+};
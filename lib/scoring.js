@@ -0,0 +1,245 @@
+/**
+ * Field comparison, grading and review flagging for extracted flight data
+ */
+
+import {
+  DEFAULT_LEVEL_GRADES, FAMILY_LEVELS, getAircraftBody, getAircraftMatchLevel, getAircraftVariant, normalizeAircraft
+} from './aircraft-utils.js';
+import { checkFlightTime } from './route.js';
+
+// Every field a pipeline extracts, in report order
+const EXTRACTED_FIELDS = ['flightNumber', 'airlineCode', 'departureAirportCode',
+  'arrivalAirportCode', 'flightDate', 'aircraftName', 'flightTime'];
+
+// Fields that count towards metrics (flight numbers are too ambiguous with multiple flights per route)
+const SCORED_FIELDS = ['airlineCode', 'departureAirportCode', 'arrivalAirportCode',
+  'flightDate', 'aircraftName', 'flightTime'];
+
+// Grading thresholds (overridable per experiment via the `scoring` config section)
+const DEFAULT_SCORING = {
+  durationTolerance: 15,          // ±minutes for full credit
+  durationPartialTolerance: 30,   // ±minutes for partial credit
+  durationPartialGrade: 0.7,
+  aircraftGrades: { ...DEFAULT_LEVEL_GRADES },  // Grade per aircraft match level (see lib/aircraft-utils.js)
+  reviewDurationThreshold: 30,    // Flag duration_error above this many minutes
+  reviewNullFields: 3             // Flag low_quality at this many null fields
+};
+
+/**
+ * Convert time string to minutes
+ * @param {string} timeStr - Time in HH:MM format
+ * @returns {number} Total minutes
+ */
+function timeToMinutes(timeStr) {
+  if (!timeStr || timeStr === 'null') return null;
+  const [hours, mins] = timeStr.split(':').map(Number);
+  return hours * 60 + mins;
+}
+
+/**
+ * Get time difference in minutes
+ * @param {string} time1 - First time in HH:MM format
+ * @param {string} time2 - Second time in HH:MM format
+ * @returns {number} Absolute difference in minutes
+ */
+function getTimeDiffMinutes(time1, time2) {
+  const mins1 = timeToMinutes(time1);
+  const mins2 = timeToMinutes(time2);
+
+  if (mins1 === null || mins2 === null) return Infinity;
+
+  return Math.abs(mins1 - mins2);
+}
+
+/**
+ * Build the ground truth object compared against extracted data
+ * @param {Object} testCase - Test case from the dataset
+ * @returns {Object} Ground truth keyed like the extracted data
+ */
+function toGroundTruthData(testCase) {
+  return {
+    flightNumber: testCase.flightNumber,
+    airlineCode: testCase.airlineCode,
+    departureAirportCode: testCase.originCode,
+    arrivalAirportCode: testCase.destinationCode,
+    flightDate: testCase.date,
+    aircraftName: getAircraftVariant(testCase.aircraft), // Map ICAO to variant name (e.g. "Boeing 737-800")
+    flightTime: testCase.duration
+  };
+}
+
+/**
+ * Compare a single field and return match status and grade
+ * @param {string} field - Field name
+ * @param {any} extracted - Extracted value
+ * @param {any} groundTruth - Ground truth value
+ * @param {Object} [scoring] - Grading thresholds (see DEFAULT_SCORING)
+ * @returns {Object} { match: boolean|null, grade: number, level?: string } - level for aircraftName
+ */
+function compareField(field, extracted, groundTruth, scoring = DEFAULT_SCORING) {
+  // Handle null/undefined extracted values
+  if (!extracted || extracted === 'null' || extracted === null) {
+    return { match: false, grade: 0.0 };
+  }
+
+  switch (field) {
+    case 'flightNumber':
+      // Excluded from scoring (too ambiguous with multiple flights per route)
+      return { match: null, grade: null };
+
+    case 'airlineCode':
+    case 'departureAirportCode':
+    case 'arrivalAirportCode':
+    case 'flightDate':
+      // Exact match required
+      return {
+        match: extracted === groundTruth,
+        grade: extracted === groundTruth ? 1.0 : 0.0
+      };
+
+    case 'aircraftName': {
+      // Hierarchical: variant, subfamily and family count as a match; each level has its own grade
+      const level = getAircraftMatchLevel(extracted, groundTruth);
+      return {
+        match: FAMILY_LEVELS.includes(level),
+        grade: scoring.aircraftGrades[level] ?? 0.0,
+        level
+      };
+    }
+
+    case 'flightTime': {
+      // Tolerance-based: ±15 min = full credit, ±30 min = partial (by default)
+      const diff = getTimeDiffMinutes(extracted, groundTruth);
+      if (diff <= scoring.durationTolerance) {
+        return { match: true, grade: 1.0 };
+      }
+      if (diff <= scoring.durationPartialTolerance) {
+        return { match: true, grade: scoring.durationPartialGrade };
+      }
+      return { match: false, grade: 0.0 };
+    }
+
+    default:
+      return { match: false, grade: 0.0 };
+  }
+}
+
+/**
+ * Normalize the free-text aircraft of an extraction to a registry name
+ *
+ * The model's own value is kept as aircraftNameRaw, with the normalizer's
+ * { confidence, method } as aircraftNameNormalization. Values already spelled
+ * as in the registry, and values the registry can't resolve, are left unchanged.
+ * @param {Object} extracted - Extracted data
+ * @returns {Object} Extracted data (a copy if the aircraft was rewritten)
+ */
+function normalizeExtraction(extracted) {
+  const raw = extracted.aircraftName;
+  if (!raw || raw === 'null') return extracted;
+
+  const { normalized, confidence, method } = normalizeAircraft(raw);
+  if (!normalized || normalized === raw) return extracted;
+  return {
+    ...extracted,
+    aircraftName: normalized,
+    aircraftNameRaw: raw,
+    aircraftNameNormalization: { confidence, method }
+  };
+}
+
+/**
+ * Compare all fields for a result
+ * @param {Object} extracted - Extracted data
+ * @param {Object} groundTruth - Ground truth data
+ * @param {Object} [scoring] - Grading thresholds (see DEFAULT_SCORING)
+ * @returns {Object} Comparison results for each field
+ */
+function compareAllFields(extracted, groundTruth, scoring = DEFAULT_SCORING) {
+  const comparison = {};
+
+  for (const field of EXTRACTED_FIELDS) {
+    comparison[field] = compareField(field, extracted[field], groundTruth[field], scoring);
+  }
+
+  return comparison;
+}
+
+/**
+ * Flag cases that need manual review
+ * @param {Object} result - Evaluation result
+ * @param {Object} [scoring] - Review thresholds (see DEFAULT_SCORING)
+ * @returns {Array} Array of flag strings
+ */
+function flagForReview(result, scoring = DEFAULT_SCORING) {
+  const flags = [];
+
+  const { extracted, comparison } = result;
+  const groundTruth = toGroundTruthData(result.groundTruth);
+
+  // Flag 1: Null aircraft but duration found (inconsistent)
+  if ((!extracted.aircraftName || extracted.aircraftName === 'null') && extracted.flightTime) {
+    flags.push('aircraft_missing');
+  }
+
+  // Flag 2: Wrong aircraft family (needs verification)
+  if (comparison.aircraftName && comparison.aircraftName.match === false && extracted.aircraftName) {
+    flags.push('aircraft_mismatch');
+  }
+
+  // Flag 3: Duration off by >30min (significant error)
+  if (extracted.flightTime && groundTruth.flightTime) {
+    const durationDiff = getTimeDiffMinutes(extracted.flightTime, groundTruth.flightTime);
+    if (durationDiff > scoring.reviewDurationThreshold) {
+      flags.push('duration_error');
+    }
+  }
+
+  // Flag 4: Multiple nulls (low data quality)
+  const nullCount = EXTRACTED_FIELDS.filter(field => {
+    const v = extracted[field];
+    return v === null || v === 'null' || v === undefined;
+  }).length;
+  if (nullCount >= scoring.reviewNullFields) {
+    flags.push('low_quality');
+  }
+
+  // Flag 5: Dataset duration disagrees with its own scheduled times (check the ground truth, not the agent)
+  if (result.groundTruth.blockTime?.mismatch) {
+    flags.push('ground_truth_mismatch');
+  }
+
+  // Flag 6: Duration outside the expected band for the route distance (and extracted aircraft body class)
+  if (extracted.flightTime && result.groundTruth.distanceKm) {
+    const check = checkFlightTime(timeToMinutes(extracted.flightTime), result.groundTruth.distanceKm, {
+      body: getAircraftBody(extracted.aircraftName)
+    });
+    if (check.plausible === false) {
+      flags.push('duration_implausible');
+    }
+  }
+
+  // Flag 7: Judge panel split on the verdict, or far apart on quality (a human should decide)
+  if (result.ensemble?.highDisagreement) {
+    flags.push('judge_disagreement');
+  }
+
+  // Flag 8: Searched values missing from, or contradicted by, the raw tool results
+  if (result.grounding?.unsupported.length > 0) {
+    flags.push('ungrounded');
+  }
+
+  return flags;
+}
+
+export {
+  EXTRACTED_FIELDS,
+  SCORED_FIELDS,
+  DEFAULT_SCORING,
+  timeToMinutes,
+  getTimeDiffMinutes,
+  toGroundTruthData,
+  normalizeExtraction,
+  compareField,
+  compareAllFields,
+  flagForReview
+};
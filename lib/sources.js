@@ -0,0 +1,135 @@
+/**
+ * Source attribution - which site each extracted field came from
+ *
+ * The search prompts ask for a "Source:" line under every field. The structuring
+ * steps keep it: their schemas carry `sources`, the site and a supporting quote or
+ * URL per field (SourcesSchema for LangChain steps, SOURCES_JSON_SCHEMA for raw
+ * JSON schema requests). Scored results hold the attribution under `result.sources`
+ * with site names normalized, so accuracy can be compared per source.
+ */
+
+import { z } from 'zod';
+import { EXTRACTED_FIELDS, SCORED_FIELDS } from './scoring.js';
+
+// Known sites, matched against the site name or URL a model reports
+const SOURCE_SITES = [
+  { name: 'FlightAware', pattern: /flightaware/i },
+  { name: 'FlightRadar24', pattern: /flightradar24|\bfr24\b/i },
+  { name: 'Aviability', pattern: /aviability/i },
+  { name: 'Airline website', pattern: /official|airline website/i },
+  { name: 'Query', pattern: /provided in (the )?query|user query|^query$/i }
+];
+
+// Fields cited without a usable site
+const UNATTRIBUTED = 'Unattributed';
+
+const SOURCES_DESCRIPTION = 'Per field: the website named on its "Source:" line (or "Provided in query") ' +
+  'and a short quote or URL from the report that supports the value; nulls when the field is NOT FOUND';
+
+const FieldSourceSchema = z.object({
+  site: z.string().nullable().describe('Website the value came from, e.g. "FlightAware", or null'),
+  evidence: z.string().nullable().describe('Quote or URL from the report supporting the value, or null')
+});
+
+const SourcesSchema = z.object(
+  Object.fromEntries(EXTRACTED_FIELDS.map(field => [field, FieldSourceSchema]))
+).describe(SOURCES_DESCRIPTION);
+
+const FIELD_SOURCE_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    site: { type: ['string', 'null'] },
+    evidence: { type: ['string', 'null'] }
+  },
+  required: ['site', 'evidence'],
+  additionalProperties: false
+};
+
+const SOURCES_JSON_SCHEMA = {
+  type: 'object',
+  description: SOURCES_DESCRIPTION,
+  properties: Object.fromEntries(EXTRACTED_FIELDS.map(field => [field, FIELD_SOURCE_JSON_SCHEMA])),
+  required: EXTRACTED_FIELDS,
+  additionalProperties: false
+};
+
+/**
+ * Normalize a reported source to a site name
+ * @param {string|null} site - Site name or URL as reported ("www.flightaware.com", "FlightAware")
+ * @returns {string|null} Known site name, host name of other URLs, the trimmed name, or null if none was given
+ */
+function normalizeSite(site) {
+  if (typeof site !== 'string') return null;
+  const trimmed = site.trim();
+  if (!trimmed || /^(NOT FOUND|null|n\/?a|none|unknown)$/i.test(trimmed)) return null;
+
+  const known = SOURCE_SITES.find(s => s.pattern.test(trimmed));
+  if (known) return known.name;
+  const host = trimmed.match(/^(?:https?:\/\/)?(?:www\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)+)(?:[/:?#]|$)/i);
+  return host ? host[1].toLowerCase() : trimmed;
+}
+
+/**
+ * Split the source attribution off an extraction
+ * @param {Object} extracted - Pipeline extraction, optionally with `sources`
+ * @returns {Object} { extracted, sources } - The extraction without `sources`, and
+ *   field → { site, evidence } with normalized sites (null when the pipeline gave none)
+ */
+function splitSources(extracted) {
+  const { sources: raw, ...rest } = extracted;
+  if (!raw || typeof raw !== 'object') return { extracted: rest, sources: null };
+
+  const sources = {};
+  for (const field of EXTRACTED_FIELDS) {
+    const source = raw[field];
+    if (!source) continue;
+    const site = normalizeSite(source.site);
+    // URLs given as evidence name their site when the site is missing
+    sources[field] = {
+      site: site ?? normalizeSite(source.evidence?.match(/https?:\/\/\S+/)?.[0]),
+      evidence: source.evidence || null
+    };
+  }
+  return { extracted: rest, sources };
+}
+
+/**
+ * Accuracy of the extracted values by the source they were attributed to
+ * @param {Array} results - Scored results (with `sources` and `comparison`)
+ * @returns {Array<Object>} { source, cited, correct, accuracy, fields: { field: { cited, correct } } }
+ *   per source, most cited first; empty when no result carries sources
+ */
+function calculateSourceAccuracy(results) {
+  const bySource = new Map();
+  for (const result of results) {
+    if (!result.sources || !result.comparison) continue;
+    for (const field of SCORED_FIELDS) {
+      const value = result.extracted[field];
+      if (value === null || value === undefined || value === 'null') continue;
+
+      const source = result.sources[field]?.site || UNATTRIBUTED;
+      if (!bySource.has(source)) bySource.set(source, { source, cited: 0, correct: 0, fields: {} });
+      const entry = bySource.get(source);
+      const fieldEntry = entry.fields[field] ??= { cited: 0, correct: 0 };
+      const correct = result.comparison[field]?.match === true ? 1 : 0;
+      entry.cited++;
+      entry.correct += correct;
+      fieldEntry.cited++;
+      fieldEntry.correct += correct;
+    }
+  }
+
+  return [...bySource.values()]
+    .map(entry => ({ ...entry, accuracy: entry.correct / entry.cited }))
+    .sort((a, b) => b.cited - a.cited || b.accuracy - a.accuracy);
+}
+
+export {
+  SOURCE_SITES,
+  UNATTRIBUTED,
+  SourcesSchema,
+  SOURCES_JSON_SCHEMA,
+  normalizeSite,
+  splitSources,
+  calculateSourceAccuracy
+};
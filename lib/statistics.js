@@ -0,0 +1,200 @@
+/**
+ * Uncertainty of the metrics - bootstrap confidence intervals and paired significance tests
+ *
+ * Runs are small (10-50 flights), so a point estimate such as "Aircraft F1 55.0%" says
+ * little on its own. bootstrapMetrics() resamples the scored cases with replacement and
+ * recomputes calculateAllMetrics() on each resample; the percentiles of those estimates
+ * give an interval for every field's precision, recall and F1 and for the weighted F1.
+ *
+ * Two runs over the same flights are compared case by case (pairResults()):
+ * - per field, an exact McNemar test on the cases only one of the runs got right
+ * - for the weighted F1, a paired bootstrap of the difference B - A
+ *
+ * Resampling uses a seeded generator so reports are reproducible.
+ */
+
+import { createRandom, getFlightKey } from './dataset.js';
+import { DEFAULT_WEIGHTS, calculateAllMetrics } from './metrics.js';
+import { percentile } from './latency.js';
+
+const DEFAULT_BOOTSTRAP = {
+  samples: 1000,
+  confidence: 0.95,
+  seed: 1
+};
+
+const METRICS = ['precision', 'recall', 'f1'];
+
+/**
+ * Draw a bootstrap resample of indices
+ * @param {number} size - Number of items
+ * @param {Function} random - () → number in [0, 1)
+ * @returns {Array<number>} size indices drawn with replacement
+ */
+function resampleIndices(size, random) {
+  return Array.from({ length: size }, () => Math.floor(random() * size));
+}
+
+/**
+ * Percentile interval of a set of estimates
+ * @param {Array<number>} values - Bootstrap estimates
+ * @param {number} confidence - e.g. 0.95
+ * @returns {Object} { low, high }
+ */
+function percentileInterval(values, confidence) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const tail = (1 - confidence) / 2 * 100;
+  return { low: percentile(sorted, tail), high: percentile(sorted, 100 - tail) };
+}
+
+/**
+ * Bootstrap confidence intervals of the metrics of a run
+ * @param {Array} results - Scored results (see selectScoredResults in lib/metrics.js)
+ * @param {Array<string>} fields - Fields to evaluate
+ * @param {Object} [weights] - Per-field weights for the weighted F1
+ * @param {Object} [options] - { samples, confidence, seed } (see DEFAULT_BOOTSTRAP)
+ * @returns {Object|null} { samples, confidence, cases, fields: { field: { precision, recall, f1 } },
+ *   weightedF1 } with each interval as { low, high } (raw 0-1); null without results
+ */
+function bootstrapMetrics(results, fields, weights = DEFAULT_WEIGHTS, options = {}) {
+  if (results.length === 0) return null;
+  const { samples, confidence, seed } = { ...DEFAULT_BOOTSTRAP, ...options };
+  const random = createRandom(seed);
+
+  const estimates = Object.fromEntries(fields.map(field => [field, { precision: [], recall: [], f1: [] }]));
+  const weightedF1 = [];
+  for (let s = 0; s < samples; s++) {
+    const metrics = calculateAllMetrics(resampleIndices(results.length, random).map(i => results[i]), fields, weights);
+    for (const field of fields) {
+      for (const metric of METRICS) estimates[field][metric].push(metrics[field][`${metric}Raw`]);
+    }
+    weightedF1.push(metrics.overall.weightedF1Raw);
+  }
+
+  return {
+    samples,
+    confidence,
+    cases: results.length,
+    fields: Object.fromEntries(fields.map(field => [
+      field,
+      Object.fromEntries(METRICS.map(metric => [metric, percentileInterval(estimates[field][metric], confidence)]))
+    ])),
+    weightedF1: percentileInterval(weightedF1, confidence)
+  };
+}
+
+/**
+ * Line up the results of two runs by flight (cases in only one run are left out)
+ * @param {Array} resultsA - Results of run A
+ * @param {Array} resultsB - Results of run B
+ * @returns {Array<Object>} { key, a, b } in run A order
+ */
+function pairResults(resultsA, resultsB) {
+  const byFlight = new Map(resultsB.map(b => [getFlightKey(b.groundTruth), b]));
+  return resultsA
+    .map(a => ({ key: getFlightKey(a.groundTruth), a }))
+    .filter(({ key }) => byFlight.has(key))
+    .map(({ key, a }) => ({ key, a, b: byFlight.get(key) }));
+}
+
+/**
+ * Exact (binomial) two-sided McNemar test
+ * @param {number} onlyA - Cases only run A got right
+ * @param {number} onlyB - Cases only run B got right
+ * @returns {number} p-value
+ */
+function mcnemarTest(onlyA, onlyB) {
+  const n = onlyA + onlyB;
+  if (n === 0) return 1;
+  // P(X <= min) for X ~ Binomial(n, 0.5), summed in log space so large n cannot underflow
+  let logChoose = 0;
+  let tail = 0;
+  for (let k = 0; k <= Math.min(onlyA, onlyB); k++) {
+    tail += Math.exp(logChoose - n * Math.LN2);
+    logChoose += Math.log((n - k) / (k + 1));
+  }
+  return Math.min(1, 2 * tail);
+}
+
+/**
+ * Whether a field of a result was extracted correctly
+ * @param {Object} result - Evaluation result
+ * @param {string} field - Field name
+ * @returns {boolean}
+ */
+function isCorrect(result, field) {
+  return result.comparison?.[field]?.match === true;
+}
+
+/**
+ * Paired significance tests between two runs over the same flights
+ * @param {Array<Object>} pairs - { a, b } scored results of the same flight (see pairResults())
+ * @param {Array<string>} fields - Fields to evaluate
+ * @param {Object} [weightsA] - Weighted F1 weights of run A
+ * @param {Object} [weightsB] - Weighted F1 weights of run B
+ * @param {Object} [options] - { samples, confidence, seed } (see DEFAULT_BOOTSTRAP)
+ * @returns {Object|null} { pairs, confidence, fields: { field: { onlyA, onlyB, pValue } },
+ *   weightedF1: { delta, low, high, pValue } } (delta is B - A, raw 0-1); null without pairs
+ */
+function comparePaired(pairs, fields, weightsA = DEFAULT_WEIGHTS, weightsB = DEFAULT_WEIGHTS, options = {}) {
+  if (pairs.length === 0) return null;
+  const { samples, confidence, seed } = { ...DEFAULT_BOOTSTRAP, ...options };
+
+  const fieldTests = {};
+  for (const field of fields) {
+    const onlyA = pairs.filter(({ a, b }) => isCorrect(a, field) && !isCorrect(b, field)).length;
+    const onlyB = pairs.filter(({ a, b }) => !isCorrect(a, field) && isCorrect(b, field)).length;
+    fieldTests[field] = { onlyA, onlyB, pValue: mcnemarTest(onlyA, onlyB) };
+  }
+
+  const weightedDelta = sample => calculateAllMetrics(sample.map(p => p.b), fields, weightsB).overall.weightedF1Raw
+    - calculateAllMetrics(sample.map(p => p.a), fields, weightsA).overall.weightedF1Raw;
+  const random = createRandom(seed);
+  const deltas = [];
+  for (let s = 0; s < samples; s++) {
+    deltas.push(weightedDelta(resampleIndices(pairs.length, random).map(i => pairs[i])));
+  }
+  // Two-sided: how often the resampled difference lands on either side of zero
+  const below = deltas.filter(d => d <= 0).length;
+  const above = deltas.filter(d => d >= 0).length;
+
+  return {
+    pairs: pairs.length,
+    confidence,
+    fields: fieldTests,
+    weightedF1: {
+      delta: weightedDelta(pairs),
+      ...percentileInterval(deltas, confidence),
+      pValue: Math.min(1, 2 * Math.min(below, above) / samples)
+    }
+  };
+}
+
+/**
+ * Format an interval of raw 0-1 values as percentages
+ * @param {Object} interval - { low, high }
+ * @returns {string} e.g. "42.0%–71.3%"
+ */
+function formatInterval({ low, high }) {
+  return `${(low * 100).toFixed(1)}%–${(high * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format a p-value
+ * @param {number} pValue - p-value
+ * @returns {string} e.g. "0.031", "<0.001"
+ */
+function formatPValue(pValue) {
+  return pValue < 0.001 ? '<0.001' : pValue.toFixed(3);
+}
+
+export {
+  DEFAULT_BOOTSTRAP,
+  bootstrapMetrics,
+  pairResults,
+  mcnemarTest,
+  isCorrect,
+  comparePaired,
+  formatInterval,
+  formatPValue
+};
@@ -0,0 +1,315 @@
+/**
+ * Results store - an index of every saved run, for run history and metric trends
+ *
+ * Runs stay in their folders (see lib/results.js); the store indexes them in two JSONL
+ * files next to those folders, in the output directory:
+ *   runs.jsonl   One line per run: pipeline, models, prompt variant, git commit, config,
+ *                cost and metrics (weighted F1 and per-field precision, recall and F1)
+ *   cases.jsonl  One line per case: flight, field scores, judge verdicts, flags, error,
+ *                cost and the path of its trace (relative to the output directory)
+ *
+ * Lines are only ever appended. Each indexing of a run is stamped `indexedAt`; a run indexed
+ * again (e.g. finished with --resume) supersedes its earlier lines when the store is read.
+ * `history --rebuild` re-indexes every run folder.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { RESULTS_FILE, loadRun } from './results.js';
+import { getTracePath } from './traces.js';
+import { getFlightKey } from './dataset.js';
+import { SCORED_FIELDS } from './scoring.js';
+import { calculateAllMetrics, getSummaryStats, selectScoredResults } from './metrics.js';
+import { calculateRunUsage, formatCost } from './cost.js';
+import { fieldLabel } from './reports.js';
+import { formatPoints } from './comparison.js';
+
+const STORE_FILES = {
+  runs: 'runs.jsonl',
+  cases: 'cases.jsonl'
+};
+
+const TREND_BLOCKS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Git revision of the working tree the evaluation runs from
+ * @param {string} [cwd] - Directory inside the repository
+ * @returns {Object|null} { commit, dirty } - dirty when there are uncommitted changes;
+ *   null outside a git repository or without git
+ */
+function getGitRevision(cwd = process.cwd()) {
+  try {
+    const git = args => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    return { commit: git(['rev-parse', 'HEAD']), dirty: git(['status', '--porcelain', '--untracked-files=no']) !== '' };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the store record of a run
+ * @param {Object} run - Saved run (see lib/results.js)
+ * @returns {Object} Run record (see the module header)
+ */
+function toRunRecord(run) {
+  const errors = run.config?.scoring?.errors;
+  const scored = selectScoredResults(run.results, errors);
+  const metrics = calculateAllMetrics(scored, SCORED_FIELDS, run.config?.scoring?.weights);
+  const summary = getSummaryStats(run.results, errors);
+  const usage = calculateRunUsage(run.results);
+
+  return {
+    runId: run.runId,
+    timestamp: run.timestamp,
+    pipeline: run.pipeline,
+    architecture: run.architecture,
+    model: run.model,
+    models: Object.fromEntries(Object.entries(run.config?.steps ?? {}).map(([step, c]) => [step, c.model])),
+    prompt: run.config?.prompts?.variant ?? null,
+    judge: run.config?.judge?.mode ?? null,
+    dataset: run.dataset,
+    git: run.git ?? null,
+    config: run.config ?? null,
+    flights: run.results.length,
+    scored: scored.length,
+    errored: summary.erroredCount,
+    perfectMatches: summary.perfectMatches,
+    stopped: run.stopped ?? null,
+    cost: usage ? { cost: usage.cost, totalTokens: usage.totalTokens } : null,
+    metrics: {
+      weightedF1: metrics.overall.weightedF1Raw,
+      fields: Object.fromEntries(SCORED_FIELDS.map(field => {
+        const m = metrics[field];
+        return [field, { precision: m.precisionRaw, recall: m.recallRaw, f1: m.f1Raw, correct: m.correct, total: m.total }];
+      }))
+    }
+  };
+}
+
+/**
+ * Build the store records of a run's cases
+ * @param {Object} run - Saved run
+ * @param {string} runDir - Run folder
+ * @param {string} storeDir - Store (output) directory, for relative trace paths
+ * @returns {Array<Object>} Case records (see the module header)
+ */
+function toCaseRecords(run, runDir, storeDir) {
+  return run.results.map((result, i) => {
+    // Budget-skipped cases leave gaps; runs saved before results carried `case` fall back to the position
+    const number = result.case ?? i + 1;
+    const traceFile = getTracePath(runDir, number);
+    const verdict = validation => validation
+      ? { status: validation.validationStatus, quality: validation.overallQualityScore, hallucination: validation.hallucinationDetected }
+      : null;
+    return {
+      runId: run.runId,
+      case: number,
+      flight: getFlightKey(result.groundTruth),
+      query: result.query,
+      fields: Object.fromEntries(Object.entries(result.comparison).map(([field, c]) => [
+        field,
+        { extracted: result.extracted[field] ?? null, match: c.match, grade: c.grade }
+      ])),
+      validation: verdict(result.validation),
+      judges: result.judges ? { llm: verdict(result.judges.llm), rules: verdict(result.judges.rules) } : null,
+      flags: result.flags || [],
+      error: result.error?.type ?? null,
+      duration: parseFloat(result.duration),
+      cost: result.usage?.cost ?? null,
+      trace: fs.existsSync(traceFile) ? path.relative(storeDir, traceFile) : null
+    };
+  });
+}
+
+/**
+ * Append JSONL records to a store file
+ * @param {string} file - Store file
+ * @param {Array<Object>} records - Records
+ */
+function appendRecords(file, records) {
+  if (records.length === 0) return;
+  fs.appendFileSync(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+}
+
+/**
+ * Index a saved run in the store
+ * @param {Object} run - Saved run
+ * @param {string} storeDir - Output directory holding the run folders
+ * @returns {Object} Run record
+ */
+function indexRun(run, storeDir) {
+  fs.mkdirSync(storeDir, { recursive: true });
+  // Stamps this indexing so it supersedes earlier ones of the run when read
+  const indexedAt = Date.now();
+  const record = { ...toRunRecord(run), indexedAt };
+  const cases = toCaseRecords(run, path.join(storeDir, run.runId), storeDir).map(c => ({ ...c, indexedAt }));
+  appendRecords(path.join(storeDir, STORE_FILES.runs), [record]);
+  appendRecords(path.join(storeDir, STORE_FILES.cases), cases);
+  return record;
+}
+
+/**
+ * Read a store file, keeping only the latest indexing of each run
+ * @param {string} file - Store file
+ * @returns {Array<Object>} Records, in index order
+ */
+function readRecords(file) {
+  if (!fs.existsSync(file)) return [];
+  const records = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const latest = new Map();
+  for (const { runId, indexedAt } of records) {
+    latest.set(runId, Math.max(latest.get(runId) ?? 0, indexedAt));
+  }
+  return records.filter(record => record.indexedAt === latest.get(record.runId));
+}
+
+/**
+ * Read the runs in the store
+ * @param {string} storeDir - Output directory
+ * @param {Object} [filter]
+ * @param {string} [filter.pipeline] - Only runs of this pipeline
+ * @param {number} [filter.count] - Only the latest N runs
+ * @returns {Array<Object>} Run records, oldest first
+ */
+function loadRunHistory(storeDir, { pipeline, count } = {}) {
+  const runs = readRecords(path.join(storeDir, STORE_FILES.runs))
+    .filter(run => !pipeline || run.pipeline === pipeline)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  return count ? runs.slice(-count) : runs;
+}
+
+/**
+ * Read the cases in the store
+ * @param {string} storeDir - Output directory
+ * @param {Object} [filter]
+ * @param {string} [filter.runId] - Only the cases of this run
+ * @param {string} [filter.flight] - Only the cases of this flight (see getFlightKey)
+ * @returns {Array<Object>} Case records
+ */
+function loadCaseHistory(storeDir, { runId, flight } = {}) {
+  return readRecords(path.join(storeDir, STORE_FILES.cases))
+    .filter(c => (!runId || c.runId === runId) && (!flight || c.flight === flight));
+}
+
+/**
+ * Rebuild the store from the run folders in the output directory
+ * @param {string} storeDir - Output directory
+ * @returns {number} Runs indexed (folders without results.json, i.e. unfinished runs, are skipped)
+ */
+function rebuildStore(storeDir) {
+  for (const file of Object.values(STORE_FILES)) {
+    fs.rmSync(path.join(storeDir, file), { force: true });
+  }
+  if (!fs.existsSync(storeDir)) return 0;
+
+  const runDirs = fs.readdirSync(storeDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(storeDir, entry.name, RESULTS_FILE)))
+    .map(entry => path.join(storeDir, entry.name));
+  // One run in memory at a time
+  for (const runDir of runDirs) {
+    indexRun(loadRun(runDir), storeDir);
+  }
+  return runDirs.length;
+}
+
+/**
+ * Sparkline of a series
+ * @param {Array<number>} values - Values, oldest first
+ * @returns {string} e.g. "▁▃▅█"
+ */
+function sparkline(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return values.map(v => TREND_BLOCKS[range > 0 ? Math.round((v - min) / range * (TREND_BLOCKS.length - 1)) : 3]).join('');
+}
+
+/**
+ * Format a raw 0-1 metric as a percentage
+ * @param {number} value - Metric
+ * @returns {string} e.g. "72.5%"
+ */
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Generate the run history report
+ * @param {Array<Object>} runs - Run records, oldest first (see loadRunHistory())
+ * @returns {string} Markdown
+ */
+function generateHistoryReport(runs) {
+  let markdown = `# Run History\n\n`;
+  markdown += `| Run | Date | Commit | Prompt | Flights | Weighted F1 | Change | ${SCORED_FIELDS.map(fieldLabel).join(' | ')} | Cost |\n`;
+  markdown += `|-----|------|--------|--------|---------|-------------|--------|${SCORED_FIELDS.map(() => '---|').join('')}------|\n`;
+  const previous = new Map();
+  for (const run of runs) {
+    // Change against the previous run of the same pipeline
+    const before = previous.get(run.pipeline);
+    const change = before ? formatPoints(run.metrics.weightedF1 - before.metrics.weightedF1) : '-';
+    const commit = run.git ? `${run.git.commit.slice(0, 7)}${run.git.dirty ? '*' : ''}` : '-';
+    const date = new Date(run.timestamp).toISOString().slice(0, 16).replace('T', ' ');
+    const fields = SCORED_FIELDS.map(field => formatPercent(run.metrics.fields[field].f1)).join(' | ');
+    markdown += `| ${run.runId} | ${date} | ${commit} | ${run.prompt ?? '-'} | ${run.scored}/${run.flights} | ${formatPercent(run.metrics.weightedF1)} | ${change} | ${fields} | ${run.cost ? formatCost(run.cost.cost) : '-'} |\n`;
+    previous.set(run.pipeline, run);
+  }
+  markdown += `\nField columns are F1 scores; Flights is scored/total; * after a commit marks uncommitted changes.\n\n`;
+
+  markdown += `## Trends\n\n`;
+  for (const pipeline of new Set(runs.map(run => run.pipeline))) {
+    const series = runs.filter(run => run.pipeline === pipeline);
+    markdown += `### ${pipeline} (${series.length} runs)\n\n`;
+    markdown += `| Metric | First | Last | Change | Best | Trend |\n`;
+    markdown += `|--------|-------|------|--------|------|-------|\n`;
+    const metrics = [
+      ['**Weighted F1**', series.map(run => run.metrics.weightedF1)],
+      ...SCORED_FIELDS.map(field => [`${fieldLabel(field)} F1`, series.map(run => run.metrics.fields[field].f1)])
+    ];
+    for (const [name, values] of metrics) {
+      const first = values[0];
+      const last = values[values.length - 1];
+      markdown += `| ${name} | ${formatPercent(first)} | ${formatPercent(last)} | ${formatPoints(last - first)} | ${formatPercent(Math.max(...values))} | ${sparkline(values)} |\n`;
+    }
+    markdown += `\n`;
+  }
+  return markdown;
+}
+
+/**
+ * Generate the history of one flight across runs
+ * @param {string} flight - Flight key (see getFlightKey in lib/dataset.js)
+ * @param {Array<Object>} cases - Case records of the flight (see loadCaseHistory())
+ * @param {Array<Object>} runs - Run records (see loadRunHistory())
+ * @returns {string} Markdown
+ */
+function generateFlightHistory(flight, cases, runs) {
+  const runsById = new Map(runs.map(run => [run.runId, run]));
+  const rows = cases
+    .filter(c => runsById.has(c.runId))
+    .sort((a, b) => runsById.get(a.runId).timestamp - runsById.get(b.runId).timestamp);
+  const cell = field => field.match === null ? `➖ ${field.extracted ?? '-'}` : `${field.match ? '✅' : '❌'} ${field.extracted ?? '-'}`;
+
+  let markdown = `# Flight History: ${flight}\n\n`;
+  markdown += `| Run | Case | ${SCORED_FIELDS.map(fieldLabel).join(' | ')} | Validation | Flags | Trace |\n`;
+  markdown += `|-----|------|${SCORED_FIELDS.map(() => '---|').join('')}------------|-------|-------|\n`;
+  for (const c of rows) {
+    const fields = SCORED_FIELDS.map(field => c.fields[field] ? cell(c.fields[field]) : '-').join(' | ');
+    const validation = c.error ? `error (${c.error})` : c.validation?.status ?? '-';
+    markdown += `| ${c.runId} | ${c.case} | ${fields} | ${validation} | ${c.flags.join(', ') || '-'} | ${c.trace ?? '-'} |\n`;
+  }
+  markdown += `\n`;
+  return markdown;
+}
+
+export {
+  STORE_FILES,
+  getGitRevision,
+  toRunRecord,
+  toCaseRecords,
+  indexRun,
+  loadRunHistory,
+  loadCaseHistory,
+  rebuildStore,
+  generateHistoryReport,
+  generateFlightHistory
+};
@@ -0,0 +1,151 @@
+/**
+ * Case timeline - what happened while one test case ran
+ *
+ * The runner runs each case inside recordCase(); runStep() (lib/retry.js) records every
+ * step attempt, cachedFetch() (lib/cache.js) every model request and tools wrapped with
+ * recordToolCalls() every tool call into that case's timeline, so concurrent cases
+ * don't mix:
+ *
+ *   {
+ *     startedAt:  case start
+ *     steps:      [{ step, attempt, startedAt, duration, error? }]
+ *     modelCalls: [{ step, model, startedAt, duration, status, cached, usage }]
+ *     toolCalls:  [{ step, tool, startedAt, duration, error? }]
+ *   }
+ *
+ * Times are in ms. usage is { inputTokens, outputTokens, totalTokens } as reported
+ * by the endpoint, or null when the response had none.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Create an empty timeline for a case starting now
+ * @returns {Object} { startedAt, steps, modelCalls, toolCalls }
+ */
+function createTimeline() {
+  return { startedAt: Date.now(), steps: [], modelCalls: [], toolCalls: [] };
+}
+
+/**
+ * Run a case, recording into its timeline
+ * @param {Object} timeline - Timeline from createTimeline()
+ * @param {Function} fn - async () → value
+ * @returns {Promise<any>} fn's result
+ */
+function recordCase(timeline, fn) {
+  return storage.run({ timeline, step: null }, fn);
+}
+
+/**
+ * Whether the caller runs inside a recorded case
+ * @returns {boolean} True inside recordCase()
+ */
+function isRecording() {
+  return storage.getStore() !== undefined;
+}
+
+/**
+ * Run part of a step so the model requests it makes are attributed to the step
+ * @param {string} step - Step name
+ * @param {Function} fn - () → value
+ * @returns {any} fn's result
+ */
+function inStep(step, fn) {
+  const context = storage.getStore();
+  return context ? storage.run({ ...context, step }, fn) : fn();
+}
+
+/**
+ * Record a step attempt (no-op outside a recorded case)
+ * @param {Object} entry - { step, attempt, startedAt, duration, error? }
+ */
+function recordStep(entry) {
+  storage.getStore()?.timeline.steps.push(entry);
+}
+
+/**
+ * Token usage of an OpenAI-compatible response body
+ * @param {string} body - Response body
+ * @returns {Object|null} { inputTokens, outputTokens, totalTokens } or null
+ */
+function parseUsage(body) {
+  let usage;
+  try {
+    usage = JSON.parse(body)?.usage;
+  } catch {
+    return null;
+  }
+  if (!usage || typeof usage !== 'object') return null;
+
+  const inputTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+  const outputTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+  return { inputTokens, outputTokens, totalTokens: usage.total_tokens ?? inputTokens + outputTokens };
+}
+
+/**
+ * Record a model request (no-op outside a recorded case)
+ * @param {Object} call
+ * @param {Object|null} call.request - Canonical request ({ method, url, body }, see lib/cache.js)
+ * @param {number} call.startedAt - Request start (ms)
+ * @param {number} call.status - HTTP status
+ * @param {string} call.body - Response body
+ * @param {boolean} call.cached - Served from the record/replay cache
+ */
+function recordModelCall({ request, startedAt, status, body, cached }) {
+  const context = storage.getStore();
+  if (!context) return;
+  context.timeline.modelCalls.push({
+    step: context.step,
+    model: request?.body?.model ?? null,
+    startedAt,
+    duration: Date.now() - startedAt,
+    status,
+    cached,
+    usage: parseUsage(body)
+  });
+}
+
+/**
+ * Time every call of LangChain tools (e.g. MCP tools) into the case timeline
+ * @param {Array} tools - LangChain tools
+ * @returns {Array} The same tools, with timed func
+ */
+function recordToolCalls(tools) {
+  for (const tool of tools) {
+    const call = tool.func;
+    tool.func = async (...args) => {
+      const context = storage.getStore();
+      const startedAt = Date.now();
+      const record = error => context?.timeline.toolCalls.push({
+        step: context.step,
+        tool: tool.name,
+        startedAt,
+        duration: Date.now() - startedAt,
+        ...(error && { error: error.message })
+      });
+      try {
+        const value = await call(...args);
+        record();
+        return value;
+      } catch (error) {
+        record(error);
+        throw error;
+      }
+    };
+  }
+  return tools;
+}
+
+export {
+  createTimeline,
+  recordCase,
+  isRecording,
+  inStep,
+  recordStep,
+  parseUsage,
+  recordModelCall,
+  recordToolCalls
+};
@@ -0,0 +1,278 @@
+/**
+ * Per-case traces - the complete record of every case, saved as it finishes
+ *
+ * <outputDir>/<runId>/traces/case-<n>.json (n: 1-based case number, zero-padded)
+ *   { runId, case, ...result }
+ *
+ * The result is stored in full, unlike in results.json and the journal:
+ * - trace     The pipeline's own record (prompts, step outputs, agent messages with
+ *             tool calls, arguments and tool outputs), as plain JSON (serializeTrace())
+ * - timeline  Step attempts, model requests and tool calls with timings and token usage
+ *             (see lib/timeline.js)
+ *
+ * `flight-eval trace view <run> <case>` renders one as markdown (formatCaseTrace()).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EXTRACTED_FIELDS, toGroundTruthData } from './scoring.js';
+import { fieldLabel, formatError, formatGrade, getMatchEmoji } from './reports.js';
+
+const TRACES_DIR = 'traces';
+
+// LangChain message types → chat roles
+const MESSAGE_ROLES = { human: 'user', ai: 'assistant', tool: 'tool', system: 'system' };
+
+/**
+ * Trace file path of a case
+ * @param {string} runDir - Run directory
+ * @param {number} caseNumber - 1-based case number
+ * @returns {string} Path to traces/case-<n>.json
+ */
+function getTracePath(runDir, caseNumber) {
+  return path.join(runDir, TRACES_DIR, `case-${String(caseNumber).padStart(3, '0')}.json`);
+}
+
+/**
+ * Text of a message content (content blocks are joined)
+ * @param {string|Array|Object} content - Message content
+ * @returns {string} Text
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => typeof part === 'string' ? part : (part.text ?? JSON.stringify(part))).join('\n');
+  }
+  return JSON.stringify(content);
+}
+
+/**
+ * Turn a LangChain message into plain JSON
+ * @param {Object} message - LangChain message
+ * @returns {Object} { role, content, name?, toolCalls?, toolCallId?, usage? }
+ */
+function serializeMessage(message) {
+  const type = message._getType();
+  const serialized = { role: MESSAGE_ROLES[type] ?? type, content: contentText(message.content) };
+  if (message.name) serialized.name = message.name;
+
+  const toolCalls = message.tool_calls?.length > 0
+    ? message.tool_calls.map(call => ({ id: call.id ?? null, name: call.name, args: call.args }))
+    : (message.additional_kwargs?.tool_calls || []).map(call => ({
+      id: call.id ?? null,
+      name: call.function?.name,
+      args: call.function?.arguments
+    }));
+  if (toolCalls.length > 0) serialized.toolCalls = toolCalls;
+  if (message.tool_call_id) serialized.toolCallId = message.tool_call_id;
+
+  const usage = message.usage_metadata;
+  if (usage) {
+    serialized.usage = { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens, totalTokens: usage.total_tokens };
+  }
+  return serialized;
+}
+
+/**
+ * Make a pipeline trace plain JSON, keeping every value in full
+ * @param {any} value - Trace (or any part of it); LangChain messages may appear anywhere
+ * @returns {any} JSON-compatible copy
+ */
+function serializeTrace(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value._getType === 'function') return serializeMessage(value);
+  if (Array.isArray(value)) return value.map(serializeTrace);
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, serializeTrace(v)]));
+}
+
+/**
+ * Write a finished case's trace
+ * @param {string} runDir - Run directory
+ * @param {string} runId - Run identifier
+ * @param {number} index - Test case index
+ * @param {Object} result - Evaluation result, with its trace and timeline
+ * @returns {string} Trace file path
+ */
+function writeCaseTrace(runDir, runId, index, result) {
+  const file = getTracePath(runDir, index + 1);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const { trace, ...rest } = result;
+  fs.writeFileSync(file, JSON.stringify({ runId, case: index + 1, ...rest, trace: serializeTrace(trace) ?? null }, null, 2));
+  return file;
+}
+
+/**
+ * Load a case's trace
+ * @param {string} runDir - Run directory
+ * @param {number|string} caseNumber - 1-based case number
+ * @returns {Object} Saved trace
+ */
+function loadCaseTrace(runDir, caseNumber) {
+  const number = Number(caseNumber);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid case "${caseNumber}" - expected a case number (1, 2, ...)`);
+  }
+  const file = getTracePath(runDir, number);
+  if (!fs.existsSync(file)) {
+    const dir = path.join(runDir, TRACES_DIR);
+    const saved = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => /^case-\d+\.json$/.test(f)).length : 0;
+    throw new Error(`No trace for case ${number} in ${runDir} (${saved} case traces saved)`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Fenced code block that survives backticks in its content
+ * @param {string} text - Block content
+ * @param {string} [lang] - Info string
+ * @returns {string} Markdown
+ */
+function fence(text, lang = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longest + 1);
+  return `${marker}${lang}\n${text}\n${marker}\n\n`;
+}
+
+/**
+ * Render a value as a code block (JSON unless it is text)
+ * @param {any} value - Value
+ * @returns {string} Markdown
+ */
+function valueBlock(value) {
+  return typeof value === 'string' ? fence(value) : fence(JSON.stringify(value, null, 2), 'json');
+}
+
+/**
+ * Title for a trace key ("systemPrompt" → "System Prompt")
+ * @param {string} key - Trace key
+ * @returns {string} Title
+ */
+function keyTitle(key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Format token usage
+ * @param {Object|null} usage - { inputTokens, outputTokens, totalTokens }
+ * @returns {string} e.g. "1200 in / 85 out"
+ */
+function formatUsage(usage) {
+  return usage ? `${usage.inputTokens} in / ${usage.outputTokens} out` : '-';
+}
+
+/**
+ * Render agent messages
+ * @param {Array} messages - Serialized messages
+ * @returns {string} Markdown
+ */
+function formatMessages(messages) {
+  let markdown = '';
+  messages.forEach((message, i) => {
+    markdown += `### Message ${i + 1}: ${message.role}${message.name ? ` (${message.name})` : ''}\n\n`;
+    if (message.toolCallId) markdown += `**Tool Call ID:** ${message.toolCallId}\n\n`;
+    if (message.content) markdown += fence(message.content);
+    for (const call of message.toolCalls || []) {
+      markdown += `**Tool Call:** \`${call.name}\`${call.id ? ` (${call.id})` : ''}\n\n`;
+      markdown += typeof call.args === 'string' ? fence(call.args, 'json') : valueBlock(call.args);
+    }
+    if (message.usage) markdown += `**Tokens:** ${formatUsage(message.usage)}\n\n`;
+  });
+  return markdown;
+}
+
+/**
+ * Render a case's timeline (step attempts, model requests and tool calls)
+ * @param {Object} timeline - { startedAt, steps, modelCalls, toolCalls? }
+ * @returns {string} Markdown
+ */
+function formatTimeline(timeline) {
+  const offset = ms => `+${((ms - timeline.startedAt) / 1000).toFixed(2)}s`;
+  let markdown = `## Timeline\n\n`;
+
+  if (timeline.steps.length > 0) {
+    markdown += `| Step | Attempt | Start | Duration | Result |\n`;
+    markdown += `|------|---------|-------|----------|--------|\n`;
+    for (const s of timeline.steps) {
+      markdown += `| ${s.step} | ${s.attempt} | ${offset(s.startedAt)} | ${(s.duration / 1000).toFixed(2)}s | ${s.error ? `❌ ${s.error}` : '✅'} |\n`;
+    }
+    markdown += `\n`;
+  }
+
+  if (timeline.modelCalls.length > 0) {
+    markdown += `| Step | Model | Start | Duration | Status | Tokens |\n`;
+    markdown += `|------|-------|-------|----------|--------|--------|\n`;
+    for (const c of timeline.modelCalls) {
+      const status = `${c.status}${c.cached ? ' (cached)' : ''}`;
+      markdown += `| ${c.step ?? '-'} | ${c.model ?? '-'} | ${offset(c.startedAt)} | ${(c.duration / 1000).toFixed(2)}s | ${status} | ${formatUsage(c.usage)} |\n`;
+    }
+    const total = timeline.modelCalls.reduce((sum, c) => sum + (c.usage?.totalTokens ?? 0), 0);
+    markdown += `\n**Model Requests:** ${timeline.modelCalls.length}, **Total Tokens:** ${total}\n\n`;
+  }
+
+  if (timeline.toolCalls?.length > 0) {
+    markdown += `| Step | Tool | Start | Duration | Result |\n`;
+    markdown += `|------|------|-------|----------|--------|\n`;
+    for (const t of timeline.toolCalls) {
+      markdown += `| ${t.step ?? '-'} | ${t.tool} | ${offset(t.startedAt)} | ${(t.duration / 1000).toFixed(2)}s | ${t.error ? `❌ ${t.error}` : '✅'} |\n`;
+    }
+    markdown += `\n`;
+  }
+  return markdown;
+}
+
+/**
+ * Render a saved case trace as markdown
+ * @param {Object} saved - Trace from loadCaseTrace()
+ * @returns {string} Markdown
+ */
+function formatCaseTrace(saved) {
+  const { trace, timeline, extracted, comparison = {} } = saved;
+
+  let markdown = `# Case ${saved.case}: ${saved.query}\n\n`;
+  markdown += `**Run:** ${saved.runId}\n`;
+  markdown += `**Duration:** ${saved.duration}s\n`;
+  if (saved.validation) markdown += `**Validation:** ${saved.validation.validationStatus}\n`;
+  if (saved.flags?.length > 0) markdown += `**Flags:** ${saved.flags.join(', ')}\n`;
+  if (saved.error) markdown += `**Error:** ${formatError(saved.error)}\n`;
+  markdown += `\n`;
+
+  markdown += `## Extracted vs Ground Truth\n\n`;
+  markdown += `| Field | Extracted | Ground Truth | Grade |\n`;
+  markdown += `|-------|-----------|--------------|-------|\n`;
+  const truth = toGroundTruthData(saved.groundTruth);
+  for (const field of EXTRACTED_FIELDS) {
+    const comp = comparison[field];
+    const grade = comp?.match === null ? 'not scored' : formatGrade(comp);
+    markdown += `| ${fieldLabel(field)} | ${extracted[field] ?? 'null'} | ${truth[field] ?? '-'} | ${getMatchEmoji(comp)} ${grade} |\n`;
+  }
+  markdown += `\n`;
+
+  if (timeline) markdown += formatTimeline(timeline);
+
+  if (trace) {
+    const { messages, steps, ...rest } = trace;
+    for (const [key, value] of Object.entries(rest)) {
+      markdown += `## ${keyTitle(key)}\n\n${valueBlock(value)}`;
+    }
+    if (Array.isArray(messages)) {
+      markdown += `## Conversation\n\n${formatMessages(messages)}`;
+    }
+    if (Array.isArray(steps)) {
+      markdown += `## Step Outputs\n\n`;
+      for (const { step, output } of steps) {
+        markdown += `### ${step}\n\n${valueBlock(output)}`;
+      }
+    }
+  }
+  return markdown;
+}
+
+export {
+  TRACES_DIR,
+  getTracePath,
+  serializeTrace,
+  writeCaseTrace,
+  loadCaseTrace,
+  formatCaseTrace
+};
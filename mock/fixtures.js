@@ -0,0 +1,132 @@
+/**
+ * Flight fixtures shared by the mock servers
+ *
+ * Every record of the bundled datasets becomes a fixture: the query a pipeline
+ * sends for it (lib/dataset.js generateQuery), the answer a perfect model would
+ * give, and the web page a perfect search would find.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { generateQuery, loadTestCases } from '../lib/dataset.js';
+import { mapAircraftCode } from '../lib/aircraft-utils.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const DEFAULT_DATASETS = [
+  `${ROOT}flight-dataset-landed-simple.json`,
+  `${ROOT}data/sample-flights.json`
+];
+
+/**
+ * Build the fixture for a test case
+ * @param {Object} testCase - Test case
+ * @returns {Object} { query, testCase, answer, page }
+ */
+function toFixture(testCase) {
+  const code = `${testCase.airlineCode}${testCase.flightNumber}`;
+  const aircraftName = mapAircraftCode(testCase.aircraft);
+
+  return {
+    query: generateQuery(testCase),
+    testCase,
+    answer: {
+      flightNumber: String(testCase.flightNumber),
+      airlineCode: testCase.airlineCode,
+      departureAirportCode: testCase.originCode,
+      arrivalAirportCode: testCase.destinationCode,
+      flightDate: testCase.date,
+      flightTime: testCase.duration,
+      aircraftName
+    },
+    page: {
+      url: `https://flights.mock/${code}/${testCase.originCode}-${testCase.destinationCode}/${testCase.date}`,
+      title: `${testCase.airlineName} ${code} ${testCase.origin} (${testCase.originCode}) to ${testCase.destination} (${testCase.destinationCode})`,
+      content: `Flight ${code} operated by ${testCase.airlineName} on ${testCase.date}. ` +
+        `Departs ${testCase.origin} (${testCase.originCode}), arrives ${testCase.destination} (${testCase.destinationCode}). ` +
+        `Aircraft: ${aircraftName} (${testCase.aircraft}). Flight time: ${testCase.duration}.`
+    }
+  };
+}
+
+/**
+ * Load fixtures for every record of the given datasets
+ * @param {Array<string>} [datasets] - Dataset paths (default: both bundled datasets)
+ * @returns {Array} Fixtures
+ */
+function loadFixtures(datasets = DEFAULT_DATASETS) {
+  const options = {
+    airportsPath: `${ROOT}data/airports.json`,
+    airlinesPath: `${ROOT}data/airlines.json`
+  };
+  return datasets.flatMap(file => loadTestCases(file, options)).map(toFixture);
+}
+
+/**
+ * Find the fixture whose query appears in a text (longest query wins)
+ * @param {Array} fixtures - Fixtures
+ * @param {string} text - Prompt text
+ * @returns {Object|null} Fixture or null
+ */
+function findFixture(fixtures, text) {
+  let best = null;
+  for (const fixture of fixtures) {
+    if (text.includes(fixture.query) && (!best || fixture.query.length > best.query.length)) {
+      best = fixture;
+    }
+  }
+  return best;
+}
+
+/**
+ * Read an optional JSON file
+ * @param {string|null} file - Path
+ * @param {any} fallback - Value when no file is given
+ * @returns {any} Parsed JSON or fallback
+ */
+function readOptionalJSON(file, fallback) {
+  return file ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+/**
+ * Read `--port N` (or PORT) for a mock server started from the command line
+ * @param {Array<string>} argv - Arguments
+ * @param {number} fallback - Default port
+ * @returns {Object} { port, file } - file is the first non-option argument
+ */
+function parseServerArgs(argv, fallback) {
+  const portIndex = argv.indexOf('--port');
+  const port = portIndex >= 0 ? Number(argv[portIndex + 1]) : Number(process.env.PORT || fallback);
+  const file = argv.find((arg, i) => !arg.startsWith('--') && argv[i - 1] !== '--port') || null;
+  return { port, file };
+}
+
+/**
+ * Start listening and resolve with the server URL
+ * @param {http.Server} server - Server
+ * @param {number} [port=0] - Port (0 = any free port)
+ * @returns {Promise<Object>} { server, url, close() }
+ */
+function listen(server, port = 0) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        server,
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+export {
+  loadFixtures,
+  findFixture,
+  readOptionalJSON,
+  parseServerArgs,
+  listen
+};
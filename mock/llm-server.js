@@ -0,0 +1,313 @@
+/**
+ * Mock OpenAI-compatible chat completions server
+ *
+ * Answers every request the pipelines make without a real model, so runs are
+ * hermetic (CI, offline development):
+ * - POST /v1/chat/completions
+ *   - json_schema response_format → a JSON object filled from the fixture whose
+ *     query appears in the messages (unknown values → null / schema defaults)
+ *   - tools and no tool result yet → a search tool call for the flight
+ *   - otherwise → a text research report in the format the prompts ask for
+ * - GET /v1/models
+ *
+ * Rules (optional JSON file) override the default answers, e.g. to inject errors:
+ *   [{ "match": "Zurich", "response": { "status": 503 }, "times": 1 },
+ *    { "match": "Berlin", "response": { "json": { "aircraftName": "Other" } } },
+ *    { "match": "Paris", "response": { "refusal": "I can't help with that" } }]
+ * `match` is a regex tested against the concatenated messages; `times` limits how
+ * often a rule fires. A response is one of status (+ body), refusal, content, json
+ * or tool_calls.
+ *
+ * Usage: node mock/llm-server.js [rules.json] [--port 4010]
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { findFixture, listen, loadFixtures, parseServerArgs, readOptionalJSON } from './fixtures.js';
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_SCORE = 0.9;
+
+/**
+ * Concatenate the text of all messages
+ * @param {Array} messages - Chat messages
+ * @returns {string} Text
+ */
+function getMessageText(messages = []) {
+  return messages.map(m => {
+    if (typeof m.content === 'string') return m.content;
+    if (Array.isArray(m.content)) return m.content.map(part => part.text || '').join('\n');
+    return '';
+  }).join('\n');
+}
+
+/**
+ * Default value for a JSON schema node
+ * @param {Object} schema - JSON schema
+ * @returns {any} Value
+ */
+function getDefaultValue(schema) {
+  if (schema.enum) return schema.enum.includes('Other') ? 'Other' : schema.enum[0];
+  const variants = schema.anyOf || schema.oneOf;
+  if (variants) {
+    const nullable = variants.some(v => v.type === 'null');
+    return nullable ? null : getDefaultValue(variants[0]);
+  }
+
+  const types = [].concat(schema.type || 'string');
+  if (types.includes('null')) return null;
+  switch (types[0]) {
+    case 'object': return fillSchema(schema, {});
+    case 'array': return [];
+    case 'boolean': return false;
+    case 'number': return DEFAULT_SCORE;
+    case 'integer': return 1;
+    default: return '';
+  }
+}
+
+/**
+ * Whether a value is allowed by a schema's enum (if any)
+ * @param {Object} schema - JSON schema
+ * @param {any} value - Value
+ * @returns {boolean} True if allowed
+ */
+function isAllowed(schema, value) {
+  const variants = schema.anyOf || schema.oneOf;
+  if (variants) return variants.some(v => isAllowed(v, value));
+  return !schema.enum || schema.enum.includes(value);
+}
+
+/**
+ * Fill an object schema from known values, defaulting everything else
+ * @param {Object} schema - JSON schema of type object
+ * @param {Object} known - Field → value
+ * @returns {Object} Object matching the schema
+ */
+function fillSchema(schema, known) {
+  const result = {};
+  for (const [field, property] of Object.entries(schema.properties || {})) {
+    const value = known[field];
+    result[field] = value !== undefined && isAllowed(property, value) ? value : getDefaultValue(property);
+  }
+  return result;
+}
+
+/**
+ * Values a perfect model would return for a fixture (extraction with sources + validation fields)
+ * @param {Object|null} fixture - Fixture or null if the flight is unknown
+ * @returns {Object} Field → value
+ */
+function getKnownValues(fixture) {
+  if (!fixture) {
+    return { validationStatus: 'FAIL', overallAssessment: 'Flight not found.', reasoning: 'Flight not found.' };
+  }
+  const { answer, page, query } = fixture;
+  const searched = { site: new URL(page.url).host, evidence: page.url };
+  const provided = { site: 'Provided in query', evidence: query };
+  return {
+    ...answer,
+    sources: {
+      flightNumber: searched,
+      airlineCode: provided,
+      departureAirportCode: provided,
+      arrivalAirportCode: provided,
+      flightDate: provided,
+      flightTime: searched,
+      aircraftName: searched
+    },
+    validationStatus: 'PASS',
+    hallucinationDetected: false,
+    overallAssessment: `Found ${answer.airlineCode}${answer.flightNumber} with duration and aircraft.`,
+    reasoning: 'All fields are consistent with the search results.',
+    validationNotes: 'All fields confirmed by search results.'
+  };
+}
+
+/**
+ * Text research report for a fixture, in the format the search prompts ask for
+ * @param {Object|null} fixture - Fixture
+ * @returns {string} Report
+ */
+function getReport(fixture) {
+  if (!fixture) {
+    return 'FLIGHT NUMBER: NOT FOUND\nOVERALL ASSESSMENT:\nNo flight matching the query was found.';
+  }
+  const { answer, page, query } = fixture;
+  return [
+    `QUERY: ${query}`,
+    `FLIGHT NUMBER: ${answer.flightNumber}`,
+    `Source: ${page.url}`,
+    `AIRLINE CODE: ${answer.airlineCode}`,
+    'Source: Provided in query',
+    `DEPARTURE AIRPORT: ${answer.departureAirportCode}`,
+    'Source: Provided in query',
+    `ARRIVAL AIRPORT: ${answer.arrivalAirportCode}`,
+    'Source: Provided in query',
+    `FLIGHT DATE: ${answer.flightDate}`,
+    'Source: Provided in query',
+    `FLIGHT TIME: ${answer.flightTime}`,
+    `Source: ${page.url}`,
+    `AIRCRAFT TYPE: ${answer.aircraftName}`,
+    `Source: ${page.url}`,
+    'OVERALL ASSESSMENT:',
+    `${page.content}`
+  ].join('\n');
+}
+
+/**
+ * Pick the search tool offered in a request
+ * @param {Array} tools - OpenAI tool definitions
+ * @returns {Object} Tool function definition
+ */
+function getSearchTool(tools) {
+  const functions = tools.map(t => t.function);
+  return functions.find(f => /search/i.test(f.name)) || functions[0];
+}
+
+/**
+ * Build the assistant message for a request
+ * @param {Object} request - Chat completions request body
+ * @param {Object|null} fixture - Fixture found in the messages
+ * @returns {Object} { message, finishReason }
+ */
+function getDefaultMessage(request, fixture) {
+  const format = request.response_format;
+  if (format?.type === 'json_schema') {
+    const content = JSON.stringify(fillSchema(format.json_schema.schema, getKnownValues(fixture)));
+    return { message: { role: 'assistant', content }, finishReason: 'stop' };
+  }
+  if (format?.type === 'json_object') {
+    return { message: { role: 'assistant', content: JSON.stringify(getKnownValues(fixture)) }, finishReason: 'stop' };
+  }
+
+  // Structured output via a forced function call
+  const forced = request.tool_choice?.function?.name;
+  const forcedTool = forced && request.tools?.find(t => t.function.name === forced);
+  if (forcedTool) {
+    const args = fillSchema(forcedTool.function.parameters || {}, getKnownValues(fixture));
+    return {
+      message: {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_mock_1', type: 'function', function: { name: forced, arguments: JSON.stringify(args) } }]
+      },
+      finishReason: 'tool_calls'
+    };
+  }
+
+  const hasToolResult = (request.messages || []).some(m => m.role === 'tool');
+  if (request.tools?.length && !hasToolResult) {
+    const tool = getSearchTool(request.tools);
+    const query = fixture ? `${fixture.query} flight ${fixture.answer.airlineCode}` : getMessageText(request.messages).slice(-200);
+    return {
+      message: {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{
+          id: 'call_mock_1',
+          type: 'function',
+          function: { name: tool.name, arguments: JSON.stringify({ query }) }
+        }]
+      },
+      finishReason: 'tool_calls'
+    };
+  }
+
+  return { message: { role: 'assistant', content: getReport(fixture) }, finishReason: 'stop' };
+}
+
+/**
+ * Build the assistant message for a matching rule
+ * @param {Object} response - Rule response
+ * @returns {Object} { message, finishReason }
+ */
+function getRuleMessage(response) {
+  if (response.refusal) {
+    return { message: { role: 'assistant', content: null, refusal: response.refusal }, finishReason: 'stop' };
+  }
+  if (response.tool_calls) {
+    return { message: { role: 'assistant', content: null, tool_calls: response.tool_calls }, finishReason: 'tool_calls' };
+  }
+  const content = response.json !== undefined ? JSON.stringify(response.json) : response.content;
+  return { message: { role: 'assistant', content }, finishReason: response.finish_reason || 'stop' };
+}
+
+/**
+ * Create the mock server (not yet listening)
+ * @param {Object} [options]
+ * @param {Array} [options.rules] - Response rules (see above)
+ * @param {Array} [options.fixtures] - Fixtures (default: both bundled datasets)
+ * @returns {http.Server} Server; server.requests counts chat completions served
+ */
+function createMockLLMServer(options = {}) {
+  const fixtures = options.fixtures || loadFixtures();
+  const rules = (options.rules || []).map(rule => ({ ...rule, pattern: new RegExp(rule.match, 'i') }));
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'GET' && req.url.endsWith('/models')) {
+      return send(200, { object: 'list', data: [{ id: 'mock', object: 'model', owned_by: 'mock' }] });
+    }
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      return send(404, { error: { message: `Not found: ${req.method} ${req.url}` } });
+    }
+
+    let request;
+    try {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      request = JSON.parse(body);
+    } catch (error) {
+      return send(400, { error: { message: `Invalid JSON body: ${error.message}` } });
+    }
+    server.requests++;
+
+    const text = getMessageText(request.messages);
+    const rule = rules.find(r => r.pattern.test(text) && (r.times === undefined || r.times > 0));
+    if (rule && rule.times !== undefined) rule.times--;
+    if (rule?.response.status) {
+      return send(rule.response.status, rule.response.body || { error: { message: `Mock error ${rule.response.status}` } });
+    }
+
+    const { message, finishReason } = rule ? getRuleMessage(rule.response) : getDefaultMessage(request, findFixture(fixtures, text));
+    const promptTokens = Math.ceil(text.length / 4);
+    const completionTokens = Math.ceil(JSON.stringify(message).length / 4);
+
+    send(200, {
+      id: `chatcmpl-mock-${server.requests}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: request.model || 'mock',
+      choices: [{ index: 0, message, finish_reason: finishReason, logprobs: null }],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    });
+  });
+
+  server.requests = 0;
+  return server;
+}
+
+/**
+ * Start the mock server
+ * @param {Object} [options] - createMockLLMServer() options plus port (default: any free port)
+ * @returns {Promise<Object>} { server, url, close() } - url has no /v1 suffix
+ */
+function startMockLLMServer(options = {}) {
+  return listen(createMockLLMServer(options), options.port);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { port, file } = parseServerArgs(process.argv.slice(2), DEFAULT_PORT);
+  const { url } = await startMockLLMServer({ port, rules: readOptionalJSON(file, []) });
+  console.log(`🤖 Mock LLM server: ${url}/v1`);
+}
+
+export {
+  createMockLLMServer,
+  startMockLLMServer
+};
@@ -0,0 +1,172 @@
+/**
+ * Stub MCP SearXNG server
+ *
+ * Stands in for isokoliuk/mcp-searxng (see docker-compose.yaml) with the same tools,
+ * served over stateless streamable HTTP at /mcp:
+ * - searxng_web_search { query, pageno?, time_range?, language?, safesearch? }
+ * - web_url_read { url }
+ *
+ * Pages come from the fixtures (one page per dataset flight) plus an optional JSON
+ * file of extra pages: [{ "url", "title", "content" }]. Searches rank pages by how
+ * many query words they contain.
+ *
+ * Usage: node mock/searxng-server.js [pages.json] [--port 3010]
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { listen, loadFixtures, parseServerArgs, readOptionalJSON } from './fixtures.js';
+
+const DEFAULT_PORT = 3010;
+const MAX_RESULTS = 5;
+
+/**
+ * Lower-case words of a text
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 1);
+}
+
+/**
+ * Rank pages against a query
+ * @param {Array} pages - { url, title, content }
+ * @param {string} query - Search query
+ * @returns {Array} [{ page, score }] best first
+ */
+function searchPages(pages, query) {
+  const words = new Set(tokenize(query));
+  return pages
+    .map(page => {
+      const pageWords = new Set(tokenize(`${page.title} ${page.content} ${page.url}`));
+      const hits = [...words].filter(w => pageWords.has(w)).length;
+      return { page, score: words.size ? hits / words.size : 0 };
+    })
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Format results like mcp-searxng
+ * @param {Array} results - [{ page, score }]
+ * @returns {string} Text
+ */
+function formatResults(results) {
+  if (results.length === 0) return 'No results found';
+  return results.map(({ page, score }) =>
+    `Title: ${page.title}\nDescription: ${page.content}\nURL: ${page.url}\nRelevance Score: ${score.toFixed(3)}`
+  ).join('\n\n');
+}
+
+/**
+ * Build an MCP server with the search tools
+ * @param {Array} pages - Searchable pages
+ * @param {Object} stats - Counters updated per tool call
+ * @returns {McpServer} Server
+ */
+function createSearchServer(pages, stats) {
+  const server = new McpServer({ name: 'mock-searxng', version: '1.0.0' });
+
+  server.registerTool('searxng_web_search', {
+    description: 'Execute web searches with pagination',
+    inputSchema: {
+      query: z.string().describe('The search query'),
+      pageno: z.number().optional().describe('Search page number (starts at 1)'),
+      time_range: z.enum(['day', 'month', 'year']).optional().describe('Time range of search'),
+      language: z.string().optional().describe('Language code for search results'),
+      safesearch: z.enum(['0', '1', '2']).optional().describe('Safe search filter level')
+    }
+  }, async ({ query, pageno = 1 }) => {
+    stats.searches++;
+    const results = pageno > 1 ? [] : searchPages(pages, query);
+    return { content: [{ type: 'text', text: formatResults(results) }] };
+  });
+
+  server.registerTool('web_url_read', {
+    description: 'Read the content from a URL',
+    inputSchema: {
+      url: z.string().describe('URL')
+    }
+  }, async ({ url }) => {
+    stats.reads++;
+    const page = pages.find(p => p.url === url);
+    return {
+      content: [{ type: 'text', text: page ? `# ${page.title}\n\n${page.content}` : `Error: page not found: ${url}` }],
+      isError: !page
+    };
+  });
+
+  return server;
+}
+
+/**
+ * Create the stub server (not yet listening)
+ * @param {Object} [options]
+ * @param {Array} [options.pages] - Extra pages ({ url, title, content })
+ * @param {Array} [options.fixtures] - Fixtures (default: both bundled datasets)
+ * @returns {http.Server} Server; server.stats counts { searches, reads }
+ */
+function createMockSearxngServer(options = {}) {
+  const pages = [...(options.fixtures || loadFixtures()).map(f => f.page), ...(options.pages || [])];
+  const stats = { searches: 0, reads: 0 };
+
+  const server = http.createServer(async (req, res) => {
+    if (!req.url.startsWith('/mcp')) {
+      res.writeHead(404).end();
+      return;
+    }
+    // Stateless: no server-initiated streams or sessions
+    if (req.method !== 'POST') {
+      res.writeHead(405, { allow: 'POST' }).end();
+      return;
+    }
+
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    const mcp = createSearchServer(pages, stats);
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on('close', () => {
+      transport.close();
+      mcp.close();
+    });
+
+    try {
+      await mcp.connect(transport);
+      await transport.handleRequest(req, res, body ? JSON.parse(body) : undefined);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32700, message: error.message }, id: null }));
+      }
+    }
+  });
+
+  server.stats = stats;
+  return server;
+}
+
+/**
+ * Start the stub server
+ * @param {Object} [options] - createMockSearxngServer() options plus port (default: any free port)
+ * @returns {Promise<Object>} { server, url, close() } - the MCP endpoint is `${url}/mcp`
+ */
+function startMockSearxngServer(options = {}) {
+  return listen(createMockSearxngServer(options), options.port);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { port, file } = parseServerArgs(process.argv.slice(2), DEFAULT_PORT);
+  const { url } = await startMockSearxngServer({ port, pages: readOptionalJSON(file, []) });
+  console.log(`🔎 Mock SearXNG MCP server: ${url}/mcp`);
+}
+
+export {
+  createMockSearxngServer,
+  startMockSearxngServer
+};
@@ -0,0 +1,38 @@
+/**
+ * Pipeline template - copy to pipelines/<name>.js and rename `name` to match.
+ * Files starting with "_" are not registered.
+ *
+ * Contract (see PipelineDefinition in lib/pipelines.js):
+ * - create(config) sets up models/clients once per run from the resolved experiment config
+ *   (declare `defaults.steps` and build models with createChatModel() from lib/models.js)
+ * - run({ testCase, query }) → { extracted, searchResults, validation?, trace }
+ * - close() releases clients (optional)
+ */
+
+export default {
+  name: 'template',
+  model: 'Describe the model(s) used',
+  architecture: 'Describe the steps (e.g., search → extract)',
+  defaultDataset: './flight-dataset-landed-simple.json',
+
+  async create(config) {
+    return {
+      async run({ testCase, query }) {
+        const searchResults = `No research performed for: ${query}`;
+        return {
+          extracted: {
+            flightNumber: null,
+            airlineCode: testCase.airlineCode,
+            departureAirportCode: testCase.originCode,
+            arrivalAirportCode: testCase.destinationCode,
+            flightDate: testCase.date,
+            flightTime: null,
+            aircraftName: null
+          },
+          searchResults,
+          trace: { steps: [{ step: 'search', output: searchResults }] }
+        };
+      }
+    };
+  }
+};
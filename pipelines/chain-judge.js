@@ -0,0 +1,424 @@
+/**
+ * Chain-judge pipeline - LangChain 3-step chain (search → extract → validate)
+ *
+ * - Step 1: gemini-fast → web search, text report
+ * - Step 2: gemini-fast + Zod → structured extraction
+ * - Step 3: gemini-fast + Zod → validation with judge (or a panel of judges voting,
+ *   see `judge.panel` in lib/config.js)
+ */
+
+import { PromptTemplate } from '@langchain/core/prompts';
+import { StringOutputParser } from '@langchain/core/output_parsers';
+import { RunnableSequence } from '@langchain/core/runnables';
+import { z } from 'zod';
+import { createChatModel } from '../lib/models.js';
+import { formatAircraftTable } from '../lib/aircraft-utils.js';
+import { createStepRunner, describeError } from '../lib/retry.js';
+import { loadAirportMap } from '../lib/dataset.js';
+import { checkRoute, combineVerdicts } from '../lib/judge.js';
+import { SourcesSchema } from '../lib/sources.js';
+
+// Default step configuration (overridable via the experiment config `steps` section)
+const POLLINATIONS_STEP = {
+  model: 'gemini-fast',
+  baseURL: process.env.POLLINATIONS_URL || 'https://gen.pollinations.ai/v1',
+  apiKeyEnv: 'POLLINATIONS_API_KEY',
+  temperature: 0,
+  timeout: 60000  // 60 second timeout
+};
+
+// Zod Schemas
+const ExtractionSchema = z.object({
+  flightNumber: z.string().nullable(),
+  airlineCode: z.string().nullable(),
+  departureAirportCode: z.string().nullable(),
+  arrivalAirportCode: z.string().nullable(),
+  flightDate: z.string().nullable(),
+  flightTime: z.string().nullable(),
+  aircraftName: z.string().nullable(),
+  sources: SourcesSchema
+});
+
+const ValidationSchema = z.object({
+  validationStatus: z.enum(['PASS', 'FAIL']),
+  consistencyScore: z.number().min(0).max(1),
+  consistencyIssues: z.array(z.string()),
+  sensibilityScore: z.number().min(0).max(1),
+  sensibilityIssues: z.array(z.string()),
+  confidenceScore: z.number().min(0).max(1),
+  hallucinationDetected: z.boolean(),
+  hallucinationDetails: z.array(z.string()),
+  overallQualityScore: z.number().min(0).max(1),
+  reasoning: z.string()
+});
+
+// Prompts
+function getSearchPrompt(userQuery, currentDate = new Date().toISOString()) {
+  return `You are a flight information research specialist. Find specific flight details from trusted sources. NEVER guess or hallucinate.
+
+CURRENT DATE/TIME (UTC): ${currentDate}
+USER QUERY: ${userQuery}
+
+TASK: Find flight number, duration, and aircraft type
+
+SEARCH TARGETS (priority order):
+1. www.aviability.com - Best for duration
+2. www.flightAware.com - Most reliable overall
+3. www.flightRadar24.com - Good for aircraft types
+
+MANDATORY REASONING (complete ALL steps):
+
+STEP 1 - GENERATE FLIGHT NUMBER SEARCH QUERY:
+Create search query from user query: "[airline] [origin] to [destination] [date]"
+Example: "Southwest LAS to ABQ December 16 2025"
+Execute this search to find a flight number candidate.
+
+STEP 2 - IDENTIFY FLIGHT NUMBER CANDIDATE:
+• Flight number found: [e.g., "WN548" or "548"] from [source]
+• If multiple flights: [list all, note which you'll use]
+• If NO flight found: Write "NOT FOUND" and STOP
+
+STEP 3 - SEARCH FOR MISSING DATA (using flight number):
+Search specifically for: "[airline] [flight number] aircraft duration"
+• Aircraft: [ICAO code or full name, or "NOT FOUND"] from [source]
+• Duration: [HH:MM or "NOT FOUND"] from [source]
+
+STEP 4 - ROUTE VALIDATION:
+✓ Route: [origin IATA] → [destination IATA] matches query? [YES/NO]
+✓ Date matches? [YES/NO]
+✓ Airline matches? [YES/NO]
+
+STEP 5 - DURATION VALIDATION:
+• Duration explicitly stated? [YES/NO]
+• Source: [website]
+• If NOT found: Write "DURATION NOT FOUND" - do NOT calculate from times
+
+STEP 6 - FINAL DECISION:
+• Confirmed flight: [number]
+• Confidence: [High/Medium/Low]
+
+REQUIRED OUTPUT FORMAT:
+
+FLIGHT NUMBER: [number only, or "NOT FOUND"]
+Source: [Website]
+Notes: [If multiple, explain selection]
+
+AIRLINE CODE: [2-letter IATA like "WN", or "NOT FOUND"]
+Source: [Website or "Provided in query"]
+
+DEPARTURE AIRPORT: [3-letter IATA like "LAS", or "NOT FOUND"]
+Source: [Website or "Provided in query"]
+
+ARRIVAL AIRPORT: [3-letter IATA like "ABQ", or "NOT FOUND"]
+Source: [Website or "Provided in query"]
+
+FLIGHT DATE: [DD-MM-YYYY, or "NOT FOUND"]
+Source: [Website or "Provided in query"]
+
+FLIGHT TIME: [HH:MM duration format, or "NOT FOUND"]
+Source: [Website showing duration]
+Notes: [Only if explicit duration found]
+
+AIRCRAFT TYPE: [ICAO code or full name, or "NOT FOUND"]
+Source: [Website]
+Notes: [Report as found, don't convert]
+
+OVERALL ASSESSMENT: [2-3 sentences: what found, what missing, any ambiguity]
+
+CRITICAL RULES:
+1. NO GUESSING: Write "NOT FOUND" if not in search results
+2. NO CALCULATIONS: Only report duration if explicitly shown
+3. TWO-STAGE SEARCH: Find flight number FIRST, then aircraft/duration
+4. REPORT AS-IS: Don't convert aircraft codes
+5. VERIFY DIRECTION: origin→destination must match query
+
+Begin your search now.`;
+}
+
+const extractionPromptTemplate = `Extract structured flight data from the search report below.
+
+SEARCH REPORT:
+{searchResults}
+
+EXTRACTION RULES:
+1. Use null for any field marked "NOT FOUND"
+2. Flight numbers: EXTRACT DIGITS ONLY
+   Algorithm: Identify flight number text → strip ALL letters/symbols → keep only digits
+   Examples:
+   - "WN548" → "548"
+   - "9C8510" → "8510"
+   - "9C9C8510" → "8510" (strip duplicate prefix)
+   - "UA 1234" → "1234"
+   - "548" → "548"
+3. Dates: DD-MM-YYYY format
+   Convert if needed: "16 Dec 2025" → "16-12-2025"
+4. Duration: HH:MM format
+   Convert if needed: "1h 30m" → "01:30"
+5. Aircraft: Convert ICAO codes to full names using mapping below
+   If code not in mapping, keep as-is
+6. Sources: for each field, the website on its "Source:" line (or "Provided in query")
+   and a short quote or URL from the report supporting the value; null for both if NOT FOUND
+
+AIRCRAFT CODE → FULL NAME MAPPING (ICAO designators, IATA codes in parentheses):
+${formatAircraftTable()}
+
+OUTPUT: JSON with 7 fields:
+- flightNumber (string or null)
+- airlineCode (string or null)
+- departureAirportCode (string or null)
+- arrivalAirportCode (string or null)
+- flightDate (string or null)
+- flightTime (string or null)
+- aircraftName (string or null)
+- sources (per field: {{ site, evidence }})
+
+CRITICAL: Never guess. If report says "NOT FOUND", use null.`;
+
+const validationPromptTemplate = `You are a RULE-FOLLOWING VALIDATOR executing mechanical quality checks.
+
+CRITICAL INSTRUCTION:
+Your ONLY job is to execute the validation logic below exactly as specified.
+DO NOT add your own reasoning, judgment calls, or additional failure conditions.
+DO NOT interpret or modify the rules.
+DO provide reasoning that ONLY explains which condition triggered the result.
+
+USER QUERY: {query}
+
+SEARCH REPORT:
+{searchResults}
+
+EXTRACTED DATA:
+{extractedJSON}
+
+YOUR TASK: Parse the user query to identify what they requested, then check if extracted data matches.
+
+PERFORM 4 VALIDATION CHECKS:
+
+CHECK 1 - QUERY CONSISTENCY (STRICT - MUST BE 100%):
+Parse the user query to extract:
+1. Origin city → convert to IATA code (e.g., "Las Vegas" → "LAS")
+2. Destination city → convert to IATA code (e.g., "Albuquerque" → "ABQ")
+3. Airline name (e.g., "Southwest Airlines")
+4. Date → convert to DD-MM-YYYY format (e.g., "16 Dec 2025" → "16-12-2025")
+
+Then compare:
+- Route: Does extracted departureAirportCode match query origin? (MUST be exact)
+- Route: Does extracted arrivalAirportCode match query destination? (MUST be exact)
+- Airline: Does extracted airlineCode correspond to the airline name in query?
+  Use your knowledge of airline codes (Southwest Airlines = WN, United = UA, etc.)
+  PASS if codes match the airline mentioned, FAIL if different airline
+- Date: Does extracted flightDate match query date? (MUST be exact)
+
+Score:
+- consistencyScore = 1.0 ONLY if ALL four checks pass
+- consistencyScore = 0.0 if ANY check fails
+
+List ALL mismatches in consistencyIssues array.
+Example: "Airline mismatch: query requests Southwest Airlines but extracted United (UA)"
+
+CHECK 2 - SENSIBILITY (reasonableness of searched data):
+Duration and aircraft are NOT in query, so we assess plausibility only:
+
+ROUTE CHECK (computed from airport coordinates - use it, do NOT estimate distances yourself):
+{routeCheck}
+
+Aircraft appropriate for route type and airline?
+
+Score 0.0-1.0:
+- 1.0 = completely reasonable (duration within the expected range)
+- 0.7 = questionable but possible (duration OUTSIDE the expected range)
+- 0.0 = impossible (duration >2x the upper bound of the expected range, or wrong aircraft type)
+
+List any issues in sensibilityIssues array.
+
+CHECK 3 - CONFIDENCE (data completeness):
+Calculate using this formula:
+
+1. Count non-null fields in extractedJSON: X out of 7
+2. Assess source quality from search report:
+   - FlightAware / Official airline website → 1.0
+   - FlightRadar24 / Aviability → 0.9
+   - Generic search results → 0.7
+   - No clear source attribution → 0.5
+3. Calculate: confidenceScore = (X / 7) * 0.6 + (sourceQuality * 0.4)
+4. Round to 2 decimal places
+
+Example: 5 fields found, FlightAware source
+confidenceScore = (5/7) * 0.6 + (1.0 * 0.4) = 0.43 + 0.40 = 0.83
+
+CHECK 4 - HALLUCINATION (data fabrication):
+For each non-null extracted field:
+- Does search report say "NOT FOUND" for that field?
+- If YES → HALLUCINATION DETECTED
+
+List hallucinated fields: "field: search said NOT FOUND but extracted as [value]"
+Set hallucinationDetected true/false.
+
+VALIDATION DECISION (STRICT - FOLLOW EXACTLY):
+Use this EXACT logic - do NOT add your own reasoning:
+
+IF consistencyScore < 1.0 → validationStatus = "FAIL"
+ELSE IF hallucinationDetected = true → validationStatus = "FAIL"
+ELSE IF sensibilityScore = 0.0 → validationStatus = "FAIL"
+ELSE → validationStatus = "PASS"
+
+EXAMPLES:
+✅ PASS: consistencyScore=1.0, sensibilityScore=1.0, confidenceScore=0.4
+   Reason: Query fields match perfectly, data sensible, PASS despite low confidence
+✅ PASS: consistencyScore=1.0, sensibilityScore=0.8, confidenceScore=0.6, flight#/duration/aircraft=null
+   Reason: Query fields match, data plausible, PASS despite missing searched fields
+❌ FAIL: consistencyScore=0.0, sensibilityScore=1.0, confidenceScore=1.0
+   Reason: Query fields mismatch, FAIL regardless of other scores
+❌ FAIL: consistencyScore=1.0, sensibilityScore=0.0, confidenceScore=1.0
+   Reason: Completely impossible data, FAIL regardless of consistency
+
+CRITICAL: Low confidence or missing searched fields do NOT cause failure.
+ONLY fail if: (1) query fields mismatch, (2) hallucination, (3) completely impossible data.
+
+overallQualityScore:
+- 0.0 if validationStatus = "FAIL"
+- (consistencyScore + sensibilityScore + confidenceScore) / 3 if validationStatus = "PASS"
+
+OUTPUT JSON:
+- validationStatus ("PASS" or "FAIL")
+- consistencyScore (0.0 or 1.0 ONLY - no partial credit)
+- consistencyIssues (array of specific mismatches)
+- sensibilityScore (0.0-1.0)
+- sensibilityIssues (array)
+- confidenceScore (0.0-1.0)
+- hallucinationDetected (boolean)
+- hallucinationDetails (array)
+- overallQualityScore (0.0-1.0)
+- reasoning (string, 2-3 sentences explaining pass/fail)`;
+
+// Prompt variants selectable with `prompts.variant`
+const PROMPTS = {
+  default: { search: getSearchPrompt, extract: extractionPromptTemplate, validate: validationPromptTemplate }
+};
+
+// Create the LLM judges: the validate step, or one per `judge.panel` entry (none for `--judge rules`)
+function createJudges(config) {
+  if (config.judge?.mode === 'rules') return [];
+  const panel = config.judge?.panel?.length > 0 ? config.judge.panel : [{ name: 'validate' }];
+  return panel.map(({ name, ...overrides }) => {
+    const stepConfig = { ...config.steps.validate, ...overrides };
+    return {
+      name: name || stepConfig.model,
+      stepConfig,
+      llm: createChatModel(stepConfig).withStructuredOutput(ValidationSchema)
+    };
+  });
+}
+
+// Run every judge of a panel and combine their verdicts; a judge that fails casts no
+// vote, and the step only fails when all of them do
+async function runPanel(judges, runJudge, judgeConfig) {
+  const settled = await Promise.allSettled(judges.map(judge => runJudge(judge)));
+  if (settled.every(s => s.status === 'rejected')) throw settled[0].reason;
+  const votes = settled.map((s, i) => s.status === 'fulfilled'
+    ? { judge: judges[i].name, validation: s.value }
+    : { judge: judges[i].name, error: describeError(s.reason) });
+  return combineVerdicts(votes, judgeConfig);
+}
+
+// Create 3-step chain (each step runs through runStep for timeouts and retries;
+// without judges the chain stops after extraction, for `--judge rules`)
+function createChain(query, now, prompts, { searchLLM, extractLLM, judges }, runStep, airports, judgeConfig) {
+  const searchPrompt = PromptTemplate.fromTemplate(prompts.search(query, now));
+  const extractPrompt = PromptTemplate.fromTemplate(prompts.extract);
+  const validatePrompt = PromptTemplate.fromTemplate(prompts.validate);
+
+  return RunnableSequence.from([
+    // Step 1: Search
+    async (input) => ({
+      searchResults: await runStep('search', signal => searchPrompt
+        .pipe(searchLLM)
+        .pipe(new StringOutputParser())
+        .invoke(input, { signal }))
+    }),
+    // Step 2: Extract
+    async (input) => {
+      const extracted = await runStep('extract', signal => extractPrompt
+        .pipe(extractLLM)
+        .invoke({ searchResults: input.searchResults }, { signal }));
+      return {
+        searchResults: input.searchResults,
+        extracted
+      };
+    },
+    // Step 3: Validate
+    async (input) => {
+      if (judges.length === 0) return input;
+      const route = checkRoute(input.extracted, airports);
+      const validateInput = {
+        query,
+        searchResults: input.searchResults,
+        extractedJSON: JSON.stringify(input.extracted, null, 2),
+        routeCheck: route.text
+      };
+      const invokeJudge = judge => signal => validatePrompt.pipe(judge.llm).invoke(validateInput, { signal });
+      let validation;
+      let ensemble;
+      if (judgeConfig?.panel?.length > 0) {
+        ({ validation, ensemble } = await runPanel(judges,
+          judge => runStep(`validate:${judge.name}`, invokeJudge(judge), judge.stepConfig), judgeConfig));
+      } else {
+        validation = await runStep('validate', invokeJudge(judges[0]));
+      }
+      // The distance model flags implausible durations even when the judge doesn't
+      if (route.check?.issue && !validation.sensibilityIssues.includes(route.check.issue)) {
+        validation.sensibilityIssues = [...validation.sensibilityIssues, route.check.issue];
+      }
+      return {
+        searchResults: input.searchResults,
+        extracted: input.extracted,
+        validation,
+        ensemble
+      };
+    }
+  ]);
+}
+
+export default {
+  name: 'chain-judge',
+  model: 'Pollinations.ai gemini-fast',
+  architecture: 'LangChain 3-step chain (search → extract → validate)',
+  defaultDataset: './flight-dataset-landed-simple.json',
+  judge: true,
+  promptVariants: Object.keys(PROMPTS),
+  defaults: {
+    steps: {
+      search: { ...POLLINATIONS_STEP },
+      extract: { ...POLLINATIONS_STEP },
+      validate: { ...POLLINATIONS_STEP }
+    }
+  },
+
+  async create(config) {
+    const prompts = PROMPTS[config.prompts.variant];
+    const runStep = createStepRunner(config);
+
+    // Initialize LLMs
+    const searchLLM = createChatModel(config.steps.search);
+    const extractLLM = createChatModel(config.steps.extract).withStructuredOutput(ExtractionSchema);
+    // The rule-based judge replaces the validate step (see lib/judge.js)
+    const judges = createJudges(config);
+    const airports = loadAirportMap(config.dataset.airportsPath);
+
+    return {
+      async run({ query }) {
+        const chain = createChain(query, config.prompts.now, prompts, { searchLLM, extractLLM, judges }, runStep, airports, config.judge);
+        const { searchResults, extracted, validation, ensemble } = await chain.invoke({ query });
+        const steps = [
+          { step: 'search', output: searchResults },
+          { step: 'extract', output: extracted }
+        ];
+        for (const vote of ensemble?.votes || []) {
+          steps.push({ step: `validate:${vote.judge}`, output: vote.validation ?? vote.error });
+        }
+        if (validation) steps.push({ step: 'validate', output: validation });
+        return { extracted, searchResults, validation, ensemble, trace: { steps } };
+      }
+    };
+  }
+};
@@ -0,0 +1,256 @@
+/**
+ * Chain pipeline - LangChain 2-step chain (no agents, no tools)
+ *
+ * - Step 1: gemini-fast → searches web, returns text report
+ * - Step 2: gemini-fast + formal JSON schema → structured output
+ */
+
+import { PromptTemplate } from '@langchain/core/prompts';
+import { StringOutputParser } from '@langchain/core/output_parsers';
+import { RunnableSequence } from '@langchain/core/runnables';
+import { z } from 'zod';
+import { createChatModel } from '../lib/models.js';
+import { formatAircraftTable } from '../lib/aircraft-utils.js';
+import { createStepRunner } from '../lib/retry.js';
+import { SourcesSchema } from '../lib/sources.js';
+
+// Default step configuration (overridable via the experiment config `steps` section)
+const POLLINATIONS_STEP = {
+  model: 'gemini-fast',
+  baseURL: process.env.POLLINATIONS_URL || 'https://gen.pollinations.ai/v1',
+  apiKeyEnv: 'POLLINATIONS_API_KEY',
+  temperature: 0,
+  timeout: null
+};
+
+// Formal JSON Schema (Zod)
+const FlightDataSchema = z.object({
+  flightNumber: z.string().nullable().describe('Numeric part only (e.g., "548"), or null if NOT FOUND'),
+  airlineCode: z.string().nullable().describe('IATA 2-letter code (e.g., "WN"), or null if NOT FOUND'),
+  departureAirportCode: z.string().nullable().describe('IATA 3-letter code (e.g., "LAS"), or null if NOT FOUND'),
+  arrivalAirportCode: z.string().nullable().describe('IATA 3-letter code (e.g., "ABQ"), or null if NOT FOUND'),
+  flightDate: z.string().nullable().describe('DD-MM-YYYY format, or null if NOT FOUND'),
+  flightTime: z.string().nullable().describe('Duration in HH:MM format, or null if NOT FOUND'),
+  aircraftName: z.string().nullable().describe('Full aircraft name (e.g., "Boeing 737-800"), or null if NOT FOUND'),
+  sources: SourcesSchema,
+  overallAssessment: z.string().describe('Brief summary of what was found')
+});
+
+function getAgent1Prompt(userQuery, currentDate = new Date().toISOString()) {
+  return `You are a flight information research specialist. Your job: find specific flight details from trusted sources. NEVER guess or hallucinate.
+
+CURRENT DATE/TIME (UTC): ${currentDate}
+USER QUERY: ${userQuery}
+
+═══════════════════════════════════════════════════════════════════
+TASK: Find flight number, duration, and aircraft type
+═══════════════════════════════════════════════════════════════════
+
+SEARCH TARGETS (in priority order):
+1. www.aviability.com - Best for duration (shown in snippets)
+2. www.flightAware.com - Most reliable overall
+3. www.flightRadar24.com - Good for aircraft types
+
+SEARCH PROTOCOL:
+1. Search for the route + airline + date combination
+2. Look for EXPLICITLY STATED flight duration (e.g., "1h 30m", "Flight time: 01:30")
+3. Find aircraft ICAO codes (e.g., "B738", "A320", "77W")
+4. Identify flight number for this specific route/date
+
+═══════════════════════════════════════════════════════════════════
+MANDATORY REASONING (complete ALL steps before answering):
+═══════════════════════════════════════════════════════════════════
+
+STEP 1 - SEARCH FINDINGS:
+List what you found from each source:
+• Flight number: [value or "NOT FOUND"] from [source]
+• Duration: [value or "NOT FOUND"] from [source]
+• Aircraft code: [value or "NOT FOUND"] from [source]
+
+STEP 2 - ROUTE VALIDATION:
+✓ Confirmed route direction: [origin IATA] → [destination IATA]
+✓ Date matches query: [YES/NO]
+
+STEP 3 - AIRCRAFT CODE CONVERSION:
+If you found an ICAO code, convert using the mapping table below.
+Original code: [e.g., "B738"]
+Converted name: [e.g., "Boeing 737NG"]
+
+STEP 4 - AMBIGUITY CHECK:
+• Multiple flights found? [YES/NO - if yes, list all flight numbers]
+• Conflicting information? [YES/NO - if yes, describe conflict]
+• Missing critical data? [List what's missing]
+
+STEP 5 - DURATION VALIDATION:
+• Is duration explicitly stated in search results? [YES/NO]
+• Source that shows duration: [website name]
+• If NOT found: Write "DURATION NOT FOUND" - do NOT calculate from times
+
+STEP 6 - FINAL DECISION:
+Selected flight number: [number]
+Reason for selection: [if multiple found, explain why you chose this one]
+
+═══════════════════════════════════════════════════════════════════
+REQUIRED OUTPUT FORMAT:
+═══════════════════════════════════════════════════════════════════
+
+FLIGHT NUMBER: [number only, or "NOT FOUND"]
+Source: [Website name]
+Notes: [If multiple flights exist, note which one and why selected]
+
+AIRLINE CODE: [IATA 2-letter code like "WN", or "NOT FOUND"]
+Source: [Website name or "Provided in query"]
+
+DEPARTURE AIRPORT: [IATA 3-letter code like "LAS", or "NOT FOUND"]
+Source: [Website name or "Provided in query"]
+
+ARRIVAL AIRPORT: [IATA 3-letter code like "ABQ", or "NOT FOUND"]
+Source: [Website name or "Provided in query"]
+
+FLIGHT DATE: [DD-MM-YYYY format, or "NOT FOUND"]
+Source: [Website name or "Provided in query"]
+
+FLIGHT TIME: [HH:MM format - ONLY from search results showing duration]
+Source: [Website name that explicitly shows duration]
+Notes: [CRITICAL - only fill if you found explicit duration. Write "NOT FOUND - no explicit duration in results" if you only see departure/arrival times]
+
+AIRCRAFT TYPE: [Full name from mapping table below]
+Source: [Website name]
+Original Code: [ICAO code you found, e.g., "B738"]
+Converted To: [Full name from mapping, e.g., "Boeing 737NG"]
+
+═══════════════════════════════════════════════════════════════════
+AIRCRAFT CODE → FULL NAME MAPPING (ICAO designators, IATA codes in parentheses; use this table strictly):
+═══════════════════════════════════════════════════════════════════
+${formatAircraftTable()}
+
+OVERALL ASSESSMENT:
+[2-3 sentences: What was successfully found? What's missing? Any ambiguity?]
+---
+
+═══════════════════════════════════════════════════════════════════
+CRITICAL RULES (violations will invalidate results):
+═══════════════════════════════════════════════════════════════════
+1. NO GUESSING: Write "NOT FOUND" if information is not in search results
+2. NO CALCULATIONS: Only report duration if explicitly shown in results
+3. NO ASSUMPTIONS: If multiple flights exist, note this in your reasoning
+4. STRICT MAPPING: Only use aircraft names from the mapping table above
+5. VERIFY DIRECTION: Ensure origin→destination matches the query
+
+Begin your search now.`;
+}
+
+// Structuring prompt for Step 2
+const structurePromptTemplate = `Extract structured data from this flight search report.
+
+═══════════════════════════════════════════════════════════════════
+SEARCH REPORT:
+═══════════════════════════════════════════════════════════════════
+{searchResults}
+
+═══════════════════════════════════════════════════════════════════
+EXTRACTION RULES:
+═══════════════════════════════════════════════════════════════════
+
+1. flightNumber: Extract ONLY the numeric part (e.g., "548" not "WN548")
+   - If report says "NOT FOUND", set to null
+
+2. airlineCode: IATA 2-letter code (e.g., "WN")
+   - If report says "NOT FOUND", set to null
+
+3. departureAirportCode: IATA 3-letter code (e.g., "LAS")
+   - If report says "NOT FOUND", set to null
+
+4. arrivalAirportCode: IATA 3-letter code (e.g., "ABQ")
+   - If report says "NOT FOUND", set to null
+
+5. flightDate: DD-MM-YYYY format exactly
+   - If report says "NOT FOUND", set to null
+
+6. flightTime: Duration in HH:MM format (e.g., "01:30")
+   - ONLY extract if report explicitly found duration
+   - If report says "NOT FOUND" or mentions only dep/arr times, set to null
+
+7. aircraftName: Full aircraft name from the report (e.g., "Boeing 737NG")
+   - Use the exact converted name from the mapping table
+   - If report says "NOT FOUND", set to null
+
+8. sources: For EACH of the 7 fields above, where the report got it
+   - site: the website on the field's "Source:" line (e.g., "FlightAware"), or "Provided in query"
+   - evidence: a short quote or URL from the report that supports the value
+   - If the field is null or the report names no source, set site and evidence to null
+
+9. overallAssessment: Copy the OVERALL ASSESSMENT section from the report
+
+Return valid JSON with these exact field names.`;
+
+// Prompt variants selectable with `prompts.variant`
+const PROMPTS = {
+  default: { search: getAgent1Prompt, structure: structurePromptTemplate }
+};
+
+// Create chain factory (each step runs through runStep for timeouts and retries)
+function createChain(query, now, prompts, searchLLM, structureLLM, runStep) {
+  const searchPrompt = PromptTemplate.fromTemplate(prompts.search(query, now));
+  const structurePrompt = PromptTemplate.fromTemplate(prompts.structure);
+
+  return RunnableSequence.from([
+    // Step 1: Search (returns text)
+    async (input) => ({
+      searchResults: await runStep('search', signal => searchPrompt
+        .pipe(searchLLM)
+        .pipe(new StringOutputParser())
+        .invoke(input, { signal }))
+    }),
+    // Step 2: Structure (returns typed object)
+    async (input) => {
+      const extracted = await runStep('structure', signal => structurePrompt
+        .pipe(structureLLM)
+        .invoke({ searchResults: input.searchResults }, { signal }));
+      return {
+        searchResults: input.searchResults,
+        extracted
+      };
+    }
+  ]);
+}
+
+export default {
+  name: 'chain',
+  model: 'Pollinations.ai gemini-fast',
+  architecture: 'LangChain 2-step chain (search → structure)',
+  defaultDataset: './flight-dataset-landed-simple.json',
+  promptVariants: Object.keys(PROMPTS),
+  defaults: {
+    steps: {
+      search: { ...POLLINATIONS_STEP },
+      structure: { ...POLLINATIONS_STEP }
+    }
+  },
+
+  async create(config) {
+    const prompts = PROMPTS[config.prompts.variant];
+    const runStep = createStepRunner(config);
+
+    // Initialize LLMs
+    const searchLLM = createChatModel(config.steps.search);
+    const structureLLM = createChatModel(config.steps.structure).withStructuredOutput(FlightDataSchema);
+
+    return {
+      async run({ query }) {
+        const chain = createChain(query, config.prompts.now, prompts, searchLLM, structureLLM, runStep);
+        const { searchResults, extracted } = await chain.invoke({ query });
+        return {
+          extracted,
+          searchResults,
+          trace: {
+            steps: [
+              { step: 'search', output: searchResults },
+              { step: 'structure', output: extracted }
+            ]
+          }
+        };
+      }
+    };
+  }
+};
@@ -0,0 +1,313 @@
+/**
+ * ReAct + MCP pipeline - two-agent architecture
+ *
+ * - Agent 1: Research agent (mistral-large, ReAct) with MCP SearXNG web search
+ * - Agent 2: Validation agent (mistral-small) with JSON schema structured output
+ *
+ * Requires:
+ * - LiteLLM proxy running on configured URL
+ * - MCP SearXNG server running
+ * - .env file with API keys (see .env.example)
+ */
+
+import { createReactAgent } from '@langchain/langgraph/prebuilt';
+import { MultiServerMCPClient } from '@langchain/mcp-adapters';
+import { AIRCRAFT_NAMES, formatAircraftTable } from '../lib/aircraft-utils.js';
+import { createChatModel } from '../lib/models.js';
+import { cachedFetch, loadCachedMcpTools } from '../lib/cache.js';
+import { createStepRunner, HttpStatusError, ModelRefusalError } from '../lib/retry.js';
+import { SOURCES_JSON_SCHEMA } from '../lib/sources.js';
+import { collectToolResults } from '../lib/grounding.js';
+import { recordToolCalls } from '../lib/timeline.js';
+
+// Default configuration from environment (overridable via the experiment config)
+const LITELLM_URL = process.env.LITELLM_URL || 'http://localhost:4000';
+const LITELLM_DEV_KEY = 'sk-local-dev-key-12345';
+const MCP_SEARXNG_URL = process.env.MCP_SEARXNG_URL || 'http://localhost:3000/mcp';
+
+// Agent 2 JSON Schema
+const AGENT2_SCHEMA = {
+  type: "object",
+  properties: {
+    flightNumber: { type: ["string", "null"] },
+    airlineCode: { type: ["string", "null"] },
+    departureAirportCode: { type: ["string", "null"] },
+    arrivalAirportCode: { type: ["string", "null"] },
+    flightDate: { type: ["string", "null"] },
+    flightTime: { type: ["string", "null"] },
+    aircraftName: {
+      type: "string",
+      enum: AIRCRAFT_NAMES
+    },
+    flightNumberConfidence: { type: "number" },
+    airlineCodeConfidence: { type: "number" },
+    departureAirportConfidence: { type: "number" },
+    arrivalAirportConfidence: { type: "number" },
+    flightDateConfidence: { type: "number" },
+    flightTimeConfidence: { type: "number" },
+    aircraftNameConfidence: { type: "number" },
+    sources: SOURCES_JSON_SCHEMA,
+    validationNotes: { type: "string" }
+  },
+  required: [
+    "flightNumberConfidence", "airlineCodeConfidence",
+    "departureAirportConfidence", "arrivalAirportConfidence",
+    "flightDateConfidence", "flightTimeConfidence",
+    "aircraftNameConfidence", "sources", "validationNotes"
+  ]
+};
+
+function getAgent1Prompt(userQuery, currentDate = new Date().toISOString()) {
+  return `You are an elite flight information research assistant with access to web search tooling. Your job is to use search to accurately identify flight details according to the data you've been provided. Any atteopt to hallucinate or guess information is forbidden.
+
+CURRENT DATE/TIME (UTC): ${currentDate}
+
+USER QUERY: ${userQuery}
+
+TASK:
+Search for this flight and gather required information as possible about the flight. Focus on these three websites for your search:
+1. FlightAware.com
+2. FlightRadar24.com
+3. aviability.com (most often shows flight time in a snippet)
+
+SEARCH STRATEGY:
+1. Extract key details from query (airline, route, date), identify missing datapoints (flight number, duration, aircraft type).
+2. Formulate search queries to find missing data.
+3. Review the results, focus on finding the missing pieces of data: flight number, duration and aircraft type. Pay attention to dates and trip direction.
+4. Pay attention to the time: it is easy to confuse duration with scheduled departure/arrival times. Search results most likely to show scheduled times, not duration. In case search results contain only flight departure/arrival times, calculate the flight time yourself.
+
+CHAIN OF THOUGHT REASONING:
+Before providing your final output, you MUST think through your findings step-by-step:
+
+1. What did I find?** - List each piece of data you discovered and from which source
+2. Validate that the data matches the direction of the fligtht (origin → destination)
+3. What's missing?** - Identify which fields you couldn't find
+4. Are there conflicts?** - Note any contradictory information between sources
+5. Duration calculation** - If you only found departure/arrival times, show your calculation for flight duration
+6. Aircraft codes** - If you found codes like "73H" or "32B", explain the conversion to full names
+
+After this reasoning, provide your structured output.
+
+REQUIRED OUTPUT FORMAT:
+---
+FLIGHT NUMBER: [flight number found, or "NOT FOUND"]
+Flight Number Source: [Website name]
+Flight Number Notes: [Brief notes]
+
+AIRLINE CODE: [IATA 2-letter code like "UA", or "NOT FOUND"]
+Airline Source: [Website name]
+
+DEPARTURE AIRPORT: [IATA 3-letter code like "JFK", or "NOT FOUND"]
+Departure Source: [Website name]
+
+ARRIVAL AIRPORT: [IATA 3-letter code like "LAX", or "NOT FOUND"]
+Arrival Source: [Website name]
+
+FLIGHT DATE: [DD-MM-YYYY format, or "NOT FOUND"]
+Date Source: [Website name]
+
+FLIGHT TIME: [HH:MM in 24-hour format, or "NOT FOUND". This is SCHEDULED OR ACTUAL FLIGHT DURATION, not departure or arrival time.]
+Time Source: [Website name]
+Time Notes: [Brief notes]
+
+AIRCRAFT TYPE: [Full aircraft name using the mapping below. If you find an ICAO code, convert it using this table. Write "NOT FOUND" only if no aircraft information exists.]
+
+AIRCRAFT CODE MAPPING (ICAO designators, IATA codes in parentheses):
+${formatAircraftTable()}
+Aircraft Source: [Website name]
+Aircraft Notes: [If you converted a code to full name, mention the original code]
+
+OVERALL ASSESSMENT:
+[2-3 sentences summarizing: Did you find a definitive match for this flight? What is missing, what present?]
+---
+
+CRITICAL RULES:
+1. If you cannot find reliable information, write "NOT FOUND" - do NOT guess
+2. For aircraft name, always convert codes to full names
+3. Data provided by user is always ground truth - focus on finding missing data only
+
+Now search and report for the user's query.`;
+}
+
+function getAgent2Prompt(userQuery, agent1Response, currentDate = new Date().toISOString()) {
+  return `You are a flight data validator and matcher. You will receive the ORIGINAL USER QUERY and a research report from an information extraction agent. Your job is to convert it into structured JSON with confidence scores.
+
+CURRENT DATE/TIME (UTC): ${currentDate}
+
+ORIGINAL USER QUERY:
+"${userQuery}"
+
+AGENT 1 RESEARCH REPORT:
+---
+${agent1Response}
+---
+
+YOUR TASK:
+1. Review the original user query to understand what data the user provided vs what Agent 1 had to find
+2. Extract each data field from Agent 1's report
+3. Assign confidence scores (0.0 to 1.0) based on source quality
+4. Return structured JSON
+
+CHAIN OF THOUGHT REASONING:
+Before providing your JSON output, think through the following:
+
+1. User-provided vs searched data** - What did the user give us vs what did Agent 1 find?
+2. Source quality assessment** - Which sources did Agent 1 use? Are they reliable?
+3. Conflicts and uncertainties** - Did Agent 1 express any doubts or find conflicting info?
+4. Does the flight direction (origin → destination) match the user query?
+5. Aircraft mapping** - Which enum value best matches the aircraft Agent 1 found?
+6. Duration validation** - Is the flight time reasonable for this route? Did Agent 1 calculate it correctly?
+
+After this reasoning, provide your JSON output.
+
+FIELD EXTRACTION RULES:
+1. **flightNumber**: Numeric only (e.g., "2453" not "UA2453"). Null if "NOT FOUND".
+2. **airlineCode**: IATA 2-letter code (e.g., "UA", "AA", "DL"). Null if not found.
+3. **departureAirportCode**: IATA 3-letter code (e.g., "JFK"). Null if not found.
+4. **arrivalAirportCode**: IATA 3-letter code (e.g., "LAX"). Null if not found.
+5. **flightDate**: DD-MM-YYYY format exactly. Null if not found.
+6. **flightTime**: HH:MM in 24-hour format (e.g., "14:30"). Null if not found. This is flight duration, not departure/arrival time.
+7. **aircraftName**: MUST use enum value from the valid aircraft list. Map to closest match.
+8. **sources**: For each of the 7 fields, \`site\` is the website on its "Source:" line in the report ("Provided in query" for data from the user), and \`evidence\` a short quote or URL from the report supporting the value. Null for both if the field is not found.
+9. **validationNotes**: 1-2 sentences summarizing key validation issues.
+
+CONFIDENCE SCORING:
+- 0.95-1.0: Data from FlightAware/official airline with confirmation
+- 0.80-0.94: Data from FlightRadar24/reputable source
+- 0.60-0.79: Data from airline schedule
+- 0.40-0.59: Inferred/uncertain data
+- 0.0-0.39: NOT FOUND or guessed
+
+Now validate and structure the research report above.`;
+}
+
+export default {
+  name: 'react-mcp',
+  model: 'LiteLLM mistral-large (research) + mistral-small (validation)',
+  architecture: 'ReAct agent with MCP SearXNG search → JSON schema validation',
+  defaultDataset: './data/sample-flights.json',
+  defaults: {
+    steps: {
+      research: { model: 'mistral-large', baseURL: `${LITELLM_URL}/v1`, apiKeyEnv: 'LITELLM_API_KEY', temperature: 0, timeout: null },
+      validate: { model: 'mistral-small', baseURL: `${LITELLM_URL}/v1`, apiKeyEnv: 'LITELLM_API_KEY', temperature: 0, timeout: null }
+    },
+    mcp: { searxngUrl: MCP_SEARXNG_URL }
+  },
+
+  async create(config) {
+    const { research, validate } = config.steps;
+
+    // Validate required config
+    if (!process.env[research.apiKeyEnv]) {
+      console.warn(`⚠️  Warning: ${research.apiKeyEnv} not set in .env file. Using default dev key.`);
+    }
+    const researchKey = process.env[research.apiKeyEnv] || LITELLM_DEV_KEY;
+    const validateKey = process.env[validate.apiKeyEnv] || LITELLM_DEV_KEY;
+    const runStep = createStepRunner(config);
+
+    // Initialize MCP Client (not connected at all when replaying strictly from the cache)
+    let mcpClient = null;
+    // Every tool call is timed into the case timeline (lib/timeline.js)
+    const tools = recordToolCalls(await loadCachedMcpTools(config.mcp.searxngUrl, () => {
+      mcpClient = new MultiServerMCPClient({
+        useStandardContentBlocks: true,
+        throwOnLoadError: true,
+        onConnectionError: 'ignore',
+        mcpServers: {
+          searxng: { url: config.mcp.searxngUrl }
+        }
+      });
+      return mcpClient.getTools();
+    }));
+    const model = createChatModel(research, researchKey);
+
+    return {
+      async run({ query }) {
+        // Step 1: Agent 1 - Research using ReAct pattern
+        const agent1PromptText = getAgent1Prompt(query, config.prompts.now);
+
+        // Create ReAct agent with MCP tools
+        const agent = createReactAgent({
+          llm: model,
+          tools: tools,
+          messageModifier: agent1PromptText  // System prompt
+        });
+
+        // Invoke agent with user query
+        const agent1Result = await runStep('research', signal => agent.invoke({
+          messages: [{ role: 'user', content: query }]
+        }, { signal }));
+
+        // Quick validation: Check if MCP tools were used
+        const toolCalls = agent1Result.messages.filter(m =>
+          m.additional_kwargs?.tool_calls?.length > 0 ||
+          m.tool_calls?.length > 0
+        );
+
+        if (toolCalls.length === 0) {
+          console.log(`  ⚠️  No tools used - possible hallucination`);
+        }
+
+        // Extract final answer from message chain
+        const finalMessage = agent1Result.messages[agent1Result.messages.length - 1];
+        const researchReport = finalMessage.content;
+
+        // Step 2: Agent 2 - Validation
+        const agent2Prompt = getAgent2Prompt(query, researchReport, config.prompts.now);
+        const flightData = await runStep('validate', async signal => {
+          const agent2Response = await cachedFetch(`${validate.baseURL}/chat/completions`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${validateKey}`
+            },
+            signal,
+            body: JSON.stringify({
+              model: validate.model,
+              messages: [{ role: 'user', content: agent2Prompt }],
+              response_format: {
+                type: 'json_schema',
+                json_schema: {
+                  name: 'FlightData',
+                  strict: true,
+                  schema: AGENT2_SCHEMA
+                }
+              },
+              temperature: validate.temperature
+            })
+          });
+
+          if (!agent2Response.ok) {
+            throw new HttpStatusError(agent2Response.status, await agent2Response.text());
+          }
+
+          const agent2Result = await agent2Response.json();
+          const message = agent2Result.choices[0].message;
+          if (message.refusal || agent2Result.choices[0].finish_reason === 'content_filter') {
+            throw new ModelRefusalError(message.refusal || 'Response blocked by content filter');
+          }
+          return JSON.parse(message.content);
+        });
+
+        return {
+          extracted: flightData,
+          searchResults: researchReport,
+          // Raw MCP results, for the groundedness check (lib/grounding.js)
+          toolResults: collectToolResults(agent1Result.messages),
+          // Full conversation, saved per case (see lib/traces.js)
+          trace: {
+            systemPrompt: agent1PromptText,
+            messages: agent1Result.messages,
+            agent2Prompt
+          }
+        };
+      },
+
+      async close() {
+        if (mcpClient) {
+          await mcpClient.close();
+        }
+      }
+    };
+  }
+};
@@ -0,0 +1,215 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AIRCRAFT_MAPPING, AIRCRAFT_NAMES, AIRCRAFT_TYPES, BODY_CLASSES, OTHER_AIRCRAFT,
+  findAircraftTypes, formatAircraftTable, getAircraftFamily, getAircraftMatchLevel, getAircraftSimilarity,
+  getAircraftVariant, isSameFamily, mapAircraftCode, normalizeAircraft
+} from '../lib/aircraft-utils.js';
+
+describe('mapAircraftCode', () => {
+  test('maps ICAO codes to full names', () => {
+    assert.equal(mapAircraftCode('B738'), 'Boeing 737NG');
+    assert.equal(mapAircraftCode('A20N'), 'Airbus A320');
+    assert.equal(mapAircraftCode('B77W'), 'Boeing 777');
+  });
+
+  test('returns unmapped codes unchanged', () => {
+    assert.equal(mapAircraftCode('ZZZZ'), 'ZZZZ');
+  });
+
+  test('maps aliases to their canonical name', () => {
+    assert.equal(mapAircraftCode('B73J'), 'Boeing 737NG');
+    assert.equal(getAircraftVariant('B73J'), 'Boeing 737NG');
+    assert.equal(AIRCRAFT_MAPPING.B73J, 'Boeing 737NG');
+    assert.equal(getAircraftMatchLevel('B73J', 'Boeing 737-800'), 'subfamily');
+  });
+});
+
+describe('isSameFamily', () => {
+  test('matches identical names', () => {
+    assert.equal(isSameFamily('Boeing 777', 'Boeing 777'), true);
+    assert.equal(isSameFamily('Unknown Jet', 'Unknown Jet'), true);
+  });
+
+  test('matches members of the same family', () => {
+    assert.equal(isSameFamily('Boeing 737NG', 'Boeing 737MAX'), true);
+    assert.equal(isSameFamily('Airbus A319', 'Airbus A321'), true);
+    assert.equal(isSameFamily('Airbus A350-900', 'Airbus A350'), true);
+  });
+
+  test('rejects different families', () => {
+    assert.equal(isSameFamily('Boeing 777', 'Boeing 787'), false);
+    assert.equal(isSameFamily('Airbus A320', 'Airbus A330'), false);
+    assert.equal(isSameFamily('Embraer E190', 'Embraer E190-E2'), false);
+    assert.equal(isSameFamily('Boeing 717', 'Boeing 737NG'), false);
+  });
+
+  test('rejects missing values', () => {
+    assert.equal(isSameFamily(null, 'Boeing 777'), false);
+    assert.equal(isSameFamily('Boeing 777', undefined), false);
+    assert.equal(isSameFamily(null, null), false);
+  });
+});
+
+describe('getAircraftFamily', () => {
+  test('returns the family of known types and the name itself otherwise', () => {
+    assert.equal(getAircraftFamily('Airbus A321'), 'Airbus A320');
+    assert.equal(getAircraftFamily('Unknown Jet'), 'Unknown Jet');
+    assert.equal(getAircraftFamily(null), null);
+  });
+});
+
+describe('getAircraftVariant', () => {
+  test('maps codes to variant names and returns unmapped codes unchanged', () => {
+    assert.equal(getAircraftVariant('B738'), 'Boeing 737-800');
+    assert.equal(getAircraftVariant('77W'), 'Boeing 777-300ER');
+    assert.equal(getAircraftVariant('ZZZZ'), 'ZZZZ');
+  });
+});
+
+describe('getAircraftMatchLevel', () => {
+  test('matches the same variant by code, variant name or identical text', () => {
+    assert.equal(getAircraftMatchLevel('B738', 'Boeing 737-800'), 'variant');
+    assert.equal(getAircraftMatchLevel('73H', 'B738'), 'variant');
+    assert.equal(getAircraftMatchLevel('Unknown Jet', 'Unknown Jet'), 'variant');
+  });
+
+  test('matches a canonical name against its variants at the subfamily level', () => {
+    assert.equal(getAircraftMatchLevel('Boeing 737NG', 'Boeing 737-800'), 'subfamily');
+    assert.equal(getAircraftMatchLevel('Boeing 787-9', 'Boeing 787'), 'subfamily');
+  });
+
+  test('walks up to family, manufacturer and body class', () => {
+    assert.equal(getAircraftMatchLevel('Boeing 737MAX', 'Boeing 737-800'), 'family');
+    assert.equal(getAircraftMatchLevel('Boeing 777', 'Boeing 787'), 'manufacturer');
+    assert.equal(getAircraftMatchLevel('Boeing 717', 'Boeing 737NG'), 'manufacturer');
+    assert.equal(getAircraftMatchLevel('Boeing 777', 'Airbus A350'), 'body');
+    assert.equal(getAircraftMatchLevel('Boeing 777', 'Airbus A320'), 'none');
+  });
+
+  test('does not match missing or unknown values', () => {
+    assert.equal(getAircraftMatchLevel(null, 'Boeing 787'), 'none');
+    assert.equal(getAircraftMatchLevel('Unknown Jet', 'Boeing 787'), 'none');
+  });
+
+  test('treats "Other" as the answer for aircraft outside the registry', () => {
+    assert.equal(getAircraftMatchLevel(OTHER_AIRCRAFT, 'ZZZZ'), 'variant');
+    assert.equal(getAircraftMatchLevel('ZZZZ', OTHER_AIRCRAFT), 'variant');
+    assert.equal(getAircraftMatchLevel(OTHER_AIRCRAFT, 'Boeing 737-800'), 'none');
+    assert.equal(getAircraftMatchLevel(OTHER_AIRCRAFT, 'B73J'), 'none');
+    assert.equal(getAircraftSimilarity(OTHER_AIRCRAFT, 'ZZZZ'), 1.0);
+    assert.equal(getAircraftSimilarity(OTHER_AIRCRAFT, 'Boeing 787'), 0.0);
+  });
+});
+
+describe('getAircraftSimilarity', () => {
+  test('scores variant, family, manufacturer, body and unrelated matches', () => {
+    assert.equal(getAircraftSimilarity('Boeing 787', 'Boeing 787'), 1.0);
+    assert.equal(getAircraftSimilarity('Boeing 737NG', 'Boeing 737MAX'), 0.8);
+    assert.equal(getAircraftSimilarity('Boeing 777', 'Boeing 787'), 0.3);
+    assert.equal(getAircraftSimilarity('Boeing 777', 'Airbus A350'), 0.1);
+    assert.equal(getAircraftSimilarity('Boeing 777', 'Airbus A320'), 0.0);
+  });
+
+  test('takes custom grades per level', () => {
+    assert.equal(getAircraftSimilarity('Boeing 737NG', 'Boeing 737MAX', { family: 0.5 }), 0.5);
+    assert.equal(getAircraftSimilarity('Boeing 777', 'Boeing 787', { family: 0.5 }), 0.0);
+  });
+
+  test('scores missing values as 0', () => {
+    assert.equal(getAircraftSimilarity(null, 'Boeing 787'), 0.0);
+    assert.equal(getAircraftSimilarity('Boeing 787', ''), 0.0);
+  });
+});
+
+describe('normalizeAircraft', () => {
+  const normalized = (raw) => {
+    const { normalized: name, confidence, method } = normalizeAircraft(raw);
+    return [name, confidence, method];
+  };
+
+  test('keeps registry spellings and resolves codes', () => {
+    assert.deepEqual(normalized('Boeing 737NG'), ['Boeing 737NG', 1.0, 'exact']);
+    assert.deepEqual(normalized('airbus a320neo'), ['Airbus A320neo', 1.0, 'exact']);
+    assert.deepEqual(normalized('73H'), ['Boeing 737-800', 1.0, 'exact']);
+    assert.deepEqual(normalized('E75L'), ['Embraer E175', 1.0, 'exact']);
+  });
+
+  test('parses marketing names and designators', () => {
+    assert.deepEqual(normalized('B737-800'), ['Boeing 737-800', 0.95, 'compact']);
+    assert.deepEqual(normalized('Airbus A 321 neo'), ['Airbus A321neo', 0.95, 'compact']);
+    assert.deepEqual(normalized('Boeing 787-9 Dreamliner'), ['Boeing 787-9', 0.95, 'compact']);
+    assert.deepEqual(normalized('Boeing 737-8 MAX'), ['Boeing 737 MAX 8', 0.9, 'alias']);
+    assert.deepEqual(normalized('Embraer 175'), ['Embraer E175', 0.9, 'alias']);
+    assert.deepEqual(normalized('Q400'), ['DHC Dash 8-400', 0.9, 'alias']);
+    assert.deepEqual(normalized('Airbus A320-200'), ['Airbus A320ceo', 0.9, 'alias']);
+  });
+
+  test('resolves families and series to what they have in common', () => {
+    assert.deepEqual(normalized('Boeing 737'), ['Boeing 737', 0.8, 'series']);
+    assert.deepEqual(normalized('ATR 72'), ['ATR 42/72', 0.8, 'series']);
+    assert.deepEqual(normalized('Boeing 737-800 with winglets'), ['Boeing 737-800', 0.7, 'partial']);
+  });
+
+  test('tolerates misspellings with lower confidence', () => {
+    assert.deepEqual(normalized('A32O'), ['Airbus A320', 0.6, 'fuzzy']);
+    assert.deepEqual(normalized('Boieng 787-9'), ['Boeing 787-9', 0.6, 'fuzzy']);
+  });
+
+  test('leaves unknown aircraft unresolved', () => {
+    for (const raw of ['Other', 'Unknown Jet', '', null]) {
+      assert.deepEqual(normalized(raw), [null, 0, null]);
+    }
+  });
+
+  test('feeds the match levels', () => {
+    assert.equal(getAircraftMatchLevel('B737-800', 'B738'), 'variant');
+    assert.equal(getAircraftMatchLevel('Boeing 737', 'Boeing 737-800'), 'family');
+    assert.equal(getAircraftMatchLevel('Embraer 175', 'E75L'), 'subfamily');
+  });
+});
+
+describe('aircraft registry', () => {
+  test('has one entry per ICAO designator and no code shared between types', () => {
+    const codes = AIRCRAFT_TYPES.flatMap(t => [t.icao, ...t.iata]);
+    assert.equal(new Set(codes).size, codes.length);
+  });
+
+  test('uses known body classes', () => {
+    for (const type of AIRCRAFT_TYPES) {
+      assert.ok(BODY_CLASSES.includes(type.body), `${type.icao}: ${type.body}`);
+    }
+  });
+
+  test('maps second-generation E-Jets to E2 names', () => {
+    assert.equal(mapAircraftCode('E290'), 'Embraer E190-E2');
+    assert.equal(mapAircraftCode('E295'), 'Embraer E195-E2');
+    assert.equal(mapAircraftCode('E190'), 'Embraer E190');
+    assert.equal(mapAircraftCode('E75L'), 'Embraer E175');
+  });
+
+  test('maps IATA equipment codes', () => {
+    assert.equal(mapAircraftCode('73H'), 'Boeing 737NG');
+    assert.equal(mapAircraftCode('32N'), 'Airbus A320');
+    assert.equal(mapAircraftCode('77W'), 'Boeing 777');
+  });
+
+  test('finds entries by code, name and variant', () => {
+    assert.deepEqual(findAircraftTypes('b77w').map(t => t.variant), ['Boeing 777-300ER']);
+    assert.deepEqual(findAircraftTypes('Boeing 787').map(t => t.icao), ['B788', 'B789', 'B78X']);
+    assert.deepEqual(findAircraftTypes('Unknown Jet'), []);
+  });
+
+  test('derives the output enum and the prompt table', () => {
+    assert.equal(AIRCRAFT_NAMES.at(-1), OTHER_AIRCRAFT);
+    assert.equal(new Set(AIRCRAFT_NAMES).size, AIRCRAFT_NAMES.length);
+    for (const code of Object.keys(AIRCRAFT_MAPPING)) {
+      assert.ok(AIRCRAFT_NAMES.includes(mapAircraftCode(code)), code);
+    }
+
+    const table = formatAircraftTable();
+    assert.match(table, /^- Embraer E190-E2: E290 \(IATA 290\)$/m);
+    assert.match(table, /^- Boeing 737NG: B736, B737, B738, B739, B73J \(IATA 736, 73G, 73W, 738, 73H, 739, 73J\)$/m);
+    assert.equal(table.split('\n').length, AIRCRAFT_NAMES.length - 1);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkRegressions, compareRuns, generateComparisonReport } from '../lib/comparison.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+const testCases = [1, 2, 3, 4].map(n => makeTestCase({ flightNumber: String(100 + n) }));
+const validated = (result, validationStatus) => ({ ...result, validation: { validationStatus } });
+
+const runA = {
+  runId: 'run-a',
+  pipeline: 'chain',
+  results: [
+    validated(makeResult(testCases[0], makeExtraction(testCases[0])), 'PASS'),
+    validated(makeResult(testCases[1], makeExtraction(testCases[1], { aircraftName: 'Airbus A320' })), 'FAIL'),
+    validated(makeResult(testCases[2], makeExtraction(testCases[2])), 'PASS'),
+    validated(makeResult(testCases[3], makeExtraction(testCases[3])), 'PASS')
+  ]
+};
+
+// Case order changed; flight 101 lost its aircraft and duration, 102 got its aircraft, 104 is not in B
+const runB = {
+  runId: 'run-b',
+  pipeline: 'chain',
+  results: [
+    validated(makeResult(testCases[2], makeExtraction(testCases[2])), 'PASS'),
+    validated(makeResult(testCases[0], makeExtraction(testCases[0], { aircraftName: 'Airbus A320', flightTime: '05:00' })), 'FAIL'),
+    validated(makeResult(testCases[1], makeExtraction(testCases[1])), 'PASS')
+  ]
+};
+
+describe('compareRuns', () => {
+  const comparison = compareRuns(runA, runB);
+
+  test('lines flights up by identity and lists what changed', () => {
+    assert.deepEqual(comparison.flights, { paired: 3, onlyA: ['WN104 LAS-ABQ 11-01-2026'], onlyB: [] });
+    assert.deepEqual(comparison.cases.map(c => [c.key, c.caseA, c.caseB, c.regressed, c.fixed]), [
+      ['WN101 LAS-ABQ 11-01-2026', 1, 2, ['aircraftName', 'flightTime'], []],
+      ['WN102 LAS-ABQ 11-01-2026', 2, 3, [], ['aircraftName']]
+    ]);
+    assert.deepEqual(comparison.cases[0].validation, { a: 'PASS', b: 'FAIL' });
+    assert.deepEqual(comparison.cases[0].flags.added, ['aircraft_mismatch', 'duration_error']);
+    assert.deepEqual(comparison.cases[1].flags.removed, ['aircraft_mismatch']);
+  });
+
+  test('summarizes transitions and metric deltas', () => {
+    assert.deepEqual(comparison.summary, {
+      regressed: { flights: 1, fields: 2 },
+      fixed: { flights: 1, fields: 1 },
+      validation: { passToFail: 1, failToPass: 1 },
+      errors: { flights: 0, added: 0, resolved: 0 }
+    });
+    assert.equal(comparison.metrics.fields.aircraftName.a.f1, 0.75);
+    assert.ok(Math.abs(comparison.metrics.fields.flightTime.delta.recall - (2 / 3 - 1)) < 1e-12);
+    assert.equal(comparison.significance.pairs, 3);
+    assert.deepEqual(comparison.significance.fields.aircraftName, { onlyA: 1, onlyB: 1, pValue: 1 });
+  });
+
+  test('reports the changed flights and the gate', () => {
+    const failures = checkRegressions(comparison, { maxDrop: 10, maxRegressions: 0 });
+    assert.deepEqual(failures, [
+      'Weighted F1 -12.5pp (max drop 10pp)',
+      'Flight Duration F1 -33.3pp (max drop 10pp)',
+      'Regressed flights: 1 (max 0)'
+    ]);
+    assert.deepEqual(checkRegressions(comparison, { maxDrop: 35, maxRegressions: 1 }), []);
+    assert.deepEqual(checkRegressions(comparison), []);
+
+    const markdown = generateComparisonReport(comparison, failures);
+    assert.match(markdown, /\| 1\/2 \| WN101 LAS-ABQ 11-01-2026 \| Aircraft Name, Flight Duration \| - \| PASS → FAIL \| \+aircraft_mismatch, \+duration_error \| - \|/);
+    assert.match(markdown, /Compared:\*\* 3 flights in both runs \(only in A: 1, only in B: 0\)/);
+    assert.match(markdown, /- ❌ Regressed flights: 1 \(max 0\)/);
+    assert.doesNotMatch(generateComparisonReport(comparison), /Regression Gate/);
+  });
+
+  test('keeps flights that errored in either run out of the field diff and the gate', () => {
+    const timeout = { type: 'timeout', message: 'Step search timed out' };
+    const errored = { ...runB, results: runB.results.map(r => r.groundTruth.flightNumber === '101' ? { ...r, error: timeout } : r) };
+    const withError = compareRuns(runA, errored);
+    assert.deepEqual(withError.summary.regressed, { flights: 0, fields: 0 });
+    assert.deepEqual(withError.summary.errors, { flights: 1, added: 1, resolved: 0 });
+    assert.deepEqual(withError.cases[1].regressed, []);
+    assert.deepEqual(withError.cases[1].error, { a: null, b: 'timeout' });
+    assert.deepEqual(checkRegressions(withError, { maxRegressions: 0 }), []);
+    assert.match(generateComparisonReport(withError), /Errors:\*\* 1 flights errored in a run, not diffed field by field \(1 new, 0 resolved\)/);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateRunUsage, formatCost, summarizeUsage } from '../lib/cost.js';
+import { resolveConfig } from '../lib/config.js';
+
+const call = (step, model, inputTokens, outputTokens) => ({
+  step, model, usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens }
+});
+
+describe('summarizeUsage', () => {
+  test('prices each request per million tokens, in total and per step', () => {
+    const usage = summarizeUsage([
+      call('research', 'mistral-large', 10000, 2000),
+      call('research', 'mistral-large', 20000, 1000),
+      call('validate', 'mistral-small', 5000, 500)
+    ]);
+    assert.equal(usage.requests, 3);
+    assert.equal(usage.totalTokens, 38500);
+    assert.ok(Math.abs(usage.steps.research.cost - (30000 * 2 + 3000 * 6) / 1e6) < 1e-12);
+    assert.ok(Math.abs(usage.cost - usage.steps.research.cost - usage.steps.validate.cost) < 1e-12);
+    assert.deepEqual(usage.unpriced, []);
+  });
+
+  test('counts the tokens of unpriced models and responses without usage, at no cost', () => {
+    const usage = summarizeUsage([
+      call('search', 'my-model', 100, 50),
+      { step: 'search', model: 'gemini-fast', usage: null }
+    ], { 'gemini-fast': { input: 1, output: 1 } });
+    assert.deepEqual(usage.steps.search, { requests: 2, inputTokens: 100, outputTokens: 50, totalTokens: 150, cost: 0 });
+    assert.deepEqual(usage.unpriced, ['my-model']);
+  });
+});
+
+describe('calculateRunUsage', () => {
+  test('adds up the cases that carry usage', () => {
+    const results = [
+      { usage: summarizeUsage([call('search', 'gemini-fast', 1000, 1000)]) },
+      { usage: summarizeUsage([call('search', 'gemini-fast', 1000, 1000), call('validate', 'judge', 10, 10)]) },
+      {}
+    ];
+    const usage = calculateRunUsage(results);
+    assert.equal(usage.cases, 2);
+    assert.equal(usage.steps.search.requests, 2);
+    assert.equal(usage.steps.validate.totalTokens, 20);
+    assert.deepEqual(usage.unpriced, ['judge']);
+    assert.ok(Math.abs(usage.costPerCase - 0.0005) < 1e-12);
+    assert.equal(calculateRunUsage([{}]), null);
+  });
+
+  test('formats small and large costs', () => {
+    assert.equal(formatCost(0.00123), '$0.0012');
+    assert.equal(formatCost(12.345), '$12.35');
+  });
+});
+
+describe('cost config', () => {
+  const pipeline = {
+    name: 'chain',
+    defaultDataset: './data.json',
+    defaults: { steps: { search: { model: 'gemini-fast' }, structure: { model: 'my-model' } } }
+  };
+
+  test('extends the default price table', () => {
+    const config = resolveConfig(pipeline, { cost: { prices: { 'my-model': { input: 1, output: 2 } } } }, { budget: '0.5' });
+    assert.equal(config.cost.budget, 0.5);
+    assert.deepEqual(config.cost.prices['my-model'], { input: 1, output: 2 });
+    assert.ok(config.cost.prices['gemini-fast']);
+  });
+
+  test('needs a price for every model under a budget', () => {
+    assert.throws(() => resolveConfig(pipeline, {}, { budget: '0.5' }), /cost\.budget needs a price for "my-model"/);
+    assert.throws(() => resolveConfig(pipeline, {}, { budget: '0' }), /cost\.budget must be a positive number/);
+    assert.throws(() => resolveConfig(pipeline, { cost: { prices: { x: { input: 1 } } } }, {}), /cost\.prices\["x"\]/);
+  });
+});
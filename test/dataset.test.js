@@ -0,0 +1,117 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeBlockTime, localTimeToEpoch, toTestCase } from '../lib/dataset.js';
+import { flagForReview } from '../lib/scoring.js';
+import { makeExtraction, makeResult } from './helpers.js';
+
+const AIRPORTS = new Map([
+  ['LAS', { code: 'LAS', city: 'Las Vegas', timezone: 'America/Los_Angeles' }],
+  ['ABQ', { code: 'ABQ', city: 'Albuquerque', timezone: 'America/Denver' }],
+  ['DXB', { code: 'DXB', city: 'Dubai', timezone: 'UTC+04:00' }],
+  ['BNE', { code: 'BNE', city: 'Brisbane', timezone: 'Australia/Brisbane' }],
+  ['LHR', { code: 'LHR', city: 'London', timezone: 'Greenwich Mean Time' }],
+  ['JFK', { code: 'JFK', city: 'New York', timezone: 'America/New_York' }],
+  ['XXX', { code: 'XXX', city: 'Nowhere', timezone: 'Not a zone' }]
+]);
+const AIRLINES = new Map([['WN', 'Southwest Airlines']]);
+
+/**
+ * Enriched dataset record
+ * @param {string} from - Departure IATA code
+ * @param {string} to - Arrival IATA code
+ * @param {string} departure - Local scheduled departure
+ * @param {string} arrival - Local scheduled arrival
+ * @param {number} duration - Stored duration in minutes
+ * @returns {Object} Raw record
+ */
+function makeFlight(from, to, departure, arrival, duration) {
+  return {
+    flight_number: '548', dep_iata: from, arr_iata: to, airline_iata: 'WN', aircraft_icao: 'B738',
+    enriched: { dep_time_scheduled: departure, arr_time_scheduled: arrival, duration }
+  };
+}
+
+describe('localTimeToEpoch', () => {
+  test('converts local times with IANA zones, aliases and fixed offsets', () => {
+    assert.equal(localTimeToEpoch('2025-12-16 10:00', 'America/Los_Angeles'), Date.UTC(2025, 11, 16, 18, 0));
+    assert.equal(localTimeToEpoch('2025-12-16 10:00', 'UTC+04:00'), Date.UTC(2025, 11, 16, 6, 0));
+    assert.equal(localTimeToEpoch('2025-12-16 10:00', 'UTC−03:00'), Date.UTC(2025, 11, 16, 13, 0));
+    assert.equal(localTimeToEpoch('2026-07-01 10:00', 'Greenwich Mean Time'), Date.UTC(2026, 6, 1, 9, 0));
+    assert.equal(localTimeToEpoch('2025-12-16 10:00', 'America/Santo Domingo'), Date.UTC(2025, 11, 16, 14, 0));
+  });
+
+  test('applies the offset in force at that date', () => {
+    assert.equal(localTimeToEpoch('2026-03-07 10:00', 'America/New_York'), Date.UTC(2026, 2, 7, 15, 0));
+    assert.equal(localTimeToEpoch('2026-03-09 10:00', 'America/New_York'), Date.UTC(2026, 2, 9, 14, 0));
+  });
+
+  test('returns null for unknown zones and unparseable times', () => {
+    assert.equal(localTimeToEpoch('2025-12-16 10:00', 'Not a zone'), null);
+    assert.equal(localTimeToEpoch('16.12.2025', 'Europe/London'), null);
+    assert.equal(localTimeToEpoch('2025-12-16 10:00', undefined), null);
+  });
+});
+
+describe('computeBlockTime', () => {
+  const blockTime = (flight) => computeBlockTime(flight, AIRPORTS.get(flight.dep_iata), AIRPORTS.get(flight.arr_iata));
+
+  test('takes the zones of both airports into account', () => {
+    assert.equal(blockTime(makeFlight('LAS', 'ABQ', '2025-12-16 10:00', '2025-12-16 12:30', 90)).scheduled, 90);
+  });
+
+  test('handles overnight flights', () => {
+    assert.equal(blockTime(makeFlight('DXB', 'BNE', '2025-12-16 10:25', '2025-12-17 06:30', 845)).scheduled, 845);
+  });
+
+  test('handles a DST switch between departure and arrival', () => {
+    // London is still on GMT, New York has already moved to EDT
+    assert.equal(blockTime(makeFlight('LHR', 'JFK', '2026-03-28 10:00', '2026-03-28 13:00', 420)).scheduled, 420);
+    // Overnight across the US spring-forward night: 04:00Z → 11:00Z
+    assert.equal(blockTime(makeFlight('JFK', 'LAS', '2026-03-07 23:00', '2026-03-08 04:00', 420)).scheduled, 420);
+  });
+
+  test('computes the actual block time from Unix timestamps', () => {
+    const flight = makeFlight('LAS', 'ABQ', '2025-12-16 10:00', '2025-12-16 12:30', 90);
+    flight.enriched.dep_time_actual = 1765908000;
+    flight.enriched.arr_time_actual = 1765913700;
+    assert.deepEqual(blockTime(flight), { scheduled: 90, actual: 95 });
+  });
+
+  test('gives up on unknown zones and non-positive durations', () => {
+    assert.equal(blockTime(makeFlight('LAS', 'XXX', '2025-12-16 10:00', '2025-12-16 12:30', 90)).scheduled, null);
+    assert.equal(blockTime(makeFlight('LAS', 'ABQ', '2025-12-16 12:30', '2025-12-16 10:00', 90)).scheduled, null);
+  });
+});
+
+describe('toTestCase', () => {
+  test('uses the computed block time as ground truth', () => {
+    const testCase = toTestCase(makeFlight('DXB', 'BNE', '2025-12-16 10:25', '2025-12-17 06:30', 845), AIRPORTS, AIRLINES);
+    assert.equal(testCase.duration, '14:05');
+    assert.deepEqual(testCase.blockTime, { scheduled: 845, actual: null, stored: 845, mismatch: null });
+  });
+
+  test('records a stored duration that disagrees with the schedule', () => {
+    // Stored duration ignores the one-hour zone difference
+    const testCase = toTestCase(makeFlight('LAS', 'ABQ', '2025-12-16 10:00', '2025-12-16 12:30', 150), AIRPORTS, AIRLINES);
+    assert.equal(testCase.duration, '01:30');
+    assert.equal(testCase.blockTime.mismatch, 60);
+
+    const result = makeResult(testCase, makeExtraction(testCase));
+    assert.deepEqual(flagForReview(result), ['ground_truth_mismatch']);
+  });
+
+  test('falls back to the stored duration without zones', () => {
+    const testCase = toTestCase(makeFlight('LAS', 'XXX', '2025-12-16 10:00', '2025-12-16 12:30', 150), AIRPORTS, AIRLINES);
+    assert.equal(testCase.duration, '02:30');
+    assert.equal(testCase.blockTime.mismatch, null);
+  });
+
+  test('keeps the duration of simple records', () => {
+    const testCase = toTestCase({
+      flight_number: '548', dep_iata: 'LAS', arr_iata: 'ABQ', airline_iata: 'WN', aircraft_icao: 'B738',
+      duration: '02:20', scheduled_flight_date: '11.01.2026'
+    }, AIRPORTS, AIRLINES);
+    assert.equal(testCase.duration, '02:20');
+    assert.equal(testCase.blockTime, undefined);
+  });
+});
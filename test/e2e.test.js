@@ -0,0 +1,285 @@
+/**
+ * End-to-end runs of the legacy entry points against the mock servers
+ *
+ * Each script runs in a child process with the Pollinations, LiteLLM and MCP URLs
+ * pointed at mock/llm-server.js and mock/searxng-server.js, so no network access
+ * or API keys are needed.
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startMockLLMServer } from '../mock/llm-server.js';
+import { startMockSearxngServer } from '../mock/searxng-server.js';
+import { SCORED_FIELDS } from '../lib/scoring.js';
+import { getFlightKey } from '../lib/dataset.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const RUN_TIMEOUT = 120000;
+
+let llm;
+let searxng;
+let tmpDir;
+
+/**
+ * Run a script from the repo root against the mocks
+ * @param {string} script - Script path relative to the repo root
+ * @param {Array<string>} args - Arguments
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+function runScript(script, args) {
+  const env = {
+    ...process.env,
+    POLLINATIONS_URL: `${llm.url}/v1`,
+    POLLINATIONS_API_KEY: 'mock',
+    LITELLM_URL: llm.url,
+    LITELLM_API_KEY: 'mock',
+    MCP_SEARXNG_URL: `${searxng.url}/mcp`
+  };
+  return new Promise(resolve => {
+    execFile(process.execPath, [script, ...args], { cwd: ROOT, env, timeout: RUN_TIMEOUT }, (error, stdout, stderr) => {
+      resolve({ code: error ? (error.code ?? 1) : 0, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Load the only run saved in an output directory
+ * @param {string} outputDir - Output directory
+ * @returns {Object} { runDir, run }
+ */
+function readOnlyRun(outputDir) {
+  // Run folders only - the results store sits next to them
+  const runs = fs.readdirSync(outputDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name);
+  assert.equal(runs.length, 1, `expected one run in ${outputDir}, found ${runs.join(', ')}`);
+  const runDir = path.join(outputDir, runs[0]);
+  return { runDir, run: JSON.parse(fs.readFileSync(path.join(runDir, 'results.json'), 'utf8')) };
+}
+
+/**
+ * Assert a run finished every case without errors and scored every field correctly
+ * @param {Object} run - Saved run
+ * @param {number} count - Expected number of cases
+ */
+function assertPerfectRun(run, count) {
+  assert.equal(run.results.length, count);
+  for (const result of run.results) {
+    assert.equal(result.error, undefined, `${result.query}: ${JSON.stringify(result.error)}`);
+    for (const field of SCORED_FIELDS) {
+      assert.equal(result.comparison[field].grade, 1, `${result.query}: ${field} = ${result.extracted[field]}`);
+    }
+  }
+}
+
+before(async () => {
+  llm = await startMockLLMServer();
+  searxng = await startMockSearxngServer();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flight-eval-e2e-'));
+});
+
+after(async () => {
+  await llm?.close();
+  await searxng?.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('legacy entry points against the mocks', () => {
+  test('eval-final.js runs the chain pipeline', async () => {
+    const output = path.join(tmpDir, 'chain');
+    const { code, stdout, stderr } = await runScript('eval-final.js', ['3', '--output', output]);
+    assert.equal(code, 0, stdout + stderr);
+
+    const { runDir, run } = readOnlyRun(output);
+    assert.equal(run.pipeline, 'chain');
+    assertPerfectRun(run, 3);
+    assert.match(stdout, /Accuracy by Source:\n {3}Query: 100\.0% \(12\/12 fields\)\n {3}flights\.mock: 100\.0% \(6\/6 fields\)/);
+    assert.deepEqual(run.results[0].sources.flightTime.site, 'flights.mock');
+    assert.ok(fs.existsSync(path.join(runDir, 'report.md')));
+  });
+
+  test('--budget stops a run once its cost is reached', async () => {
+    const output = path.join(tmpDir, 'budget');
+    const { code, stdout, stderr } = await runScript('bin/flight-eval.js', ['run', '--pipeline', 'chain', '--count', '3',
+      '--budget', '0.000001', '--output', output]);
+    assert.equal(code, 0, stdout + stderr);
+    assert.match(stdout, /Budget of \$0\.0000 reached/);
+    assert.match(stdout, /Cost: \$\d+\.\d{4} /);
+
+    const { runDir, run } = readOnlyRun(output);
+    assert.equal(run.results.length, 1);
+    assert.equal(run.results[0].case, 1);
+    assert.deepEqual(run.stopped, { reason: 'budget', budget: 0.000001, completed: 1, total: 3 });
+    const { usage } = run.results[0];
+    assert.deepEqual(Object.keys(usage.steps), ['search', 'structure']);
+    assert.ok(usage.steps.search.inputTokens > 0 && usage.cost > 0);
+    assert.match(fs.readFileSync(path.join(runDir, 'report.md'), 'utf8'), /### Token Usage and Cost/);
+  });
+
+  test('compare gates a run that regresses against its baseline', async () => {
+    const { runDir } = readOnlyRun(path.join(tmpDir, 'chain'));
+    const degraded = JSON.parse(fs.readFileSync(path.join(runDir, 'results.json'), 'utf8'));
+    degraded.runId = 'degraded';
+    degraded.results[0].comparison.aircraftName = { match: false, grade: 0 };
+    const degradedFile = path.join(tmpDir, 'degraded.json');
+    fs.writeFileSync(degradedFile, JSON.stringify(degraded));
+
+    const out = path.join(tmpDir, 'comparison');
+    const gated = await runScript('bin/flight-eval.js', ['compare', runDir, degradedFile, '--max-regressions', '0', '--out', out]);
+    assert.equal(gated.code, 1, gated.stdout + gated.stderr);
+    assert.match(gated.stdout, /- \*\*Regressed:\*\* 1 flights \(1 fields correct → wrong\)/);
+    assert.match(gated.stderr, /Regression over the threshold: Regressed flights: 1 \(max 0\)/);
+    const saved = JSON.parse(fs.readFileSync(path.join(out, 'comparison.json'), 'utf8'));
+    assert.deepEqual(saved.cases.map(c => [c.caseA, c.regressed]), [[1, ['aircraftName']]]);
+    assert.deepEqual(saved.gate.failures, ['Regressed flights: 1 (max 0)']);
+
+    const { runDir: budgetDir } = readOnlyRun(path.join(tmpDir, 'budget'));
+    const subset = await runScript('bin/flight-eval.js', ['compare', runDir, budgetDir, '--max-drop', '0', '--json']);
+    assert.equal(subset.code, 0, subset.stdout + subset.stderr);
+    const comparison = JSON.parse(subset.stdout);
+    assert.equal(comparison.flights.paired, 1);
+    assert.equal(comparison.flights.onlyA.length, 2);
+    assert.deepEqual(comparison.gate.failures, []);
+  });
+
+  test('history shows the runs indexed in the results store', async () => {
+    const output = path.join(tmpDir, 'chain');
+    const { run } = readOnlyRun(output);
+    assert.match(run.git.commit, /^[0-9a-f]{40}$/);
+
+    const history = await runScript('bin/flight-eval.js', ['history', '--output', output]);
+    assert.equal(history.code, 0, history.stdout + history.stderr);
+    assert.match(history.stdout, new RegExp(`\\| ${run.runId} \\| .* \\| ${run.git.commit.slice(0, 7)}\\*? \\| default \\| 3/3 \\| 100\\.0% \\| - \\|`));
+
+    const cases = await runScript('bin/flight-eval.js', ['history', '--output', output, '--rebuild', '--json',
+      '--flight', getFlightKey(run.results[0].groundTruth)]);
+    assert.equal(cases.code, 0, cases.stdout + cases.stderr);
+    const [record] = JSON.parse(cases.stdout);
+    assert.equal(record.runId, run.runId);
+    assert.equal(record.fields.aircraftName.match, true);
+    assert.equal(record.trace, path.join(run.runId, 'traces', 'case-001.json'));
+  });
+
+  test('eval-v2-judge.js runs the chain-judge pipeline with validation', async () => {
+    const output = path.join(tmpDir, 'chain-judge');
+    const { code, stdout, stderr } = await runScript('eval-v2-judge.js', ['2', '--output', output]);
+    assert.equal(code, 0, stdout + stderr);
+
+    const { run } = readOnlyRun(output);
+    assertPerfectRun(run, 2);
+    for (const result of run.results) {
+      assert.equal(result.validation.validationStatus, 'PASS');
+    }
+  });
+
+  test('--judge both runs the LLM and rule-based judges side by side', async () => {
+    const output = path.join(tmpDir, 'judge-both');
+    const { code, stdout, stderr } = await runScript('bin/flight-eval.js', ['run', '--pipeline', 'chain-judge', '--count', '2',
+      '--judge', 'both', '--output', output]);
+    assert.equal(code, 0, stdout + stderr);
+    assert.match(stdout, /Judge Agreement \(LLM vs rules\): 2\/2 \(100\.0%\)/);
+
+    const { runDir, run } = readOnlyRun(output);
+    for (const result of run.results) {
+      assert.equal(result.judges.rules.validationStatus, 'PASS', result.judges.rules.reasoning);
+      assert.deepEqual(result.validation, result.judges.llm);
+    }
+    assert.match(fs.readFileSync(path.join(runDir, 'report.md'), 'utf8'), /## Judge Agreement \(LLM vs Rules\)/);
+  });
+
+  test('a judge panel votes on every case', async () => {
+    const output = path.join(tmpDir, 'judge-panel');
+    const config = path.join(tmpDir, 'judge-panel.json');
+    fs.writeFileSync(config, JSON.stringify({
+      pipeline: 'chain-judge',
+      dataset: { count: 2 },
+      judge: { panel: [{ model: 'gemini-fast' }, { model: 'openai', name: 'second' }, { model: 'mistral' }] }
+    }));
+    const { code, stdout, stderr } = await runScript('bin/flight-eval.js', ['run', '--config', config, '--output', output]);
+    assert.equal(code, 0, stdout + stderr);
+    assert.match(stdout, /Votes: 3\/3 PASS/);
+
+    const { run } = readOnlyRun(output);
+    for (const result of run.results) {
+      assert.equal(result.validation.validationStatus, 'PASS');
+      assert.deepEqual(result.ensemble.votes.map(v => v.judge), ['gemini-fast', 'second', 'mistral']);
+      assert.equal(result.ensemble.highDisagreement, false);
+      assert.ok(!result.flags.includes('judge_disagreement'));
+    }
+  });
+
+  test('--judge rules validates a pipeline without an LLM judge', async () => {
+    const output = path.join(tmpDir, 'judge-rules');
+    const { code, stdout, stderr } = await runScript('bin/flight-eval.js', ['run', '--pipeline', 'chain', '--count', '2',
+      '--judge', 'rules', '--output', output]);
+    assert.equal(code, 0, stdout + stderr);
+
+    const { run } = readOnlyRun(output);
+    for (const result of run.results) {
+      assert.equal(result.validation.validationStatus, 'PASS', result.validation.reasoning);
+      assert.equal(result.judges, undefined);
+    }
+  });
+
+  test('eval.js runs the react-mcp pipeline through MCP search', async () => {
+    const output = path.join(tmpDir, 'react-mcp');
+    const searches = searxng.server.stats.searches;
+    const { code, stdout, stderr } = await runScript('eval.js', ['2', '--seed', '7', '--output', output]);
+    assert.equal(code, 0, stdout + stderr);
+
+    const { runDir, run } = readOnlyRun(output);
+    assert.equal(run.pipeline, 'react-mcp');
+    assertPerfectRun(run, 2);
+    assert.ok(searxng.server.stats.searches >= searches + 2, 'every case searches via MCP');
+    for (const result of run.results) {
+      assert.deepEqual(result.grounding.counts, { grounded: 7, ungrounded: 0, contradicted: 0 }, JSON.stringify(result.grounding));
+      assert.ok(!result.flags.includes('ungrounded'));
+    }
+
+    // Every case has its full trace, not just the first
+    assert.deepEqual(fs.readdirSync(path.join(runDir, 'traces')), ['case-001.json', 'case-002.json']);
+    const view = await runScript('bin/flight-eval.js', ['trace', 'view', runDir, '2', '--json']);
+    assert.equal(view.code, 0, view.stdout + view.stderr);
+    const trace = JSON.parse(view.stdout);
+    assert.equal(trace.query, run.results[1].query);
+    const toolMessages = trace.trace.messages.filter(m => m.role === 'tool');
+    assert.ok(toolMessages.length > 0 && toolMessages.every(m => m.toolCallId), 'tool outputs are linked to their calls');
+    assert.ok(trace.trace.messages.some(m => m.toolCalls?.some(call => call.name === 'searxng_web_search')));
+    assert.deepEqual([...new Set(trace.timeline.steps.map(s => s.step))], ['research', 'validate']);
+    assert.ok(trace.timeline.modelCalls.every(c => c.usage?.totalTokens > 0), 'every model request has token usage');
+    assert.ok(trace.timeline.toolCalls.length > 0 && trace.timeline.toolCalls.every(t => t.step === 'research'));
+    for (const result of run.results) {
+      assert.deepEqual(Object.keys(result.timings.steps), ['research', 'validate']);
+      assert.ok(result.timings.tools.searxng_web_search.length > 0, 'MCP tool calls are timed');
+    }
+    assert.match(stdout, /Latency:\n {3}research: p50 .*\n {3}validate: .*\n {3}tool searxng_web_search \(\d+ calls\)/);
+
+    const markdown = await runScript('bin/flight-eval.js', ['trace', 'view', runDir, '2']);
+    assert.equal(markdown.code, 0, markdown.stdout + markdown.stderr);
+    assert.match(markdown.stdout, /^# Case 2: /);
+    assert.match(markdown.stdout, /## Conversation/);
+  });
+
+  test('a recorded react-mcp run replays offline', async () => {
+    const cacheDir = path.join(tmpDir, 'cache');
+    const recorded = path.join(tmpDir, 'recorded');
+    const record = await runScript('eval.js', ['2', '--seed', '11', '--output', recorded, '--record', '--cache-dir', cacheDir]);
+    assert.equal(record.code, 0, record.stdout + record.stderr);
+    const { runDir, run } = readOnlyRun(recorded);
+
+    const requests = llm.server.requests;
+    const searches = searxng.server.stats.searches;
+    const replayed = path.join(tmpDir, 'replayed');
+    const replay = await runScript('bin/flight-eval.js', ['run', '--config', path.join(runDir, 'config.json'),
+      '--replay-strict', '--cache-dir', cacheDir, '--output', replayed]);
+    assert.equal(replay.code, 0, replay.stdout + replay.stderr);
+
+    assert.equal(llm.server.requests, requests, 'no model requests during replay');
+    assert.equal(searxng.server.stats.searches, searches, 'no MCP calls during replay');
+    const replayedRun = readOnlyRun(replayed).run;
+    assert.deepEqual(replayedRun.results.map(r => r.extracted), run.results.map(r => r.extracted));
+  });
+});
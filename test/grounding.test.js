@@ -0,0 +1,77 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkGrounding, collectToolResults } from '../lib/grounding.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+const CONTEXT = {
+  airports: new Map([['LAS', { code: 'LAS', city: 'Las Vegas' }], ['ABQ', { code: 'ABQ', city: 'Albuquerque' }]]),
+  airlines: new Map([['WN', 'Southwest Airlines']])
+};
+
+const testCase = makeTestCase({ duration: '01:30' });
+const extracted = makeExtraction(testCase);
+
+/**
+ * Status of each checked field
+ * @param {Object} grounding - checkGrounding() output
+ * @returns {Object} field → status
+ */
+function statuses(grounding) {
+  return Object.fromEntries(Object.entries(grounding.fields).map(([field, { status }]) => [field, status]));
+}
+
+describe('collectToolResults', () => {
+  test('reads tool messages with string or content block content', () => {
+    const messages = [
+      { role: 'user', content: 'query' },
+      { role: 'tool', content: 'first' },
+      { _getType: () => 'tool', content: [{ type: 'text', text: 'second' }, { type: 'text', text: 'page' }] },
+      { _getType: () => 'ai', content: 'report' }
+    ];
+    assert.deepEqual(collectToolResults(messages), ['first', 'second\npage']);
+  });
+});
+
+describe('checkGrounding', () => {
+  test('grounds values written the way search results write them', () => {
+    const snippet = 'Southwest Airlines flight 548 Las Vegas - Albuquerque, Jan 11, 2026. Boeing 737-800 (B738), 1h 30m';
+    const grounding = checkGrounding(extracted, [snippet], CONTEXT);
+    assert.deepEqual(grounding.counts, { grounded: 7, ungrounded: 0, contradicted: 0 });
+    assert.deepEqual(grounding.unsupported, []);
+    assert.match(grounding.fields.flightTime.evidence, /1h 30m/);
+  });
+
+  test('marks other flight numbers, durations and aircraft as contradictions', () => {
+    const grounding = checkGrounding(extracted, ['WN1200 LAS-ABQ 11-01-2026 Duration: 02:05 Airbus A320'], CONTEXT);
+    assert.deepEqual(statuses(grounding), {
+      flightNumber: 'contradicted', airlineCode: 'grounded', departureAirportCode: 'grounded',
+      arrivalAirportCode: 'grounded', flightDate: 'grounded', aircraftName: 'contradicted', flightTime: 'contradicted'
+    });
+    assert.deepEqual(grounding.fields.flightNumber.found, ['WN1200']);
+    assert.deepEqual(grounding.fields.aircraftName.found, ['Airbus A320']);
+    assert.deepEqual(grounding.unsupported, ['flightNumber', 'aircraftName', 'flightTime']);
+  });
+
+  test('reads the minutes of an hours-and-minutes duration as part of it', () => {
+    const grounding = checkGrounding(extracted, ['WN548 flight time 2h 30 min'], CONTEXT);
+    assert.deepEqual(grounding.fields.flightTime, { status: 'contradicted', found: ['2h 30 min'] });
+    const halfHour = checkGrounding({ ...extracted, flightTime: '00:30' }, ['WN548 flight time 1h 30 min'], CONTEXT);
+    assert.deepEqual(halfHour.fields.flightTime, { status: 'contradicted', found: ['1h 30 min'] });
+  });
+
+  test('leaves values the tool results do not mention ungrounded', () => {
+    const grounding = checkGrounding({ ...extracted, flightTime: null }, [], CONTEXT);
+    assert.equal(grounding.toolResults, 0);
+    assert.equal(grounding.fields.flightTime, undefined);
+    assert.deepEqual(grounding.counts, { grounded: 0, ungrounded: 6, contradicted: 0 });
+    // Query fields need no tool result to be trusted
+    assert.deepEqual(grounding.unsupported, ['flightNumber', 'aircraftName']);
+  });
+
+  test('flags results with unsupported searched values', () => {
+    const grounding = checkGrounding(extracted, ['WN548 LAS-ABQ 11-01-2026 Boeing 737-800 flight time 1h 30m'], CONTEXT);
+    assert.deepEqual(makeResult(testCase, extracted, { grounding }).flags, []);
+    const contradicted = checkGrounding(extracted, ['WN548 Boeing 737-800 flight time 2h 30m'], CONTEXT);
+    assert.deepEqual(makeResult(testCase, extracted, { grounding: contradicted }).flags, ['ungrounded']);
+  });
+});
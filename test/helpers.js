@@ -0,0 +1,69 @@
+/**
+ * Test case and result builders shared by the unit tests
+ */
+
+import { scoreResult } from '../lib/runner.js';
+import { generateQuery } from '../lib/dataset.js';
+
+/**
+ * Build a test case (LAS → ABQ on Southwest by default)
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Test case
+ */
+function makeTestCase(overrides = {}) {
+  return {
+    airlineCode: 'WN',
+    airlineName: 'Southwest Airlines',
+    flightNumber: '548',
+    originCode: 'LAS',
+    origin: 'Las Vegas',
+    destinationCode: 'ABQ',
+    destination: 'Albuquerque',
+    date: '11-01-2026',
+    duration: '02:20',
+    aircraft: 'B738',
+    ...overrides
+  };
+}
+
+/**
+ * Extraction that matches a test case exactly
+ * @param {Object} testCase - Test case
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Extracted data
+ */
+function makeExtraction(testCase, overrides = {}) {
+  return {
+    flightNumber: testCase.flightNumber,
+    airlineCode: testCase.airlineCode,
+    departureAirportCode: testCase.originCode,
+    arrivalAirportCode: testCase.destinationCode,
+    flightDate: testCase.date,
+    flightTime: testCase.duration,
+    aircraftName: 'Boeing 737NG',
+    overallAssessment: 'Found all fields.',
+    ...overrides
+  };
+}
+
+/**
+ * Score an extraction the way the runner does
+ * @param {Object} testCase - Test case
+ * @param {Object} extracted - Extracted data
+ * @param {Object} [output] - Extra pipeline output (validation, ...)
+ * @returns {Object} Evaluation result
+ */
+function makeResult(testCase, extracted, output = {}) {
+  return scoreResult({
+    query: generateQuery(testCase),
+    testCase,
+    output: { extracted, ...output },
+    duration: '1.50'
+  });
+}
+
+export {
+  makeTestCase,
+  makeExtraction,
+  makeResult
+};
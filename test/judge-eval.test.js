@@ -0,0 +1,148 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  calculateAgreementMetrics, cohensKappa, evaluateJudge, generateJudgeEvalReport, getGroundTruthProblems,
+  getHumanProblems, loadLabelStudioAnnotations
+} from '../lib/judge-eval.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+const testCase = makeTestCase();
+
+/**
+ * Judge verdict
+ * @param {string} status - PASS or FAIL
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Validation
+ */
+function makeValidation(status, overrides = {}) {
+  return {
+    validationStatus: status,
+    consistencyScore: 1,
+    consistencyIssues: [],
+    sensibilityScore: 1,
+    sensibilityIssues: [],
+    confidenceScore: 1,
+    hallucinationDetected: false,
+    hallucinationDetails: [],
+    overallQualityScore: status === 'PASS' ? 1 : 0,
+    reasoning: `Judged ${status}.`,
+    ...overrides
+  };
+}
+
+const ALL_CHOICES = ['Direction correct', 'Airline correct', 'Flight number correct', 'Date correct', 'Time correct', 'ACFT correct'];
+
+describe('agreement metrics', () => {
+  test('computes precision, recall and kappa from the confusion matrix', () => {
+    const pairs = [
+      { judge: true, reference: true }, { judge: true, reference: true },
+      { judge: true, reference: false },
+      { judge: false, reference: true },
+      { judge: false, reference: false }, { judge: false, reference: false }
+    ];
+    const m = calculateAgreementMetrics(pairs);
+    assert.deepEqual(m.matrix, { tp: 2, fp: 1, fn: 1, tn: 2 });
+    assert.equal(m.precision, 2 / 3);
+    assert.equal(m.recall, 2 / 3);
+    assert.equal(m.accuracy, 4 / 6);
+    // observed 4/6, expected (3*3 + 3*3)/36 = 0.5
+    assert.ok(Math.abs(m.kappa - 1 / 3) < 1e-12);
+  });
+
+  test('handles degenerate matrices', () => {
+    assert.equal(cohensKappa({ tp: 0, fp: 0, fn: 0, tn: 0 }), null);
+    assert.equal(cohensKappa({ tp: 0, fp: 0, fn: 0, tn: 4 }), 1);
+    const m = calculateAgreementMetrics([{ judge: false, reference: false }]);
+    assert.equal(m.precision, null);
+    assert.equal(m.recall, null);
+  });
+});
+
+describe('reference problems', () => {
+  test('reads query mismatches and wrong searched values from the ground truth', () => {
+    assert.deepEqual(getGroundTruthProblems(makeResult(testCase, makeExtraction(testCase))),
+      { status: false, consistency: false, sensibility: false, hallucination: false });
+    assert.deepEqual(getGroundTruthProblems(makeResult(testCase, makeExtraction(testCase, { flightDate: '12-01-2026' }))),
+      { status: true, consistency: true, sensibility: false, hallucination: false });
+    assert.deepEqual(getGroundTruthProblems(makeResult(testCase, makeExtraction(testCase, { flightTime: '05:00' }))),
+      { status: true, consistency: false, sensibility: true, hallucination: true });
+    // Missing searched fields are not problems
+    assert.deepEqual(getGroundTruthProblems(makeResult(testCase, makeExtraction(testCase, { flightTime: null, aircraftName: null }))),
+      { status: false, consistency: false, sensibility: false, hallucination: false });
+  });
+
+  test('treats unticked extracted values as wrong for humans', () => {
+    const result = makeResult(testCase, makeExtraction(testCase));
+    assert.equal(getHumanProblems(result, new Set(ALL_CHOICES)).status, false);
+    const problems = getHumanProblems(result, new Set(ALL_CHOICES.filter(c => c !== 'Flight number correct')));
+    assert.deepEqual(problems, { status: true, consistency: false, sensibility: true, hallucination: true });
+  });
+});
+
+describe('loadLabelStudioAnnotations', () => {
+  const item = { '1-GT-Route': 'LAS-ABQ', '5-GT-FlightNumber': 'WN548', '7-GT-Date': '11-01-2026' };
+
+  test('reads JSON exports, skipping cancelled annotations', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'judge-eval-')), 'export.json');
+    fs.writeFileSync(file, JSON.stringify([{
+      data: { item },
+      annotations: [
+        { result: [{ type: 'choices', value: { choices: ['Airline correct'] } }] },
+        { was_cancelled: true, result: [{ type: 'choices', value: { choices: ['Date correct'] } }] }
+      ]
+    }]));
+    assert.deepEqual(loadLabelStudioAnnotations(file), new Map([['LAS-ABQ WN548 11-01-2026', new Set(['Airline correct'])]]));
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+
+  test('reads CSV exports', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'judge-eval-')), 'export.csv');
+    const quote = value => `"${value.replace(/"/g, '""')}"`;
+    fs.writeFileSync(file, `id,item,choice\n1,${quote(JSON.stringify(item))},${quote('{"choices":["Time correct","ACFT correct"]}')}\n`);
+    assert.deepEqual(loadLabelStudioAnnotations(file).get('LAS-ABQ WN548 11-01-2026'), new Set(['Time correct', 'ACFT correct']));
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
+
+describe('evaluateJudge', () => {
+  const good = makeResult(testCase, makeExtraction(testCase), { validation: makeValidation('PASS') });
+  const missed = makeResult(testCase, makeExtraction(testCase, { flightTime: '05:00' }), { validation: makeValidation('PASS') });
+  const caught = makeResult(testCase, makeExtraction(testCase, { airlineCode: 'UA' }), {
+    validation: makeValidation('FAIL', { consistencyIssues: ['Airline mismatch'] })
+  });
+  const results = [good, missed, caught, makeResult(testCase, makeExtraction(testCase))];
+
+  test('scores each check against the ground truth', () => {
+    const evaluation = evaluateJudge(results);
+    assert.equal(evaluation.judged, 3);
+    assert.equal(evaluation.labeled, 0);
+    assert.equal(evaluation.human, null);
+    assert.deepEqual(evaluation.groundTruth.status.matrix, { tp: 1, fp: 0, fn: 1, tn: 1 });
+    assert.deepEqual(evaluation.groundTruth.consistency.matrix, { tp: 1, fp: 0, fn: 0, tn: 2 });
+    assert.deepEqual(evaluation.disagreements.map(d => d.checks), [['status', 'sensibility', 'hallucination']]);
+  });
+
+  test('scores against human labels and ranks their disagreements', () => {
+    const labels = new Map([['LAS-ABQ WN548 11-01-2026', new Set(ALL_CHOICES.filter(c => c !== 'Date correct'))]]);
+    const evaluation = evaluateJudge([good], { labels });
+    assert.equal(evaluation.labeled, 1);
+    assert.deepEqual(evaluation.human.consistency.matrix, { tp: 0, fp: 0, fn: 1, tn: 0 });
+    assert.deepEqual(evaluation.disagreements[0], {
+      query: good.query, reference: 'human', checks: ['status', 'consistency'],
+      judgeStatus: 'PASS', referenceStatus: 'FAIL', reasoning: 'Judged PASS.'
+    });
+
+    const report = generateJudgeEvalReport(evaluation, { runId: 'chain-judge-1', pipeline: 'chain-judge' });
+    assert.match(report, /## Against Human Labels/);
+    assert.match(report, /\| consistency \| 1 \| 0 \| 0 \| 1 \| 0 \| n\/a \| 0\.0% \| 0\.0% \|/);
+  });
+
+  test('picks one judge of a run judged by both', () => {
+    const both = { ...good, judges: { llm: makeValidation('PASS'), rules: makeValidation('FAIL') } };
+    assert.equal(evaluateJudge([both], { judge: 'rules' }).groundTruth.status.matrix.fp, 1);
+    assert.equal(evaluateJudge([both], { judge: 'llm' }).groundTruth.status.matrix.tn, 1);
+  });
+});
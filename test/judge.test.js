@@ -0,0 +1,197 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assessSourceQuality, calculateJudgeAgreement, combineVerdicts, parseQuery, parseSearchReport, validateWithRules
+} from '../lib/judge.js';
+import { generateQuery } from '../lib/dataset.js';
+import { makeExtraction, makeTestCase } from './helpers.js';
+
+const CONTEXT = {
+  airports: new Map([
+    ['LAS', { code: 'LAS', city: 'Las Vegas', latitude: 36.08, longitude: -115.152222 }],
+    ['ABQ', { code: 'ABQ', city: 'Albuquerque', latitude: 35.040222, longitude: -106.609194 }],
+    ['LAX', { code: 'LAX', city: 'Los Angeles', latitude: 33.942536, longitude: -118.408075 }],
+    ['JFK', { code: 'JFK', city: 'New York', latitude: 40.639751, longitude: -73.778925 }]
+  ]),
+  airlines: new Map([['WN', 'Southwest Airlines'], ['UA', 'United Airlines']])
+};
+
+const testCase = makeTestCase({ duration: '01:30' });
+const query = generateQuery(testCase);
+
+/**
+ * Search report in the format the search prompts ask for
+ * @param {Object} [overrides] - Report label → value
+ * @returns {string} Report
+ */
+function makeReport(overrides = {}) {
+  const lines = {
+    'FLIGHT NUMBER': '548', 'AIRLINE CODE': 'WN', 'DEPARTURE AIRPORT': 'LAS', 'ARRIVAL AIRPORT': 'ABQ',
+    'FLIGHT DATE': '11-01-2026', 'FLIGHT TIME': '01:30', 'AIRCRAFT TYPE': 'B738', ...overrides
+  };
+  return Object.entries(lines).map(([label, value]) => `${label}: ${value}\nSource: FlightAware`).join('\n');
+}
+
+/**
+ * Run the rule-based judge on an extraction of the default test case
+ * @param {Object} [overrides] - Extracted fields to replace
+ * @param {string} [report] - Search report
+ * @returns {Object} Validation
+ */
+function judge(overrides = {}, report = makeReport()) {
+  return validateWithRules({ query, searchResults: report, extracted: makeExtraction(testCase, overrides) }, CONTEXT);
+}
+
+describe('search report parsing', () => {
+  test('parses generated queries', () => {
+    assert.deepEqual(parseQuery(query), {
+      origin: 'Las Vegas', destination: 'Albuquerque', date: '11-01-2026', airline: 'Southwest Airlines'
+    });
+    assert.equal(parseQuery('flights tomorrow'), null);
+  });
+
+  test('reads labeled fields and sources, with or without markdown', () => {
+    const { fields, sources } = parseSearchReport('**FLIGHT TIME:** NOT FOUND\nTime Source: Aviability\n- Source: Provided in query');
+    assert.deepEqual(fields, { flightTime: 'NOT FOUND' });
+    assert.deepEqual(sources, ['Aviability', 'Provided in query']);
+  });
+
+  test('rates the best attributed source', () => {
+    assert.equal(assessSourceQuality(['Provided in query', 'www.flightaware.com']), 1.0);
+    assert.equal(assessSourceQuality(['FlightRadar24', 'Google results']), 0.9);
+    assert.equal(assessSourceQuality(['Google results']), 0.7);
+    assert.equal(assessSourceQuality(['Provided in query', 'NOT FOUND']), 0.5);
+  });
+});
+
+describe('validateWithRules', () => {
+  test('passes a consistent, plausible and sourced extraction', () => {
+    const validation = judge();
+    assert.equal(validation.validationStatus, 'PASS');
+    assert.equal(validation.consistencyScore, 1.0);
+    assert.equal(validation.sensibilityScore, 1.0);
+    assert.equal(validation.confidenceScore, 1.0);
+    assert.equal(validation.overallQualityScore, 1.0);
+    assert.equal(validation.hallucinationDetected, false);
+  });
+
+  test('fails query mismatches with one issue per field', () => {
+    const validation = judge({ departureAirportCode: 'LAX', airlineCode: 'UA', flightDate: null });
+    assert.equal(validation.validationStatus, 'FAIL');
+    assert.equal(validation.consistencyScore, 0.0);
+    assert.equal(validation.overallQualityScore, 0.0);
+    assert.deepEqual(validation.consistencyIssues, [
+      'Route mismatch: query departs from Las Vegas but extracted LAX',
+      'Airline mismatch: query requests Southwest Airlines but extracted United Airlines (UA)',
+      'Date mismatch: query requests 11-01-2026 but extracted null'
+    ]);
+  });
+
+  test('fails fields extracted although the report says NOT FOUND', () => {
+    const validation = judge({}, makeReport({ 'FLIGHT TIME': 'DURATION NOT FOUND' }));
+    assert.equal(validation.validationStatus, 'FAIL');
+    assert.deepEqual(validation.hallucinationDetails, ['flightTime: search said NOT FOUND but extracted as 01:30']);
+  });
+
+  test('grades durations against the route distance', () => {
+    const questionable = judge({ flightTime: '03:30' });
+    assert.equal(questionable.validationStatus, 'PASS');
+    assert.equal(questionable.sensibilityScore, 0.7);
+    assert.match(questionable.sensibilityIssues[0], /^Duration 3:30 outside expected/);
+
+    const impossible = judge({ flightTime: '09:00' });
+    assert.equal(impossible.validationStatus, 'FAIL');
+    assert.equal(impossible.sensibilityScore, 0.0);
+  });
+
+  test('rejects aircraft that cannot fly the route', () => {
+    const validation = validateWithRules({
+      query: 'Los Angeles to New York on 11-01-2026 with United Airlines',
+      searchResults: makeReport(),
+      extracted: { ...makeExtraction(testCase), airlineCode: 'UA', departureAirportCode: 'LAX', arrivalAirportCode: 'JFK', flightTime: '05:30', aircraftName: 'Cessna 402' }
+    }, CONTEXT);
+    assert.equal(validation.sensibilityScore, 0.0);
+    assert.match(validation.sensibilityIssues.at(-1), /cannot fly a long-haul route/);
+  });
+
+  test('passes missing searched fields with lower confidence', () => {
+    const validation = judge({ flightTime: null, aircraftName: null, flightNumber: null }, 'FLIGHT NUMBER: NOT FOUND');
+    assert.equal(validation.validationStatus, 'PASS');
+    assert.equal(validation.confidenceScore, Math.round(((4 / 7) * 0.6 + 0.5 * 0.4) * 100) / 100);
+  });
+});
+
+describe('calculateJudgeAgreement', () => {
+  const pass = judge();
+  const fail = judge({ flightDate: null });
+
+  test('compares each check of the two judges', () => {
+    const results = [
+      { query: 'a', judges: { llm: pass, rules: pass } },
+      { query: 'b', judges: { llm: pass, rules: fail } },
+      { query: 'c', validation: pass }
+    ];
+    const agreement = calculateJudgeAgreement(results);
+    assert.equal(agreement.total, 2);
+    assert.equal(agreement.agreed, 1);
+    assert.equal(agreement.rate, 0.5);
+    assert.deepEqual(agreement.checks.hallucination, { agreed: 2, rate: 1 });
+    assert.deepEqual(agreement.checks.consistency, { agreed: 1, rate: 0.5 });
+    assert.deepEqual(agreement.disagreements.map(r => r.query), ['b']);
+  });
+
+  test('is empty without runs judged by both', () => {
+    assert.equal(calculateJudgeAgreement([{ validation: pass }]).total, 0);
+  });
+});
+
+describe('combineVerdicts', () => {
+  const pass = judge();
+  const fail = judge({ flightDate: null });
+  const options = { ensemble: 'majority', minAgreement: 0.75, maxSpread: 0.5 };
+
+  test('passes by majority and flags a split panel', () => {
+    const { validation, ensemble } = combineVerdicts([
+      { judge: 'a', validation: pass }, { judge: 'b', validation: pass }, { judge: 'c', validation: fail }
+    ], options);
+    assert.equal(validation.validationStatus, 'PASS');
+    assert.equal(validation.consistencyScore, 0.67);
+    assert.deepEqual(validation.consistencyIssues, fail.consistencyIssues);
+    assert.equal(validation.overallQualityScore, Math.round(pass.overallQualityScore * 2 / 3 * 100) / 100);
+    assert.match(validation.reasoning, /^Majority 2\/3 PASS \(a: PASS, b: PASS, c: FAIL\)/);
+    assert.equal(ensemble.passVotes, 2);
+    assert.equal(ensemble.agreement, 0.67);
+    assert.equal(ensemble.spread, pass.overallQualityScore);
+    assert.equal(ensemble.highDisagreement, true);
+  });
+
+  test('fails a tie, and passes a unanimous panel without a flag', () => {
+    const tie = combineVerdicts([{ judge: 'a', validation: pass }, { judge: 'b', validation: fail }], options);
+    assert.equal(tie.validation.validationStatus, 'FAIL');
+    assert.equal(tie.validation.overallQualityScore, 0);
+
+    const unanimous = combineVerdicts([{ judge: 'a', validation: pass }, { judge: 'b', validation: pass }], options);
+    assert.equal(unanimous.validation.validationStatus, 'PASS');
+    assert.deepEqual([unanimous.ensemble.agreement, unanimous.ensemble.spread, unanimous.ensemble.highDisagreement], [1, 0, false]);
+  });
+
+  test('passes by mean quality score', () => {
+    const borderline = { ...pass, overallQualityScore: 0.4 };
+    const votes = [{ judge: 'a', validation: borderline }, { judge: 'b', validation: borderline }, { judge: 'c', validation: { ...pass, overallQualityScore: 0.9 } }];
+    const { validation, ensemble } = combineVerdicts(votes, { ...options, ensemble: 'mean' });
+    assert.equal(validation.validationStatus, 'PASS');
+    assert.equal(validation.overallQualityScore, 0.57);
+    assert.equal(ensemble.spread, 0.5);
+    // Every judge passed, but their quality scores are far apart
+    assert.equal(ensemble.highDisagreement, true);
+  });
+
+  test('leaves failed judges out of the vote', () => {
+    const error = { type: 'timeout', step: 'validate:b', message: 'timed out', attempts: 3, status: null };
+    const { validation, ensemble } = combineVerdicts([{ judge: 'a', validation: pass }, { judge: 'b', error }], options);
+    assert.equal(validation.validationStatus, 'PASS');
+    assert.equal(ensemble.agreement, 1);
+    assert.equal(ensemble.votes[1].error, error);
+    assert.throws(() => combineVerdicts([{ judge: 'b', error }], options), /No judge of the panel returned a verdict/);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateLatency, describeTimes, findSlowestCases, percentile, summarizeTimings } from '../lib/latency.js';
+
+describe('summarizeTimings', () => {
+  test('times each step from its first attempt to its last, and each tool call', () => {
+    const timings = summarizeTimings({
+      startedAt: 0,
+      steps: [
+        { step: 'research', attempt: 1, startedAt: 0, duration: 1000, error: 'HTTP 503' },
+        { step: 'research', attempt: 2, startedAt: 1500, duration: 2500 },
+        { step: 'validate', attempt: 1, startedAt: 4000, duration: 600 }
+      ],
+      toolCalls: [
+        { step: 'research', tool: 'searxng_web_search', startedAt: 1600, duration: 700 },
+        { step: 'research', tool: 'searxng_web_search', startedAt: 2400, duration: 300 },
+        { step: 'research', tool: 'web_url_read', startedAt: 2800, duration: 900 }
+      ]
+    });
+    assert.deepEqual(timings, {
+      steps: { research: 4000, validate: 600 },
+      tools: { searxng_web_search: [700, 300], web_url_read: [900] }
+    });
+  });
+});
+
+describe('percentiles', () => {
+  test('use the nearest rank', () => {
+    const sorted = Array.from({ length: 100 }, (_, i) => i + 1);
+    assert.equal(percentile(sorted, 50), 50);
+    assert.equal(percentile(sorted, 90), 90);
+    assert.equal(percentile(sorted, 99), 99);
+    assert.equal(percentile([7], 99), 7);
+    assert.deepEqual(describeTimes([300, 100, 200]), { count: 3, mean: 200, p50: 200, p90: 300, p99: 300, max: 300 });
+  });
+});
+
+describe('calculateLatency', () => {
+  const results = [
+    { duration: '4.20', timings: { steps: { search: 3000, extract: 1000 }, tools: { search_tool: [500] } } },
+    { duration: '9.00', timings: { steps: { search: 8000, extract: 900 }, tools: { search_tool: [2000, 100] } } },
+    { duration: '1.00' }
+  ];
+
+  test('describes every step, tool and whole cases', () => {
+    const latency = calculateLatency(results);
+    assert.equal(latency.steps.search.max, 8000);
+    assert.equal(latency.steps.extract.p50, 900);
+    assert.equal(latency.tools.search_tool.count, 3);
+    assert.equal(latency.tools.search_tool.p50, 500);
+    assert.deepEqual([latency.cases.count, latency.cases.max], [2, 9000]);
+    assert.equal(calculateLatency([{ duration: '1.00' }]), null);
+  });
+
+  test('ranks the slowest cases', () => {
+    assert.deepEqual(findSlowestCases(results, 2).map(c => c.index), [1, 0]);
+  });
+});
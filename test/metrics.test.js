@@ -0,0 +1,101 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAllMetrics, calculateFieldMetrics, getSummaryStats, selectScoredResults } from '../lib/metrics.js';
+import { SCORED_FIELDS } from '../lib/scoring.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+const testCase = makeTestCase();
+
+// 4 cases: aircraft correct twice, wrong once, missing once; everything else correct
+const results = [
+  makeResult(testCase, makeExtraction(testCase)),
+  makeResult(testCase, makeExtraction(testCase, { aircraftName: 'Boeing 737MAX' })),
+  makeResult(testCase, makeExtraction(testCase, { aircraftName: 'Airbus A320' })),
+  makeResult(testCase, makeExtraction(testCase, { aircraftName: null }))
+];
+
+const errored = {
+  ...makeResult(testCase, makeExtraction(testCase, {
+    airlineCode: null, departureAirportCode: null, arrivalAirportCode: null,
+    flightDate: null, flightTime: null, aircraftName: null, flightNumber: null
+  })),
+  error: { type: 'transport', step: 'search', message: 'HTTP 503', attempts: 3, status: 503 }
+};
+
+describe('calculateFieldMetrics', () => {
+  test('computes precision over extracted values and recall over all cases', () => {
+    const m = calculateFieldMetrics(results, 'aircraftName');
+    assert.equal(m.total, 4);
+    assert.equal(m.extracted, 3);
+    assert.equal(m.correct, 2);
+    assert.equal(m.precisionRaw, 2 / 3);
+    assert.equal(m.recallRaw, 0.5);
+    assert.ok(Math.abs(m.f1Raw - 4 / 7) < 1e-12);
+    assert.equal(m.precision, '66.7%');
+    assert.equal(m.recall, '50.0%');
+    assert.equal(m.f1, '57.1%');
+  });
+
+  test('treats the string "null" as not extracted', () => {
+    const m = calculateFieldMetrics([makeResult(testCase, makeExtraction(testCase, { flightTime: 'null' }))], 'flightTime');
+    assert.equal(m.extracted, 0);
+    assert.equal(m.f1Raw, 0);
+  });
+
+  test('returns zeros for no results', () => {
+    const m = calculateFieldMetrics([], 'airlineCode');
+    assert.deepEqual([m.total, m.precisionRaw, m.recallRaw, m.f1Raw], [0, 0, 0, 0]);
+  });
+});
+
+describe('calculateAllMetrics', () => {
+  test('weights the overall F1 per field', () => {
+    const metrics = calculateAllMetrics(results, ['airlineCode', 'aircraftName'], { airlineCode: 0.5, aircraftName: 1.5 });
+    assert.equal(metrics.airlineCode.f1Raw, 1);
+    const expected = (0.5 * 1 + 1.5 * (4 / 7)) / 2;
+    assert.ok(Math.abs(metrics.overall.weightedF1Raw - expected) < 1e-12);
+    assert.equal(metrics.overall.weightedF1, '67.9%');
+  });
+
+  test('uses the default weights and weighs unknown fields 1.0', () => {
+    const byDefault = calculateAllMetrics(results, SCORED_FIELDS);
+    // Everything but the aircraft (weight 1.5 of 5.0 total) is perfect
+    assert.ok(Math.abs(byDefault.overall.weightedF1Raw - (3.5 + 1.5 * (4 / 7)) / 5) < 1e-12);
+
+    const unweighted = calculateAllMetrics(results, ['airlineCode', 'aircraftName'], {});
+    assert.ok(Math.abs(unweighted.overall.weightedF1Raw - (1 + 4 / 7) / 2) < 1e-12);
+  });
+});
+
+describe('selectScoredResults', () => {
+  test('excludes errored cases unless they count as misses', () => {
+    assert.equal(selectScoredResults([...results, errored]).length, 4);
+    assert.equal(selectScoredResults([...results, errored], 'count').length, 5);
+  });
+});
+
+describe('getSummaryStats', () => {
+  test('counts perfect matches, data, flags and grades', () => {
+    const stats = getSummaryStats(results);
+    assert.equal(stats.totalFlights, 4);
+    // The family match counts as a match
+    assert.equal(stats.perfectMatches, 2);
+    assert.equal(stats.withData, 4);
+    assert.equal(stats.flaggedCount, 2);  // aircraft_mismatch, aircraft_missing
+    assert.equal(stats.erroredCount, 0);
+    // 6 scored grades per case: 5 × 1.0 plus the aircraft grade (1.0, 0.8 family, 0.1 body class, 0)
+    assert.ok(Math.abs(stats.avgGradeRaw - (20 + 1.9) / 24) < 1e-12);
+  });
+
+  test('reports errored cases by type and keeps them out of grades by default', () => {
+    const stats = getSummaryStats([...results, errored]);
+    assert.equal(stats.totalFlights, 5);
+    assert.equal(stats.erroredCount, 1);
+    assert.deepEqual(stats.errorsByType, { transport: 1 });
+    assert.equal(stats.withData, 4);
+    assert.equal(stats.avgGrade, getSummaryStats(results).avgGrade);
+
+    const counted = getSummaryStats([...results, errored], 'count');
+    assert.ok(counted.avgGradeRaw < stats.avgGradeRaw);
+  });
+});
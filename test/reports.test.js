@@ -0,0 +1,137 @@
+/**
+ * Golden-file tests for the generated reports
+ *
+ * After an intended report change, regenerate the golden files with
+ *   UPDATE_GOLDEN=1 npm test
+ * and review the diff.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { generateLabelStudioJSON, generateMarkdownReport } from '../lib/reports.js';
+import { summarizeUsage } from '../lib/cost.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+const GOLDEN_DIR = fileURLToPath(new URL('./golden/', import.meta.url));
+
+const RUN = {
+  runId: 'chain-judge-1767225600000',
+  pipeline: 'chain-judge',
+  model: 'Pollinations.ai gemini-fast',
+  architecture: 'LangChain 3-step chain (search → extract → validate)',
+  timestamp: 1767225600000
+};
+
+/**
+ * Validation output of a judge step
+ * @param {string} status - PASS or FAIL
+ * @param {number} score - Quality score
+ * @param {Array<string>} [issues] - Consistency issues
+ * @returns {Object} Validation
+ */
+function makeValidation(status, score, issues = []) {
+  return {
+    validationStatus: status,
+    consistencyScore: score,
+    consistencyIssues: issues,
+    sensibilityScore: score,
+    sensibilityIssues: [],
+    confidenceScore: score,
+    hallucinationDetected: status === 'FAIL',
+    hallucinationDetails: status === 'FAIL' ? ['Aircraft not in search results'] : [],
+    overallQualityScore: score,
+    reasoning: status === 'PASS' ? 'All fields supported by sources.' : 'Aircraft and duration contradict the sources.'
+  };
+}
+
+/**
+ * Token usage of a case's model requests
+ * @param {Array<Array>} calls - [step, model, inputTokens, outputTokens] per request
+ * @returns {Object} Usage (see lib/cost.js)
+ */
+function makeUsage(calls) {
+  return summarizeUsage(calls.map(([step, model, inputTokens, outputTokens]) => ({
+    step, model, usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens }
+  })));
+}
+
+/**
+ * A small run covering every grade, flag and error path of the reports
+ * @returns {Array} Results
+ */
+function buildResults() {
+  const perfect = makeTestCase();
+  const family = makeTestCase({
+    airlineCode: 'EY', airlineName: 'Etihad Airways', flightNumber: '46',
+    originCode: 'DUB', origin: 'Dublin', destinationCode: 'AUH', destination: 'Abu Dhabi',
+    duration: '07:25', aircraft: 'B78X'
+  });
+  const wrong = makeTestCase({
+    airlineCode: 'G3', airlineName: 'GOL', flightNumber: '1538',
+    originCode: 'GRU', origin: 'Sao Paulo', destinationCode: 'AJU', destination: 'Aracaju',
+    duration: '02:40', aircraft: 'A20N'
+  });
+  const failed = makeTestCase({ flightNumber: '1234', date: '12-01-2026' });
+
+  const errored = makeResult(failed, {
+    flightNumber: null, airlineCode: null, departureAirportCode: null, arrivalAirportCode: null,
+    flightDate: null, flightTime: null, aircraftName: null, overallAssessment: 'Error: HTTP 503: upstream unavailable'
+  }, { validation: makeValidation('FAIL', 0) });
+  errored.error = { type: 'transport', step: 'search', message: 'HTTP 503: upstream unavailable', attempts: 3, status: 503 };
+  errored.flags = ['pipeline_error'];
+
+  errored.usage = makeUsage([['search', 'gemini-fast', 800, 0], ['search', 'gemini-fast', 800, 0]]);
+
+  const results = [
+    makeResult(perfect, makeExtraction(perfect), { validation: makeValidation('PASS', 0.95) }),
+    makeResult(family, makeExtraction(family, { aircraftName: 'B787-9 Dreamliner', flightTime: '07:50' }),
+      { validation: makeValidation('PASS', 0.8) }),
+    makeResult(wrong, makeExtraction(wrong, { flightNumber: null, aircraftName: 'Boeing 737NG', flightTime: '03:30' }),
+      { validation: makeValidation('FAIL', 0.3, ['Duration too long for route']) }),
+    errored
+  ];
+  results[0].timings = { steps: { search: 8200, extract: 1900, validate: 2500 }, tools: { web_search: [1200, 800] } };
+  results[1].timings = { steps: { search: 15400, extract: 2200, validate: 3100 }, tools: { web_search: [4100] } };
+  errored.timings = { steps: { search: 31000 }, tools: {} };
+  [results[0].duration, results[1].duration, errored.duration] = ['12.70', '20.80', '31.10'];
+  results[0].usage = makeUsage([['search', 'gemini-fast', 900, 1200], ['extract', 'gemini-fast', 1500, 150], ['validate', 'judge-x', 2100, 300]]);
+  results[1].usage = makeUsage([['search', 'gemini-fast', 950, 1400], ['extract', 'gemini-fast', 1700, 160], ['validate', 'judge-x', 2300, 280]]);
+  return results;
+}
+
+/**
+ * Compare output with a golden file (or rewrite it with UPDATE_GOLDEN=1)
+ * @param {string} name - Golden file name
+ * @param {string} actual - Generated output
+ */
+function assertGolden(name, actual) {
+  const file = `${GOLDEN_DIR}${name}`;
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+  }
+  assert.equal(actual, fs.readFileSync(file, 'utf8'), `${name} differs from the golden file (UPDATE_GOLDEN=1 to accept)`);
+}
+
+describe('report golden files', () => {
+  test('generateMarkdownReport', () => {
+    assertGolden('report.md', generateMarkdownReport(buildResults(), RUN));
+  });
+
+  test('generateMarkdownReport with errored cases counted and custom scoring', () => {
+    const run = { ...RUN, config: { scoring: { errors: 'count', aircraftGrades: { family: 0.5 }, weights: { aircraftName: 2, flightTime: 2 } } } };
+    assertGolden('report-custom-scoring.md', generateMarkdownReport(buildResults(), run));
+  });
+
+  test('generateMarkdownReport for a run stopped before its first case', () => {
+    const markdown = generateMarkdownReport([], { ...RUN, stopped: { reason: 'budget', budget: 0.01, completed: 0, total: 3 } });
+    assert.match(markdown, /\*\*Avg Duration:\*\* 0\.00s/);
+    assert.doesNotMatch(markdown, /NaN|Infinity/);
+  });
+
+  test('generateLabelStudioJSON', () => {
+    assertGolden('label-studio.json', JSON.stringify(generateLabelStudioJSON(buildResults()), null, 2) + '\n');
+  });
+});
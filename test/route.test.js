@@ -0,0 +1,89 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkFlightTime, describeRoute, expectedBlockTime, getHaulClass, greatCircleDistance } from '../lib/route.js';
+import { flagForReview } from '../lib/scoring.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+const LAS = { code: 'LAS', latitude: 36.08, longitude: -115.152222 };
+const ABQ = { code: 'ABQ', latitude: 35.040222, longitude: -106.609194 };
+const JFK = { code: 'JFK', latitude: 40.639751, longitude: -73.778925 };
+const LHR = { code: 'LHR', latitude: 51.4775, longitude: -0.461389 };
+
+describe('greatCircleDistance', () => {
+  test('computes haversine distances in km', () => {
+    assert.equal(greatCircleDistance(LAS, ABQ), 781);
+    assert.equal(greatCircleDistance(JFK, LHR), 5539);
+    assert.equal(greatCircleDistance(LHR, JFK), greatCircleDistance(JFK, LHR));
+    assert.equal(greatCircleDistance(LAS, LAS), 0);
+  });
+
+  test('returns null without coordinates', () => {
+    assert.equal(greatCircleDistance(LAS, { code: 'XXX' }), null);
+    assert.equal(greatCircleDistance(undefined, ABQ), null);
+  });
+});
+
+describe('expectedBlockTime', () => {
+  test('classifies hauls by distance', () => {
+    assert.equal(getHaulClass(781), 'short');
+    assert.equal(getHaulClass(1500), 'medium');
+    assert.equal(getHaulClass(5555), 'long');
+    assert.equal(getHaulClass(12000), 'ultra-long');
+  });
+
+  test('gives a band around the estimate, slower for smaller aircraft', () => {
+    const band = expectedBlockTime(781);
+    assert.ok(band.min < 90 && 90 < band.max, JSON.stringify(band));
+    assert.ok(expectedBlockTime(781, 'regional').expected > band.expected);
+    assert.ok(expectedBlockTime(781, 'wide').expected < band.expected);
+    assert.ok(expectedBlockTime(20, 'light').min >= 15);
+  });
+});
+
+describe('checkFlightTime', () => {
+  test('accepts plausible durations', () => {
+    const check = checkFlightTime(90, 781);
+    assert.equal(check.plausible, true);
+    assert.equal(check.issue, null);
+    assert.equal(check.distanceMiles, 485);
+  });
+
+  test('rejects durations outside the band with an issue', () => {
+    const check = checkFlightTime(300, 781, { body: 'narrow', route: 'LAS-ABQ' });
+    assert.equal(check.plausible, false);
+    assert.match(check.issue, /^Duration 5:00 outside expected \d:\d\d-\d:\d\d for LAS-ABQ \(781 km, short-haul, narrow-body\)$/);
+    assert.equal(checkFlightTime(10, 5555).plausible, false);
+  });
+
+  test('leaves plausibility open without a duration', () => {
+    assert.equal(checkFlightTime(null, 781).plausible, null);
+    assert.equal(checkFlightTime(NaN, 781).plausible, null);
+  });
+});
+
+describe('describeRoute', () => {
+  test('describes the route and how the duration fits', () => {
+    assert.match(describeRoute(JFK, LHR).text, /^JFK-LHR: 5539 km \(3442 mi\), long-haul, expected block time \d:\d\d-\d+:\d\d$/);
+    assert.match(describeRoute(LAS, ABQ, { minutes: 90 }).text, /within the expected range\.$/);
+    assert.match(describeRoute(LAS, ABQ, { minutes: 600, body: 'narrow' }).text, /for a narrow-body aircraft\. .* is OUTSIDE the expected range\.$/);
+  });
+
+  test('says when the airports are unknown', () => {
+    assert.deepEqual(describeRoute({ code: 'XXX' }, ABQ), { text: 'XXX-ABQ: airports unknown, no distance available', check: null });
+  });
+});
+
+describe('duration_implausible flag', () => {
+  const testCase = makeTestCase({ distanceKm: 781 });
+
+  test('flags extracted durations outside the route band', () => {
+    const result = makeResult(testCase, makeExtraction(testCase, { flightTime: '05:00' }));
+    assert.ok(flagForReview(result).includes('duration_implausible'));
+    assert.deepEqual(flagForReview(makeResult(testCase, makeExtraction(testCase))), []);
+  });
+
+  test('is skipped without a route distance', () => {
+    const result = makeResult(makeTestCase(), makeExtraction(makeTestCase(), { flightTime: '05:00' }));
+    assert.ok(!flagForReview(result).includes('duration_implausible'));
+  });
+});
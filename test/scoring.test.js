@@ -0,0 +1,134 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SCORING, compareField, flagForReview, normalizeExtraction, toGroundTruthData } from '../lib/scoring.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+describe('compareField', () => {
+  test('scores missing values as wrong', () => {
+    for (const value of [null, undefined, '', 'null']) {
+      assert.deepEqual(compareField('airlineCode', value, 'WN'), { match: false, grade: 0.0 });
+    }
+  });
+
+  test('excludes flight numbers from scoring', () => {
+    assert.deepEqual(compareField('flightNumber', '548', '548'), { match: null, grade: null });
+  });
+
+  test('requires exact codes and dates', () => {
+    assert.deepEqual(compareField('airlineCode', 'WN', 'WN'), { match: true, grade: 1.0 });
+    assert.deepEqual(compareField('departureAirportCode', 'LAS', 'LAX'), { match: false, grade: 0.0 });
+    assert.deepEqual(compareField('flightDate', '11-01-2026', '2026-01-11'), { match: false, grade: 0.0 });
+  });
+
+  test('grades aircraft by match level', () => {
+    assert.deepEqual(compareField('aircraftName', 'Boeing 737NG', 'Boeing 737NG'), { match: true, grade: 1.0, level: 'variant' });
+    assert.deepEqual(compareField('aircraftName', 'Boeing 737NG', 'Boeing 737-800'), { match: true, grade: 1.0, level: 'subfamily' });
+    assert.deepEqual(compareField('aircraftName', 'Boeing 737MAX', 'Boeing 737-800'), { match: true, grade: 0.8, level: 'family' });
+    assert.deepEqual(compareField('aircraftName', 'Boeing 757', 'Boeing 737-800'), { match: false, grade: 0.3, level: 'manufacturer' });
+    assert.deepEqual(compareField('aircraftName', 'Airbus A320', 'Boeing 737-800'), { match: false, grade: 0.1, level: 'body' });
+    assert.deepEqual(compareField('aircraftName', 'Airbus A350', 'Boeing 737-800'), { match: false, grade: 0.0, level: 'none' });
+  });
+
+  test('takes configured aircraft grades', () => {
+    const scoring = { ...DEFAULT_SCORING, aircraftGrades: { ...DEFAULT_SCORING.aircraftGrades, family: 0.5, body: 0 } };
+    assert.deepEqual(compareField('aircraftName', 'Boeing 737MAX', 'Boeing 737NG', scoring), { match: true, grade: 0.5, level: 'family' });
+    assert.deepEqual(compareField('aircraftName', 'Airbus A320', 'Boeing 737NG', scoring), { match: false, grade: 0, level: 'body' });
+  });
+
+  test('grades durations by tolerance', () => {
+    assert.deepEqual(compareField('flightTime', '02:20', '02:20'), { match: true, grade: 1.0 });
+    assert.deepEqual(compareField('flightTime', '02:35', '02:20'), { match: true, grade: 1.0 });
+    assert.deepEqual(compareField('flightTime', '02:45', '02:20'), { match: true, grade: 0.7 });
+    assert.deepEqual(compareField('flightTime', '01:40', '02:20'), { match: false, grade: 0.0 });
+
+    const strict = { ...DEFAULT_SCORING, durationTolerance: 5, durationPartialTolerance: 10, durationPartialGrade: 0.5 };
+    assert.deepEqual(compareField('flightTime', '02:28', '02:20', strict), { match: true, grade: 0.5 });
+    assert.deepEqual(compareField('flightTime', '02:35', '02:20', strict), { match: false, grade: 0.0 });
+  });
+
+  test('scores unknown fields as wrong', () => {
+    assert.deepEqual(compareField('gate', 'A1', 'A1'), { match: false, grade: 0.0 });
+  });
+});
+
+describe('normalizeExtraction', () => {
+  const testCase = makeTestCase();
+
+  test('records the raw aircraft next to the normalized one', () => {
+    const extracted = normalizeExtraction(makeExtraction(testCase, { aircraftName: 'B737-800' }));
+    assert.equal(extracted.aircraftName, 'Boeing 737-800');
+    assert.equal(extracted.aircraftNameRaw, 'B737-800');
+    assert.deepEqual(extracted.aircraftNameNormalization, { confidence: 0.95, method: 'compact' });
+  });
+
+  test('leaves registry names and unresolved values unchanged', () => {
+    for (const aircraftName of ['Boeing 737NG', 'Unknown Jet', null]) {
+      const extracted = makeExtraction(testCase, { aircraftName });
+      assert.equal(normalizeExtraction(extracted), extracted);
+    }
+  });
+
+  test('scores the normalized aircraft', () => {
+    const result = makeResult(testCase, makeExtraction(testCase, { aircraftName: 'Boeing 737-8 MAX' }));
+    assert.equal(result.extracted.aircraftNameRaw, 'Boeing 737-8 MAX');
+    assert.deepEqual(result.comparison.aircraftName, { match: true, grade: 0.8, level: 'family' });
+  });
+});
+
+describe('flightTime ground truth', () => {
+  // The test case stores the block time as `duration`; the comparison must read it as `flightTime`
+  test('maps the test case duration to flightTime', () => {
+    const testCase = makeTestCase({ duration: '07:25' });
+    assert.equal(toGroundTruthData(testCase).flightTime, '07:25');
+  });
+
+  test('scores a correct flightTime as correct', () => {
+    const testCase = makeTestCase();
+    const result = makeResult(testCase, makeExtraction(testCase));
+    assert.deepEqual(result.comparison.flightTime, { match: true, grade: 1.0 });
+    assert.deepEqual(result.flags, []);
+  });
+});
+
+describe('flagForReview', () => {
+  const testCase = makeTestCase();
+
+  test('does not flag a correct result', () => {
+    assert.deepEqual(flagForReview(makeResult(testCase, makeExtraction(testCase))), []);
+  });
+
+  test('flags a missing aircraft when a duration was found', () => {
+    const result = makeResult(testCase, makeExtraction(testCase, { aircraftName: null }));
+    assert.deepEqual(flagForReview(result), ['aircraft_missing']);
+  });
+
+  test('flags an aircraft of the wrong family', () => {
+    const result = makeResult(testCase, makeExtraction(testCase, { aircraftName: 'Airbus A350' }));
+    assert.deepEqual(flagForReview(result), ['aircraft_mismatch']);
+
+    // Partial credit below the family level is still a mismatch
+    const narrowbody = makeResult(testCase, makeExtraction(testCase, { aircraftName: 'Airbus A320' }));
+    assert.deepEqual(flagForReview(narrowbody), ['aircraft_mismatch']);
+
+    const family = makeResult(testCase, makeExtraction(testCase, { aircraftName: 'Boeing 737MAX' }));
+    assert.deepEqual(flagForReview(family), []);
+  });
+
+  test('flags durations off by more than the review threshold', () => {
+    const result = makeResult(testCase, makeExtraction(testCase, { flightTime: '03:00' }));
+    assert.deepEqual(flagForReview(result), ['duration_error']);
+    assert.deepEqual(flagForReview(result, { ...DEFAULT_SCORING, reviewDurationThreshold: 60 }), []);
+  });
+
+  test('flags results with several missing fields', () => {
+    const result = makeResult(testCase, makeExtraction(testCase, { flightNumber: null, flightTime: null, aircraftName: null }));
+    assert.deepEqual(flagForReview(result), ['low_quality']);
+    assert.deepEqual(flagForReview(result, { ...DEFAULT_SCORING, reviewNullFields: 4 }), []);
+  });
+
+  test('flags cases a judge panel disagrees on', () => {
+    const result = makeResult(testCase, makeExtraction(testCase), { ensemble: { highDisagreement: true } });
+    assert.deepEqual(flagForReview(result), ['judge_disagreement']);
+    assert.deepEqual(flagForReview({ ...result, ensemble: { highDisagreement: false } }), []);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateSourceAccuracy, normalizeSite, splitSources } from '../lib/sources.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+const testCase = makeTestCase();
+
+describe('normalizeSite', () => {
+  test('names known sites however they are reported', () => {
+    assert.equal(normalizeSite('www.flightaware.com'), 'FlightAware');
+    assert.equal(normalizeSite('https://www.flightradar24.com/data/flights/wn548'), 'FlightRadar24');
+    assert.equal(normalizeSite('Aviability.com'), 'Aviability');
+    assert.equal(normalizeSite('Provided in query'), 'Query');
+  });
+
+  test('reduces other URLs to their host and drops missing sources', () => {
+    assert.equal(normalizeSite('https://www.Planespotters.net/flight/WN548'), 'planespotters.net');
+    assert.equal(normalizeSite('Airport departures board'), 'Airport departures board');
+    assert.equal(normalizeSite('NOT FOUND'), null);
+    assert.equal(normalizeSite(null), null);
+  });
+});
+
+describe('splitSources', () => {
+  test('moves normalized sources off the extraction', () => {
+    const { extracted, sources } = splitSources({
+      ...makeExtraction(testCase),
+      sources: {
+        flightTime: { site: 'FlightAware', evidence: 'Duration 1h 30m' },
+        aircraftName: { site: null, evidence: 'https://www.flightradar24.com/data/flights/wn548' },
+        flightNumber: null
+      }
+    });
+    assert.equal(extracted.sources, undefined);
+    assert.equal(extracted.flightTime, testCase.duration);
+    assert.deepEqual(sources, {
+      flightTime: { site: 'FlightAware', evidence: 'Duration 1h 30m' },
+      aircraftName: { site: 'FlightRadar24', evidence: 'https://www.flightradar24.com/data/flights/wn548' }
+    });
+  });
+
+  test('leaves extractions without sources alone', () => {
+    assert.deepEqual(splitSources(makeExtraction(testCase)), { extracted: makeExtraction(testCase), sources: null });
+  });
+});
+
+describe('calculateSourceAccuracy', () => {
+  const cite = site => ({ site, evidence: null });
+
+  test('scores the extracted values attributed to each source', () => {
+    const results = [
+      makeResult(testCase, {
+        ...makeExtraction(testCase),
+        sources: { flightTime: cite('aviability'), aircraftName: cite('FlightAware'), flightDate: cite('Provided in query') }
+      }),
+      makeResult(testCase, {
+        ...makeExtraction(testCase, { flightTime: '03:00', aircraftName: null }),
+        sources: { flightTime: cite('Aviability'), aircraftName: cite('FlightAware') }
+      }),
+      makeResult(testCase, makeExtraction(testCase))
+    ];
+    const bySource = Object.fromEntries(calculateSourceAccuracy(results).map(s => [s.source, s]));
+
+    assert.deepEqual(bySource.Aviability, {
+      source: 'Aviability', cited: 2, correct: 1, accuracy: 0.5, fields: { flightTime: { cited: 2, correct: 1 } }
+    });
+    // A null value is not a citation
+    assert.equal(bySource.FlightAware.cited, 1);
+    assert.equal(bySource.Query.accuracy, 1);
+    // Fields of a result with sources but no attribution
+    assert.equal(bySource.Unattributed.cited, 7);
+  });
+
+  test('is empty without sources', () => {
+    assert.deepEqual(calculateSourceAccuracy([makeResult(testCase, makeExtraction(testCase))]), []);
+  });
+});
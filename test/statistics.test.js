@@ -0,0 +1,79 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootstrapMetrics, comparePaired, formatInterval, mcnemarTest, pairResults } from '../lib/statistics.js';
+import { calculateAllMetrics } from '../lib/metrics.js';
+import { SCORED_FIELDS } from '../lib/scoring.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+// Flight n, with the aircraft right or wrong
+const flight = (n, aircraftRight) => {
+  const testCase = makeTestCase({ flightNumber: String(100 + n) });
+  return makeResult(testCase, makeExtraction(testCase, aircraftRight ? {} : { aircraftName: 'Airbus A320' }));
+};
+
+describe('bootstrapMetrics', () => {
+  const results = Array.from({ length: 12 }, (_, n) => flight(n, n % 2 === 0));
+
+  test('brackets the point estimates and is reproducible', () => {
+    const metrics = calculateAllMetrics(results, SCORED_FIELDS);
+    const intervals = bootstrapMetrics(results, SCORED_FIELDS, undefined, { samples: 200 });
+    assert.deepEqual([intervals.samples, intervals.confidence, intervals.cases], [200, 0.95, 12]);
+
+    const aircraft = intervals.fields.aircraftName.f1;
+    assert.ok(aircraft.low < metrics.aircraftName.f1Raw && metrics.aircraftName.f1Raw < aircraft.high);
+    assert.ok(intervals.weightedF1.low <= metrics.overall.weightedF1Raw && metrics.overall.weightedF1Raw <= intervals.weightedF1.high);
+    // Always right: no uncertainty left
+    assert.deepEqual(intervals.fields.airlineCode.recall, { low: 1, high: 1 });
+
+    assert.deepEqual(bootstrapMetrics(results, SCORED_FIELDS, undefined, { samples: 200 }), intervals);
+    assert.equal(bootstrapMetrics([], SCORED_FIELDS), null);
+  });
+
+  test('formats intervals as percentages', () => {
+    assert.equal(formatInterval({ low: 0.42, high: 0.7125 }), '42.0%–71.3%');
+  });
+});
+
+describe('mcnemarTest', () => {
+  test('is the exact two-sided binomial test on the discordant cases', () => {
+    assert.equal(mcnemarTest(0, 0), 1);
+    assert.equal(mcnemarTest(3, 3), 1);
+    // 2 * P(X <= 0), X ~ Binomial(6, 0.5)
+    assert.ok(Math.abs(mcnemarTest(0, 6) - 2 / 64) < 1e-12);
+    // 2 * P(X <= 1), X ~ Binomial(10, 0.5)
+    assert.ok(Math.abs(mcnemarTest(9, 1) - 2 * 11 / 1024) < 1e-12);
+    assert.ok(mcnemarTest(600, 600) > 0.9);
+  });
+});
+
+describe('comparePaired', () => {
+  const runA = Array.from({ length: 20 }, (_, n) => flight(n, n < 5));
+  const runB = Array.from({ length: 20 }, (_, n) => flight(n, n < 18));
+
+  test('pairs flights across runs regardless of order', () => {
+    const pairs = pairResults(runA, [...runB].reverse().slice(0, 15));
+    assert.equal(pairs.length, 15);
+    assert.ok(pairs.every(({ a, b }) => a.groundTruth.flightNumber === b.groundTruth.flightNumber));
+    assert.equal(pairs[0].key, 'WN105 LAS-ABQ 11-01-2026');
+  });
+
+  test('tests each field and the weighted F1 difference', () => {
+    const paired = comparePaired(pairResults(runA, runB), SCORED_FIELDS, undefined, undefined, { samples: 200 });
+    assert.equal(paired.pairs, 20);
+    assert.deepEqual(paired.fields.aircraftName, { onlyA: 0, onlyB: 13, pValue: mcnemarTest(0, 13) });
+    assert.ok(paired.fields.aircraftName.pValue < 0.001);
+    assert.deepEqual(paired.fields.airlineCode, { onlyA: 0, onlyB: 0, pValue: 1 });
+
+    const { weightedF1 } = paired;
+    assert.ok(weightedF1.delta > 0 && weightedF1.low > 0 && weightedF1.high >= weightedF1.delta);
+    assert.ok(weightedF1.pValue < 0.05);
+    assert.equal(comparePaired([], SCORED_FIELDS), null);
+  });
+
+  test('finds no difference between identical runs', () => {
+    const paired = comparePaired(pairResults(runA, runA), SCORED_FIELDS, undefined, undefined, { samples: 200 });
+    assert.equal(paired.weightedF1.delta, 0);
+    assert.equal(paired.weightedF1.pValue, 1);
+    assert.equal(paired.fields.aircraftName.pValue, 1);
+  });
+});
@@ -0,0 +1,115 @@
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  STORE_FILES, generateFlightHistory, generateHistoryReport, getGitRevision, indexRun, loadCaseHistory, loadRunHistory, rebuildStore
+} from '../lib/store.js';
+import { saveRun } from '../lib/results.js';
+import { writeCaseTrace } from '../lib/traces.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flight-eval-store-'));
+after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+const testCase = makeTestCase();
+const flight = 'WN548 LAS-ABQ 11-01-2026';
+
+/**
+ * Build a saved run whose aircraft is right in the first `correct` of 4 cases
+ * @param {string} runId - Run id
+ * @param {number} timestamp - Start time
+ * @param {number} correct - Cases with the right aircraft
+ * @param {string} [pipeline] - Pipeline name
+ * @returns {Object} Run
+ */
+function makeRun(runId, timestamp, correct, pipeline = 'chain') {
+  const results = [0, 1, 2, 3].map(i => {
+    const tc = i === 0 ? testCase : makeTestCase({ flightNumber: String(600 + i) });
+    return makeResult(tc, makeExtraction(tc, i < correct ? {} : { aircraftName: 'Airbus A320' }));
+  });
+  results[0].validation = {
+    validationStatus: correct > 0 ? 'PASS' : 'FAIL',
+    consistencyScore: 1, consistencyIssues: [], sensibilityScore: 1, sensibilityIssues: [], confidenceScore: 1,
+    hallucinationDetected: false, hallucinationDetails: [], overallQualityScore: 0.9, reasoning: 'Checked'
+  };
+  return {
+    runId, pipeline, model: 'search: gemini-fast', timestamp,
+    git: { commit: 'abcdef1234567890', dirty: timestamp === 3000 },
+    config: { pipeline, prompts: { variant: 'default' }, steps: { search: { model: 'gemini-fast' } }, scoring: { errors: 'exclude' } },
+    results
+  };
+}
+
+describe('results store', () => {
+  test('indexes runs and their cases', () => {
+    saveRun(makeRun('chain-1000', 1000, 1), storeDir);
+    indexRun(makeRun('chain-1000', 1000, 1), storeDir);
+    indexRun(makeRun('chain-2000', 2000, 2), storeDir);
+
+    const [run] = loadRunHistory(storeDir, { count: 2 }).slice(0, 1);
+    assert.equal(run.runId, 'chain-1000');
+    assert.deepEqual(run.models, { search: 'gemini-fast' });
+    assert.equal(run.prompt, 'default');
+    assert.equal(run.git.commit, 'abcdef1234567890');
+    assert.equal(run.metrics.fields.aircraftName.correct, 1);
+
+    const cases = loadCaseHistory(storeDir, { runId: 'chain-1000' });
+    assert.equal(cases.length, 4);
+    assert.equal(cases[0].flight, flight);
+    assert.deepEqual(cases[0].fields.aircraftName, { extracted: 'Boeing 737NG', match: true, grade: 1 });
+    assert.deepEqual(cases[0].validation, { status: 'PASS', quality: 0.9, hallucination: false });
+    assert.equal(cases[0].trace, null);
+  });
+
+  test('keeps only the latest indexing of a run', async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    indexRun(makeRun('chain-2000', 2000, 4), storeDir);
+    indexRun(makeRun('judge-3000', 3000, 0, 'chain-judge'), storeDir);
+
+    const runs = loadRunHistory(storeDir);
+    assert.deepEqual(runs.map(r => r.runId), ['chain-1000', 'chain-2000', 'judge-3000']);
+    assert.equal(runs[1].metrics.fields.aircraftName.correct, 4);
+    assert.equal(loadCaseHistory(storeDir, { runId: 'chain-2000' }).length, 4);
+    assert.deepEqual(loadRunHistory(storeDir, { pipeline: 'chain' }).map(r => r.runId), ['chain-1000', 'chain-2000']);
+    assert.deepEqual(loadRunHistory(storeDir, { count: 1 }).map(r => r.runId), ['judge-3000']);
+    assert.equal(loadCaseHistory(storeDir, { flight }).length, 3);
+  });
+
+  test('reports trends per pipeline and the history of a flight', () => {
+    const runs = loadRunHistory(storeDir);
+    const markdown = generateHistoryReport(runs);
+    assert.match(markdown, /\| chain-2000 \| 1970-01-01 00:00 \| abcdef1 \| default \| 4\/4 \| 100\.0% \| \+22\.5pp \|/);
+    assert.match(markdown, /\| judge-3000 \| .* \| abcdef1\* \| .* \| - \|/);
+    assert.match(markdown, /### chain \(2 runs\)[^#]*\| Aircraft Name F1 \| 25\.0% \| 100\.0% \| \+75\.0pp \| 100\.0% \| ▁█ \|/);
+
+    const history = generateFlightHistory(flight, loadCaseHistory(storeDir, { flight }), runs);
+    assert.match(history, /\| judge-3000 \| 1 \| .*❌ Airbus A320 \| .* \| FAIL \| aircraft_mismatch \| - \|/);
+  });
+
+  test('rebuilds from the run folders', () => {
+    assert.equal(rebuildStore(storeDir), 1);
+    assert.deepEqual(loadRunHistory(storeDir).map(r => r.runId), ['chain-1000']);
+    assert.ok(fs.existsSync(path.join(storeDir, STORE_FILES.cases)));
+  });
+
+  test('numbers cases by test case, across cases skipped over budget', () => {
+    const gapDir = path.join(storeDir, 'gap');
+    const run = makeRun('chain-4000', 4000, 4);
+    // Case 2 was skipped by the budget
+    run.results = [{ ...run.results[0], case: 1 }, { ...run.results[2], case: 3 }];
+    writeCaseTrace(path.join(gapDir, run.runId), run.runId, 2, run.results[1]);
+    indexRun(run, gapDir);
+
+    const cases = loadCaseHistory(gapDir, { runId: 'chain-4000' });
+    assert.deepEqual(cases.map(c => c.case), [1, 3]);
+    assert.deepEqual(cases.map(c => c.trace), [null, path.join('chain-4000', 'traces', 'case-003.json')]);
+    assert.equal(cases[1].flight, 'WN602 LAS-ABQ 11-01-2026');
+  });
+
+  test('records the git revision of the working tree', () => {
+    assert.match(getGitRevision()?.commit ?? '0'.repeat(40), /^[0-9a-f]{40}$/);
+    assert.equal(getGitRevision(os.tmpdir()), null);
+  });
+});
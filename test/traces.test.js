@@ -0,0 +1,113 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AIMessage, HumanMessage, ToolMessage } from '@langchain/core/messages';
+import { formatCaseTrace, loadCaseTrace, serializeTrace, writeCaseTrace } from '../lib/traces.js';
+import { createTimeline, recordCase, recordModelCall } from '../lib/timeline.js';
+import { runStep } from '../lib/retry.js';
+import { makeExtraction, makeResult, makeTestCase } from './helpers.js';
+
+const testCase = makeTestCase();
+const longPage = `WN548 Las Vegas → Albuquerque, Boeing 737-800, 2h 20m. ${'x'.repeat(2000)} END OF PAGE`;
+
+const agentTrace = () => ({
+  systemPrompt: 'You are a flight research agent.',
+  messages: [
+    new HumanMessage('Find WN548'),
+    new AIMessage({
+      content: '',
+      tool_calls: [{ id: 'call_1', name: 'searxng_web_search', args: { query: 'WN548 aircraft' } }],
+      usage_metadata: { input_tokens: 120, output_tokens: 15, total_tokens: 135 }
+    }),
+    new ToolMessage({ content: [{ type: 'text', text: longPage }], tool_call_id: 'call_1', name: 'searxng_web_search' }),
+    new AIMessage('Aircraft: Boeing 737-800')
+  ]
+});
+
+describe('serializeTrace', () => {
+  test('turns agent messages into plain JSON with tool calls, outputs and usage', () => {
+    const { systemPrompt, messages } = serializeTrace(agentTrace());
+    assert.equal(systemPrompt, 'You are a flight research agent.');
+    assert.deepEqual(messages.map(m => m.role), ['user', 'assistant', 'tool', 'assistant']);
+    assert.deepEqual(messages[1].toolCalls, [{ id: 'call_1', name: 'searxng_web_search', args: { query: 'WN548 aircraft' } }]);
+    assert.deepEqual(messages[1].usage, { inputTokens: 120, outputTokens: 15, totalTokens: 135 });
+    // Tool outputs are kept in full
+    assert.equal(messages[2].content, longPage);
+    assert.equal(messages[2].toolCallId, 'call_1');
+    assert.deepEqual(JSON.parse(JSON.stringify(messages)), messages);
+  });
+
+  test('leaves step traces unchanged', () => {
+    const trace = { steps: [{ step: 'search', output: 'report' }, { step: 'structure', output: { airlineCode: 'WN' } }] };
+    assert.deepEqual(serializeTrace(trace), trace);
+  });
+});
+
+describe('case trace files', () => {
+  test('are written per case, loaded by case number and rendered in full', () => {
+    const runDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flight-eval-traces-'));
+    try {
+      const result = makeResult(testCase, makeExtraction(testCase), { trace: agentTrace() });
+      const timeline = createTimeline();
+      result.timeline = { ...timeline, steps: [{ step: 'research', attempt: 1, startedAt: timeline.startedAt, duration: 1500 }] };
+      const file = writeCaseTrace(runDir, 'react-mcp-1', 36, result);
+      assert.equal(path.basename(file), 'case-037.json');
+
+      const saved = loadCaseTrace(runDir, '37');
+      assert.equal(saved.case, 37);
+      assert.equal(saved.trace.messages[2].content, longPage);
+
+      const markdown = formatCaseTrace(saved);
+      assert.match(markdown, /^# Case 37: /);
+      assert.match(markdown, /## System Prompt/);
+      assert.match(markdown, /\*\*Tool Call:\*\* `searxng_web_search` \(call_1\)/);
+      assert.ok(markdown.includes('END OF PAGE'));
+      assert.match(markdown, /\| research \| 1 \| \+0\.00s \| 1\.50s \| ✅ \|/);
+      assert.match(markdown, /\| Aircraft Name \| Boeing 737NG \| Boeing 737-800 \| ✅ 1\.0 \(subfamily\) \|/);
+      assert.match(markdown, /\| Flight Number \| 548 \| 548 \| ➖ not scored \|/);
+
+      assert.throws(() => loadCaseTrace(runDir, 2), /No trace for case 2 .*\(1 case traces saved\)/);
+      assert.throws(() => loadCaseTrace(runDir, 'last'), /Invalid case "last"/);
+    } finally {
+      fs.rmSync(runDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('case timeline', () => {
+  test('records step attempts and the model requests made in them', async () => {
+    const timeline = createTimeline();
+    let calls = 0;
+    await recordCase(timeline, () => runStep('search', async () => {
+      recordModelCall({
+        request: { body: { model: 'gemini-fast' } },
+        startedAt: Date.now(),
+        status: 200,
+        body: JSON.stringify({ usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }),
+        cached: false
+      });
+      if (++calls === 1) throw Object.assign(new Error('HTTP 503'), { status: 503 });
+      return 'ok';
+    }, { retry: { baseDelay: 1, maxDelay: 1 } }));
+
+    assert.deepEqual(timeline.steps.map(s => [s.step, s.attempt, s.error ?? null]), [['search', 1, 'HTTP 503'], ['search', 2, null]]);
+    assert.equal(timeline.modelCalls.length, 2);
+    assert.deepEqual(timeline.modelCalls[0].usage, { inputTokens: 10, outputTokens: 5, totalTokens: 15 });
+    assert.equal(timeline.modelCalls[0].step, 'search');
+    assert.equal(timeline.modelCalls[0].model, 'gemini-fast');
+  });
+
+  test('keeps concurrent cases apart and ignores calls outside a case', async () => {
+    const [a, b] = [createTimeline(), createTimeline()];
+    const step = name => runStep(name, async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return name;
+    });
+    await Promise.all([recordCase(a, () => step('a')), recordCase(b, () => step('b'))]);
+    await step('outside');
+    assert.deepEqual(a.steps.map(s => s.step), ['a']);
+    assert.deepEqual(b.steps.map(s => s.step), ['b']);
+  });
+});